@@ -3,22 +3,51 @@
 // "Bordeaux AOC Top 20" — Full-stack Node.js app with SQLite
 // ------------------------------------------------------------
 // Features
-// - Shows Top 20 wines per AOC (Bordeaux) based solely on Vivino ratings
+// - Shows Top 20 wines per AOC (Bordeaux) based on Vivino ratings blended with critic / tasting-panel
+//   scores (weighted, normalized to 0–5), ranked by a selectable strategy (raw, Bayesian, Wilson
+//   lower bound, value for money)
 // - Admin can adjust a wine's score by up to ±25% (immediate re-ranking)
-// - Colorful, airy UI with search by AOC and by note (rating)
-// - Auto-refresh pipeline every 75 days (keeps admin overrides)
+//   with a justified, revertible audit trail and optional expiry dates; bulk edits (selection, AOC
+//   reset, CSV upload) and named override sets drafted, previewed, then activated or rolled back
+// - Colorful, airy UI with search by AOC and by note (rating); filters live in the URL (shareable,
+//   back/forward) and each wine has a /wines/:id page (rank, vintages, history, adjustment)
+// - Statistics per AOC (coverage, rating/price/vintage spread, adjustment skew) at /api/stats
+//   and a /stats dashboard comparing appellations
+// - Accent-insensitive full-text search (SQLite FTS5) with typo tolerance and type-ahead suggestions
+// - Webhooks on Top 20 entries/exits/rank moves (HMAC-signed, retried with backoff, delivery log)
+// - Duplicate wine finder and merge tool (merged ids become aliases for later imports)
+// - Appellation registry (aliases, accent-insensitive matching, Médoc/Libournais/... hierarchy)
+// - Auto-refresh pipeline (keeps admin overrides): pluggable sources (file, drop folder, HTTP export),
+//   configurable interval (75 days by default), job history and a lock against overlapping runs
+// - Optional one-row-per-wine view (best or latest vintage) with vintage range filters
+// - Colour, style, official classification (1855, Saint-Émilion, Graves, Crus Bourgeois) and grape
+//   blend per wine: imported, filterable with facet counts and shown as chips
+// - Rating/price/rank history snapshotted on every import & refresh (trend arrows, sparklines)
+// - Price filters, configurable price bands, quality/price index and price drift reports
 // - Import Vivino data via CSV or JSON (no scraping; bring your own export)
-// - Basic-Auth protected admin routes
+//   with a dry-run validation report/diff before anything is written
+// - Versioned read-only API under /api/v1 (validated params, paginated, OpenAPI at /api/v1/openapi.json)
+// - Per-AOC Atom/RSS feeds of Top 20 changes and an embeddable Top N widget (iframe or script tag)
+// - Export of the filtered ranking or every AOC Top 20 as CSV, JSON, XLSX or a printable page
+// - Public shortlists (no account): a share link to view, a secret edit link to change, per-wine
+//   notes and quantities with an estimated total, exported as CSV, JSON or XLSX
+// - French / English public pages (switcher, remembered choice, Accept-Language), locale-aware
+//   numbers, prices and dates; API error messages translated for non-English clients
+// - Admin accounts with roles (editor / data manager / owner), session cookies + CSRF; HTTP Basic for scripts
+// - Versioned schema migrations, online backup/restore and JSON export/import of settings & overrides
+// - Import quarantine: configurable anomaly rules hold suspicious imported changes (rating or price
+//   jumps, review count collapse, AOC change, wine gone from the source) for admin approval
 // ------------------------------------------------------------
 // Quick start
 // 1) npm init -y
-// 2) npm i express better-sqlite3 node-cron multer csv-parse dayjs
+// 2) npm i express better-sqlite3 node-cron multer csv-parse dayjs exceljs
 // 3) node server.js
 // 4) Open http://localhost:3000
 // Optional env vars:
 //   PORT=3000
-//   ADMIN_USER=admin
-//   ADMIN_PASSWORD=changeme (CHANGE THIS!)
+//   ADMIN_USER=admin           (first owner account, created only when no user exists)
+//   ADMIN_PASSWORD=...         (its password; if unset, a random one is written to owner-password.txt, mode 0600)
+//   SESSION_TTL_HOURS=12
 //   REFRESH_HOUR_UTC=03 (hour of day to check refresh window)
 //   DATA_SEED=./data/vivino_seed.json (optional seed file)
 // ------------------------------------------------------------
@@ -27,15 +56,20 @@ const express = require('express');
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
 const multer = require('multer');
 const upload = multer({ dest: path.join(__dirname, 'uploads') });
 const cron = require('node-cron');
 const { parse: parseCsv } = require('csv-parse/sync');
 const dayjs = require('dayjs');
+const ExcelJS = require('exceljs');
 
 const PORT = process.env.PORT || 3000;
 const ADMIN_USER = process.env.ADMIN_USER || 'admin';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'changeme';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const OWNER_PASSWORD_FILE = path.join(__dirname, 'owner-password.txt');
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
 const REFRESH_HOUR_UTC = process.env.REFRESH_HOUR_UTC || '03';
 const DATA_SEED = process.env.DATA_SEED || path.join(__dirname, 'data', 'vivino_seed.json');
 
@@ -43,11 +77,15 @@ const DATA_SEED = process.env.DATA_SEED || path.join(__dirname, 'data', 'vivino_
 const db = new Database(path.join(__dirname, 'bordeaux.db'));
 db.pragma('journal_mode = WAL');
 
-db.exec(`
+// The schema as it stood when migrations were introduced (migration 1). IF NOT EXISTS lets databases
+// created before versioning adopt it unchanged. Schema changes now go in MIGRATIONS, not here.
+const BASELINE_SCHEMA = `
 CREATE TABLE IF NOT EXISTS wines (
   id INTEGER PRIMARY KEY,
-  // external_id can be a Vivino wine id or any stable ID you map
+  -- external_id can be a Vivino wine id or any stable ID you map
   external_id TEXT UNIQUE,
+  -- identity shared by all vintages of the same wine (see deriveWineKey)
+  wine_key TEXT,
   name TEXT NOT NULL,
   winery TEXT,
   aoc TEXT NOT NULL,
@@ -62,6 +100,7 @@ CREATE TABLE IF NOT EXISTS wines (
 CREATE TABLE IF NOT EXISTS admin_overrides (
   wine_id INTEGER PRIMARY KEY,
   adjustment_pct REAL NOT NULL DEFAULT 0, -- range [-25, 25]
+  expires_at TEXT, -- ISO timestamp after which the adjustment lapses to 0
   updated_at TEXT DEFAULT (datetime('now')),
   FOREIGN KEY (wine_id) REFERENCES wines(id) ON DELETE CASCADE
 );
@@ -69,13 +108,391 @@ CREATE TABLE IF NOT EXISTS meta (
   key TEXT PRIMARY KEY,
   value TEXT
 );
+-- Admin accounts. role: 'editor' (scores) < 'data_manager' (+ imports/refresh) < 'owner' (+ users)
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL, -- scrypt$<salt>$<hash>
+  role TEXT NOT NULL,
+  disabled INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now')),
+  last_login_at TEXT
+);
+-- Login sessions; id is the sha256 of the cookie token so a DB leak does not leak sessions
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  csrf_token TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+-- Append-only trail of every override change (action: 'set' | 'revert' | 'expire' | 'merge' | 'import')
+CREATE TABLE IF NOT EXISTS override_audit (
+  id INTEGER PRIMARY KEY,
+  wine_id INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  old_pct REAL,
+  new_pct REAL NOT NULL,
+  old_expires_at TEXT,
+  new_expires_at TEXT,
+  note TEXT NOT NULL,
+  user TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (wine_id) REFERENCES wines(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_override_audit_wine ON override_audit(wine_id, created_at);
+-- Scores from sources other than Vivino, on the source's own scale (see score_sources)
+CREATE TABLE IF NOT EXISTS wine_scores (
+  wine_id INTEGER NOT NULL,
+  source TEXT NOT NULL,
+  score REAL NOT NULL,
+  note TEXT,
+  user TEXT,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (wine_id, source)
+);
+-- One row per wine per import/refresh run; all rows of a run share captured_at
+CREATE TABLE IF NOT EXISTS wine_snapshots (
+  id INTEGER PRIMARY KEY,
+  wine_id INTEGER NOT NULL,
+  vivino_rating REAL,
+  rating_count INTEGER,
+  price REAL,
+  aoc_rank INTEGER, -- position within its AOC right after the run
+  source TEXT NOT NULL, -- 'seed' | 'import' | 'refresh'
+  captured_at TEXT NOT NULL,
+  FOREIGN KEY (wine_id) REFERENCES wines(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_wine_snapshots_wine ON wine_snapshots(wine_id, captured_at);
+CREATE INDEX IF NOT EXISTS idx_wine_snapshots_captured ON wine_snapshots(captured_at);
+-- Appellation registry: wines.aoc always holds a canonical appellations.name once resolved
+CREATE TABLE IF NOT EXISTS appellation_regions (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE, -- sub-region, e.g. Médoc, Libournais
+  bank TEXT, -- 'left' | 'right' | NULL
+  sort_order INTEGER DEFAULT 0
+);
+CREATE TABLE IF NOT EXISTS appellations (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  region_id INTEGER,
+  FOREIGN KEY (region_id) REFERENCES appellation_regions(id) ON DELETE SET NULL
+);
+CREATE TABLE IF NOT EXISTS appellation_aliases (
+  alias_key TEXT PRIMARY KEY, -- aocKey() of the alias
+  alias TEXT NOT NULL,
+  appellation_id INTEGER NOT NULL,
+  FOREIGN KEY (appellation_id) REFERENCES appellations(id) ON DELETE CASCADE
+);
+-- AOC names seen in imports that match no alias, waiting for an admin to map them
+CREATE TABLE IF NOT EXISTS unknown_aocs (
+  alias_key TEXT PRIMARY KEY,
+  raw TEXT NOT NULL,
+  occurrences INTEGER DEFAULT 1,
+  first_seen TEXT DEFAULT (datetime('now')),
+  last_seen TEXT DEFAULT (datetime('now'))
+);
+-- Named column-mapping/parsing presets for the import endpoint (config = JSON, see validateImportProfile)
+CREATE TABLE IF NOT EXISTS import_profiles (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  config TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+-- Dry-run imports waiting for confirmation (items = the exact rows that will be applied)
+CREATE TABLE IF NOT EXISTS import_previews (
+  id TEXT PRIMARY KEY,
+  filename TEXT,
+  items TEXT NOT NULL, -- JSON array
+  report TEXT NOT NULL, -- JSON object
+  created_at TEXT DEFAULT (datetime('now'))
+);
+-- One row per refresh run; a 'running' row is the refresh lock (see claimRefreshJob)
+CREATE TABLE IF NOT EXISTS refresh_jobs (
+  id INTEGER PRIMARY KEY,
+  source TEXT NOT NULL, -- key of REFRESH_SOURCES
+  triggered_by TEXT NOT NULL, -- 'cron' | 'manual' | 'watch'
+  user TEXT,
+  status TEXT NOT NULL, -- 'running' | 'succeeded' | 'failed' | 'skipped'
+  phase TEXT, -- while running: 'fetch' | 'apply'
+  origin TEXT, -- file path or URL actually read
+  items_read INTEGER,
+  upserted INTEGER,
+  rejected INTEGER,
+  warnings INTEGER,
+  rejections TEXT, -- JSON, first 50 rejected rows
+  error TEXT,
+  started_at TEXT NOT NULL,
+  finished_at TEXT
+);
+-- external_ids of wines merged into another one; imports carrying them update wine_id instead
+CREATE TABLE IF NOT EXISTS wine_aliases (
+  external_id TEXT PRIMARY KEY,
+  wine_id INTEGER NOT NULL,
+  merged_row TEXT, -- JSON of the merged-away wines row
+  note TEXT,
+  user TEXT,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (wine_id) REFERENCES wines(id) ON DELETE CASCADE
+);
+-- Candidate pairs an admin marked as distinct wines (wine_a < wine_b)
+CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+  wine_a INTEGER NOT NULL,
+  wine_b INTEGER NOT NULL,
+  user TEXT,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (wine_a, wine_b)
+);
+-- Outbound webhooks (secret signs every body, see attemptWebhookDelivery)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INTEGER PRIMARY KEY,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  description TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_by TEXT,
+  created_at TEXT NOT NULL
+);
+-- Delivery log; 'pending' rows are retried with backoff until 'delivered' or 'failed'
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id INTEGER PRIMARY KEY,
+  webhook_id INTEGER NOT NULL,
+  event TEXT NOT NULL, -- 'top20.changed' | 'ping'
+  payload TEXT NOT NULL, -- exact JSON body sent
+  status TEXT NOT NULL, -- 'pending' | 'delivered' | 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT,
+  last_status_code INTEGER,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  delivered_at TEXT,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+-- Top 20 per AOC as last notified to webhooks (see checkTop20Changes)
+CREATE TABLE IF NOT EXISTS aoc_top20 (
+  aoc TEXT NOT NULL,
+  wine_id INTEGER NOT NULL,
+  rank INTEGER NOT NULL,
+  external_id TEXT,
+  name TEXT,
+  vintage INTEGER,
+  PRIMARY KEY (aoc, wine_id)
+);
+-- Detected Top 20 changes, one row per AOC per change (feeds /feeds/:aoc.atom|rss); lists are JSON
+CREATE TABLE IF NOT EXISTS ranking_events (
+  id INTEGER PRIMARY KEY,
+  aoc TEXT NOT NULL,
+  cause TEXT NOT NULL,
+  entered TEXT NOT NULL,
+  exited TEXT NOT NULL,
+  moved TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_ranking_events_aoc ON ranking_events(aoc, id);
+-- Full-text index over wines (rowid = wines.id), kept in sync by the triggers below.
+-- remove_diacritics folds accents so "leoville" matches "Léoville".
+CREATE VIRTUAL TABLE IF NOT EXISTS wines_fts USING fts5(
+  name, winery, aoc, region,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+-- Indexed terms, used to correct typos (see searchMatchExpr)
+CREATE VIRTUAL TABLE IF NOT EXISTS wines_fts_vocab USING fts5vocab(wines_fts, 'row');
+CREATE TRIGGER IF NOT EXISTS wines_fts_insert AFTER INSERT ON wines BEGIN
+  INSERT INTO wines_fts (rowid, name, winery, aoc, region) VALUES (new.id, new.name, new.winery, new.aoc,
+    (SELECT g.name FROM appellations a JOIN appellation_regions g ON g.id = a.region_id WHERE a.name = new.aoc));
+END;
+CREATE TRIGGER IF NOT EXISTS wines_fts_update AFTER UPDATE OF name, winery, aoc ON wines BEGIN
+  DELETE FROM wines_fts WHERE rowid = old.id;
+  INSERT INTO wines_fts (rowid, name, winery, aoc, region) VALUES (new.id, new.name, new.winery, new.aoc,
+    (SELECT g.name FROM appellations a JOIN appellation_regions g ON g.id = a.region_id WHERE a.name = new.aoc));
+END;
+CREATE TRIGGER IF NOT EXISTS wines_fts_delete AFTER DELETE ON wines BEGIN
+  DELETE FROM wines_fts WHERE rowid = old.id;
+END;
+`;
+
+// ---- Schema migrations ---------------------------------------
+// Applied in order at startup, each in its own transaction. PRAGMA user_version holds the last
+// applied version and schema_migrations records when each one ran. Never edit a shipped migration:
+// append a new one. up(conn) gets the connection so a restore can upgrade an older backup first.
+const MIGRATIONS = [
+  { version: 1, name: 'baseline schema', up: conn => conn.exec(BASELINE_SCHEMA) },
+  {
+    version: 2,
+    name: 'columns added before versioning (admin_overrides.expires_at, wines.wine_key)',
+    up(conn) {
+      addColumnIfMissing(conn, 'admin_overrides', 'expires_at', 'TEXT');
+      addColumnIfMissing(conn, 'wines', 'wine_key', 'TEXT');
+      conn.exec(`CREATE INDEX IF NOT EXISTS idx_wines_wine_key ON wines(wine_key)`);
+    },
+  },
+  {
+    version: 3,
+    name: 'override sets',
+    up: conn => conn.exec(`
+-- Named adjustment sets prepared as drafts, then applied to admin_overrides in one go.
+-- override_audit gains the actions 'bulk', 'activate' and 'rollback'.
+CREATE TABLE override_sets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  replace_all INTEGER NOT NULL DEFAULT 0, -- 1 = activating also resets every adjustment not in the set
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE TABLE override_set_items (
+  set_id INTEGER NOT NULL,
+  wine_id INTEGER NOT NULL,
+  adjustment_pct REAL NOT NULL,
+  expires_at TEXT,
+  PRIMARY KEY (set_id, wine_id),
+  FOREIGN KEY (set_id) REFERENCES override_sets(id) ON DELETE CASCADE,
+  FOREIGN KEY (wine_id) REFERENCES wines(id) ON DELETE CASCADE
+);
+-- One row per activation; previous holds what the activation replaced so it can be rolled back
+CREATE TABLE override_set_activations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  set_id INTEGER NOT NULL,
+  previous TEXT NOT NULL, -- JSON [{ wine_id, adjustment_pct, expires_at }] for every wine it changed
+  note TEXT NOT NULL,
+  user TEXT,
+  activated_at TEXT NOT NULL,
+  rolled_back_at TEXT,
+  rolled_back_by TEXT,
+  FOREIGN KEY (set_id) REFERENCES override_sets(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_override_set_activations_set ON override_set_activations(set_id);
+`),
+  },
+  {
+    version: 4,
+    name: 'wine attributes',
+    up: conn => conn.exec(`
+-- Vocabularies in Wine attributes. NULL = not known; an import without a value keeps the stored one.
+ALTER TABLE wines ADD COLUMN color TEXT; -- 'red' | 'white' | 'rose'
+ALTER TABLE wines ADD COLUMN style TEXT; -- 'dry' | 'sweet' | 'sparkling'
+ALTER TABLE wines ADD COLUMN classification TEXT; -- rank id, e.g. 'medoc-1855-2', 'cru-bourgeois-superieur'
+ALTER TABLE wines ADD COLUMN grapes TEXT; -- JSON [{ grape, pct }], largest share first; pct null when unknown
+`),
+  },
+  {
+    version: 5,
+    name: 'shortlists',
+    up: conn => conn.exec(`
+-- Visitor wine selections, read by share token, changed with an edit key (see Shortlists)
+CREATE TABLE shortlists (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  token TEXT NOT NULL UNIQUE, -- random, in the share link
+  edit_key_hash TEXT NOT NULL, -- sha256 of the edit key
+  name TEXT NOT NULL,
+  description TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE TABLE shortlist_items (
+  shortlist_id INTEGER NOT NULL,
+  wine_id INTEGER NOT NULL,
+  note TEXT,
+  quantity INTEGER, -- target number of bottles
+  added_at TEXT NOT NULL,
+  PRIMARY KEY (shortlist_id, wine_id),
+  FOREIGN KEY (shortlist_id) REFERENCES shortlists(id) ON DELETE CASCADE,
+  FOREIGN KEY (wine_id) REFERENCES wines(id) ON DELETE CASCADE
+);
+`),
+  },
+  {
+    version: 6,
+    name: 'import quarantine',
+    up(conn) {
+      conn.exec(`
+-- Imported changes held back by the anomaly rules (see Import quarantine); at most one pending row per wine
+CREATE TABLE import_anomalies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wine_id INTEGER, -- NULL for a wine not in the database yet
+  external_id TEXT NOT NULL,
+  name TEXT,
+  aoc TEXT,
+  vintage INTEGER,
+  reasons TEXT NOT NULL, -- JSON [{ rule, field, before, after }]
+  item TEXT, -- JSON import row held back; NULL when the wine is missing from the source
+  previous TEXT, -- JSON wines row when the anomaly was detected
+  source TEXT NOT NULL, -- 'import' | 'refresh'
+  origin TEXT, -- file name, path or URL
+  job_id INTEGER,
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'approved' | 'rejected' | 'superseded'
+  detected_at TEXT NOT NULL,
+  resolved_at TEXT,
+  resolved_by TEXT,
+  note TEXT
+);
+CREATE INDEX idx_import_anomalies_status ON import_anomalies(status, external_id);
 `);
+      addColumnIfMissing(conn, 'refresh_jobs', 'quarantined', 'INTEGER');
+    },
+  },
+  {
+    version: 7,
+    name: 'ISO users.last_login_at',
+    // Written with datetime('now') (UTC, no zone) before; now an ISO string like every other timestamp
+    up: conn => conn.exec(`
+UPDATE users SET last_login_at = strftime('%Y-%m-%dT%H:%M:%fZ', last_login_at)
+WHERE last_login_at IS NOT NULL AND last_login_at NOT LIKE '%Z';
+`),
+  },
+  {
+    version: 8,
+    name: 'retired wines',
+    up: conn => conn.exec(`
+-- Set when an approved quarantine entry retired a wine that left the source; NULL = active.
+-- A retired wine keeps its history and audit trail and comes back when a source lists it again.
+ALTER TABLE wines ADD COLUMN retired_at TEXT;
+`),
+  },
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// CREATE TABLE IF NOT EXISTS leaves older databases without newer columns
+function addColumnIfMissing(conn, table, column, ddl) {
+  const cols = conn.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some(c => c.name === column)) conn.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+}
+
+// Brings conn up to SCHEMA_VERSION; returns the versions applied. Throws when the database was
+// written by a newer version of this server.
+function runMigrations(conn) {
+  conn.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)`);
+  const current = conn.pragma('user_version', { simple: true });
+  if (current > SCHEMA_VERSION) throw new Error(`Database schema v${current} is newer than this server (v${SCHEMA_VERSION})`);
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    conn.transaction(() => {
+      m.up(conn);
+      conn.prepare(`INSERT OR REPLACE INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`)
+        .run(m.version, m.name, dayjs().toISOString());
+      conn.pragma(`user_version = ${m.version}`);
+    })();
+    applied.push(m.version);
+  }
+  return applied;
+}
+
+const appliedMigrations = runMigrations(db);
+if (appliedMigrations.length) console.log(`[db] Applied migrations ${appliedMigrations.join(', ')}; schema is now v${SCHEMA_VERSION}.`);
 
 // Useful prepared statements
 const upsertWine = db.prepare(`
-INSERT INTO wines (external_id, name, winery, aoc, vintage, vivino_rating, rating_count, price, last_source_update, updated_at)
-VALUES (@external_id, @name, @winery, @aoc, @vintage, @vivino_rating, @rating_count, @price, @last_source_update, datetime('now'))
+INSERT INTO wines (external_id, wine_key, name, winery, aoc, vintage, vivino_rating, rating_count, price,
+  color, style, classification, grapes, last_source_update, updated_at)
+VALUES (@external_id, @wine_key, @name, @winery, @aoc, @vintage, @vivino_rating, @rating_count, @price,
+  @color, @style, @classification, @grapes, @last_source_update, datetime('now'))
 ON CONFLICT(external_id) DO UPDATE SET
+  wine_key=excluded.wine_key,
   name=excluded.name,
   winery=excluded.winery,
   aoc=excluded.aoc,
@@ -83,268 +500,5558 @@ ON CONFLICT(external_id) DO UPDATE SET
   vivino_rating=excluded.vivino_rating,
   rating_count=excluded.rating_count,
   price=excluded.price,
+  color=COALESCE(excluded.color, color),
+  style=COALESCE(excluded.style, style),
+  classification=COALESCE(excluded.classification, classification),
+  grapes=COALESCE(excluded.grapes, grapes),
   last_source_update=excluded.last_source_update,
+  retired_at=NULL,
   updated_at=datetime('now');
 `);
 
 const getWineById = db.prepare(`SELECT * FROM wines WHERE id = ?`);
+const getActiveWineById = db.prepare(`SELECT * FROM wines WHERE id = ? AND retired_at IS NULL`);
 const getWineByExternalId = db.prepare(`SELECT * FROM wines WHERE external_id = ?`);
 const upsertOverride = db.prepare(`
-INSERT INTO admin_overrides (wine_id, adjustment_pct, updated_at)
-VALUES (?, ?, datetime('now'))
-ON CONFLICT(wine_id) DO UPDATE SET adjustment_pct=excluded.adjustment_pct, updated_at=datetime('now');
+INSERT INTO admin_overrides (wine_id, adjustment_pct, expires_at, updated_at)
+VALUES (?, ?, ?, datetime('now'))
+ON CONFLICT(wine_id) DO UPDATE SET adjustment_pct=excluded.adjustment_pct, expires_at=excluded.expires_at, updated_at=datetime('now');
 `);
+const getOverride = db.prepare(`SELECT * FROM admin_overrides WHERE wine_id = ?`);
+const insertOverrideAudit = db.prepare(`
+INSERT INTO override_audit (wine_id, action, old_pct, new_pct, old_expires_at, new_expires_at, note, user, created_at)
+VALUES (@wine_id, @action, @old_pct, @new_pct, @old_expires_at, @new_expires_at, @note, @user, @created_at)
+`);
+const getOverrideAuditById = db.prepare(`SELECT * FROM override_audit WHERE id = ?`);
+const getExpiredOverrides = db.prepare(`SELECT * FROM admin_overrides WHERE expires_at IS NOT NULL AND expires_at <= ?`);
 
 const setMeta = db.prepare(`INSERT INTO meta(key, value) VALUES(?, ?) ON CONFLICT(key) DO UPDATE SET value=excluded.value;`);
 const getMeta = db.prepare(`SELECT value FROM meta WHERE key = ?`);
 
+// ---- Ranking strategies ----------------------------------------
+// Each strategy turns a wine's blended rating (see Score sources; plus its AOC averages) into a base
+// score; the admin override then multiplies it by (1 + pct/100). The same JS runs in SQL (rank_score UDF)
+// and in adjustedRating(). Review counts always come from Vivino.
+const RANKING_STRATEGIES = {
+  raw: { label: 'Note combinée', description: 'Blended rating (Vivino plus critic/panel scores, weighted) as-is; review count only breaks ties.' },
+  bayesian: { label: 'Note pondérée (bayésienne)', description: 'Rating shrunk toward the AOC mean; wines with few reviews move toward the average. Prior weight = reviews the mean counts for.' },
+  wilson: { label: 'Borne basse de confiance', description: 'Wilson lower bound (95%) of the rating as a share of 5 stars; penalizes small samples.' },
+  value: { label: 'Rapport qualité/prix', description: 'Rating scaled by sqrt(AOC average price / price); wines without a price rank last.' },
+};
+const DEFAULT_RANKING_STRATEGY = 'raw';
+const DEFAULT_PRIOR_WEIGHT = 50;
+
+function strategyScore(strategy, rating, count, price, aocMean, aocAvgPrice, prior) {
+  const R = Number(rating) || 0;
+  const n = Math.max(0, Number(count) || 0);
+  switch (strategy) {
+    case 'bayesian': {
+      const C = Math.max(0, Number(prior) || 0);
+      const m = aocMean == null ? R : Number(aocMean);
+      return C + n === 0 ? m : (C * m + n * R) / (C + n);
+    }
+    case 'wilson': {
+      if (n === 0) return 0;
+      const z = 1.96;
+      const p = Math.max(0, Math.min(1, R / 5));
+      const lb = (p + z * z / (2 * n) - z * Math.sqrt((p * (1 - p) + z * z / (4 * n)) / n)) / (1 + z * z / n);
+      return 5 * lb;
+    }
+    case 'value':
+      if (!(Number(price) > 0) || !(Number(aocAvgPrice) > 0)) return null;
+      return R * Math.sqrt(Number(aocAvgPrice) / Number(price));
+    default:
+      return R;
+  }
+}
+
+db.function('rank_score', { deterministic: true }, strategyScore);
+
+// ---- Score sources -------------------------------------------
+// A wine can carry scores from several sources besides Vivino (critics on /100, our tasting panel
+// on /20, ...). Each source maps its [min, max] scale linearly onto Vivino's 0–5; the blended
+// rating is the weighted mean of the sources a wine has (weights renormalized over those present)
+// and feeds the ranking strategies in place of the raw Vivino rating. Vivino stays in wines.vivino_rating,
+// the others live in wine_scores on their own scale. Admins edit the list (meta 'score_sources').
+const DEFAULT_SCORE_SOURCES = [
+  { id: 'vivino', label: 'Vivino', min: 0, max: 5, weight: 1 },
+  { id: 'critic', label: 'Critiques (/100)', min: 50, max: 100, weight: 1 },
+  { id: 'panel', label: 'Panel de dégustation (/20)', min: 0, max: 20, weight: 1 },
+];
+
+function getScoreSources() {
+  const stored = getMeta.get('score_sources');
+  if (!stored) return DEFAULT_SCORE_SOURCES;
+  try { return JSON.parse(stored.value); } catch (e) { return DEFAULT_SCORE_SOURCES; }
+}
+
+// Read by blend_score for every ranked row, so kept in memory and replaced on save
+let SCORE_SOURCES = getScoreSources();
+
+// Returns { sources } normalized, or { error }
+function validateScoreSources(input) {
+  if (!Array.isArray(input) || !input.length) return { error: 'sources must be a non-empty array' };
+  const ids = new Set();
+  const sources = [];
+  for (const s of input) {
+    const id = String((s && s.id) || '').trim();
+    if (!/^[a-z0-9_]+$/.test(id)) return { error: 'each source needs an id made of a-z, 0-9 and _' };
+    if (ids.has(id)) return { error: `duplicate source id: ${id}` };
+    ids.add(id);
+    const min = Number(s.min);
+    const max = Number(s.max);
+    const weight = Number(s.weight);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) return { error: `source ${id}: min and max must be numbers with min below max` };
+    if (!(weight >= 0)) return { error: `source ${id}: weight must be a non-negative number` };
+    if (id === 'vivino' && (min !== 0 || max !== 5)) return { error: 'source vivino: the scale is fixed at 0–5' };
+    sources.push({ id, label: isBlank(s.label) ? id : String(s.label).trim(), min, max, weight });
+  }
+  if (!ids.has('vivino')) return { error: 'the vivino source cannot be removed (set its weight to 0 instead)' };
+  if (!sources.some(s => s.weight > 0)) return { error: 'at least one source needs a positive weight' };
+  return { sources };
+}
+
+function saveScoreSources(sources) {
+  setMeta.run('score_sources', JSON.stringify(sources));
+  SCORE_SOURCES = sources;
+}
+
+// Source scale -> 0..5, clamped
+function normalizeScore(score, source) {
+  const x = (Number(score) - source.min) / (source.max - source.min);
+  return 5 * Math.max(0, Math.min(1, x));
+}
+
+// scores: { sourceId: score on its own scale } for the non-Vivino sources. Null when no weighted source has a score.
+function blendScore(vivinoRating, scores) {
+  let sum = 0;
+  let weights = 0;
+  for (const s of SCORE_SOURCES) {
+    const score = s.id === 'vivino' ? vivinoRating : scores && scores[s.id];
+    if (score == null || !(s.weight > 0)) continue;
+    sum += s.weight * normalizeScore(score, s);
+    weights += s.weight;
+  }
+  return weights ? sum / weights : null;
+}
+
+// Not deterministic: the result follows the admin's source configuration
+db.function('blend_score', (rating, scores) => blendScore(rating, scores ? JSON.parse(scores) : null));
+
+// { sourceId: score } -> { sourceId: { score, normalized } } for API rows; unknown sources are dropped
+function scoreDetails(scores) {
+  const parsed = typeof scores === 'string' ? JSON.parse(scores) : scores || {};
+  const out = {};
+  for (const s of SCORE_SOURCES) {
+    if (s.id === 'vivino' || parsed[s.id] == null) continue;
+    out[s.id] = { score: parsed[s.id], normalized: normalizeScore(parsed[s.id], s) };
+  }
+  return out;
+}
+
+const upsertWineScore = db.prepare(`
+INSERT INTO wine_scores (wine_id, source, score, note, user, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+ON CONFLICT(wine_id, source) DO UPDATE SET score=excluded.score, note=excluded.note, user=excluded.user, updated_at=excluded.updated_at`);
+const deleteWineScore = db.prepare(`DELETE FROM wine_scores WHERE wine_id = ? AND source = ?`);
+const getWineScores = db.prepare(`SELECT source, score, note, user, updated_at FROM wine_scores WHERE wine_id = ? ORDER BY source`);
+
+// ---- Price bands ----------------------------------------------
+// [min, max) in EUR; either bound may be null. Admins can replace the list (meta 'price_bands').
+const DEFAULT_PRICE_BANDS = [
+  { id: 'under-20', label: 'Moins de 20 €', min: null, max: 20 },
+  { id: '20-50', label: '20–50 €', min: 20, max: 50 },
+  { id: '50-100', label: '50–100 €', min: 50, max: 100 },
+  { id: 'prestige', label: 'Prestige (100 € et plus)', min: 100, max: null },
+];
+
+function getPriceBands() {
+  const stored = getMeta.get('price_bands');
+  if (!stored) return DEFAULT_PRICE_BANDS;
+  try { return JSON.parse(stored.value); } catch (e) { return DEFAULT_PRICE_BANDS; }
+}
+
+// Returns { bands } normalized, or { error }
+function validatePriceBands(input) {
+  if (!Array.isArray(input) || !input.length) return { error: 'bands must be a non-empty array' };
+  const ids = new Set();
+  const bands = [];
+  for (const b of input) {
+    const id = String((b && b.id) || '').trim();
+    if (!/^[a-z0-9-]+$/.test(id)) return { error: 'each band needs an id made of a-z, 0-9 and -' };
+    if (ids.has(id)) return { error: `duplicate band id: ${id}` };
+    ids.add(id);
+    const min = b.min == null || b.min === '' ? null : Number(b.min);
+    const max = b.max == null || b.max === '' ? null : Number(b.max);
+    if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))) return { error: `band ${id}: min/max must be numbers` };
+    if (min === null && max === null) return { error: `band ${id}: min or max required` };
+    if (min !== null && max !== null && min >= max) return { error: `band ${id}: min must be below max` };
+    bands.push({ id, label: isBlank(b.label) ? id : String(b.label).trim(), min, max });
+  }
+  return { bands };
+}
+
+function priceBandOf(price, bands = getPriceBands()) {
+  if (price == null) return null;
+  const b = bands.find(x => (x.min === null || price >= x.min) && (x.max === null || price < x.max));
+  return b ? b.id : null;
+}
+
+// Quality-to-price index within the AOC: 100 = an average-rated wine at the AOC average price
+function valueIndex(row) {
+  const v = strategyScore('value', row.blended_rating ?? row.vivino_rating, row.rating_count, row.price, row.aoc_mean_rating, row.aoc_avg_price);
+  return v == null || !(row.aoc_mean_rating > 0) ? null : (100 * v) / row.aoc_mean_rating;
+}
+
+// { strategy, prior } bound as @strategy/@prior by every statement embedding RANKED_WINES_SQL
+function rankingParams(strategy, prior) {
+  const stored = getMeta.get('ranking_strategy');
+  const storedPrior = getMeta.get('ranking_prior_weight');
+  return {
+    strategy: strategy || (stored && RANKING_STRATEGIES[stored.value] ? stored.value : DEFAULT_RANKING_STRATEGY),
+    prior: prior != null ? prior : (storedPrior ? Number(storedPrior.value) : DEFAULT_PRIOR_WEIGHT),
+  };
+}
+
+// Wines with their strategy score, adjusted rating and live position within their AOC.
+// Shared by the ranking endpoints and by snapshots so both agree on the order.
+// With overrideSet, adjustments come from the override set bound as @override_set (merged over the
+// live ones, or alone when the set replaces them) so a draft can be ranked before it is activated.
+function rankedWinesSql({ overrideSet = false } = {}) {
+  const overrides = overrideSet ? `(
+          SELECT wine_id, adjustment_pct, expires_at FROM override_set_items WHERE set_id = @override_set
+          UNION ALL
+          SELECT wine_id, adjustment_pct, expires_at FROM admin_overrides
+          WHERE (SELECT replace_all FROM override_sets WHERE id = @override_set) = 0
+            AND wine_id NOT IN (SELECT wine_id FROM override_set_items WHERE set_id = @override_set)
+        )` : 'admin_overrides';
+  return `
+  SELECT r.*,
+         ROW_NUMBER() OVER (PARTITION BY r.aoc ORDER BY r.adjusted_rating DESC, r.rating_count DESC, r.price ASC NULLS LAST, r.id) AS aoc_rank
+  FROM (
+    SELECT s.*,
+           (s.base_score * (1 + (CASE WHEN s.adjustment_pct > 25 THEN 25 WHEN s.adjustment_pct < -25 THEN -25 ELSE s.adjustment_pct END)/100.0)) AS adjusted_rating
+    FROM (
+      SELECT a.*, rank_score(@strategy, a.blended_rating, a.rating_count, a.price, a.aoc_mean_rating, a.aoc_avg_price, @prior) AS base_score
+      FROM (
+        SELECT w.*, IFNULL(o.adjustment_pct, 0) AS adjustment_pct, o.expires_at AS adjustment_expires_at,
+               sc.scores, blend_score(w.vivino_rating, sc.scores) AS blended_rating,
+               AVG(blend_score(w.vivino_rating, sc.scores)) OVER (PARTITION BY w.aoc) AS aoc_mean_rating,
+               AVG(w.price) OVER (PARTITION BY w.aoc) AS aoc_avg_price
+        FROM wines w
+        LEFT JOIN (SELECT wine_id, json_group_object(source, score) AS scores FROM wine_scores GROUP BY wine_id) sc ON sc.wine_id = w.id
+        LEFT JOIN ${overrides} o ON o.wine_id = w.id
+          AND (o.expires_at IS NULL OR o.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) -- lapsed before the sweep ran
+        WHERE w.retired_at IS NULL
+      ) a
+    ) s
+  ) r
+`;
+}
+const RANKED_WINES_SQL = rankedWinesSql();
+
+const getRankedWineById = db.prepare(`SELECT * FROM (${RANKED_WINES_SQL}) WHERE id = ?`);
+
+// Snapshot every wine (values + AOC rank under the default strategy) under one timestamp per run
+const insertSnapshots = db.prepare(`
+INSERT INTO wine_snapshots (wine_id, vivino_rating, rating_count, price, aoc_rank, source, captured_at)
+SELECT id, vivino_rating, rating_count, price, aoc_rank, @source, @captured_at FROM (${RANKED_WINES_SQL})
+`);
+const getWineHistory = db.prepare(`
+SELECT captured_at, source, vivino_rating, rating_count, price, aoc_rank
+FROM wine_snapshots WHERE wine_id = ? ORDER BY captured_at ASC, id ASC
+`);
+
 // ---- Helpers -------------------------------------------------
 function sanitizeNumber(n, fallback = 0) {
   const x = Number(n);
   return Number.isFinite(x) ? x : fallback;
 }
 
-function adjustedRating(row) {
+// JS twin of RANKED_WINES_SQL's adjusted_rating; row needs aoc_mean_rating/aoc_avg_price for bayesian/value
+// and blended_rating (or its scores, as stored in wine_scores) when other sources are weighted
+function adjustedRating(row, { strategy, prior } = rankingParams()) {
   const adj = sanitizeNumber(row.adjustment_pct || 0);
-  const base = sanitizeNumber(row.vivino_rating || 0);
+  const rating = row.blended_rating !== undefined
+    ? row.blended_rating
+    : blendScore(row.vivino_rating, typeof row.scores === 'string' ? JSON.parse(row.scores) : row.scores);
+  const base = strategyScore(strategy, rating, row.rating_count, row.price, row.aoc_mean_rating, row.aoc_avg_price, prior);
+  if (base == null) return null;
   const factor = 1 + Math.max(-25, Math.min(25, adj)) / 100;
   return base * factor;
 }
 
-function basicAuth(req, res, next) {
-  const header = req.headers['authorization'] || '';
-  const [type, token] = header.split(' ');
-  if (type !== 'Basic' || !token) {
-    res.set('WWW-Authenticate', 'Basic realm="Admin Area"');
-    return res.status(401).send('Authentication required');
-  }
-  const [user, pass] = Buffer.from(token, 'base64').toString('utf8').split(':');
-  if (user === ADMIN_USER && pass === ADMIN_PASSWORD) return next();
-  return res.status(403).send('Forbidden');
-}
+// Call inside the same transaction as the upserts it records
+function recordSnapshots(source) {
+  const captured_at = dayjs().toISOString();
+  insertSnapshots.run({ source, captured_at, ...rankingParams() });
+  return captured_at;
+}
+
+// Returns { pct, expiresAt } (ISO or null) or { error }
+function validateOverrideValue(adjustmentPct, expiresAt) {
+  const pct = Number(adjustmentPct);
+  if (adjustmentPct === null || adjustmentPct === '' || !Number.isFinite(pct)) return { error: 'adjustment_pct must be a number' };
+  if (pct < -25 || pct > 25) return { error: 'adjustment_pct must be between -25 and 25' };
+  if (isBlank(expiresAt)) return { pct, expiresAt: null };
+  const d = dayjs(expiresAt);
+  if (!d.isValid()) return { error: 'expires_at must be a valid date' };
+  if (!d.isAfter(dayjs())) return { error: 'expires_at must be in the future' };
+  return { pct, expiresAt: d.toISOString() };
+}
+
+// Every override write goes through here so the audit trail cannot be bypassed
+function setOverride(wineId, pct, expiresAt, { action, note, user }) {
+  return db.transaction(() => {
+    const prev = getOverride.get(wineId);
+    upsertOverride.run(wineId, pct, expiresAt);
+    const info = insertOverrideAudit.run({
+      wine_id: wineId,
+      action,
+      old_pct: prev ? prev.adjustment_pct : 0,
+      new_pct: pct,
+      old_expires_at: prev ? prev.expires_at : null,
+      new_expires_at: expiresAt,
+      note,
+      user,
+      created_at: dayjs().toISOString(),
+    });
+    return info.lastInsertRowid;
+  })();
+}
+
+// Lapse adjustments whose expiry has passed back to 0 (ranking already ignores them at query time)
+function expireOverrides() {
+  const expired = getExpiredOverrides.all(dayjs().toISOString());
+  for (const o of expired) {
+    setOverride(o.wine_id, 0, null, { action: 'expire', note: `Adjustment of ${o.adjustment_pct}% expired on ${o.expires_at}`, user: 'system' });
+  }
+  if (expired.length) {
+    console.log(`[overrides] Expired ${expired.length} adjustment(s).`);
+    checkTop20Changes('expire');
+  }
+  return expired.length;
+}
+
+// ---- Accounts & sessions -------------------------------------
+// Roles are cumulative: each one can do everything the previous ones can.
+const ROLES = ['editor', 'data_manager', 'owner'];
+const ROLE_PERMISSIONS = {
+  editor: ['overrides'],
+  data_manager: ['overrides', 'data'],
+  owner: ['overrides', 'data', 'users'],
+};
+const SESSION_COOKIE = 'sid';
+
+const getUserById = db.prepare(`SELECT * FROM users WHERE id = ?`);
+const getUserByName = db.prepare(`SELECT * FROM users WHERE username = ?`);
+const insertUser = db.prepare(`INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`);
+const countActiveOwners = db.prepare(`SELECT COUNT(*) AS n FROM users WHERE role = 'owner' AND disabled = 0`);
+const insertSession = db.prepare(`INSERT INTO sessions (id, user_id, csrf_token, created_at, expires_at) VALUES (?, ?, ?, ?, ?)`);
+const getSession = db.prepare(`
+SELECT s.*, u.username, u.role, u.disabled FROM sessions s JOIN users u ON u.id = s.user_id
+WHERE s.id = ? AND s.expires_at > ?`);
+const deleteSession = db.prepare(`DELETE FROM sessions WHERE id = ?`);
+const deleteUserSessions = db.prepare(`DELETE FROM sessions WHERE user_id = ?`);
+const pruneSessions = db.prepare(`DELETE FROM sessions WHERE expires_at <= ?`);
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns an error message, or null when the password is acceptable
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < 10) return 'password must be at least 10 characters';
+  return null;
+}
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    try { out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim()); } catch (e) { /* ignore malformed */ }
+  }
+  return out;
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+    req.secure ? 'Secure' : null,
+  ].filter(Boolean).join('; ');
+}
+
+function createSession(req, res, user) {
+  const now = dayjs();
+  pruneSessions.run(now.toISOString());
+  const token = crypto.randomBytes(32).toString('base64url');
+  const csrf = crypto.randomBytes(24).toString('base64url');
+  insertSession.run(sha256(token), user.id, csrf, now.toISOString(), now.add(SESSION_TTL_HOURS, 'hour').toISOString());
+  db.prepare(`UPDATE users SET last_login_at = ? WHERE id = ?`).run(now.toISOString(), user.id);
+  res.setHeader('Set-Cookie', sessionCookie(req, token, SESSION_TTL_HOURS * 3600));
+  return csrf;
+}
+
+function publicUser(u) {
+  return { id: u.id, username: u.username, role: u.role, permissions: ROLE_PERMISSIONS[u.role] || [] };
+}
+
+// First boot: create the owner account from ADMIN_USER/ADMIN_PASSWORD (or a printed random password)
+function ensureOwner() {
+  const count = db.prepare('SELECT COUNT(*) AS n FROM users').get().n;
+  if (count > 0) return;
+  let password = ADMIN_PASSWORD;
+  if (passwordProblem(password)) {
+    if (password) console.warn('[auth] ADMIN_PASSWORD is too short; generating one instead.');
+    password = crypto.randomBytes(12).toString('base64url');
+    // Never logged: console output ends up in container and journal logs
+    fs.rmSync(OWNER_PASSWORD_FILE, { force: true });
+    fs.writeFileSync(OWNER_PASSWORD_FILE, password + '\n', { mode: 0o600 });
+    console.log(`[auth] Created owner "${ADMIN_USER}"; its password is in ${OWNER_PASSWORD_FILE} (change it after logging in, then delete the file).`);
+  } else {
+    console.log(`[auth] Created owner "${ADMIN_USER}" from ADMIN_PASSWORD.`);
+  }
+  insertUser.run(ADMIN_USER, hashPassword(password), 'owner');
+}
+
+// Browsers send these on cross-site form posts (and fetches); scripts using Basic credentials do not.
+// Basic requests carry no CSRF token, so a request that has any of them (or a form-encoded / text/plain
+// body) is refused: credentials a browser cached from the old Basic login cannot be replayed cross-site.
+const BROWSER_HEADERS = ['origin', 'referer', 'sec-fetch-site', 'cookie'];
+const FORM_CONTENT_TYPES = ['application/x-www-form-urlencoded', 'text/plain'];
+
+function fromBrowser(req) {
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return BROWSER_HEADERS.some(h => req.headers[h] !== undefined) || FORM_CONTENT_TYPES.includes(type);
+}
+
+// Resolves req.user from the session cookie, or from HTTP Basic credentials for scripts (never
+// from a browser: Basic requests skip the CSRF check, see fromBrowser)
+function authenticate(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) {
+    const s = getSession.get(sha256(token), dayjs().toISOString());
+    if (s && !s.disabled) return { user: { id: s.user_id, username: s.username, role: s.role }, session: s };
+  }
+  const [type, basic] = String(req.headers['authorization'] || '').split(' ');
+  if (type === 'Basic' && basic && !fromBrowser(req)) {
+    const raw = Buffer.from(basic, 'base64').toString('utf8');
+    const i = raw.indexOf(':');
+    const u = getUserByName.get(raw.slice(0, i));
+    if (u && !u.disabled && verifyPassword(raw.slice(i + 1), u.password_hash)) return { user: u, session: null };
+  }
+  return null;
+}
+
+// Route guard: 401 without a valid login, 403 without the permission or (sessions only) a
+// matching X-CSRF-Token header on state-changing requests.
+function requireAuth(permission) {
+  return (req, res, next) => {
+    const auth = authenticate(req);
+    if (!auth) return res.status(401).json({ error: 'Authentication required' });
+    if (auth.session && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      const sent = String(req.headers['x-csrf-token'] || '');
+      const expected = auth.session.csrf_token;
+      if (sent.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected))) {
+        return res.status(403).json({ error: 'Invalid CSRF token' });
+      }
+    }
+    if (permission && !(ROLE_PERMISSIONS[auth.user.role] || []).includes(permission)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    req.user = auth.user;
+    req.session = auth.session;
+    next();
+  };
+}
+
+// ---- AOC registry --------------------------------------------
+// Seeded once when empty; admins extend it through /api/admin/appellations.
+const APPELLATION_SEED = [
+  { region: 'Médoc', bank: 'left', aocs: {
+    'Médoc': [], 'Haut-Médoc': [], 'Saint-Estèphe': [], 'Pauillac': [], 'Saint-Julien': [], 'Margaux': [],
+    'Listrac-Médoc': ['Listrac'], 'Moulis-en-Médoc': ['Moulis'],
+  } },
+  { region: 'Graves-Sauternais', bank: 'left', aocs: {
+    'Pessac-Léognan': [], 'Graves': [], 'Graves Supérieures': [], 'Sauternes': [], 'Barsac': [], 'Cérons': [],
+  } },
+  { region: 'Libournais', bank: 'right', aocs: {
+    'Saint-Émilion': ['Saint-Émilion Grand Cru', 'Saint-Émilion Grand Cru Classé'], 'Pomerol': [], 'Lalande-de-Pomerol': [],
+    'Fronsac': [], 'Canon-Fronsac': [], 'Montagne-Saint-Émilion': [], 'Lussac-Saint-Émilion': [],
+    'Puisseguin-Saint-Émilion': [], 'Saint-Georges-Saint-Émilion': [],
+  } },
+  { region: 'Côtes de Bordeaux', bank: 'right', aocs: {
+    'Castillon Côtes de Bordeaux': ['Côtes de Castillon'], 'Francs Côtes de Bordeaux': [], 'Blaye Côtes de Bordeaux': ['Premières Côtes de Blaye'],
+    'Côtes de Bourg': ['Bourg'], 'Cadillac Côtes de Bordeaux': ['Premières Côtes de Bordeaux'],
+  } },
+  { region: 'Entre-Deux-Mers', bank: null, aocs: {
+    'Entre-Deux-Mers': [], 'Graves de Vayres': [], 'Sainte-Foy-Bordeaux': [], 'Cadillac': [], 'Loupiac': [], 'Sainte-Croix-du-Mont': [],
+  } },
+  { region: 'Bordeaux (générique)', bank: null, aocs: {
+    'Bordeaux': [], 'Bordeaux Supérieur': [], 'Crémant de Bordeaux': [],
+  } },
+];
+
+// Lowercase, accents stripped, punctuation collapsed to single spaces
+function foldKey(s) {
+  return String(s || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Accent/case/punctuation-insensitive key: "St-Émilion AOC" and "saint emilion" -> "saint emilion"
+function aocKey(s) {
+  return foldKey(s)
+    .replace(/\b(aoc|aop)\b/g, ' ')
+    .replace(/\bste\b/g, 'sainte')
+    .replace(/\bst\b/g, 'saint')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const getAppellationByAlias = db.prepare(`
+SELECT a.*, g.name AS region, g.bank FROM appellation_aliases x
+JOIN appellations a ON a.id = x.appellation_id
+LEFT JOIN appellation_regions g ON g.id = a.region_id
+WHERE x.alias_key = ?`);
+const getAppellationById = db.prepare(`SELECT * FROM appellations WHERE id = ?`);
+const insertAppellation = db.prepare(`INSERT INTO appellations (name, region_id) VALUES (?, ?)`);
+const insertAppellationRegion = db.prepare(`INSERT INTO appellation_regions (name, bank, sort_order) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET bank=excluded.bank`);
+const getAppellationRegion = db.prepare(`SELECT * FROM appellation_regions WHERE name = ?`);
+const upsertAppellationAlias = db.prepare(`
+INSERT INTO appellation_aliases (alias_key, alias, appellation_id) VALUES (?, ?, ?)
+ON CONFLICT(alias_key) DO UPDATE SET alias=excluded.alias, appellation_id=excluded.appellation_id`);
+const deleteAppellationAlias = db.prepare(`DELETE FROM appellation_aliases WHERE alias_key = ?`);
+const noteUnknownAoc = db.prepare(`
+INSERT INTO unknown_aocs (alias_key, raw) VALUES (?, ?)
+ON CONFLICT(alias_key) DO UPDATE SET occurrences = occurrences + 1, last_seen = datetime('now')`);
+const queueUnknownAoc = db.prepare(`INSERT INTO unknown_aocs (alias_key, raw) VALUES (?, ?) ON CONFLICT(alias_key) DO NOTHING`);
+const deleteUnknownAoc = db.prepare(`DELETE FROM unknown_aocs WHERE alias_key = ?`);
+
+function ensureAppellations() {
+  const count = db.prepare('SELECT COUNT(*) AS n FROM appellations').get().n;
+  if (count > 0) return;
+  db.transaction(() => {
+    APPELLATION_SEED.forEach((group, i) => {
+      insertAppellationRegion.run(group.region, group.bank, i);
+      const regionId = getAppellationRegion.get(group.region).id;
+      for (const [name, aliases] of Object.entries(group.aocs)) {
+        const id = insertAppellation.run(name, regionId).lastInsertRowid;
+        for (const alias of [name, ...aliases]) upsertAppellationAlias.run(aocKey(alias), alias, id);
+      }
+    });
+  })();
+  console.log('[aoc] Seeded appellation registry.');
+}
+
+// Registry entry (with region/bank) for any spelling of an AOC, or undefined
+function resolveAoc(raw) {
+  const key = aocKey(raw);
+  return key ? getAppellationByAlias.get(key) : undefined;
+}
+
+// Identity of a wine across vintages when the source does not provide one: folded name + AOC
+function deriveWineKey(name, aoc) {
+  return `${foldKey(name)}|${aocKey(aoc)}`;
+}
+
+// Upsert with the AOC resolved to its canonical name; unknown names are kept and queued for mapping.
+// w.scores ({ source: score }) updates those sources only; scores absent from the row are kept, as are
+// attributes (color, style, classification, grapes) left out or null.
+function writeWine(w) {
+  const a = resolveAoc(w.aoc);
+  if (!a && w.aoc) noteUnknownAoc.run(aocKey(w.aoc), w.aoc);
+  const aoc = a ? a.name : w.aoc;
+  const external_id = resolveExternalId(w.external_id);
+  upsertWine.run({ color: null, style: null, classification: null, grapes: null, ...w, external_id, aoc, wine_key: isBlank(w.wine_key) ? deriveWineKey(w.name, aoc) : String(w.wine_key) });
+  if (w.scores && Object.keys(w.scores).length) {
+    const wine = getWineByExternalId.get(external_id);
+    for (const [source, score] of Object.entries(w.scores)) {
+      upsertWineScore.run(wine.id, source, score, null, null, w.last_source_update || dayjs().toISOString());
+    }
+  }
+}
+
+// Fill wine_key for rows written before identities existed
+function backfillWineKeys() {
+  const rows = db.prepare(`SELECT id, name, aoc FROM wines WHERE wine_key IS NULL`).all();
+  const update = db.prepare(`UPDATE wines SET wine_key = ? WHERE id = ?`);
+  db.transaction(() => { for (const r of rows) update.run(deriveWineKey(r.name, r.aoc), r.id); })();
+}
+
+// Rewrite wines.aoc for every spelling that now resolves to a canonical name
+function canonicalizeWineAocs() {
+  const distinct = db.prepare(`SELECT DISTINCT aoc FROM wines`).all();
+  const update = db.prepare(`UPDATE wines SET aoc = ?, updated_at = datetime('now') WHERE aoc = ?`);
+  const winesIn = db.prepare(`SELECT id, name, wine_key FROM wines WHERE aoc = ?`);
+  const updateKey = db.prepare(`UPDATE wines SET wine_key = ? WHERE id = ?`);
+  let changed = 0;
+  db.transaction(() => {
+    for (const { aoc } of distinct) {
+      const a = resolveAoc(aoc);
+      if (a) {
+        deleteUnknownAoc.run(aocKey(aoc));
+        if (a.name === aoc) continue;
+        // Derived identities follow the AOC; identities supplied by a source are left alone
+        for (const w of winesIn.all(aoc)) {
+          if (w.wine_key === deriveWineKey(w.name, aoc)) updateKey.run(deriveWineKey(w.name, a.name), w.id);
+        }
+        changed += update.run(a.name, aoc).changes;
+      } else if (aoc) {
+        queueUnknownAoc.run(aocKey(aoc), aoc);
+      }
+    }
+  })();
+  return changed;
+}
+
+// /api/aocs tree: regions in registry order, each with its AOCs and wine counts
+function aocHierarchy(includeEmpty) {
+  const counts = new Map(db.prepare(`SELECT aoc, COUNT(*) AS n FROM wines WHERE retired_at IS NULL GROUP BY aoc`).all().map(r => [r.aoc, r.n]));
+  const registry = db.prepare(`
+    SELECT a.id, a.name, g.name AS region, g.bank
+    FROM appellations a LEFT JOIN appellation_regions g ON g.id = a.region_id
+    ORDER BY g.sort_order IS NULL, g.sort_order, g.name, a.name`).all();
+  const groups = new Map();
+  const known = new Set();
+  for (const a of registry) {
+    known.add(a.name);
+    const n = counts.get(a.name) || 0;
+    if (!n && !includeEmpty) continue;
+    if (!groups.has(a.region)) groups.set(a.region, { region: a.region, bank: a.bank || null, n: 0, aocs: [] });
+    const g = groups.get(a.region);
+    g.aocs.push({ name: a.name, n, known: true });
+    g.n += n;
+  }
+  const unknown = [...counts.entries()].filter(([name]) => !known.has(name)).sort(([a], [b]) => a.localeCompare(b));
+  if (unknown.length) {
+    groups.set('__unknown', { region: null, bank: null, n: unknown.reduce((s, [, n]) => s + n, 0), aocs: unknown.map(([name, n]) => ({ name, n, known: false })) });
+  }
+  return [...groups.values()];
+}
+
+// ---- Wine attributes -----------------------------------------
+// Colour, style, official classification and grape blend; NULL = not known. Colour, style and
+// classification are closed vocabularies: imports accept an id, label or alias (accent- and
+// case-insensitive) and reject anything else. A classification filter takes a family id (every
+// rank of it) or one rank id.
+const WINE_COLORS = [
+  { id: 'red', label: 'Rouge', aliases: ['rouge'] },
+  { id: 'white', label: 'Blanc', aliases: ['blanc'] },
+  { id: 'rose', label: 'Rosé', aliases: ['rosé'] },
+];
+const WINE_STYLES = [
+  { id: 'dry', label: 'Sec', aliases: ['sec'] },
+  { id: 'sweet', label: 'Liquoreux / moelleux', aliases: ['liquoreux', 'moelleux', 'doux'] },
+  { id: 'sparkling', label: 'Effervescent', aliases: ['crémant', 'mousseux'] },
+];
+const WINE_CLASSIFICATIONS = [
+  {
+    id: 'medoc-1855',
+    label: 'Classement 1855 (Médoc)',
+    ranks: [
+      { id: 'medoc-1855-1', label: 'Premier Grand Cru Classé 1855', aliases: ['1er grand cru classé 1855'] },
+      { id: 'medoc-1855-2', label: 'Deuxième Grand Cru Classé 1855', aliases: ['2e grand cru classé 1855', 'second grand cru classé 1855'] },
+      { id: 'medoc-1855-3', label: 'Troisième Grand Cru Classé 1855', aliases: ['3e grand cru classé 1855'] },
+      { id: 'medoc-1855-4', label: 'Quatrième Grand Cru Classé 1855', aliases: ['4e grand cru classé 1855'] },
+      { id: 'medoc-1855-5', label: 'Cinquième Grand Cru Classé 1855', aliases: ['5e grand cru classé 1855'] },
+    ],
+  },
+  {
+    id: 'sauternes-1855',
+    label: 'Classement 1855 (Sauternes et Barsac)',
+    ranks: [
+      { id: 'sauternes-1855-superieur', label: 'Premier Cru Supérieur 1855', aliases: ['1er cru supérieur 1855', 'premier cru supérieur'] },
+      { id: 'sauternes-1855-1', label: 'Premier Cru Classé 1855', aliases: ['1er cru classé 1855'] },
+      { id: 'sauternes-1855-2', label: 'Deuxième Cru Classé 1855', aliases: ['2e cru classé 1855', 'second cru classé 1855'] },
+    ],
+  },
+  {
+    id: 'saint-emilion',
+    label: 'Classement de Saint-Émilion',
+    ranks: [
+      { id: 'saint-emilion-1gcc-a', label: 'Premier Grand Cru Classé A', aliases: ['1er grand cru classé a'] },
+      { id: 'saint-emilion-1gcc-b', label: 'Premier Grand Cru Classé B', aliases: ['1er grand cru classé b'] },
+      { id: 'saint-emilion-gcc', label: 'Grand Cru Classé de Saint-Émilion', aliases: ['grand cru classé saint-émilion'] },
+    ],
+  },
+  {
+    id: 'graves',
+    label: 'Classement des Graves',
+    ranks: [{ id: 'graves-cru-classe', label: 'Cru Classé de Graves', aliases: ['cru classé graves'] }],
+  },
+  {
+    id: 'cru-bourgeois',
+    label: 'Crus Bourgeois du Médoc',
+    ranks: [
+      { id: 'cru-bourgeois', label: 'Cru Bourgeois' },
+      { id: 'cru-bourgeois-superieur', label: 'Cru Bourgeois Supérieur' },
+      { id: 'cru-bourgeois-exceptionnel', label: 'Cru Bourgeois Exceptionnel' },
+    ],
+  },
+];
+// Known varieties are stored under these names; others are kept as written (with an import warning)
+const GRAPE_VARIETIES = [
+  { id: 'Cabernet Sauvignon' }, { id: 'Merlot' }, { id: 'Cabernet Franc' }, { id: 'Petit Verdot' },
+  { id: 'Malbec', aliases: ['Côt'] }, { id: 'Carménère' }, { id: 'Sémillon' },
+  { id: 'Sauvignon Blanc', aliases: ['Sauvignon'] }, { id: 'Sauvignon Gris' }, { id: 'Muscadelle' },
+  { id: 'Colombard' }, { id: 'Ugni Blanc' },
+];
+
+// foldKey(id | label | alias) -> id
+function vocabularyIndex(entries) {
+  const index = new Map();
+  for (const e of entries) {
+    for (const s of [e.id, e.label, ...(e.aliases || [])]) if (s) index.set(foldKey(s), e.id);
+  }
+  return index;
+}
+const COLOR_INDEX = vocabularyIndex(WINE_COLORS);
+const STYLE_INDEX = vocabularyIndex(WINE_STYLES);
+const CLASSIFICATION_INDEX = vocabularyIndex(WINE_CLASSIFICATIONS.flatMap(f => f.ranks));
+const GRAPE_INDEX = vocabularyIndex(GRAPE_VARIETIES);
+
+// Rank ids covered by a classification filter, or null when it is neither a family nor a rank
+function classificationIds(ref) {
+  const family = WINE_CLASSIFICATIONS.find(f => f.id === ref);
+  if (family) return family.ranks.map(r => r.id);
+  return WINE_CLASSIFICATIONS.some(f => f.ranks.some(r => r.id === ref)) ? [ref] : null;
+}
+
+function canonicalGrape(name) {
+  return GRAPE_INDEX.get(foldKey(name)) || String(name).trim();
+}
+
+// "Merlot 80%, Cabernet Franc 20%", ["Merlot", "Cabernet Franc"] or [{ grape, pct }] -> [{ grape, pct }]
+// largest share first (pct null when not given). grapes is null for a blank value.
+function parseGrapeBlend(raw) {
+  const reasons = [];
+  const warnings = [];
+  if (isBlank(raw) || (Array.isArray(raw) && !raw.length)) return { grapes: null, reasons, warnings };
+  // A comma followed by a digit is a decimal comma ("87,5%"), not a separator
+  const parts = Array.isArray(raw) ? raw : String(raw).split(/[;/+]|,(?!\d)/).filter(p => p.trim());
+  const grapes = [];
+  for (const p of parts) {
+    let name;
+    let pct = null;
+    if (p && typeof p === 'object') {
+      name = p.grape ?? p.name;
+      if (!isBlank(p.pct)) pct = Number(p.pct);
+    } else {
+      const s = String(p);
+      const m = s.match(/\(?\s*(\d+(?:[.,]\d+)?)\s*%\s*\)?/);
+      if (m) pct = Number(m[1].replace(',', '.'));
+      name = (m ? s.replace(m[0], ' ') : s).replace(/^[\s:–-]+|[\s:–-]+$/g, '');
+    }
+    if (isBlank(name)) { reasons.push(`invalid grape entry "${typeof p === 'object' ? JSON.stringify(p) : p}"`); continue; }
+    if (pct !== null && !(pct >= 0 && pct <= 100)) { reasons.push(`grape share "${name}" must be between 0 and 100%`); continue; }
+    const grape = canonicalGrape(name);
+    if (!GRAPE_INDEX.has(foldKey(grape))) warnings.push(`unknown grape "${grape}"; kept as written`);
+    if (grapes.some(g => g.grape === grape)) { reasons.push(`grape "${grape}" listed twice`); continue; }
+    grapes.push({ grape, pct });
+  }
+  const total = grapes.reduce((s, g) => s + (g.pct || 0), 0);
+  if (total > 100.5) reasons.push(`grape shares add up to ${Math.round(total * 10) / 10}%`);
+  grapes.sort((a, b) => (b.pct ?? -1) - (a.pct ?? -1));
+  return { grapes: grapes.length ? grapes : null, reasons, warnings };
+}
+
+// Attribute columns of an import row. Blank values come back null, which keeps what is stored
+// (see upsertWine); grapes is the JSON text written to wines.grapes.
+function normalizeWineAttributes(r) {
+  const reasons = [];
+  const lookup = (raw, index, what, entries) => {
+    if (isBlank(raw)) return null;
+    const id = index.get(foldKey(raw));
+    if (!id) reasons.push(`unknown ${what} "${raw}" (expected ${entries.map(e => e.id).join(', ')})`);
+    return id || null;
+  };
+  const color = lookup(r.color ?? r.colour, COLOR_INDEX, 'color', WINE_COLORS);
+  const style = lookup(r.style, STYLE_INDEX, 'style', WINE_STYLES);
+  const classification = isBlank(r.classification) ? null : CLASSIFICATION_INDEX.get(foldKey(r.classification)) || null;
+  if (!isBlank(r.classification) && !classification) reasons.push(`unknown classification "${r.classification}" (see /api/wines/facets for rank ids)`);
+  const blend = parseGrapeBlend(r.grapes ?? r.cepages);
+  return {
+    attributes: { color, style, classification, grapes: blend.grapes ? JSON.stringify(blend.grapes) : null },
+    reasons: [...reasons, ...blend.reasons],
+    warnings: blend.warnings,
+  };
+}
+
+// Stored grapes JSON -> array, and the "Merlot 80%, Cabernet Franc 20%" form used in exports
+function grapeBlend(text) {
+  return text ? JSON.parse(text) : null;
+}
+
+function grapeBlendText(grapes) {
+  return grapes && grapes.length ? grapes.map(g => (g.pct == null ? g.grape : `${g.grape} ${g.pct}%`)).join(', ') : null;
+}
+
+function classificationLabel(id) {
+  for (const f of WINE_CLASSIFICATIONS) {
+    const r = f.ranks.find(x => x.id === id);
+    if (r) return r.label;
+  }
+  return id || null;
+}
+
+// Counts of each attribute value among `rows` (queryWines rows, grapes parsed). Closed vocabularies
+// list every value, zeros included; grapes only those present.
+function countWineFacet(param, rows) {
+  const tally = new Map();
+  let unset = 0;
+  for (const r of rows) {
+    const values = param === 'grape' ? (r.grapes || []).map(g => g.grape) : [r[param]].filter(Boolean);
+    if (!values.length) unset++;
+    for (const v of values) tally.set(v, (tally.get(v) || 0) + 1);
+  }
+  const n = id => tally.get(id) || 0;
+  if (param === 'color' || param === 'style') {
+    return { values: (param === 'color' ? WINE_COLORS : WINE_STYLES).map(({ id, label }) => ({ id, label, n: n(id) })), unset };
+  }
+  if (param === 'classification') {
+    return {
+      values: WINE_CLASSIFICATIONS.map(f => {
+        const ranks = f.ranks.map(({ id, label }) => ({ id, label, n: n(id) }));
+        return { id: f.id, label: f.label, n: ranks.reduce((s, x) => s + x.n, 0), ranks };
+      }),
+      unset,
+    };
+  }
+  const values = [...tally].map(([id, count]) => ({ id, label: id, n: count }))
+    .sort((a, b) => b.n - a.n || a.id.localeCompare(b.id, 'fr'));
+  return { values, unset };
+}
+
+// Facet counts for the attribute filters, with the same filters as queryWines. Each facet is counted
+// over the wines matching every other filter, so choosing a colour still shows the other colours.
+// Returns { facets } or { error, param }.
+function wineFacets(query) {
+  const facets = {};
+  for (const param of ['color', 'style', 'classification', 'grape']) {
+    const { [param]: own, limit, offset, ...rest } = query;
+    const result = queryWines({ ...rest, all: true });
+    if (result.error) return result;
+    facets[param] = countWineFacet(param, result.rows);
+  }
+  return { facets };
+}
+
+// ---- Search --------------------------------------------------
+const countSearchIndex = db.prepare(`SELECT (SELECT COUNT(*) FROM wines_fts) AS indexed, (SELECT COUNT(*) FROM wines) AS wines`);
+const listSearchTerms = db.prepare(`SELECT term FROM wines_fts_vocab`);
+
+// (Re)build the index when it is out of step with wines, e.g. on a database created before it existed
+function ensureSearchIndex(force = false) {
+  const { indexed, wines } = countSearchIndex.get();
+  if (!force && indexed === wines) return;
+  db.transaction(() => {
+    db.prepare(`DELETE FROM wines_fts`).run();
+    db.prepare(`
+      INSERT INTO wines_fts (rowid, name, winery, aoc, region)
+      SELECT w.id, w.name, w.winery, w.aoc, g.name FROM wines w
+      LEFT JOIN appellations a ON a.name = w.aoc
+      LEFT JOIN appellation_regions g ON g.id = a.region_id`).run();
+  })();
+  console.log(`[search] Indexed ${wines} wines.`);
+}
+
+// Levenshtein distance, giving up (returns max + 1) once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// FTS5 MATCH expression for a free-text query, or null when it has no searchable words.
+// Every word must match (AND). A word matches as a prefix; when no indexed term starts with it,
+// terms within 1 edit (2 for words of 8+ letters) of the word or of a same-length prefix are used instead.
+function searchMatchExpr(q) {
+  const words = foldKey(q).split(' ').filter(Boolean);
+  if (!words.length) return null;
+  let terms = null;
+  const clauses = words.map(word => {
+    terms = terms || listSearchTerms.all().map(r => r.term);
+    if (word.length < 3 || terms.some(t => t.startsWith(word))) return `"${word}"*`;
+    const max = word.length >= 8 ? 2 : 1;
+    const near = terms.filter(t => editDistance(word, t, max) <= max
+      || (t.length > word.length && editDistance(word, t.slice(0, word.length), max) <= max));
+    return near.length ? `(${near.map(t => `"${t}"`).join(' OR ')})` : `"${word}"*`;
+  });
+  return clauses.join(' AND ');
+}
+
+// Type-ahead entries for the search box: matching AOCs (any alias), wineries, then wines
+function searchSuggestions(q, limit) {
+  const key = aocKey(q);
+  const folded = foldKey(q);
+  if (!folded) return [];
+  const counts = new Map(db.prepare(`SELECT aoc, COUNT(*) AS n FROM wines WHERE retired_at IS NULL GROUP BY aoc`).all().map(r => [r.aoc, r.n]));
+  const aocs = new Map();
+  for (const a of db.prepare(`SELECT a.name, x.alias_key FROM appellation_aliases x JOIN appellations a ON a.id = x.appellation_id`).all()) {
+    if (key && (a.alias_key.startsWith(key) || a.alias_key.includes(` ${key}`)) && counts.get(a.name)) aocs.set(a.name, counts.get(a.name));
+  }
+  const wineries = db.prepare(`SELECT winery, COUNT(*) AS n FROM wines WHERE winery IS NOT NULL AND retired_at IS NULL GROUP BY winery`).all()
+    .filter(w => ` ${foldKey(w.winery)}`.includes(` ${folded}`));
+  const match = searchMatchExpr(q);
+  // One entry per wine (vintages collapsed on wine_key), best-scoring vintage first
+  const wines = new Map();
+  for (const w of db.prepare(`
+    SELECT w.id, w.wine_key, w.name, w.winery, w.aoc FROM wines_fts JOIN wines w ON w.id = wines_fts.rowid
+    WHERE wines_fts MATCH ? AND w.retired_at IS NULL ORDER BY bm25(wines_fts, 10.0, 4.0, 2.0, 1.0) LIMIT 200`).all(match)) {
+    if (wines.has(w.wine_key)) wines.get(w.wine_key).n++;
+    else wines.set(w.wine_key, { type: 'wine', label: w.name, id: w.id, detail: [w.winery, w.aoc].filter(Boolean).join(' · '), n: 1 });
+  }
+  return [
+    ...[...aocs].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([name, n]) => ({ type: 'aoc', label: name, n })),
+    ...wineries.sort((a, b) => b.n - a.n).slice(0, 3).map(w => ({ type: 'winery', label: w.winery, n: w.n })),
+    ...[...wines.values()].slice(0, limit),
+  ].slice(0, limit);
+}
+
+// ---- Duplicates & merge --------------------------------------
+const getWineAlias = db.prepare(`
+SELECT w.* FROM wine_aliases a JOIN wines w ON w.id = a.wine_id WHERE a.external_id = ?`);
+const insertWineAlias = db.prepare(`
+INSERT INTO wine_aliases (external_id, wine_id, merged_row, note, user, created_at) VALUES (?, ?, ?, ?, ?, ?)
+ON CONFLICT(external_id) DO UPDATE SET wine_id=excluded.wine_id, merged_row=excluded.merged_row, note=excluded.note, user=excluded.user, created_at=excluded.created_at`);
+const insertDuplicateDismissal = db.prepare(`
+INSERT INTO duplicate_dismissals (wine_a, wine_b, user, created_at) VALUES (?, ?, ?, ?) ON CONFLICT DO NOTHING`);
+
+// external_id a row should be written under: the surviving wine's id when it was merged away
+function resolveExternalId(externalId) {
+  const merged = externalId ? getWineAlias.get(externalId) : null;
+  return merged ? merged.external_id : externalId;
+}
+
+// Words that say nothing about which wine it is
+const NAME_STOPWORDS = new Set(['chateau', 'ch', 'domaine', 'dom', 'le', 'la', 'les', 'l', 'de', 'du', 'des', 'd']);
+
+function nameKey(s) {
+  return foldKey(s).split(' ').filter(t => t && !NAME_STOPWORDS.has(t)).join(' ');
+}
+
+// 0..1, 1 = identical (edit distance scaled by the longer string; word order ignored)
+function textSimilarity(a, b) {
+  if (!a || !b) return null;
+  if (a === b || a.split(' ').sort().join(' ') === b.split(' ').sort().join(' ')) return 1;
+  const len = Math.max(a.length, b.length);
+  return 1 - editDistance(a, b, len) / len;
+}
+
+// Pairs of wines that look like the same bottle: same vintage, similar name, same or related AOC,
+// similar winery when both have one. score = weighted mean of the parts present.
+function findDuplicateCandidates({ minScore = 0.85, limit = 100 } = {}) {
+  const wines = db.prepare(`
+    SELECT w.*, a.region_id FROM wines w LEFT JOIN appellations a ON a.name = w.aoc`).all()
+    .map(w => ({ ...w, key: nameKey(w.name), wineryKey: nameKey(w.winery) }));
+  const dismissed = new Set(db.prepare(`SELECT wine_a, wine_b FROM duplicate_dismissals`).all().map(d => `${d.wine_a}-${d.wine_b}`));
+  const byVintage = new Map();
+  for (const w of wines) {
+    if (!byVintage.has(w.vintage)) byVintage.set(w.vintage, []);
+    byVintage.get(w.vintage).push(w);
+  }
+  const pairs = [];
+  for (const group of byVintage.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = group[i].id < group[j].id ? [group[i], group[j]] : [group[j], group[i]];
+        // Cheap blocking before the edit distance: same AOC or same start of name
+        if (a.aoc !== b.aoc && a.key.slice(0, 4) !== b.key.slice(0, 4)) continue;
+        if (dismissed.has(`${a.id}-${b.id}`)) continue;
+        const name = textSimilarity(a.key || foldKey(a.name), b.key || foldKey(b.name));
+        if (name < 0.75) continue;
+        const aoc = a.aoc === b.aoc ? 1 : a.region_id && a.region_id === b.region_id ? 0.5 : 0;
+        const winery = textSimilarity(a.wineryKey, b.wineryKey);
+        const parts = [[name, 0.55], [aoc, 0.3], [winery, 0.15]].filter(([v]) => v !== null);
+        const score = parts.reduce((s, [v, w]) => s + v * w, 0) / parts.reduce((s, [, w]) => s + w, 0);
+        if (score < minScore) continue;
+        pairs.push({ score, similarity: { name, aoc, winery }, a, b });
+      }
+    }
+  }
+  return pairs
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit)
+    .map(({ score, similarity, a, b }) => ({
+      score: Math.round(score * 1000) / 1000,
+      similarity,
+      suggested_keep_id: suggestedKeep(a, b).id,
+      a: duplicateSide(a),
+      b: duplicateSide(b),
+    }));
+}
+
+function duplicateSide(w) {
+  const o = getOverride.get(w.id);
+  return {
+    id: w.id, external_id: w.external_id, name: w.name, winery: w.winery, aoc: w.aoc, vintage: w.vintage,
+    vivino_rating: w.vivino_rating, rating_count: w.rating_count, price: w.price,
+    adjustment_pct: o ? o.adjustment_pct : 0, last_source_update: w.last_source_update,
+  };
+}
+
+// Prefer a real source id over a synthesized name|vintage|aoc one, then the better-reviewed row
+function suggestedKeep(a, b) {
+  const synthesized = w => w.external_id === `${w.name}|${w.vintage}|${w.aoc}`;
+  if (synthesized(a) !== synthesized(b)) return synthesized(a) ? b : a;
+  return (b.rating_count || 0) > (a.rating_count || 0) ? b : a;
+}
+
+// Fold wine `mergeId` into `keepId`: history, override audit, scores and aliases move to the kept row,
+// its empty fields are filled from the merged one, and the merged external_id becomes an alias so
+// later imports update the kept wine. The kept row's own override wins; a lone override moves over.
+function mergeWines(keepId, mergeId, { note, user }) {
+  return db.transaction(() => {
+    const keep = getWineById.get(keepId);
+    const gone = getWineById.get(mergeId);
+    const now = dayjs().toISOString();
+    db.prepare(`
+      UPDATE wines SET winery = COALESCE(winery, ?), price = COALESCE(price, ?), vintage = COALESCE(vintage, ?),
+        color = COALESCE(color, ?), style = COALESCE(style, ?), classification = COALESCE(classification, ?), grapes = COALESCE(grapes, ?),
+        updated_at = datetime('now')
+      WHERE id = ?`).run(gone.winery, gone.price, gone.vintage, gone.color, gone.style, gone.classification, gone.grapes, keep.id);
+
+    // History: one point per run, the kept row's when both were captured
+    db.prepare(`
+      DELETE FROM wine_snapshots WHERE wine_id = ? AND captured_at IN (SELECT captured_at FROM wine_snapshots WHERE wine_id = ?)`)
+      .run(gone.id, keep.id);
+    db.prepare(`UPDATE wine_snapshots SET wine_id = ? WHERE wine_id = ?`).run(keep.id, gone.id);
+
+    db.prepare(`UPDATE override_audit SET wine_id = ? WHERE wine_id = ?`).run(keep.id, gone.id);
+    const kept = getOverride.get(keep.id);
+    const moved = getOverride.get(gone.id);
+    if (moved) {
+      if (!kept) db.prepare(`UPDATE admin_overrides SET wine_id = ? WHERE wine_id = ?`).run(keep.id, gone.id);
+      else db.prepare(`DELETE FROM admin_overrides WHERE wine_id = ?`).run(gone.id);
+      const current = kept || moved;
+      insertOverrideAudit.run({
+        wine_id: keep.id,
+        action: 'merge',
+        old_pct: kept ? kept.adjustment_pct : 0,
+        new_pct: current.adjustment_pct,
+        old_expires_at: kept ? kept.expires_at : null,
+        new_expires_at: current.expires_at,
+        note: `Merged #${gone.id} (${gone.external_id}${kept ? `; its ${moved.adjustment_pct}% adjustment was dropped` : ''}): ${note}`,
+        user,
+        created_at: now,
+      });
+    }
+
+    // Scores: the kept row's win per source, the others move over
+    db.prepare(`DELETE FROM wine_scores WHERE wine_id = ? AND source IN (SELECT source FROM wine_scores WHERE wine_id = ?)`).run(gone.id, keep.id);
+    db.prepare(`UPDATE wine_scores SET wine_id = ? WHERE wine_id = ?`).run(keep.id, gone.id);
+
+    // Override set items: the kept row's entry wins within a set
+    db.prepare(`UPDATE OR IGNORE override_set_items SET wine_id = ? WHERE wine_id = ?`).run(keep.id, gone.id);
+    db.prepare(`DELETE FROM override_set_items WHERE wine_id = ?`).run(gone.id);
+
+    // Shortlist items: the kept row's line wins within a shortlist
+    db.prepare(`UPDATE OR IGNORE shortlist_items SET wine_id = ? WHERE wine_id = ?`).run(keep.id, gone.id);
+    db.prepare(`DELETE FROM shortlist_items WHERE wine_id = ?`).run(gone.id);
+
+    db.prepare(`UPDATE wine_aliases SET wine_id = ? WHERE wine_id = ?`).run(keep.id, gone.id);
+    db.prepare(`DELETE FROM duplicate_dismissals WHERE wine_a = ? OR wine_b = ?`).run(gone.id, gone.id);
+    supersedeAnomalies.run(now, gone.external_id); // held import rows for the merged id are dropped with it
+    db.prepare(`DELETE FROM wines WHERE id = ?`).run(gone.id);
+    insertWineAlias.run(gone.external_id, keep.id, JSON.stringify(gone), note, user, now);
+    return getWineById.get(keep.id);
+  })();
+}
+
+// ---- Webhooks ------------------------------------------------
+// Every change that can reorder rankings calls checkTop20Changes(cause), which diffs each AOC's
+// Top 20 against the last notified state (aoc_top20) and queues a 'top20.changed' delivery per
+// active webhook. Bodies are signed: X-Top20-Signature = sha256=HMAC(secret, `${timestamp}.${body}`).
+const TOP_N = 20;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_RETRY_DELAYS_S = [30, 120, 600, 1800, 7200]; // after attempts 1..5; the 6th failure is final
+
+const listWebhooks = db.prepare(`SELECT * FROM webhooks ORDER BY id`);
+const listActiveWebhooks = db.prepare(`SELECT * FROM webhooks WHERE active = 1`);
+const getWebhook = db.prepare(`SELECT * FROM webhooks WHERE id = ?`);
+const insertWebhookDelivery = db.prepare(`
+INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, next_attempt_at, created_at)
+VALUES (?, ?, ?, 'pending', 0, ?, ?)`);
+const listDueWebhookDeliveries = db.prepare(`
+SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 50`);
+const updateWebhookDelivery = db.prepare(`
+UPDATE webhook_deliveries SET status = @status, attempts = @attempts, next_attempt_at = @next_attempt_at,
+  last_status_code = @last_status_code, last_error = @last_error, delivered_at = @delivered_at
+WHERE id = @id`);
+const getWebhookDelivery = db.prepare(`SELECT * FROM webhook_deliveries WHERE id = ?`);
+const listWebhookDeliveries = db.prepare(`SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?`);
+
+function publicWebhook(h) {
+  const { secret, ...rest } = h;
+  return { ...rest, active: Boolean(h.active), secret_hint: `…${secret.slice(-4)}` };
+}
+
+function newWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Returns the normalized URL or null
+function webhookUrl(raw) {
+  try {
+    const url = new URL(String(raw));
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function queueWebhookEvent(event, data, webhooks = listActiveWebhooks.all()) {
+  if (!webhooks.length) return 0;
+  const now = dayjs().toISOString();
+  const payload = JSON.stringify({ id: crypto.randomUUID(), event, created_at: now, data });
+  for (const h of webhooks) insertWebhookDelivery.run(h.id, event, payload, now, now);
+  setImmediate(deliverPendingWebhooks);
+  return webhooks.length;
+}
+
+// Diff every AOC Top 20 against aoc_top20, store the new state, log ranking_events and notify.
+// The first call only records the baseline. Returns the per-AOC changes.
+function checkTop20Changes(cause) {
+  const ranking = rankingParams();
+  const current = db.prepare(`
+    SELECT id, external_id, name, vintage, aoc, aoc_rank FROM (${RANKED_WINES_SQL}) WHERE aoc_rank <= ${TOP_N}`).all(ranking);
+  const changes = db.transaction(() => {
+    const previous = db.prepare(`SELECT * FROM aoc_top20`).all();
+    db.prepare(`DELETE FROM aoc_top20`).run();
+    const insert = db.prepare(`INSERT INTO aoc_top20 (aoc, wine_id, rank, external_id, name, vintage) VALUES (?, ?, ?, ?, ?, ?)`);
+    for (const w of current) insert.run(w.aoc, w.id, w.aoc_rank, w.external_id, w.name, w.vintage);
+    if (!previous.length) return [];
+
+    const byAoc = new Map();
+    const entry = aoc => {
+      if (!byAoc.has(aoc)) byAoc.set(aoc, { aoc, entered: [], exited: [], moved: [] });
+      return byAoc.get(aoc);
+    };
+    const before = new Map(previous.map(p => [`${p.aoc}|${p.wine_id}`, p]));
+    const after = new Set();
+    for (const w of current) {
+      const key = `${w.aoc}|${w.id}`;
+      after.add(key);
+      const wine = { id: w.id, external_id: w.external_id, name: w.name, vintage: w.vintage };
+      const p = before.get(key);
+      if (!p) entry(w.aoc).entered.push({ ...wine, rank: w.aoc_rank });
+      else if (p.rank !== w.aoc_rank) entry(w.aoc).moved.push({ ...wine, from: p.rank, to: w.aoc_rank });
+    }
+    for (const p of previous) {
+      if (!after.has(`${p.aoc}|${p.wine_id}`)) {
+        entry(p.aoc).exited.push({ id: p.wine_id, external_id: p.external_id, name: p.name, vintage: p.vintage, previous_rank: p.rank });
+      }
+    }
+    const changes = [...byAoc.values()].sort((a, b) => a.aoc.localeCompare(b.aoc));
+    const insertEvent = db.prepare(`INSERT INTO ranking_events (aoc, cause, entered, exited, moved, created_at) VALUES (?, ?, ?, ?, ?, ?)`);
+    const now = dayjs().toISOString();
+    for (const c of changes) insertEvent.run(c.aoc, cause, JSON.stringify(c.entered), JSON.stringify(c.exited), JSON.stringify(c.moved), now);
+    return changes;
+  })();
+  if (changes.length) {
+    queueWebhookEvent('top20.changed', { cause, strategy: ranking.strategy, top: TOP_N, aocs: changes });
+  }
+  return changes;
+}
+
+async function attemptWebhookDelivery(d) {
+  const hook = getWebhook.get(d.webhook_id);
+  const attempts = d.attempts + 1;
+  const result = { id: d.id, status: 'pending', attempts, next_attempt_at: d.next_attempt_at, last_status_code: null, last_error: null, delivered_at: null };
+  if (!hook || !hook.active) {
+    updateWebhookDelivery.run({ ...result, status: 'failed', attempts: d.attempts, last_error: 'Webhook disabled or deleted' });
+    return;
+  }
+  try {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', hook.secret).update(`${timestamp}.${d.payload}`).digest('hex');
+    const res = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'bordeaux-top20-webhooks',
+        'X-Top20-Event': d.event,
+        'X-Top20-Delivery': String(d.id),
+        'X-Top20-Timestamp': timestamp,
+        'X-Top20-Signature': `sha256=${signature}`,
+      },
+      body: d.payload,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    result.last_status_code = res.status;
+    if (res.ok) {
+      updateWebhookDelivery.run({ ...result, status: 'delivered', delivered_at: dayjs().toISOString() });
+      return;
+    }
+    result.last_error = `HTTP ${res.status}`;
+  } catch (err) {
+    result.last_error = err.cause ? `${err.message}: ${err.cause.message || err.cause}` : String(err.message || err);
+  }
+  const delay = WEBHOOK_RETRY_DELAYS_S[attempts - 1];
+  if (delay === undefined) result.status = 'failed';
+  else result.next_attempt_at = dayjs().add(delay, 'second').toISOString();
+  updateWebhookDelivery.run(result);
+}
+
+// Send everything that is due. Runs after each queued event and every minute for retries.
+let webhookWorkerBusy = false;
+async function deliverPendingWebhooks() {
+  if (webhookWorkerBusy) return;
+  webhookWorkerBusy = true;
+  try {
+    let due;
+    while ((due = listDueWebhookDeliveries.all(dayjs().toISOString())).length) {
+      for (const d of due) await attemptWebhookDelivery(d);
+    }
+  } catch (err) {
+    console.error('[webhooks] Delivery run failed:', err);
+  } finally {
+    webhookWorkerBusy = false;
+  }
+}
+
+// ---- Import pipeline -----------------------------------------
+// parseImportFile -> validateImportRows -> buildImportReport -> applyImport
+const IMPORT_DIFF_FIELDS = ['wine_key', 'name', 'winery', 'aoc', 'vintage', 'vivino_rating', 'rating_count', 'price',
+  'color', 'style', 'classification', 'grapes'];
+// Left blank in a file, these keep the stored value, so a blank is not a change
+const IMPORT_KEEP_WHEN_BLANK = ['color', 'style', 'classification', 'grapes'];
+const IMPORT_PREVIEW_TTL_HOURS = 24;
+
+const insertImportPreview = db.prepare(`INSERT INTO import_previews (id, filename, items, report) VALUES (?, ?, ?, ?)`);
+const getImportPreview = db.prepare(`SELECT * FROM import_previews WHERE id = ? AND created_at >= datetime('now', ?)`);
+const deleteImportPreview = db.prepare(`DELETE FROM import_previews WHERE id = ?`);
+const pruneImportPreviews = db.prepare(`DELETE FROM import_previews WHERE created_at < datetime('now', ?)`);
+
+function isBlank(v) {
+  return v === undefined || v === null || String(v).trim() === '';
+}
+
+// ---- Import profiles ------------------------------------------
+// A profile maps source columns onto wine fields and describes how to read the file:
+// { columns: { field: 'Header' | ['Header', 'Alt header'] }, delimiter, decimal, encoding, default_aoc,
+//   transforms: { field: ['trim', 'score100_to_5', ...] } }
+const IMPORT_FIELDS = ['external_id', 'wine_key', 'name', 'winery', 'aoc', 'vintage', 'vivino_rating', 'rating_count', 'price',
+  'color', 'style', 'classification', 'grapes'];
+const IMPORT_NUMERIC_FIELDS = ['vintage', 'vivino_rating', 'rating_count', 'price'];
+// Other score sources import from one score_<source id> column each, on the source's own scale
+function scoreImportFields() {
+  return SCORE_SOURCES.filter(s => s.id !== 'vivino').map(s => `score_${s.id}`);
+}
+const IMPORT_TRANSFORMS = {
+  trim: v => (typeof v === 'string' ? v.trim() : v),
+  upper: v => (typeof v === 'string' ? v.toUpperCase() : v),
+  lower: v => (typeof v === 'string' ? v.toLowerCase() : v),
+  title: v => (typeof v === 'string' ? v.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase()) : v),
+  score100_to_5: v => (typeof v === 'number' ? v / 20 : v),
+  score20_to_5: v => (typeof v === 'number' ? v / 4 : v),
+};
+
+const listImportProfiles = db.prepare(`SELECT * FROM import_profiles ORDER BY name`);
+const getImportProfileById = db.prepare(`SELECT * FROM import_profiles WHERE id = ?`);
+const getImportProfileByName = db.prepare(`SELECT * FROM import_profiles WHERE name = ?`);
+const insertImportProfile = db.prepare(`INSERT INTO import_profiles (name, config) VALUES (?, ?)`);
+const updateImportProfile = db.prepare(`UPDATE import_profiles SET name = ?, config = ?, updated_at = datetime('now') WHERE id = ?`);
+const deleteImportProfile = db.prepare(`DELETE FROM import_profiles WHERE id = ?`);
+
+function profileRow(row) {
+  return row && { id: row.id, name: row.name, config: JSON.parse(row.config), created_at: row.created_at, updated_at: row.updated_at };
+}
+
+// Profile by numeric id or by name
+function findImportProfile(ref) {
+  if (isBlank(ref)) return null;
+  return profileRow(/^\d+$/.test(String(ref)) ? getImportProfileById.get(Number(ref)) : getImportProfileByName.get(String(ref)));
+}
+
+// Returns { config } normalized, or { error } describing the first problem
+function validateImportProfile(input) {
+  const c = input || {};
+  const config = { columns: {}, delimiter: ',', decimal: '.', encoding: 'utf-8', default_aoc: null, transforms: {} };
+  const fields = [...IMPORT_FIELDS, ...scoreImportFields()];
+  for (const [field, cols] of Object.entries(c.columns || {})) {
+    if (!fields.includes(field)) return { error: `Unknown field in columns: ${field}` };
+    const list = Array.isArray(cols) ? cols : [cols];
+    if (!list.length || list.some(x => typeof x !== 'string' || !x.trim())) return { error: `columns.${field} must be a header name or a list of header names` };
+    config.columns[field] = list.map(x => x.trim());
+  }
+  if (c.delimiter !== undefined) {
+    const d = c.delimiter === '\\t' ? '\t' : c.delimiter;
+    if (typeof d !== 'string' || d.length !== 1) return { error: 'delimiter must be a single character' };
+    config.delimiter = d;
+  }
+  if (c.decimal !== undefined) {
+    if (!['.', ','].includes(c.decimal)) return { error: 'decimal must be "." or ","' };
+    config.decimal = c.decimal;
+  }
+  if (c.encoding !== undefined) {
+    try { new TextDecoder(c.encoding); } catch (e) { return { error: `Unsupported encoding: ${c.encoding}` }; }
+    config.encoding = c.encoding;
+  }
+  if (!isBlank(c.default_aoc)) config.default_aoc = String(c.default_aoc).trim();
+  for (const [field, names] of Object.entries(c.transforms || {})) {
+    if (!fields.includes(field)) return { error: `Unknown field in transforms: ${field}` };
+    const list = Array.isArray(names) ? names : [names];
+    const unknown = list.find(n => !IMPORT_TRANSFORMS[n]);
+    if (unknown) return { error: `Unknown transform: ${unknown}` };
+    config.transforms[field] = list;
+  }
+  return { config };
+}
+
+// "1 234,50 €" -> 1234.5 with decimal ','; returns the input untouched when it is not a string
+function parseLocaleNumber(v, decimal) {
+  if (typeof v !== 'string') return v;
+  let s = v.replace(/[\s\u00a0\u202f€$£]/g, '');
+  if (s === '') return '';
+  s = decimal === ',' ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+  const x = Number(s);
+  return Number.isFinite(x) ? x : v; // keep the raw text so validation can report it
+}
+
+// Rename columns, parse numbers, apply transforms and the default AOC according to a profile
+function applyImportProfile(record, config) {
+  const out = { ...record };
+  for (const [field, cols] of Object.entries(config.columns)) {
+    const col = cols.find(c => record[c] !== undefined);
+    if (col !== undefined) out[field] = record[col];
+  }
+  for (const field of [...IMPORT_NUMERIC_FIELDS, ...scoreImportFields()]) out[field] = parseLocaleNumber(out[field], config.decimal);
+  for (const [field, names] of Object.entries(config.transforms)) {
+    for (const n of names) out[field] = IMPORT_TRANSFORMS[n](out[field]);
+  }
+  if (isBlank(out.aoc) && config.default_aoc) out.aoc = config.default_aoc;
+  return out;
+}
+
+// Raw records from an uploaded file; CSV when asked for or when the name ends with .csv
+function parseImportFile(file, format, profile) {
+  const isCsv = (format || '').toLowerCase() === 'csv' || file.originalname.toLowerCase().endsWith('.csv');
+  return parseImportText(fs.readFileSync(file.path), isCsv ? 'csv' : 'json', profile);
+}
+// Raw export bytes -> records, with the profile's encoding, delimiter and column mapping applied
+function parseImportText(buffer, format, profile) {
+  const config = profile ? profile.config : null;
+  const raw = new TextDecoder(config ? config.encoding : 'utf-8').decode(buffer);
+  let records;
+  if (format === 'csv') {
+    records = parseCsv(raw, { columns: true, skip_empty_lines: true, bom: true, delimiter: config ? config.delimiter : ',' });
+  } else {
+    records = JSON.parse(raw);
+    if (!Array.isArray(records)) throw new Error('JSON import must be an array of wines');
+  }
+  return config ? records.map(r => applyImportProfile(r || {}, config)) : records;
+}
+
+// Map one raw record to a wine row, collecting reasons to reject it instead of coercing to 0
+function normalizeImportRow(r) {
+  const reasons = [];
+  const warnings = [];
+  const name = isBlank(r.name) ? null : String(r.name).trim();
+  let aoc = isBlank(r.aoc) ? null : String(r.aoc).trim();
+  if (!name) reasons.push('missing name');
+  if (!aoc) reasons.push('missing AOC');
+  if (aoc) {
+    const a = resolveAoc(aoc);
+    if (a) aoc = a.name;
+    else warnings.push(`unknown AOC "${aoc}"; will be queued for mapping`);
+  }
+
+  let vintage = null;
+  if (!isBlank(r.vintage)) {
+    vintage = Number(r.vintage);
+    if (!Number.isInteger(vintage)) { reasons.push(`non-numeric vintage "${r.vintage}"`); vintage = null; }
+  }
+
+  const rawRating = r.vivino_rating ?? r.rating;
+  let vivino_rating = null;
+  if (isBlank(rawRating)) reasons.push('missing rating');
+  else {
+    vivino_rating = Number(rawRating);
+    if (!Number.isFinite(vivino_rating)) reasons.push(`non-numeric rating "${rawRating}"`);
+    else if (vivino_rating < 0 || vivino_rating > 5) reasons.push(`rating ${vivino_rating} outside 0–5`);
+  }
+
+  const rawCount = r.rating_count ?? r.reviews;
+  let rating_count = 0;
+  if (!isBlank(rawCount)) {
+    rating_count = Number(rawCount);
+    if (!Number.isFinite(rating_count) || rating_count < 0) reasons.push(`invalid rating count "${rawCount}"`);
+  }
+
+  let price = null;
+  if (!isBlank(r.price)) {
+    price = Number(r.price);
+    if (!Number.isFinite(price)) reasons.push(`non-numeric price "${r.price}"`);
+  }
+
+  const scores = {};
+  for (const s of SCORE_SOURCES) {
+    const raw = s.id === 'vivino' ? null : r[`score_${s.id}`];
+    if (isBlank(raw)) continue;
+    const score = Number(raw);
+    if (!Number.isFinite(score)) reasons.push(`non-numeric ${s.id} score "${raw}"`);
+    else if (score < s.min || score > s.max) reasons.push(`${s.id} score ${score} outside ${s.min}–${s.max}`);
+    else scores[s.id] = score;
+  }
+
+  let external_id = isBlank(r.external_id) ? (isBlank(r.id) ? null : String(r.id).trim()) : String(r.external_id).trim();
+  if (!external_id) {
+    external_id = `${name}|${vintage}|${aoc}`;
+    warnings.push('no external_id; synthesized from name|vintage|aoc');
+  }
+  const merged = getWineAlias.get(external_id);
+  if (merged) {
+    warnings.push(`external_id "${external_id}" was merged into "${merged.external_id}"; updating that wine`);
+    external_id = merged.external_id;
+  }
+
+  const wine_key = isBlank(r.wine_key) ? (name && aoc ? deriveWineKey(name, aoc) : null) : String(r.wine_key).trim();
+
+  const { attributes, reasons: attributeReasons, warnings: attributeWarnings } = normalizeWineAttributes(r);
+  reasons.push(...attributeReasons);
+  warnings.push(...attributeWarnings);
+
+  const winery = r.winery || r.domain || r.chateau;
+  return {
+    item: {
+      external_id,
+      wine_key,
+      name,
+      winery: isBlank(winery) ? null : String(winery).trim(),
+      aoc,
+      vintage,
+      vivino_rating,
+      rating_count,
+      price,
+      ...attributes,
+      scores,
+      last_source_update: dayjs().toISOString(),
+    },
+    reasons,
+    warnings,
+  };
+}
+
+// Split records into valid items and rejected rows (row numbers are 1-based data rows)
+function validateImportRows(records) {
+  const items = [];
+  const rejected = [];
+  const warnings = [];
+  const seen = new Map();
+  records.forEach((r, i) => {
+    const row = i + 1;
+    const { item, reasons, warnings: rowWarnings } = normalizeImportRow(r || {});
+    if (seen.has(item.external_id)) reasons.push(`duplicate external_id (first seen at row ${seen.get(item.external_id)})`);
+    else seen.set(item.external_id, row);
+    if (reasons.length) rejected.push({ row, external_id: item.external_id, name: item.name, reasons });
+    else {
+      items.push(item);
+      if (rowWarnings.length) warnings.push({ row, external_id: item.external_id, warnings: rowWarnings });
+    }
+  });
+  return { items, rejected, warnings, fileIds: new Set(seen.keys()) };
+}
+
+// What applying `items` would do to the DB, without writing anything
+function buildImportReport({ items, rejected, warnings, fileIds }) {
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const item of items) {
+    const existing = getWineByExternalId.get(item.external_id);
+    if (!existing) { added.push({ external_id: item.external_id, name: item.name, aoc: item.aoc, vintage: item.vintage, vivino_rating: item.vivino_rating }); continue; }
+    const changes = {};
+    for (const f of IMPORT_DIFF_FIELDS) {
+      const before = existing[f] ?? null;
+      const after = item[f] ?? null;
+      if (after === null && IMPORT_KEEP_WHEN_BLANK.includes(f)) continue;
+      if (before === after) continue;
+      changes[f] = f === 'grapes'
+        ? { before: grapeBlendText(grapeBlend(before)), after: grapeBlendText(grapeBlend(after)) }
+        : { before, after };
+    }
+    const scoresBefore = Object.fromEntries(getWineScores.all(existing.id).map(s => [s.source, s.score]));
+    for (const [source, after] of Object.entries(item.scores || {})) {
+      const before = scoresBefore[source] ?? null;
+      if (before !== after) changes[`score_${source}`] = { before, after };
+    }
+    if (Object.keys(changes).length) changed.push({ id: existing.id, external_id: item.external_id, name: existing.name, changes });
+    else unchanged++;
+  }
+  const missing = db.prepare(`SELECT id, external_id, name, aoc, vintage FROM wines WHERE retired_at IS NULL ORDER BY aoc, name`).all()
+    .filter(w => !fileIds.has(w.external_id));
+  const quarantined = screenImport(items).held
+    .map(({ item, wine, reasons }) => ({ id: wine ? wine.id : null, external_id: item.external_id, name: item.name, reasons }));
+  return {
+    summary: {
+      valid: items.length, new: added.length, changed: changed.length, unchanged, rejected: rejected.length,
+      missing: missing.length, quarantined: quarantined.length,
+    },
+    new: added,
+    changed,
+    rejected,
+    warnings,
+    missing,
+    quarantined,
+  };
+}
+
+// Rows tripping an anomaly rule are held for review instead (see Import quarantine); pass fileIds
+// when the batch is the source's full list so wines it no longer has are held too.
+// Returns { upserted, quarantined }.
+function applyImport(items, source = 'import', { fileIds = null, origin = null, jobId = null } = {}) {
+  const screened = screenImport(items, { fileIds });
+  const quarantined = db.transaction(() => {
+    for (const w of screened.clean) writeWine(w);
+    const added = quarantineImport(screened, { source, origin, jobId });
+    recordSnapshots(source);
+    return added;
+  })();
+  setMeta.run('last_refresh', dayjs().toISOString());
+  checkTop20Changes(source);
+  return { upserted: screened.clean.length, quarantined };
+}
+
+function ensureSeed() {
+  // Seed with tiny demo data if DB is empty AND a seed file is present
+  const count = db.prepare('SELECT COUNT(*) AS n FROM wines').get().n;
+  if (count > 0) return;
+  try {
+    if (fs.existsSync(DATA_SEED)) {
+      const raw = fs.readFileSync(DATA_SEED, 'utf8');
+      const arr = JSON.parse(raw);
+      const insert = db.transaction((items) => {
+        for (const w of items) writeWine(w);
+        recordSnapshots('seed');
+      });
+      insert(arr);
+      setMeta.run('last_refresh', dayjs().toISOString());
+      console.log(`[seed] Inserted ${arr.length} wines from seed file.`);
+    } else {
+      // Minimal inline seed as fallback
+      const demo = [
+        { external_id: 'demo-1', name: 'Château Demo 1', winery: 'Demo Estate', aoc: 'Saint-Estèphe', vintage: 2018, vivino_rating: 4.2, rating_count: 1200, price: 35.0, last_source_update: dayjs().toISOString() },
+        { external_id: 'demo-2', name: 'Château Demo 2', winery: 'Demo Estate', aoc: 'Pauillac', vintage: 2019, vivino_rating: 4.5, rating_count: 980, price: 75.0, last_source_update: dayjs().toISOString() },
+        { external_id: 'demo-3', name: 'Château Demo 3', winery: 'Demo Estate', aoc: 'Margaux', vintage: 2020, vivino_rating: 4.0, rating_count: 450, price: 52.0, last_source_update: dayjs().toISOString() },
+        { external_id: 'demo-4', name: 'Château Demo 4', winery: 'Demo Estate', aoc: 'Saint-Julien', vintage: 2016, vivino_rating: 4.3, rating_count: 2100, price: 60.0, last_source_update: dayjs().toISOString() },
+        { external_id: 'demo-5', name: 'Château Demo 5', winery: 'Demo Estate', aoc: 'Pessac-Léognan', vintage: 2017, vivino_rating: 4.1, rating_count: 800, price: 40.0, last_source_update: dayjs().toISOString() }
+      ];
+      const insert = db.transaction((items) => {
+        for (const w of items) writeWine(w);
+        recordSnapshots('seed');
+      });
+      insert(demo);
+      setMeta.run('last_refresh', dayjs().toISOString());
+      console.log('[seed] Inserted demo wines.');
+    }
+  } catch (err) {
+    console.error('[seed] Failed:', err);
+  }
+}
+
+ensureOwner();
+ensureAppellations();
+ensureSeed();
+ensureSearchIndex();
+backfillWineKeys();
+canonicalizeWineAocs();
+expireOverrides();
+checkTop20Changes('startup');
+failInterruptedRefreshJobs();
+
+// ---- Import quarantine ---------------------------------------
+// applyImport screens every batch: a row tripping an anomaly rule is held in import_anomalies instead
+// of being written, so the wine keeps its live values until an admin approves (the row is written) or
+// rejects the change. Refreshes also hold the wines the source stopped listing; approving one retires
+// the wine (wines.retired_at). Newer data for a wine supersedes its pending entry. Rules live in meta
+// 'anomaly_rules'; a numeric rule set to null is off.
+const DEFAULT_ANOMALY_RULES = {
+  enabled: true,
+  max_rating_delta: 0.5, // on 0–5, either way; other score sources are compared once normalized
+  min_rating_count: 10, // a wine falling below this many reviews, or a new wine arriving with fewer
+  max_rating_count_drop_pct: 50,
+  max_price_change_pct: 100, // either way, relative to the stored price
+  aoc_change: true,
+  missing: true, // refreshes only: an uploaded file is often a partial list
+};
+const ANOMALY_NUMERIC_RULES = ['max_rating_delta', 'min_rating_count', 'max_rating_count_drop_pct', 'max_price_change_pct'];
+const ANOMALY_FLAG_RULES = ['enabled', 'aoc_change', 'missing'];
+const ANOMALY_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+
+const insertAnomaly = db.prepare(`
+INSERT INTO import_anomalies (wine_id, external_id, name, aoc, vintage, reasons, item, previous, source, origin, job_id, detected_at)
+VALUES (@wine_id, @external_id, @name, @aoc, @vintage, @reasons, @item, @previous, @source, @origin, @job_id, @detected_at)`);
+const getAnomaly = db.prepare(`SELECT * FROM import_anomalies WHERE id = ?`);
+const getPendingAnomaly = db.prepare(`SELECT * FROM import_anomalies WHERE external_id = ? AND status = 'pending'`);
+const supersedeAnomalies = db.prepare(`
+UPDATE import_anomalies SET status = 'superseded', resolved_at = ? WHERE external_id = ? AND status = 'pending'`);
+const resolveAnomaly = db.prepare(`
+UPDATE import_anomalies SET status = @status, resolved_at = @resolved_at, resolved_by = @resolved_by, note = @note WHERE id = @id`);
+
+function getAnomalyRules() {
+  const stored = getMeta.get('anomaly_rules');
+  if (!stored) return { ...DEFAULT_ANOMALY_RULES };
+  try { return { ...DEFAULT_ANOMALY_RULES, ...JSON.parse(stored.value) }; } catch (e) { return { ...DEFAULT_ANOMALY_RULES }; }
+}
+
+// Returns { rules } (input merged over the current rules) or { error }
+function validateAnomalyRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'rules must be an object' };
+  const rules = getAnomalyRules();
+  for (const [key, value] of Object.entries(input)) {
+    if (ANOMALY_FLAG_RULES.includes(key)) {
+      if (typeof value !== 'boolean') return { error: `${key} must be true or false` };
+    } else if (ANOMALY_NUMERIC_RULES.includes(key)) {
+      if (value !== null && !(typeof value === 'number' && value >= 0)) return { error: `${key} must be a non-negative number or null` };
+    } else return { error: `Unknown rule: ${key}` };
+    rules[key] = value;
+  }
+  return { rules };
+}
+
+// What makes `item` suspicious next to the stored `wine` (null for a new wine): [{ rule, field, before, after }]
+function anomalyReasons(item, wine, rules) {
+  const reasons = [];
+  const flag = (rule, field, before, after) => reasons.push({ rule, field, before, after });
+  const count = item.rating_count ?? 0;
+  if (rules.min_rating_count != null && count < rules.min_rating_count
+    && (!wine || (wine.rating_count ?? 0) >= rules.min_rating_count)) {
+    flag('min_rating_count', 'rating_count', wine ? wine.rating_count : null, count);
+  }
+  if (!wine) return reasons;
+
+  if (rules.max_rating_delta != null) {
+    if (wine.vivino_rating != null && item.vivino_rating != null
+      && Math.abs(item.vivino_rating - wine.vivino_rating) > rules.max_rating_delta) {
+      flag('max_rating_delta', 'vivino_rating', wine.vivino_rating, item.vivino_rating);
+    }
+    const scoresBefore = Object.fromEntries(getWineScores.all(wine.id).map(s => [s.source, s.score]));
+    for (const s of SCORE_SOURCES) {
+      const before = scoresBefore[s.id];
+      const after = (item.scores || {})[s.id];
+      if (s.id === 'vivino' || before == null || after == null) continue;
+      if (Math.abs(normalizeScore(after, s) - normalizeScore(before, s)) > rules.max_rating_delta) flag('max_rating_delta', `score_${s.id}`, before, after);
+    }
+  }
+  if (rules.max_rating_count_drop_pct != null && wine.rating_count > 0
+    && count < wine.rating_count * (1 - rules.max_rating_count_drop_pct / 100)) {
+    flag('max_rating_count_drop_pct', 'rating_count', wine.rating_count, count);
+  }
+  if (rules.max_price_change_pct != null && wine.price > 0 && item.price != null
+    && (Math.abs(item.price - wine.price) / wine.price) * 100 > rules.max_price_change_pct) {
+    flag('max_price_change_pct', 'price', wine.price, item.price);
+  }
+  if (rules.aoc_change && item.aoc) {
+    const a = resolveAoc(item.aoc);
+    const aoc = a ? a.name : item.aoc;
+    if (aoc !== wine.aoc) flag('aoc_change', 'aoc', wine.aoc, aoc);
+  }
+  return reasons;
+}
+
+// Split a batch into the rows to write and the ones to hold, without writing anything. `fileIds`
+// (every external_id the source listed) enables the missing-wine rule.
+// Returns { clean, held: [{ item, wine, reasons }], missing: [wine] }
+function screenImport(items, { fileIds = null } = {}) {
+  const rules = getAnomalyRules();
+  if (!rules.enabled) return { clean: items, held: [], missing: [] };
+  const clean = [];
+  const held = [];
+  for (const row of items) {
+    const item = { ...row, external_id: resolveExternalId(row.external_id) };
+    const wine = getWineByExternalId.get(item.external_id);
+    const reasons = anomalyReasons(item, wine, rules);
+    if (reasons.length) held.push({ item, wine, reasons });
+    else clean.push(item);
+  }
+  const missing = rules.missing && fileIds
+    ? db.prepare(`SELECT * FROM wines WHERE retired_at IS NULL ORDER BY aoc, name`).all().filter(w => !fileIds.has(w.external_id))
+    : [];
+  return { clean, held, missing };
+}
+
+// Record a screened batch (inside the import transaction). Returns how many entries it added; a
+// wine already pending as missing is not flagged again.
+function quarantineImport({ clean, held, missing }, { source, origin = null, jobId = null }) {
+  const now = dayjs().toISOString();
+  const entry = (wine, fields) => insertAnomaly.run({
+    wine_id: wine ? wine.id : null, source, origin, job_id: jobId, detected_at: now, ...fields,
+  });
+  for (const item of clean) supersedeAnomalies.run(now, item.external_id);
+  for (const { item, wine, reasons } of held) {
+    supersedeAnomalies.run(now, item.external_id);
+    entry(wine, {
+      external_id: item.external_id, name: item.name, aoc: item.aoc, vintage: item.vintage,
+      reasons: JSON.stringify(reasons), item: JSON.stringify(item), previous: wine ? JSON.stringify(wine) : null,
+    });
+  }
+  let added = held.length;
+  for (const wine of missing) {
+    const pending = getPendingAnomaly.get(wine.external_id);
+    if (pending && !pending.item) continue;
+    supersedeAnomalies.run(now, wine.external_id);
+    entry(wine, {
+      external_id: wine.external_id, name: wine.name, aoc: wine.aoc, vintage: wine.vintage,
+      reasons: JSON.stringify([{ rule: 'missing', field: null, before: null, after: null }]), item: null, previous: JSON.stringify(wine),
+    });
+    added++;
+  }
+  return added;
+}
+
+function anomalyRow(a) {
+  return { ...a, reasons: JSON.parse(a.reasons), item: a.item ? JSON.parse(a.item) : null, previous: a.previous ? JSON.parse(a.previous) : null };
+}
+
+function listAnomalies(status, limit) {
+  return db.prepare(`SELECT * FROM import_anomalies WHERE status = ? ORDER BY detected_at DESC, id DESC LIMIT ?`)
+    .all(status, limit).map(anomalyRow);
+}
+
+function anomalyCounts() {
+  const counts = Object.fromEntries(ANOMALY_STATUSES.map(s => [s, 0]));
+  for (const r of db.prepare(`SELECT status, COUNT(*) AS n FROM import_anomalies GROUP BY status`).all()) counts[r.status] = r.n;
+  return counts;
+}
+
+// Take a wine the source no longer lists out of rankings, feeds and search. Nothing attached to it
+// is deleted, so its history and audit trail survive and a later import that lists it again
+// (upsertWine clears retired_at) brings it back as it was.
+const retireWine = db.prepare(`UPDATE wines SET retired_at = ?, updated_at = datetime('now') WHERE id = ? AND retired_at IS NULL`);
+
+// action 'approve' writes the held rows (or retires the missing wines), 'reject' keeps the live values.
+// All or nothing: returns { error } when an entry is no longer pending, otherwise { resolved }.
+function resolveAnomalies(entries, action, { note, user }) {
+  const done = entries.find(a => a.status !== 'pending');
+  if (done) return { error: `Anomaly ${done.id} is already ${done.status}` };
+  const approve = action === 'approve';
+  db.transaction(() => {
+    const now = dayjs().toISOString();
+    for (const a of entries) {
+      if (approve && a.item) writeWine(JSON.parse(a.item));
+      else if (approve && a.wine_id) retireWine.run(now, a.wine_id);
+      resolveAnomaly.run({ id: a.id, status: approve ? 'approved' : 'rejected', resolved_at: now, resolved_by: user, note: note || null });
+    }
+    if (approve) recordSnapshots('quarantine');
+  })();
+  if (approve) checkTop20Changes('quarantine');
+  return { resolved: entries.length };
+}
+
+// ---- Refresh sources & jobs ----------------------------------
+// IMPORTANT: We do NOT scrape Vivino. Every source reads an export you produced from legitimate sources.
+// An adapter's read(config) resolves to { origin, format: 'csv'|'json', buffer, finalize? } or null when
+// there is nothing to import. finalize() runs only after the batch was applied.
+const REFRESH_HTTP_TIMEOUT_MS = 60 * 1000;
+const REFRESH_SOURCES = {
+  file: {
+    label: 'Fichier local',
+    description: 'Re-reads one CSV/JSON export on disk (config.path, default DATA_SEED).',
+    async read(config) {
+      const file = config.path || DATA_SEED;
+      if (!fs.existsSync(file)) throw new Error(`Source file not found: ${file}`);
+      return { origin: file, format: file.toLowerCase().endsWith('.csv') ? 'csv' : 'json', buffer: await fs.promises.readFile(file) };
+    },
+  },
+  drop_folder: {
+    label: 'Dossier de dépôt',
+    description: 'Imports the oldest CSV/JSON file dropped in config.dir, then moves it to <dir>/processed. New files trigger a refresh.',
+    async read(config) {
+      const dir = config.dir;
+      const files = (await fs.promises.readdir(dir, { withFileTypes: true }))
+        .filter(f => f.isFile() && /\.(csv|json)$/i.test(f.name))
+        .map(f => ({ file: path.join(dir, f.name), mtime: fs.statSync(path.join(dir, f.name)).mtimeMs }))
+        .sort((a, b) => a.mtime - b.mtime);
+      if (!files.length) return null;
+      const { file } = files[0];
+      return {
+        origin: file,
+        format: file.toLowerCase().endsWith('.csv') ? 'csv' : 'json',
+        buffer: await fs.promises.readFile(file),
+        finalize() {
+          const processed = path.join(dir, 'processed');
+          fs.mkdirSync(processed, { recursive: true });
+          fs.renameSync(file, path.join(processed, `${dayjs().format('YYYYMMDD-HHmmss')}-${path.basename(file)}`));
+        },
+      };
+    },
+  },
+  http: {
+    label: 'Export HTTP',
+    description: 'GETs an export endpoint on your network (config.url); CSV when the URL or Content-Type says so, JSON otherwise.',
+    async read(config) {
+      const res = await fetch(config.url, { headers: config.headers || {}, signal: AbortSignal.timeout(REFRESH_HTTP_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`HTTP ${res.status} from ${config.url}`);
+      const type = res.headers.get('content-type') || '';
+      const format = /csv/i.test(type) || /\.csv($|\?)/i.test(config.url) ? 'csv' : 'json';
+      return { origin: config.url, format, buffer: Buffer.from(await res.arrayBuffer()) };
+    },
+  },
+};
+const DEFAULT_REFRESH_CONFIG = { source: 'file', path: null, dir: null, url: null, headers: null, format: null, profile: null, interval_days: 75 };
+
+const insertRefreshJob = db.prepare(`INSERT INTO refresh_jobs (source, triggered_by, user, status, phase, started_at) VALUES (?, ?, ?, 'running', 'fetch', ?)`);
+const getRunningRefreshJob = db.prepare(`SELECT * FROM refresh_jobs WHERE status = 'running' ORDER BY id DESC LIMIT 1`);
+const getRefreshJob = db.prepare(`SELECT * FROM refresh_jobs WHERE id = ?`);
+const listRefreshJobs = db.prepare(`SELECT * FROM refresh_jobs ORDER BY id DESC LIMIT ?`);
+const setRefreshJobPhase = db.prepare(`UPDATE refresh_jobs SET phase = ?, origin = ?, items_read = ? WHERE id = ?`);
+const finishRefreshJob = db.prepare(`
+UPDATE refresh_jobs SET status = @status, phase = NULL, finished_at = @finished_at, upserted = @upserted,
+  quarantined = @quarantined, rejected = @rejected, warnings = @warnings, rejections = @rejections, error = @error
+WHERE id = @id`);
+
+function getRefreshConfig() {
+  const stored = getMeta.get('refresh_config');
+  if (!stored) return { ...DEFAULT_REFRESH_CONFIG };
+  try { return { ...DEFAULT_REFRESH_CONFIG, ...JSON.parse(stored.value) }; } catch (e) { return { ...DEFAULT_REFRESH_CONFIG }; }
+}
+
+// Returns { config } (input merged over the current config) or { error }
+function validateRefreshConfig(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'config must be an object' };
+  const config = { ...getRefreshConfig(), ...input };
+  if (!REFRESH_SOURCES[config.source]) return { error: `source must be one of ${Object.keys(REFRESH_SOURCES).join(', ')}` };
+  if (!(Number.isInteger(config.interval_days) && config.interval_days >= 1 && config.interval_days <= 365)) {
+    return { error: 'interval_days must be an integer between 1 and 365' };
+  }
+  if (config.format != null && !['csv', 'json'].includes(config.format)) return { error: 'format must be "csv", "json" or null' };
+  if (config.profile != null && !findImportProfile(config.profile)) return { error: 'Import profile not found' };
+  if (config.source === 'drop_folder' && isBlank(config.dir)) return { error: 'dir required for the drop_folder source' };
+  if (config.source === 'http') {
+    let url;
+    try { url = new URL(config.url); } catch (e) { return { error: 'url must be an absolute http(s) URL' }; }
+    if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an absolute http(s) URL' };
+    if (config.headers != null && (typeof config.headers !== 'object' || Array.isArray(config.headers))) return { error: 'headers must be an object' };
+  }
+  return { config };
+}
+
+function refreshJobRow(job) {
+  return { ...job, rejections: job.rejections ? JSON.parse(job.rejections) : [] };
+}
+
+function refreshDue() {
+  const last = getMeta.get('last_refresh');
+  const lastIso = last && last.value ? dayjs(last.value).toISOString() : null;
+  const intervalDays = getRefreshConfig().interval_days;
+  const next = lastIso ? dayjs(lastIso).add(intervalDays, 'day').toISOString() : null;
+  return { last_refresh: lastIso, next_refresh_due: next, interval_days: intervalDays };
+}
+
+// Jobs left 'running' by a previous process can never finish; fail them so they stop holding the lock
+function failInterruptedRefreshJobs() {
+  db.prepare(`UPDATE refresh_jobs SET status = 'failed', phase = NULL, finished_at = ?, error = 'Interrupted (server restarted)' WHERE status = 'running'`)
+    .run(dayjs().toISOString());
+}
+
+// The running job doubles as the lock: claimed in an IMMEDIATE transaction so cron, the drop-folder
+// watcher and the admin button cannot start overlapping runs.
+const claimRefreshJob = db.transaction((source, triggeredBy, user) => {
+  const running = getRunningRefreshJob.get();
+  if (running) return { busy: running };
+  return { id: Number(insertRefreshJob.run(source, triggeredBy, user, dayjs().toISOString()).lastInsertRowid) };
+});
+
+// Start a refresh in the background. Returns { busy: job } when one is already running,
+// otherwise { id, done } where done resolves once the job row holds the outcome (it never rejects).
+function startRefresh(triggeredBy, user = null) {
+  const config = getRefreshConfig();
+  const claimed = claimRefreshJob.immediate(config.source, triggeredBy, user);
+  if (claimed.busy) return claimed;
+  const id = claimed.id;
+  const finish = (status, { upserted = null, quarantined = null, rejected = [], warnings = [], error = null } = {}) => finishRefreshJob.run({
+    id, status, finished_at: dayjs().toISOString(), upserted, quarantined, rejected: rejected.length, warnings: warnings.length,
+    rejections: rejected.length ? JSON.stringify(rejected.slice(0, 50)) : null, error,
+  });
+
+  const done = (async () => {
+    try {
+      const input = await REFRESH_SOURCES[config.source].read(config);
+      if (!input) {
+        finish('skipped', { error: 'Nothing to import' });
+        return;
+      }
+      const profile = config.profile ? findImportProfile(config.profile) : null;
+      if (config.profile && !profile) throw new Error(`Import profile not found: ${config.profile}`);
+      const records = parseImportText(input.buffer, config.format || input.format, profile);
+      setRefreshJobPhase.run('apply', input.origin, records.length, id);
+      const validated = validateImportRows(records);
+      const { upserted, quarantined } = applyImport(validated.items, 'refresh', { fileIds: validated.fileIds, origin: input.origin, jobId: id });
+      if (input.finalize) input.finalize();
+      finish('succeeded', { upserted, quarantined, rejected: validated.rejected, warnings: validated.warnings });
+      console.log(`[refresh] Job ${id}: updated ${upserted} wines from ${input.origin} (${validated.rejected.length} rejected, ${quarantined} quarantined)`);
+    } catch (err) {
+      console.error(`[refresh] Job ${id} failed:`, err);
+      finish('failed', { error: err.cause ? `${err.message}: ${err.cause.message || err.cause}` : String(err.message || err) });
+    }
+  })();
+  return { id, done };
+}
+
+// With the drop_folder source, a file landing in the folder starts a refresh (debounced so
+// a file still being copied is picked up once complete)
+let dropFolderWatcher = null;
+function watchDropFolder() {
+  if (dropFolderWatcher) { dropFolderWatcher.close(); dropFolderWatcher = null; }
+  const config = getRefreshConfig();
+  if (config.source !== 'drop_folder' || isBlank(config.dir)) return;
+  try {
+    fs.mkdirSync(config.dir, { recursive: true });
+    let timer = null;
+    dropFolderWatcher = fs.watch(config.dir, (event, filename) => {
+      if (!filename || !/\.(csv|json)$/i.test(filename)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (!fs.existsSync(path.join(config.dir, filename))) return;
+        const job = startRefresh('watch');
+        if (!job.busy) console.log(`[refresh] ${filename} dropped — started job ${job.id}`);
+      }, 2000);
+    });
+  } catch (err) {
+    console.error(`[refresh] Cannot watch ${config.dir}:`, err);
+  }
+}
+
+watchDropFolder();
+
+// ---- Auto-refresh scheduler --------------------------------
+// We run a daily check at REFRESH_HOUR_UTC; once interval_days have passed since last_refresh,
+// we start a refresh job.
+cron.schedule(`0 ${REFRESH_HOUR_UTC} * * *`, () => {
+  try {
+    const { next_refresh_due } = refreshDue();
+    if (next_refresh_due && dayjs().isBefore(next_refresh_due)) {
+      console.log(`[refresh] Not due until ${next_refresh_due}.`);
+      return;
+    }
+    const job = startRefresh('cron');
+    if (job.busy) console.log(`[refresh] Due, but job ${job.busy.id} is still running.`);
+    else console.log(`[refresh] Due — started job ${job.id}`);
+  } catch (e) {
+    console.error('[refresh] Check failed:', e);
+  }
+}, { timezone: 'UTC' });
+
+// Webhook retries whose backoff has elapsed
+cron.schedule('* * * * *', () => {
+  deliverPendingWebhooks();
+}, { timezone: 'UTC' });
+
+// Hourly sweep for expired admin adjustments
+cron.schedule('5 * * * *', () => {
+  try {
+    expireOverrides();
+  } catch (e) {
+    console.error('[overrides] Expiry sweep failed:', e);
+  }
+}, { timezone: 'UTC' });
+
+// ---- Backup, restore & config transfer -----------------------
+// Backups are whole-database copies taken with SQLite's online backup API, consistent while the
+// server keeps writing. A restore upgrades the uploaded file to the current schema, then copies its
+// tables into the live database in one transaction, so the connection and prepared statements stay
+// valid. aoc_top20 is kept, so webhooks and feeds report the ranking changes the restore caused.
+// A backup from before user accounts or the AOC registry leaves those tables as they are, and so does
+// an empty users table: restoring must never lock everyone out. Other tables the backup lacks hold
+// rows keyed by wine id and are emptied. Sessions are dropped when the accounts are replaced (user ids
+// may not match). Settings in meta the backup has no value for keep their live value.
+// Config exports carry the ranking settings and the admin overrides only (matched by external_id on
+// import); the refresh config and last_refresh describe one environment and stay put.
+const RESTORE_KEPT_TABLES = new Set(['sessions', 'aoc_top20', 'schema_migrations']);
+const RESTORE_KEPT_IF_MISSING = ['users', 'appellations', 'appellation_aliases', 'appellation_regions'];
+const CONFIG_EXPORT_FORMAT = 'bordeaux-top20-config';
+
+async function backupDatabase() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bordeaux-backup-'));
+  const file = path.join(dir, 'bordeaux.db');
+  await db.backup(file);
+  return file;
+}
+
+// Plain tables of a schema; the FTS index and its shadow tables are rebuilt instead of copied
+function copyableTables(schema) {
+  return db.prepare(`SELECT name FROM ${schema}.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite%' AND name NOT LIKE 'wines_fts%'`)
+    .all().map(t => t.name).filter(n => !RESTORE_KEPT_TABLES.has(n));
+}
+
+// Returns { tables: { name: rows restored }, kept: [live tables left untouched] } or { error } when
+// the file is not a usable backup
+function restoreDatabase(file) {
+  let src;
+  const kept = [];
+  try {
+    src = new Database(file, { fileMustExist: true });
+    if (src.pragma('integrity_check', { simple: true }) !== 'ok') return { error: 'Backup failed the integrity check' };
+    const tables = () => src.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(t => t.name);
+    const original = new Set(tables());
+    if (!original.has('wines')) return { error: 'Not a Bordeaux Top 20 database (no wines table)' };
+    runMigrations(src);
+    kept.push(...RESTORE_KEPT_IF_MISSING.filter(t => !original.has(t)));
+    if (original.has('users')) {
+      if (!src.prepare(`SELECT COUNT(*) AS n FROM users`).get().n) kept.push('users');
+      else if (!src.prepare(`SELECT 1 FROM users WHERE role = 'owner' AND disabled = 0`).get()) return { error: 'Backup has no enabled owner account' };
+    }
+  } catch (err) {
+    return { error: `Not a usable database: ${err.message}` };
+  } finally {
+    if (src) src.close();
+  }
+
+  const counts = {};
+  db.prepare(`ATTACH DATABASE ? AS restored`).run(file);
+  try {
+    const available = new Set(copyableTables('restored'));
+    const columns = (schema, table) => db.prepare(`PRAGMA ${schema}.table_info("${table}")`).all().map(c => c.name);
+    db.transaction(() => {
+      const liveMeta = db.prepare(`SELECT key, value FROM meta`).all();
+      for (const table of copyableTables('main')) {
+        if (kept.includes(table)) continue;
+        db.prepare(`DELETE FROM main."${table}"`).run();
+        if (!available.has(table)) continue;
+        const theirs = new Set(columns('restored', table));
+        const cols = columns('main', table).filter(c => theirs.has(c)).map(c => `"${c}"`).join(', ');
+        counts[table] = db.prepare(`INSERT INTO main."${table}" (${cols}) SELECT ${cols} FROM restored."${table}"`).run().changes;
+      }
+      for (const { key, value } of liveMeta) db.prepare(`INSERT INTO meta(key, value) VALUES (?, ?) ON CONFLICT(key) DO NOTHING`).run(key, value);
+      if (!kept.includes('users')) db.prepare(`DELETE FROM sessions`).run();
+    })();
+  } finally {
+    db.exec(`DETACH DATABASE restored`);
+  }
+
+  // Rebuild what lives outside the tables, and what the app cannot run without
+  ensureOwner();
+  ensureAppellations();
+  backfillWineKeys();
+  canonicalizeWineAocs();
+  SCORE_SOURCES = getScoreSources();
+  ensureSearchIndex(true);
+  failInterruptedRefreshJobs();
+  watchDropFolder();
+  checkTop20Changes('restore');
+  return { tables: counts, kept };
+}
+
+function exportConfig() {
+  const { strategy, prior } = rankingParams();
+  return {
+    format: CONFIG_EXPORT_FORMAT,
+    version: 1,
+    exported_at: dayjs().toISOString(),
+    schema_version: SCHEMA_VERSION,
+    settings: {
+      default_strategy: strategy, prior_weight: prior, price_bands: getPriceBands(), score_sources: SCORE_SOURCES,
+      anomaly_rules: getAnomalyRules(),
+    },
+    overrides: db.prepare(`
+      SELECT w.external_id, w.name, w.aoc, w.vintage, o.adjustment_pct, o.expires_at,
+             (SELECT a.note FROM override_audit a WHERE a.wine_id = o.wine_id ORDER BY a.created_at DESC, a.id DESC LIMIT 1) AS note
+      FROM admin_overrides o JOIN wines w ON w.id = o.wine_id
+      WHERE o.adjustment_pct != 0
+      ORDER BY w.aoc, w.name, w.vintage`).all(),
+  };
+}
+
+// Check a config export against this database without writing. Returns { error } or { plan }:
+// the validated settings, the overrides to apply (unchanged ones flagged), and the entries that
+// match no wine here or cannot apply.
+function planConfigImport(input) {
+  if (!input || input.format !== CONFIG_EXPORT_FORMAT) return { error: `Not a ${CONFIG_EXPORT_FORMAT} file` };
+  if (input.version !== 1) return { error: `Unsupported config version: ${input.version}` };
+  const s = input.settings || {};
+  const settings = {};
+  if (s.default_strategy !== undefined) {
+    if (!RANKING_STRATEGIES[s.default_strategy]) return { error: `settings.default_strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}` };
+    settings.default_strategy = s.default_strategy;
+  }
+  if (s.prior_weight !== undefined) {
+    if (!(Number(s.prior_weight) >= 0)) return { error: 'settings.prior_weight must be a non-negative number' };
+    settings.prior_weight = Number(s.prior_weight);
+  }
+  if (s.price_bands !== undefined) {
+    const { bands, error } = validatePriceBands(s.price_bands);
+    if (error) return { error: `settings.price_bands: ${error}` };
+    settings.price_bands = bands;
+  }
+  if (s.score_sources !== undefined) {
+    const { sources, error } = validateScoreSources(s.score_sources);
+    if (error) return { error: `settings.score_sources: ${error}` };
+    settings.score_sources = sources;
+  }
+  if (s.anomaly_rules !== undefined) {
+    const { rules, error } = validateAnomalyRules(s.anomaly_rules);
+    if (error) return { error: `settings.anomaly_rules: ${error}` };
+    settings.anomaly_rules = rules;
+  }
+  if (input.overrides !== undefined && !Array.isArray(input.overrides)) return { error: 'overrides must be an array' };
+  return { plan: { settings, ...planOverrideRows(input.overrides || []) } };
+}
+
+// Match { external_id, adjustment_pct, expires_at?, note? } rows to wines (merged ids follow their
+// alias). `current` gives a wine's adjustment to compare with; the live one by default.
+// Returns { overrides (unchanged ones flagged), unmatched, skipped }.
+function planOverrideRows(rows, current = wineId => getOverride.get(wineId)) {
+  const overrides = [];
+  const unmatched = [];
+  const skipped = [];
+  for (const o of rows) {
+    const ref = { external_id: o && o.external_id, name: o && o.name, vintage: o && o.vintage };
+    const wine = isBlank(ref.external_id) ? null : getWineByExternalId.get(resolveExternalId(String(ref.external_id).trim()));
+    if (!wine) { unmatched.push(ref); continue; }
+    const { pct, expiresAt, error } = validateOverrideValue(o.adjustment_pct, o.expires_at);
+    if (error) { skipped.push({ ...ref, reason: error }); continue; }
+    const prev = current(wine.id);
+    overrides.push({
+      wine_id: wine.id, external_id: wine.external_id, name: wine.name, vintage: wine.vintage,
+      old_pct: prev ? prev.adjustment_pct : 0, new_pct: pct,
+      old_expires_at: prev ? prev.expires_at : null, new_expires_at: expiresAt,
+      note: isBlank(o.note) ? null : String(o.note),
+      unchanged: Boolean(prev) && prev.adjustment_pct === pct && (prev.expires_at || null) === expiresAt,
+    });
+  }
+  return { overrides, unmatched, skipped };
+}
+
+function applyConfigImport(plan, user) {
+  const { settings } = plan;
+  db.transaction(() => {
+    if (settings.default_strategy !== undefined) setMeta.run('ranking_strategy', settings.default_strategy);
+    if (settings.prior_weight !== undefined) setMeta.run('ranking_prior_weight', String(settings.prior_weight));
+    if (settings.price_bands !== undefined) setMeta.run('price_bands', JSON.stringify(settings.price_bands));
+    if (settings.score_sources !== undefined) setMeta.run('score_sources', JSON.stringify(settings.score_sources));
+    if (settings.anomaly_rules !== undefined) setMeta.run('anomaly_rules', JSON.stringify(settings.anomaly_rules));
+    for (const o of plan.overrides) {
+      if (o.unchanged) continue;
+      setOverride(o.wine_id, o.new_pct, o.new_expires_at, { action: 'import', note: `Imported from config${o.note ? `: ${o.note}` : ''}`, user });
+    }
+  })();
+  SCORE_SOURCES = getScoreSources();
+  checkTop20Changes('config_import');
+}
+
+// ---- Bulk overrides & override sets --------------------------
+// Bulk edits still write one audit row per changed wine (action 'bulk'). An override set is a named
+// list of adjustments kept as a draft until activated; queryWines({ overrideSet }) ranks with it first.
+// Activations stack: only the latest one still in force can be rolled back, which restores exactly
+// what it replaced.
+const getOverrideSet = db.prepare(`SELECT * FROM override_sets WHERE id = ?`);
+const getOverrideSetByName = db.prepare(`SELECT * FROM override_sets WHERE name = ?`);
+const listOverrideSetItems = db.prepare(`
+SELECT i.*, w.external_id, w.name, w.aoc, w.vintage, IFNULL(o.adjustment_pct, 0) AS live_pct
+FROM override_set_items i
+JOIN wines w ON w.id = i.wine_id
+LEFT JOIN admin_overrides o ON o.wine_id = i.wine_id
+WHERE i.set_id = ? ORDER BY w.aoc, w.name, w.vintage`);
+const getOverrideSetItem = db.prepare(`SELECT * FROM override_set_items WHERE set_id = ? AND wine_id = ?`);
+const upsertOverrideSetItem = db.prepare(`
+INSERT INTO override_set_items (set_id, wine_id, adjustment_pct, expires_at) VALUES (?, ?, ?, ?)
+ON CONFLICT(set_id, wine_id) DO UPDATE SET adjustment_pct=excluded.adjustment_pct, expires_at=excluded.expires_at`);
+const deleteOverrideSetItem = db.prepare(`DELETE FROM override_set_items WHERE set_id = ? AND wine_id = ?`);
+const touchOverrideSet = db.prepare(`UPDATE override_sets SET updated_at = ? WHERE id = ?`);
+const getLatestSetActivation = db.prepare(`SELECT * FROM override_set_activations WHERE rolled_back_at IS NULL ORDER BY id DESC LIMIT 1`);
+
+// changes: [{ wine_id, new_pct, new_expires_at, note? }]. No-ops are skipped; returns the wine ids changed.
+function applyOverrideChanges(changes, { action, note, user }) {
+  return db.transaction(() => {
+    const changed = [];
+    for (const c of changes) {
+      const prev = getOverride.get(c.wine_id);
+      if ((prev ? prev.adjustment_pct : 0) === c.new_pct && (prev ? prev.expires_at : null) === c.new_expires_at) continue;
+      setOverride(c.wine_id, c.new_pct, c.new_expires_at, { action, note: c.note || note, user });
+      changed.push(c.wine_id);
+    }
+    return changed;
+  })();
+}
+
+// Every non-zero adjustment of an AOC back to 0
+function resetAocOverrides(aoc, { note, user }) {
+  const rows = db.prepare(`
+    SELECT o.wine_id FROM admin_overrides o JOIN wines w ON w.id = o.wine_id
+    WHERE w.aoc = ? AND o.adjustment_pct != 0`).all(aoc);
+  return applyOverrideChanges(rows.map(r => ({ wine_id: r.wine_id, new_pct: 0, new_expires_at: null })), { action: 'bulk', note, user });
+}
+
+// CSV with external_id and adjustment_pct columns (expires_at and note optional), comma or
+// semicolon separated; with semicolons a decimal comma is accepted ("2,5").
+function parseOverrideCsv(buffer) {
+  const text = new TextDecoder('utf-8').decode(buffer);
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = header.includes(';') && !header.includes(',') ? ';' : ',';
+  const rows = parseCsv(text, { columns: h => h.map(c => c.trim().toLowerCase()), skip_empty_lines: true, trim: true, relax_column_count: true, delimiter });
+  const columns = header.split(delimiter).map(c => c.trim().toLowerCase());
+  for (const c of ['external_id', 'adjustment_pct']) {
+    if (!columns.includes(c)) throw new Error(`Missing column "${c}"`);
+  }
+  return rows.map(r => ({ ...r, adjustment_pct: delimiter === ';' ? String(r.adjustment_pct).replace(',', '.') : r.adjustment_pct }));
+}
+
+// 'active' = its activation is the latest one in force; 'superseded' = in force, with a later set on top
+function overrideSetStatus(setId, latest = getLatestSetActivation.get()) {
+  if (latest && latest.set_id === setId) return 'active';
+  const inForce = db.prepare(`SELECT 1 FROM override_set_activations WHERE set_id = ? AND rolled_back_at IS NULL`).get(setId);
+  return inForce ? 'superseded' : 'draft';
+}
+
+function listOverrideSets() {
+  const latest = getLatestSetActivation.get();
+  return db.prepare(`
+    SELECT s.*, (SELECT COUNT(*) FROM override_set_items i WHERE i.set_id = s.id) AS items,
+           (SELECT MAX(activated_at) FROM override_set_activations a WHERE a.set_id = s.id) AS last_activated_at
+    FROM override_sets s ORDER BY s.updated_at DESC, s.id DESC`).all()
+    .map(s => ({ ...s, replace_all: Boolean(s.replace_all), status: overrideSetStatus(s.id, latest) }));
+}
+
+function overrideSetDetail(id) {
+  const s = getOverrideSet.get(id);
+  if (!s) return null;
+  return {
+    ...s,
+    replace_all: Boolean(s.replace_all),
+    status: overrideSetStatus(s.id),
+    items: listOverrideSetItems.all(s.id),
+    activations: db.prepare(`
+      SELECT id, note, user, activated_at, rolled_back_at, rolled_back_by, json_array_length(previous) AS changed
+      FROM override_set_activations WHERE set_id = ? ORDER BY id DESC`).all(s.id),
+  };
+}
+
+// Returns { fields } for an insert/update (partial when `existing` is given) or { error }
+function validateOverrideSet(input, existing = null) {
+  if (!input || typeof input !== 'object') return { error: 'body must be an object' };
+  const fields = {};
+  if (input.name !== undefined || !existing) {
+    if (isBlank(input.name)) return { error: 'name required' };
+    fields.name = String(input.name).trim();
+    const clash = getOverrideSetByName.get(fields.name);
+    if (clash && (!existing || clash.id !== existing.id)) return { error: `An override set named "${fields.name}" already exists` };
+  }
+  if (input.description !== undefined) fields.description = isBlank(input.description) ? null : String(input.description).trim();
+  if (input.replace_all !== undefined) fields.replace_all = input.replace_all ? 1 : 0;
+  return { fields };
+}
+
+// New draft, optionally seeded with the live adjustments so it starts from the current state
+function createOverrideSet(fields, { fromLive, user }) {
+  return db.transaction(() => {
+    const now = dayjs().toISOString();
+    const id = Number(db.prepare(`
+      INSERT INTO override_sets (name, description, replace_all, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(fields.name, fields.description || null, fields.replace_all || 0, user, now, now).lastInsertRowid);
+    if (fromLive) {
+      db.prepare(`
+        INSERT INTO override_set_items (set_id, wine_id, adjustment_pct, expires_at)
+        SELECT ?, wine_id, adjustment_pct, expires_at FROM admin_overrides
+        WHERE adjustment_pct != 0 AND (expires_at IS NULL OR expires_at > ?)`).run(id, now);
+    }
+    return id;
+  })();
+}
+
+// items: [{ wine_id, adjustment_pct (null removes the wine), expires_at? }]; all or nothing.
+// Returns { changed } or { error }.
+function updateOverrideSetItems(set, items) {
+  if (!Array.isArray(items) || !items.length) return { error: 'items must be a non-empty array' };
+  const rows = [];
+  for (const item of items) {
+    const wine = item && getWineById.get(item.wine_id);
+    if (!wine) return { error: `Wine not found: ${item && item.wine_id}` };
+    if (item.adjustment_pct === null) { rows.push({ wine_id: wine.id, remove: true }); continue; }
+    const { pct, expiresAt, error } = validateOverrideValue(item.adjustment_pct, item.expires_at);
+    if (error) return { error: `Wine ${wine.id}: ${error}` };
+    rows.push({ wine_id: wine.id, pct, expiresAt });
+  }
+  db.transaction(() => {
+    for (const r of rows) {
+      if (r.remove) deleteOverrideSetItem.run(set.id, r.wine_id);
+      else upsertOverrideSetItem.run(set.id, r.wine_id, r.pct, r.expiresAt);
+    }
+    touchOverrideSet.run(dayjs().toISOString(), set.id);
+  })();
+  return { changed: rows.length };
+}
+
+// Make the set's adjustments live in one transaction. Items whose expiry has passed apply as 0, as
+// in the preview; with replace_all every adjustment outside the set is reset too.
+function activateOverrideSet(set, { note, user }) {
+  const result = db.transaction(() => {
+    const now = dayjs().toISOString();
+    const items = db.prepare(`SELECT * FROM override_set_items WHERE set_id = ?`).all(set.id);
+    const expired = items.filter(i => i.expires_at && i.expires_at <= now);
+    const changes = items.map(i => (i.expires_at && i.expires_at <= now
+      ? { wine_id: i.wine_id, new_pct: 0, new_expires_at: null }
+      : { wine_id: i.wine_id, new_pct: i.adjustment_pct, new_expires_at: i.expires_at }));
+    if (set.replace_all) {
+      const inSet = new Set(items.map(i => i.wine_id));
+      for (const o of db.prepare(`SELECT wine_id FROM admin_overrides WHERE adjustment_pct != 0`).all()) {
+        if (!inSet.has(o.wine_id)) changes.push({ wine_id: o.wine_id, new_pct: 0, new_expires_at: null });
+      }
+    }
+    const before = new Map(changes.map(c => [c.wine_id, getOverride.get(c.wine_id)]));
+    const changed = applyOverrideChanges(changes, { action: 'activate', note: `Override set "${set.name}": ${note}`, user });
+    const previous = changed.map(id => {
+      const o = before.get(id);
+      return { wine_id: id, adjustment_pct: o ? o.adjustment_pct : 0, expires_at: o ? o.expires_at : null };
+    });
+    const activationId = Number(db.prepare(`
+      INSERT INTO override_set_activations (set_id, previous, note, user, activated_at) VALUES (?, ?, ?, ?, ?)`)
+      .run(set.id, JSON.stringify(previous), note, user, now).lastInsertRowid);
+    return { activation_id: activationId, changed: changed.length, expired: expired.length };
+  })();
+  checkTop20Changes('override_set');
+  return result;
+}
+
+// Undo an activation: every wine it changed gets its previous adjustment back (lapsing to 0 if that
+// has expired since). Wines merged away in the meantime are skipped.
+function rollbackOverrideSet(activation, set, { note, user }) {
+  const result = db.transaction(() => {
+    const now = dayjs().toISOString();
+    const changes = JSON.parse(activation.previous)
+      .filter(p => getWineById.get(p.wine_id))
+      .map(p => (p.expires_at && p.expires_at <= now
+        ? { wine_id: p.wine_id, new_pct: 0, new_expires_at: null }
+        : { wine_id: p.wine_id, new_pct: p.adjustment_pct, new_expires_at: p.expires_at }));
+    const changed = applyOverrideChanges(changes, { action: 'rollback', note: `Override set "${set.name}" rolled back: ${note}`, user });
+    db.prepare(`UPDATE override_set_activations SET rolled_back_at = ?, rolled_back_by = ? WHERE id = ?`).run(now, user, activation.id);
+    return { changed: changed.length };
+  })();
+  checkTop20Changes('override_set_rollback');
+  return result;
+}
+
+// ---- Wine queries ------------------------------------------
+// Ranked wines matching the /api/wines filters. By default, returns top 20 for the provided AOC or region (if any)
+// q is a full-text search (accent-insensitive, prefix and typo tolerant); results then come in relevance order.
+// Each row carries aoc_rank (live), prev_rank (rank after the previous import/refresh run),
+// rank_delta (positive = moved up) and trend (last vivino_rating snapshots, oldest first).
+// group=wine collapses vintages to one row per wine_key (pick=best|latest) with the
+// matching vintages listed in `vintages`.
+// color, style, classification (family or rank id) and grape filter on the wine attributes; aoc_rank
+// stays the rank among all wines of the AOC.
+// top=N keeps wines ranked N or better within their AOC (no limit); withTotal also counts all matches.
+// overrideSet ranks with that override set's adjustments; prev_rank is then the live rank.
+// Returns { rows, ranking, total, limit, offset } or { error, param }.
+function queryWines(query, { top, withTotal, overrideSet } = {}) {
+  const { aoc, region, bank, q, minRating, maxRating, limit, offset, all, strategy, prior, vintageFrom, vintageTo, group, pick,
+    minPrice, maxPrice, priceBand, color, style, classification, grape } = query;
+  if (strategy && !RANKING_STRATEGIES[strategy]) return { param: 'strategy', error: `strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}` };
+  if (prior !== undefined && !(Number(prior) >= 0)) return { param: 'prior', error: 'prior must be a non-negative number' };
+  for (const [k, v] of [['vintageFrom', vintageFrom], ['vintageTo', vintageTo]]) {
+    if (v !== undefined && v !== '' && !Number.isInteger(Number(v))) return { param: k, error: `${k} must be a year` };
+  }
+  for (const [k, v] of [['minRating', minRating], ['maxRating', maxRating], ['minPrice', minPrice], ['maxPrice', maxPrice]]) {
+    if (v !== undefined && v !== '' && !(Number(v) >= 0)) return { param: k, error: `${k} must be a non-negative number` };
+  }
+  for (const [k, v] of [['limit', limit], ['offset', offset]]) {
+    if (v !== undefined && v !== '' && !(Number.isInteger(Number(v)) && Number(v) >= (k === 'limit' ? 1 : 0))) {
+      return { param: k, error: `${k} must be a ${k === 'limit' ? 'positive' : 'non-negative'} integer` };
+    }
+  }
+  const bands = getPriceBands();
+  const band = priceBand ? bands.find(b => b.id === priceBand) : null;
+  if (priceBand && !band) return { param: 'priceBand', error: `priceBand must be one of ${bands.map(b => b.id).join(', ')}` };
+  if (color && !WINE_COLORS.some(c => c.id === color)) return { param: 'color', error: `color must be one of ${WINE_COLORS.map(c => c.id).join(', ')}` };
+  if (style && !WINE_STYLES.some(s => s.id === style)) return { param: 'style', error: `style must be one of ${WINE_STYLES.map(s => s.id).join(', ')}` };
+  const classes = classification ? classificationIds(classification) : null;
+  if (classification && !classes) return { param: 'classification', error: 'classification must be a classification family or rank id (see /api/wines/facets)' };
+  if (group && group !== 'wine') return { param: 'group', error: 'group must be "wine"' };
+  if (pick && !['best', 'latest'].includes(pick)) return { param: 'pick', error: 'pick must be "best" or "latest"' };
+  const ranking = rankingParams(strategy, prior !== undefined ? Number(prior) : null);
+  const order = `adjusted_rating DESC, rating_count DESC, price ASC NULLS LAST`;
+  const match = q ? searchMatchExpr(q) : null;
+  const binds = overrideSet ? { ...ranking, override_set: overrideSet } : ranking;
+
+  // Previous run = second most recent snapshot timestamp
+  let sql = `
+    WITH prev AS (${overrideSet ? `
+      SELECT id AS wine_id, aoc_rank, price FROM (${RANKED_WINES_SQL})` : `
+      SELECT s.wine_id, s.aoc_rank, s.price FROM wine_snapshots s
+      WHERE s.captured_at = (SELECT captured_at FROM wine_snapshots GROUP BY captured_at ORDER BY captured_at DESC LIMIT 1 OFFSET 1)`}
+    ),
+    filtered AS (
+      SELECT r.*, p.aoc_rank AS prev_rank, (p.aoc_rank - r.aoc_rank) AS rank_delta, p.price AS prev_price,
+             ${match ? 'fts.search_rank' : 'NULL'} AS search_rank,
+             (SELECT group_concat(vivino_rating) FROM (
+                SELECT s.vivino_rating FROM wine_snapshots s WHERE s.wine_id = r.id ORDER BY s.captured_at DESC LIMIT 12
+             )) AS trend
+      FROM (${rankedWinesSql({ overrideSet: Boolean(overrideSet) })}) r
+      LEFT JOIN prev p ON p.wine_id = r.id
+      ${match ? `JOIN (SELECT rowid AS wine_id, bm25(wines_fts, 10.0, 4.0, 2.0, 1.0) AS search_rank
+                       FROM wines_fts WHERE wines_fts MATCH ?) fts ON fts.wine_id = r.id` : ''}
+      WHERE 1 = 1
+  `;
+  const params = match ? [match] : [];
+  if (aoc) { sql += ` AND r.aoc = ?`; params.push(aoc); }
+  if (region) { sql += ` AND r.aoc IN (SELECT a.name FROM appellations a JOIN appellation_regions g ON g.id = a.region_id WHERE g.name = ?)`; params.push(region); }
+  if (bank) { sql += ` AND r.aoc IN (SELECT a.name FROM appellations a JOIN appellation_regions g ON g.id = a.region_id WHERE g.bank = ?)`; params.push(bank); }
+  if (minRating) { sql += ` AND r.adjusted_rating >= ?`; params.push(Number(minRating)); }
+  if (maxRating) { sql += ` AND r.adjusted_rating <= ?`; params.push(Number(maxRating)); }
+  if (vintageFrom) { sql += ` AND r.vintage >= ?`; params.push(Number(vintageFrom)); }
+  if (vintageTo) { sql += ` AND r.vintage <= ?`; params.push(Number(vintageTo)); }
+  if (top) { sql += ` AND r.aoc_rank <= ?`; params.push(top); }
+  if (minPrice) { sql += ` AND r.price >= ?`; params.push(Number(minPrice)); }
+  if (maxPrice) { sql += ` AND r.price <= ?`; params.push(Number(maxPrice)); }
+  if (band && band.min !== null) { sql += ` AND r.price >= ?`; params.push(band.min); }
+  if (band && band.max !== null) { sql += ` AND r.price < ?`; params.push(band.max); }
+  if (color) { sql += ` AND r.color = ?`; params.push(color); }
+  if (style) { sql += ` AND r.style = ?`; params.push(style); }
+  if (classes) { sql += ` AND r.classification IN (${classes.map(() => '?').join(', ')})`; params.push(...classes); }
+  if (grape) { sql += ` AND EXISTS (SELECT 1 FROM json_each(r.grapes) g WHERE json_extract(g.value, '$.grape') = ?)`; params.push(canonicalGrape(grape)); }
+  sql += `)`;
+
+  if (group === 'wine') {
+    const pickOrder = pick === 'latest' ? `vintage DESC NULLS LAST, ${order}` : order;
+    sql += `,
+    picked AS (
+      SELECT f.*, ROW_NUMBER() OVER (PARTITION BY f.wine_key ORDER BY ${pickOrder}) AS vintage_pick,
+             COUNT(*) OVER (PARTITION BY f.wine_key) AS vintage_count
+      FROM filtered f
+    ),
+    vintages AS (
+      SELECT wine_key, json_group_array(json_object(
+               'id', id, 'external_id', external_id, 'vintage', vintage, 'vivino_rating', vivino_rating,
+               'rating_count', rating_count, 'price', price, 'adjustment_pct', adjustment_pct,
+               'adjusted_rating', adjusted_rating, 'aoc_rank', aoc_rank)) AS vintages
+      FROM (SELECT * FROM filtered ORDER BY vintage DESC)
+      GROUP BY wine_key
+    )
+    SELECT p.*, v.vintages FROM picked p JOIN vintages v ON v.wine_key = p.wine_key
+    WHERE p.vintage_pick = 1`;
+  } else {
+    sql += ` SELECT * FROM filtered`;
+  }
+
+  const total = withTotal ? db.prepare(`SELECT COUNT(*) AS n FROM (${sql})`).get(binds, ...params).n : undefined;
+  // bm25: lower is more relevant
+  sql += ` ORDER BY ${match ? `search_rank ASC, ${order}` : order}`;
+  const lim = all || top ? null : Number(limit || (aoc || region || bank ? 20 : 100));
+  const off = Number(offset || 0);
+  if (lim) { sql += ` LIMIT ? OFFSET ?`; params.push(lim, off); }
+
+  const rows = db.prepare(sql).all(binds, ...params);
+  return {
+    ranking,
+    total,
+    limit: lim,
+    offset: lim ? off : 0,
+    rows: rows.map(r => ({
+      ...r,
+      trend: r.trend ? r.trend.split(',').map(Number).reverse() : [],
+      price_band: priceBandOf(r.price, bands),
+      value_index: valueIndex(r),
+      scores: scoreDetails(r.scores),
+      grapes: grapeBlend(r.grapes),
+      price_change_pct: r.price != null && r.prev_price > 0 ? ((r.price - r.prev_price) / r.prev_price) * 100 : null,
+      ...(r.vintages !== undefined ? { vintages: JSON.parse(r.vintages) } : {}),
+    })),
+  };
+}
+
+// Price points of one wine, keeping only runs where the price changed (oldest first)
+function pricePoints(wineId) {
+  const out = [];
+  for (const s of getWineHistory.all(wineId)) {
+    if (s.price == null) continue;
+    const last = out[out.length - 1];
+    if (last && last.price === s.price) continue;
+    out.push({ captured_at: s.captured_at, source: s.source, price: s.price, change_pct: last ? ((s.price - last.price) / last.price) * 100 : null });
+  }
+  return out;
+}
+
+// Everything the /wines/:id page shows: the ranked row with its place in the AOC and per-source scores, the other
+// vintages (same wine_key), rating/price history and the live adjustment with the note that set it.
+// Returns null when the wine does not exist.
+function wineDetail(id, strategy) {
+  const ranking = rankingParams(strategy);
+  const wine = getRankedWineById.get(ranking, id);
+  if (!wine) return null;
+  const others = db.prepare(`
+    SELECT id, external_id, vintage, vivino_rating, rating_count, price, adjustment_pct, adjusted_rating, aoc_rank
+    FROM (${RANKED_WINES_SQL}) WHERE wine_key = ? AND id != ? ORDER BY vintage DESC NULLS LAST`).all(ranking, wine.wine_key, wine.id);
+  const override = wine.adjustment_pct ? getOverride.get(wine.id) : null;
+  const scores = scoreDetails(wine.scores);
+  for (const s of getWineScores.all(wine.id)) {
+    if (scores[s.source]) Object.assign(scores[s.source], { note: s.note, updated_at: s.updated_at });
+  }
+  const lastSet = override
+    ? db.prepare(`SELECT note, created_at FROM override_audit WHERE wine_id = ? ORDER BY created_at DESC, id DESC LIMIT 1`).get(wine.id)
+    : null;
+  return {
+    ...wine,
+    ranking,
+    aoc_size: db.prepare(`SELECT COUNT(*) AS n FROM wines WHERE aoc = ? AND retired_at IS NULL`).get(wine.aoc).n,
+    price_band: priceBandOf(wine.price, getPriceBands()),
+    value_index: valueIndex(wine),
+    scores,
+    grapes: grapeBlend(wine.grapes),
+    other_vintages: others,
+    history: getWineHistory.all(wine.id),
+    prices: pricePoints(wine.id),
+    override: override ? {
+      adjustment_pct: override.adjustment_pct,
+      expires_at: override.expires_at,
+      updated_at: override.updated_at,
+      note: lastSet ? lastSet.note : null,
+      noted_at: lastSet ? lastSet.created_at : null,
+    } : null,
+  };
+}
+
+// ---- Statistics ----------------------------------------------
+// Distribution figures per AOC and overall under one ranking strategy, to see how well each
+// appellation is covered and whether admin adjustments are skewing it. Rating histograms share
+// fixed bins on the 0–5 scale so blended and adjusted ratings (and AOCs) compare bin for bin.
+const STATS_RATING_BINS = [3, 3.25, 3.5, 3.75, 4, 4.25, 4.5, 4.75];
+
+function round3(x) {
+  return x == null ? null : Math.round(x * 1000) / 1000;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+// values sorted ascending; linear interpolation between the closest ranks
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// { n, mean, median, min, max } plus a histogram when bins (ascending inner edges) are given;
+// the first and last bins are open-ended (from/to null)
+function distribution(values, bins) {
+  const sorted = values.filter(v => v != null).sort((a, b) => a - b);
+  const d = {
+    n: sorted.length,
+    mean: round3(mean(sorted)),
+    median: round3(quantile(sorted, 0.5)),
+    min: sorted.length ? sorted[0] : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+  };
+  if (bins) {
+    const edges = [null, ...bins, null];
+    d.histogram = edges.slice(0, -1).map((from, i) => ({
+      from,
+      to: edges[i + 1],
+      n: sorted.filter(v => (from === null || v >= from) && (edges[i + 1] === null || v < edges[i + 1])).length,
+    }));
+  }
+  return d;
+}
+
+// rows: RANKED_WINES_SQL rows of one group
+function groupStats(rows) {
+  const adjusted = rows.filter(r => r.adjustment_pct);
+  const prices = rows.map(r => r.price).filter(p => p != null).sort((a, b) => a - b);
+  const vintages = rows.map(r => r.vintage).filter(v => v != null);
+  const scored = rows.filter(r => r.base_score != null && r.adjusted_rating != null);
+  return {
+    wines: rows.length,
+    rating: distribution(rows.map(r => r.blended_rating), STATS_RATING_BINS),
+    adjusted_rating: distribution(rows.map(r => r.adjusted_rating), STATS_RATING_BINS),
+    price: {
+      n: prices.length,
+      mean: round3(mean(prices)),
+      min: prices.length ? prices[0] : null,
+      p10: round3(quantile(prices, 0.1)),
+      p25: round3(quantile(prices, 0.25)),
+      median: round3(quantile(prices, 0.5)),
+      p75: round3(quantile(prices, 0.75)),
+      p90: round3(quantile(prices, 0.9)),
+      max: prices.length ? prices[prices.length - 1] : null,
+    },
+    vintage: { ...distribution(vintages), distinct: new Set(vintages).size },
+    reviews: { total: rows.reduce((s, r) => s + (r.rating_count || 0), 0), median: quantile(rows.map(r => r.rating_count || 0).sort((a, b) => a - b), 0.5) },
+    overrides: {
+      wines: adjusted.length,
+      share: rows.length ? round3(adjusted.length / rows.length) : null,
+      positive: adjusted.filter(r => r.adjustment_pct > 0).length,
+      negative: adjusted.filter(r => r.adjustment_pct < 0).length,
+      mean_pct: round3(mean(adjusted.map(r => r.adjustment_pct))), // among adjusted wines
+      mean_pct_all: round3(mean(rows.map(r => r.adjustment_pct || 0))),
+      // What the adjustments add to the group's mean final score, in score points
+      mean_effect: round3(mean(scored.map(r => r.adjusted_rating - r.base_score))),
+    },
+    coverage: {
+      fills_top: rows.length >= TOP_N,
+      with_price: prices.length,
+      with_other_scores: rows.filter(r => r.scores).length,
+    },
+  };
+}
+
+// Returns { ranking, scope, generated_at, overall, aocs (most wines first), empty_appellations }
+function wineStats({ strategy, aoc, region } = {}) {
+  const ranking = rankingParams(strategy);
+  let sql = `
+    SELECT r.id, r.aoc, r.vintage, r.price, r.rating_count, r.scores, r.blended_rating, r.base_score,
+           r.adjusted_rating, r.adjustment_pct, g.name AS region
+    FROM (${RANKED_WINES_SQL}) r
+    LEFT JOIN appellations a ON a.name = r.aoc
+    LEFT JOIN appellation_regions g ON g.id = a.region_id
+    WHERE 1 = 1`;
+  const params = [];
+  if (aoc) { sql += ` AND r.aoc = ?`; params.push(aoc); }
+  if (region) { sql += ` AND g.name = ?`; params.push(region); }
+  const rows = db.prepare(sql).all(ranking, ...params);
+
+  const byAoc = new Map();
+  for (const r of rows) {
+    if (!byAoc.has(r.aoc)) byAoc.set(r.aoc, []);
+    byAoc.get(r.aoc).push(r);
+  }
+  // Registry appellations in scope we hold no wine for at all
+  const empty = aoc ? [] : db.prepare(`
+    SELECT a.name, g.name AS region FROM appellations a LEFT JOIN appellation_regions g ON g.id = a.region_id
+    WHERE NOT EXISTS (SELECT 1 FROM wines w WHERE w.aoc = a.name AND w.retired_at IS NULL) ${region ? 'AND g.name = ?' : ''}
+    ORDER BY g.sort_order, a.name`).all(...(region ? [region] : []));
+  return {
+    ranking,
+    scope: { aoc: aoc || null, region: region || null },
+    generated_at: dayjs().toISOString(),
+    overall: { aocs: byAoc.size, ...groupStats(rows) },
+    aocs: [...byAoc].map(([name, list]) => ({ aoc: name, region: list[0].region, ...groupStats(list) }))
+      .sort((a, b) => b.wines - a.wines || a.aoc.localeCompare(b.aoc)),
+    empty_appellations: empty,
+  };
+}
+
+// ---- Public API v1 -------------------------------------------
+// Stable contract for partner sites: strict query validation, explicit response fields,
+// pagination metadata. Query schemas double as the OpenAPI parameter list.
+const V1_PAGE_PARAMS = {
+  limit: { type: 'integer', minimum: 1, maximum: 200, default: 20, description: 'Page size' },
+  offset: { type: 'integer', minimum: 0, default: 0, description: 'Rows to skip' },
+};
+const V1_WINE_PARAMS = {
+  aoc: { type: 'string', description: 'Exact AOC name (see /aocs)' },
+  region: { type: 'string', description: 'Sub-region, e.g. Médoc' },
+  bank: { type: 'string', enum: ['left', 'right'], description: 'Bank of the sub-region: left (Médoc, Graves-Sauternais) or right (Libournais, Côtes de Bordeaux)' },
+  q: { type: 'string', description: 'Full-text search over wine, winery, AOC and region (accent-insensitive, prefix and typo tolerant); sorts by relevance' },
+  minRating: { type: 'number', minimum: 0, maximum: 5, description: 'Minimum final score' },
+  maxRating: { type: 'number', minimum: 0, maximum: 5, description: 'Maximum final score' },
+  vintageFrom: { type: 'integer', minimum: 1800, maximum: 2100, description: 'Oldest vintage' },
+  vintageTo: { type: 'integer', minimum: 1800, maximum: 2100, description: 'Newest vintage' },
+  minPrice: { type: 'number', minimum: 0, description: 'Minimum price (EUR)' },
+  maxPrice: { type: 'number', minimum: 0, description: 'Maximum price (EUR)' },
+  priceBand: { type: 'string', description: 'Price band id (see /price-bands on the unversioned API)' },
+  color: { type: 'string', enum: WINE_COLORS.map(c => c.id), description: 'Wine colour' },
+  style: { type: 'string', enum: WINE_STYLES.map(s => s.id), description: 'dry, sweet (liquoreux/moelleux) or sparkling' },
+  classification: {
+    type: 'string',
+    enum: WINE_CLASSIFICATIONS.flatMap(f => [f.id, ...f.ranks.map(r => r.id)]),
+    description: 'Classification family (all its ranks, e.g. cru-bourgeois) or exact rank (e.g. medoc-1855-2)',
+  },
+  grape: { type: 'string', description: 'Grape variety in the blend, e.g. Merlot' },
+  facets: { type: 'boolean', default: false, description: 'Add value counts for color, style, classification and grape' },
+  strategy: { type: 'string', enum: Object.keys(RANKING_STRATEGIES), description: 'Ranking strategy; defaults to the configured one' },
+  prior: { type: 'number', minimum: 0, description: 'Bayesian prior weight override' },
+  group: { type: 'string', enum: ['wine'], description: 'Collapse vintages to one row per wine' },
+  pick: { type: 'string', enum: ['best', 'latest'], description: 'Vintage kept when grouping (default best)' },
+  ...V1_PAGE_PARAMS,
+};
+const V1_AOC_PARAMS = {
+  region: { type: 'string', description: 'Only AOCs of this sub-region' },
+  all: { type: 'boolean', default: false, description: 'Include AOCs without wines' },
+};
+const V1_VINTAGE_PARAMS = {
+  aoc: { type: 'string', description: 'Only vintages of this AOC' },
+};
+
+// Coerce and check a query string against a schema. Unknown or repeated params are errors, except
+// lang, which only picks the language of error messages (see Localization).
+function validateQuery(query, schema) {
+  const values = {};
+  const details = [];
+  for (const [param, raw] of Object.entries(query)) {
+    if (param === 'lang') continue;
+    const spec = schema[param];
+    if (!spec) { details.push({ param, message: 'unknown parameter' }); continue; }
+    if (Array.isArray(raw) || typeof raw !== 'string') { details.push({ param, message: 'must be given once' }); continue; }
+    if (raw === '') continue;
+    let v = raw;
+    if (spec.type === 'integer') {
+      if (!/^-?\d+$/.test(raw)) { details.push({ param, message: 'must be an integer' }); continue; }
+      v = Number(raw);
+    } else if (spec.type === 'number') {
+      v = Number(raw);
+      if (!Number.isFinite(v)) { details.push({ param, message: 'must be a number' }); continue; }
+    } else if (spec.type === 'boolean') {
+      if (!['true', 'false', '1', '0'].includes(raw)) { details.push({ param, message: 'must be true or false' }); continue; }
+      v = raw === 'true' || raw === '1';
+    }
+    if (spec.enum && !spec.enum.includes(v)) { details.push({ param, message: `must be one of ${spec.enum.join(', ')}` }); continue; }
+    if (spec.minimum !== undefined && v < spec.minimum) { details.push({ param, message: `must be >= ${spec.minimum}` }); continue; }
+    if (spec.maximum !== undefined && v > spec.maximum) { details.push({ param, message: `must be <= ${spec.maximum}` }); continue; }
+    values[param] = v;
+  }
+  for (const [param, spec] of Object.entries(schema)) {
+    if (values[param] === undefined && spec.default !== undefined) values[param] = spec.default;
+  }
+  return { values, details };
+}
+
+function v1BadRequest(res, details) {
+  return res.status(400).json({ error: 'Invalid query parameters', details });
+}
+
+const V1_WINE_FIELDS = ['id', 'external_id', 'wine_key', 'name', 'winery', 'aoc', 'vintage', 'color', 'style', 'classification', 'grapes',
+  'vivino_rating', 'rating_count',
+  'scores', 'blended_rating', 'price', 'price_band', 'value_index', 'price_change_pct', 'base_score', 'adjustment_pct', 'adjusted_rating',
+  'aoc_rank', 'prev_rank', 'rank_delta', 'trend', 'last_source_update'];
+
+function v1Wine(r) {
+  const out = {};
+  for (const k of V1_WINE_FIELDS) out[k] = r[k] ?? null;
+  if (r.vintages) out.vintages = r.vintages;
+  return out;
+}
+
+function openApiParams(schema) {
+  return Object.entries(schema).map(([name, { description, ...s }]) => ({
+    name, in: 'query', required: false, description, schema: s,
+  }));
+}
+
+// OpenAPI 3 description of /api/v1, served at /api/v1/openapi.json
+function openApiSpec() {
+  const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+  const error = {
+    description: 'Invalid query parameters',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+  };
+  const page = (itemRef, extra = {}) => ({
+    type: 'object',
+    required: ['items', 'total'],
+    properties: { items: { type: 'array', items: { $ref: itemRef } }, total: { type: 'integer' }, ...extra },
+  });
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Bordeaux AOC Top 20 API',
+      version: '1.0.0',
+      description: 'Read-only ranking data. Unknown query parameters are rejected; fields are only ever added within v1. '
+        + 'Error messages are in English unless ?lang= or Accept-Language asks for another language (fr).',
+    },
+    servers: [{ url: '/api/v1' }],
+    paths: {
+      '/wines': {
+        get: {
+          summary: 'Ranked wines',
+          description: 'Wines ordered by final score. Without aoc/region/bank the ranking is global.',
+          parameters: openApiParams(V1_WINE_PARAMS),
+          responses: {
+            200: { description: 'One page of wines', content: { 'application/json': { schema: { $ref: '#/components/schemas/WinePage' } } } },
+            400: error,
+          },
+        },
+      },
+      '/aocs': {
+        get: {
+          summary: 'AOCs with wine counts',
+          parameters: openApiParams(V1_AOC_PARAMS),
+          responses: {
+            200: { description: 'AOCs in registry order', content: { 'application/json': { schema: page('#/components/schemas/Aoc') } } },
+            400: error,
+          },
+        },
+      },
+      '/vintages': {
+        get: {
+          summary: 'Vintages with wine counts, newest first',
+          parameters: openApiParams(V1_VINTAGE_PARAMS),
+          responses: {
+            200: { description: 'Vintages', content: { 'application/json': { schema: page('#/components/schemas/Vintage') } } },
+            400: error,
+          },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            details: { type: 'array', items: { type: 'object', properties: { param: { type: 'string' }, message: { type: 'string' } } } },
+          },
+        },
+        Wine: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            external_id: { type: 'string' },
+            wine_key: { type: 'string', description: 'Identity shared by all vintages of a wine' },
+            name: { type: 'string' },
+            winery: nullable('string'),
+            aoc: { type: 'string' },
+            vintage: nullable('integer'),
+            color: nullable('string', { enum: WINE_COLORS.map(c => c.id) }),
+            style: nullable('string', { enum: WINE_STYLES.map(s => s.id) }),
+            classification: nullable('string', { description: 'Classification rank id' }),
+            grapes: {
+              type: 'array',
+              nullable: true,
+              description: 'Grape blend, largest share first',
+              items: { type: 'object', properties: { grape: { type: 'string' }, pct: nullable('number') } },
+            },
+            vivino_rating: { type: 'number' },
+            rating_count: { type: 'integer' },
+            scores: {
+              type: 'object',
+              description: 'Scores from other sources by source id, on their own scale and normalized to 0–5',
+              additionalProperties: {
+                type: 'object',
+                properties: { score: { type: 'number' }, normalized: { type: 'number' } },
+              },
+            },
+            blended_rating: nullable('number', { description: 'Weighted mean of the normalized source scores (0–5)' }),
+            price: nullable('number'),
+            price_band: nullable('string'),
+            value_index: nullable('number', { description: 'Quality/price index, 100 = AOC average' }),
+            price_change_pct: nullable('number', { description: 'Price change since the previous data run' }),
+            base_score: { type: 'number', description: 'Strategy score before the admin adjustment' },
+            adjustment_pct: { type: 'number' },
+            adjusted_rating: { type: 'number', description: 'Final score' },
+            aoc_rank: { type: 'integer' },
+            prev_rank: nullable('integer'),
+            rank_delta: nullable('integer', { description: 'Positive = moved up since the previous run' }),
+            trend: { type: 'array', items: { type: 'number' }, description: 'Recent Vivino ratings, oldest first' },
+            last_source_update: nullable('string', { format: 'date-time' }),
+            vintages: { type: 'array', items: { type: 'object' }, description: 'Only with group=wine' },
+          },
+        },
+        WinePage: page('#/components/schemas/Wine', {
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          filters: { type: 'object', description: 'Validated filters applied to this page' },
+          ranking: { type: 'object', properties: { strategy: { type: 'string' }, prior: { type: 'number' } } },
+          facets: {
+            type: 'object',
+            description: 'Only with facets=true. Per attribute: { values: [{ id, label, n, ranks? }], unset }, each counted with the other filters applied',
+          },
+        }),
+        Aoc: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            region: nullable('string'),
+            bank: nullable('string', { enum: ['left', 'right'] }),
+            n: { type: 'integer', description: 'Number of wines' },
+            known: { type: 'boolean', description: 'false when the AOC is not in the registry' },
+          },
+        },
+        Vintage: { type: 'object', properties: { vintage: { type: 'integer' }, n: { type: 'integer' } } },
+      },
+    },
+  };
+}
+
+// ---- Exports -------------------------------------------------
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx', 'html'];
+// Headers come from the catalogue (export.column.<key>) in the requester's language, see serverI18n
+const EXPORT_COLUMNS = ['aoc', 'aoc_rank', 'name', 'winery', 'vintage', 'color', 'style', 'classification', 'grapes',
+  'vivino_rating', 'rating_count', 'blended_rating', 'base_score', 'adjustment_pct', 'adjusted_rating', 'price'];
+
+function exportRow(r, l10n) {
+  const out = {};
+  for (const key of EXPORT_COLUMNS) out[key] = r[key] ?? null;
+  const label = (list, prefix, id) => l10n.label(prefix + id, (list.find(x => x.id === id) || {}).label || id);
+  out.color = out.color && label(WINE_COLORS, 'color.', out.color);
+  out.style = out.style && label(WINE_STYLES, 'style.', out.style);
+  out.classification = out.classification && classificationLabel(out.classification);
+  out.grapes = grapeBlendText(out.grapes);
+  out.blended_rating = out.blended_rating == null ? null : Math.round(out.blended_rating * 1000) / 1000;
+  out.base_score = out.base_score == null ? null : Math.round(out.base_score * 1000) / 1000;
+  out.adjusted_rating = out.adjusted_rating == null ? null : Math.round(out.adjusted_rating * 1000) / 1000;
+  return out;
+}
+
+// Rows split per AOC, keeping the ranking order inside each AOC
+function groupByAoc(rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (!groups.has(r.aoc)) groups.set(r.aoc, []);
+    groups.get(r.aoc).push(r);
+  }
+  return [...groups].map(([aoc, wines]) => ({ aoc, wines }));
+}
+
+function csvCell(v, sep) {
+  if (v == null) return '';
+  const s = String(v);
+  return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// UTF-8 with BOM so Excel picks the right encoding; sep ';' suits French-locale Excel
+function exportCsv(rows, { exportedAt, sep, l10n, columns = EXPORT_COLUMNS }) {
+  const header = [...columns, 'exported_at'].map(key => l10n.msg(`export.column.${key}`));
+  const lines = [header.map(h => csvCell(h, sep)).join(sep)];
+  for (const r of rows) {
+    const cells = columns.map(key => r[key]);
+    if (sep === ';') for (let i = 0; i < cells.length; i++) if (typeof cells[i] === 'number') cells[i] = String(cells[i]).replace('.', ',');
+    lines.push([...cells, exportedAt].map(v => csvCell(v, sep)).join(sep));
+  }
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+// One sheet for a filtered ranking, one sheet per AOC for the Top 20 export
+async function exportXlsx(sheets, { exportedAt, strategy, l10n, columns = EXPORT_COLUMNS }) {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date(exportedAt);
+  const used = new Set();
+  for (const s of sheets) {
+    const base = s.title.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31);
+    let name = base;
+    for (let i = 2; used.has(name.toLowerCase()); i++) name = `${base.slice(0, 26)} (${i})`;
+    used.add(name.toLowerCase());
+    const ws = wb.addWorksheet(name);
+    ws.addRow([`Bordeaux AOC Top 20 — ${s.title}`]).font = { bold: true, size: 14 };
+    ws.addRow([l10n.msg('export.sheetSubtitle', { date: l10n.dateTime(exportedAt), strategy: l10n.strategy(strategy) })]);
+    ws.addRow([]);
+    ws.addRow(columns.map(key => l10n.msg(`export.column.${key}`))).font = { bold: true };
+    for (const r of s.wines) ws.addRow(columns.map(key => r[key]));
+    ws.columns.forEach((col, i) => { col.width = ['name', 'winery', 'note'].includes(columns[i]) ? 32 : 14; });
+    ws.views = [{ state: 'frozen', ySplit: 4 }];
+  }
+  return wb.xlsx.writeBuffer();
+}
+
+function htmlText(x) {
+  return String(x ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Printable page (one AOC per printed page), meant for the browser's "Save as PDF"
+function exportPrintHtml(groups, { exportedAt, strategy, l10n }) {
+  const { num } = l10n;
+  const th = key => `<th>${htmlText(l10n.msg(key))}</th>`;
+  const sections = groups.map(g => `
+    <section>
+      <h2>${htmlText(g.aoc)}</h2>
+      <table>
+        <thead><tr><th>#</th>${['common.wine', 'common.vintage', 'common.vivinoRating', 'common.reviews', 'export.adjustment', 'common.finalScore', 'common.price'].map(th).join('')}</tr></thead>
+        <tbody>${g.wines.map(w => `
+          <tr>
+            <td>${w.aoc_rank}</td>
+            <td><strong>${htmlText(w.name)}</strong><br><small>${htmlText(w.winery)}</small></td>
+            <td>${w.vintage ?? '—'}</td>
+            <td>${num(w.vivino_rating, 1)}</td>
+            <td>${w.rating_count ?? '—'}</td>
+            <td>${w.adjustment_pct ? `${w.adjustment_pct > 0 ? '+' : ''}${num(w.adjustment_pct, 1)} %` : '—'}</td>
+            <td><strong>${num(w.adjusted_rating, 2)}</strong></td>
+            <td>${l10n.money(w.price)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </section>`).join('');
+  return `<!doctype html>
+<html lang="${l10n.locale}">
+<head>
+<meta charset="utf-8" />
+<title>Bordeaux AOC Top 20 — ${l10n.date(exportedAt)}</title>
+<style>
+  body { font-family: Georgia, serif; color: #1f2937; margin: 2rem; }
+  header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #7f1d1d; margin-bottom: 1rem; }
+  h1 { color: #7f1d1d; margin: 0 0 .25rem; }
+  h2 { color: #7f1d1d; border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #fef2f2; }
+  small { color: #6b7280; }
+  section { page-break-after: always; break-after: page; }
+  section:last-child { page-break-after: auto; break-after: auto; }
+  @media print { body { margin: 0; } .no-print { display: none; } }
+</style>
+</head>
+<body>
+<header>
+  <div><h1>Bordeaux AOC Top 20</h1><small>${htmlText(l10n.msg('export.strategy', { strategy: l10n.strategy(strategy) }))}</small></div>
+  <div><small>${htmlText(l10n.msg('export.exportedAt', { date: l10n.dateTime(exportedAt) }))}</small>
+  <button class="no-print" onclick="window.print()">${htmlText(l10n.msg('export.print'))}</button></div>
+</header>
+${sections || `<p>${htmlText(l10n.msg('export.empty'))}</p>`}
+</body>
+</html>`;
+}
+
+// ---- Shortlists ----------------------------------------------
+// Wine selections built by visitors, e.g. a sommelier's picks for a client. The share token in
+// /shortlists/:token gives read-only access; changes need the edit key handed out once at creation
+// (X-Shortlist-Key header), of which only the sha256 is stored. No account is involved.
+const SHORTLIST_MAX_ITEMS = 200;
+const SHORTLIST_EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+const SHORTLIST_EXPORT_COLUMNS = [...EXPORT_COLUMNS, 'quantity', 'line_total', 'note'];
+
+const getShortlistByToken = db.prepare(`SELECT * FROM shortlists WHERE token = ?`);
+const getShortlistItem = db.prepare(`SELECT * FROM shortlist_items WHERE shortlist_id = ? AND wine_id = ?`);
+const countShortlistItems = db.prepare(`SELECT COUNT(*) AS n FROM shortlist_items WHERE shortlist_id = ?`);
+const upsertShortlistItem = db.prepare(`
+INSERT INTO shortlist_items (shortlist_id, wine_id, note, quantity, added_at) VALUES (@shortlist_id, @wine_id, @note, @quantity, @added_at)
+ON CONFLICT(shortlist_id, wine_id) DO UPDATE SET note=excluded.note, quantity=excluded.quantity`);
+const deleteShortlistItem = db.prepare(`DELETE FROM shortlist_items WHERE shortlist_id = ? AND wine_id = ?`);
+const touchShortlist = db.prepare(`UPDATE shortlists SET updated_at = ? WHERE id = ?`);
+
+// Route guard for changes: loads req.shortlist from :token and checks the X-Shortlist-Key header
+function requireShortlistKey(req, res, next) {
+  const s = getShortlistByToken.get(req.params.token);
+  if (!s) return res.status(404).json({ error: 'Shortlist not found' });
+  const key = String(req.headers['x-shortlist-key'] || '');
+  if (!key || !crypto.timingSafeEqual(Buffer.from(sha256(key)), Buffer.from(s.edit_key_hash))) {
+    return res.status(403).json({ error: 'A valid X-Shortlist-Key header is required to change this shortlist' });
+  }
+  req.shortlist = s;
+  next();
+}
+
+// Returns { fields } for an insert/update (partial when `existing` is given) or { error }
+function validateShortlist(input, existing = null) {
+  if (!input || typeof input !== 'object') return { error: 'body must be an object' };
+  const fields = {};
+  if (input.name !== undefined || !existing) {
+    if (isBlank(input.name)) return { error: 'name required' };
+    fields.name = String(input.name).trim();
+    if (fields.name.length > 120) return { error: 'name must be at most 120 characters' };
+  }
+  if (input.description !== undefined) {
+    fields.description = isBlank(input.description) ? null : String(input.description).trim();
+    if (fields.description && fields.description.length > 2000) return { error: 'description must be at most 2000 characters' };
+  }
+  return { fields };
+}
+
+// note/quantity of one item, merged over `existing`. Returns { note, quantity } or { error }.
+function validateShortlistItem(input, existing = null) {
+  const body = input && typeof input === 'object' ? input : {};
+  let note = existing ? existing.note : null;
+  let quantity = existing ? existing.quantity : null;
+  if (body.note !== undefined) {
+    note = isBlank(body.note) ? null : String(body.note).trim();
+    if (note && note.length > 2000) return { error: 'note must be at most 2000 characters' };
+  }
+  if (body.quantity !== undefined) {
+    quantity = isBlank(body.quantity) ? null : Number(body.quantity);
+    if (quantity !== null && !(Number.isInteger(quantity) && quantity >= 1 && quantity <= 10000)) {
+      return { error: 'quantity must be a whole number between 1 and 10000' };
+    }
+  }
+  return { note, quantity };
+}
+
+// New shortlist, optionally seeded with wines; returns { shortlist, editKey }
+function createShortlist(fields, wineIds = []) {
+  return db.transaction(() => {
+    const now = dayjs().toISOString();
+    const token = crypto.randomBytes(16).toString('base64url');
+    const editKey = crypto.randomBytes(24).toString('base64url');
+    const id = Number(db.prepare(`
+      INSERT INTO shortlists (token, edit_key_hash, name, description, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)`)
+      .run(token, sha256(editKey), fields.name, fields.description || null, now, now).lastInsertRowid);
+    for (const wineId of [...new Set(wineIds)].slice(0, SHORTLIST_MAX_ITEMS)) {
+      if (getActiveWineById.get(wineId)) upsertShortlistItem.run({ shortlist_id: id, wine_id: Number(wineId), note: null, quantity: null, added_at: now });
+    }
+    return { shortlist: getShortlistByToken.get(token), editKey };
+  })();
+}
+
+// The shortlist with its wines ranked as on /api/wines (in the order they were added) and totals.
+// estimated_total only counts wines with both a quantity and a price.
+function shortlistDetail(s, strategy) {
+  const ranking = rankingParams(strategy);
+  const bands = getPriceBands();
+  const items = db.prepare(`
+    SELECT r.*, i.note, i.quantity, i.added_at
+    FROM shortlist_items i JOIN (${RANKED_WINES_SQL}) r ON r.id = i.wine_id
+    WHERE i.shortlist_id = ? ORDER BY i.added_at, i.rowid`).all(ranking, s.id)
+    .map(r => ({
+      ...r,
+      scores: scoreDetails(r.scores),
+      grapes: grapeBlend(r.grapes),
+      price_band: priceBandOf(r.price, bands),
+      value_index: valueIndex(r),
+      line_total: r.quantity != null && r.price != null ? r.quantity * r.price : null,
+    }));
+  return {
+    token: s.token,
+    name: s.name,
+    description: s.description,
+    created_at: s.created_at,
+    updated_at: s.updated_at,
+    ranking,
+    items,
+    totals: {
+      wines: items.length,
+      bottles: items.reduce((n, i) => n + (i.quantity || 0), 0),
+      estimated_total: items.reduce((n, i) => n + (i.line_total || 0), 0),
+      unpriced: items.filter(i => i.quantity != null && i.price == null).length,
+    },
+  };
+}
+
+function shortlistExportRow(item, l10n) {
+  return { ...exportRow(item, l10n), quantity: item.quantity, line_total: item.line_total, note: item.note };
+}
+
+// ---- Feeds & embeds ------------------------------------------
+// Feeds publish ranking_events (one entry per AOC per detected Top 20 change, see checkTop20Changes).
+// The widget is a small standalone page meant for an iframe; /embed.js writes that iframe for a script tag.
+const FEED_ENTRIES = 30;
+const EMBED_THEMES = {
+  light: { bg: '#ffffff', fg: '#1f2937', muted: '#6b7280', accent: '#9f1239', line: '#f3f4f6' },
+  dark: { bg: '#111827', fg: '#f9fafb', muted: '#9ca3af', accent: '#fda4af', line: '#1f2937' },
+  bordeaux: { bg: '#4c0519', fg: '#fff1f2', muted: '#fecdd3', accent: '#fde68a', line: '#881337' },
+};
+
+// URL form of an AOC name: "Saint-Estèphe" -> "saint-estephe" (resolved back through the alias registry)
+function aocSlug(name) {
+  return aocKey(name).replace(/ /g, '-');
+}
+
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function rankingEventSummary(e, l10n) {
+  const changes = ['entered', 'exited', 'moved'].filter(k => e[k].length).map(k => l10n.msg(`feed.${k}`, { n: e[k].length }));
+  return l10n.msg('feed.summary', { aoc: e.aoc, n: TOP_N, changes: changes.join(', ') });
+}
+
+function rankingEventHtml(e, l10n) {
+  const label = w => `${htmlText(w.name)}${w.vintage ? ` ${w.vintage}` : ''}`;
+  const list = (kind, rows, params) => rows.length
+    ? `<p><strong>${htmlText(l10n.msg(`feed.${kind}Title`))}</strong></p><ul>${rows.map(r => `<li>${l10n.msg(`feed.${kind}Row`, { wine: label(r), ...params(r) })}</li>`).join('')}</ul>`
+    : '';
+  return list('entered', e.entered, w => ({ rank: w.rank }))
+    + list('exited', e.exited, w => ({ rank: w.previous_rank }))
+    + list('moved', e.moved, w => ({ from: w.from, to: w.to }));
+}
+
+function listRankingEvents(aoc) {
+  const rows = aoc
+    ? db.prepare(`SELECT * FROM ranking_events WHERE aoc = ? ORDER BY id DESC LIMIT ?`).all(aoc, FEED_ENTRIES)
+    : db.prepare(`SELECT * FROM ranking_events ORDER BY id DESC LIMIT ?`).all(FEED_ENTRIES);
+  return rows.map(r => ({ ...r, entered: JSON.parse(r.entered), exited: JSON.parse(r.exited), moved: JSON.parse(r.moved) }));
+}
+
+function atomFeed({ title, selfUrl, pageUrl, events, l10n }) {
+  const updated = events.length ? events[0].created_at : dayjs().toISOString();
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${l10n.locale}">
+  <title>${htmlText(title)}</title>
+  <id>${htmlText(selfUrl)}</id>
+  <link rel="self" href="${htmlText(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${htmlText(pageUrl)}"/>
+  <updated>${updated}</updated>
+  <generator>Bordeaux AOC Top 20</generator>
+${events.map(e => `  <entry>
+    <title>${htmlText(rankingEventSummary(e, l10n))}</title>
+    <id>${htmlText(`${selfUrl}#event-${e.id}`)}</id>
+    <link rel="alternate" type="text/html" href="${htmlText(pageUrl)}"/>
+    <updated>${e.created_at}</updated>
+    <content type="html">${htmlText(rankingEventHtml(e, l10n))}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+}
+
+function rssFeed({ title, selfUrl, pageUrl, events, l10n }) {
+  const rfc822 = iso => new Date(iso).toUTCString();
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${htmlText(title)}</title>
+    <link>${htmlText(pageUrl)}</link>
+    <atom:link rel="self" type="application/rss+xml" href="${htmlText(selfUrl)}"/>
+    <description>${htmlText(l10n.msg('feed.description', { n: TOP_N }))}</description>
+    <language>${l10n.locale}</language>
+    <lastBuildDate>${rfc822(events.length ? events[0].created_at : dayjs().toISOString())}</lastBuildDate>
+${events.map(e => `    <item>
+      <title>${htmlText(rankingEventSummary(e, l10n))}</title>
+      <link>${htmlText(pageUrl)}</link>
+      <guid isPermaLink="false">${htmlText(`${selfUrl}#event-${e.id}`)}</guid>
+      <pubDate>${rfc822(e.created_at)}</pubDate>
+      <description>${htmlText(rankingEventHtml(e, l10n))}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+// Compact Top N for an iframe. Posts its height to the parent so /embed.js can size the frame.
+function embedHtml({ aoc, wines, n, theme, pageUrl, l10n }) {
+  const t = EMBED_THEMES[theme];
+  return `<!doctype html>
+<html lang="${l10n.locale}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>Top ${n} ${htmlText(aoc)}</title>
+<style>
+  html, body { margin: 0; background: ${t.bg}; color: ${t.fg}; font: 14px/1.35 system-ui, -apple-system, "Segoe UI", sans-serif; }
+  .w { padding: 12px 14px; }
+  h1 { font-size: 15px; margin: 0 0 8px; color: ${t.accent}; }
+  ol { list-style: none; margin: 0; padding: 0; }
+  li { display: flex; gap: 8px; align-items: baseline; padding: 5px 0; border-top: 1px solid ${t.line}; }
+  .r { width: 1.6em; text-align: right; color: ${t.muted}; font-variant-numeric: tabular-nums; }
+  .n { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .v { color: ${t.muted}; }
+  .s { font-weight: 600; font-variant-numeric: tabular-nums; }
+  .f { margin-top: 8px; font-size: 11px; color: ${t.muted}; }
+  a { color: inherit; }
+</style>
+</head>
+<body>
+<div class="w">
+  <h1>Top ${n} ${htmlText(aoc)}</h1>
+  <ol>${wines.map(w => `
+    <li><span class="r">${w.aoc_rank}</span><span class="n">${htmlText(w.name)} <span class="v">${w.vintage || ''}</span></span><span class="s">${l10n.num(w.adjusted_rating, 2)}</span></li>`).join('')}
+  </ol>
+  ${wines.length ? '' : `<p class="v">${htmlText(l10n.msg('embed.empty'))}</p>`}
+  <div class="f">${htmlText(l10n.msg('embed.updated', { date: l10n.date(dayjs().toISOString()) }))} · <a href="${htmlText(pageUrl)}" target="_blank" rel="noopener">Bordeaux AOC Top 20</a></div>
+</div>
+<script>
+  function postHeight(){ parent.postMessage({ type: 'top20-embed-height', height: document.documentElement.scrollHeight }, '*'); }
+  window.addEventListener('load', postHeight);
+  window.addEventListener('resize', postHeight);
+</script>
+</body>
+</html>`;
+}
+
+// Loader for <script src="/embed.js" data-aoc="Pauillac" data-n="10" data-theme="dark" data-lang="en"></script>
+function embedScript(origin) {
+  return `(function () {
+  var script = document.currentScript;
+  if (!script) return;
+  var aoc = script.getAttribute('data-aoc');
+  if (!aoc) { console.error('[top20] data-aoc is required'); return; }
+  var params = new URLSearchParams({ aoc: aoc, n: script.getAttribute('data-n') || '10', theme: script.getAttribute('data-theme') || 'light' });
+  var strategy = script.getAttribute('data-strategy');
+  if (strategy) params.set('strategy', strategy);
+  var lang = script.getAttribute('data-lang');
+  if (lang) params.set('lang', lang);
+  var frame = document.createElement('iframe');
+  frame.src = ${JSON.stringify(origin)} + '/embed/top?' + params.toString();
+  frame.title = 'Top ' + params.get('n') + ' ' + aoc;
+  frame.loading = 'lazy';
+  frame.style.cssText = 'border:0;width:100%;max-width:' + (script.getAttribute('data-width') || '360px') + ';height:420px;border-radius:12px;overflow:hidden';
+  script.parentNode.insertBefore(frame, script.nextSibling);
+  window.addEventListener('message', function (e) {
+    if (e.source === frame.contentWindow && e.data && e.data.type === 'top20-embed-height') frame.style.height = e.data.height + 'px';
+  });
+})();
+`;
+}
+
+// ---- Localization --------------------------------------------
+// The page speaks French or English: ?lang= (remembered in a cookie), then that cookie, then
+// Accept-Language, then French. UI_MESSAGES holds the page's strings; a key missing from a locale
+// falls back to DEFAULT_LOCALE, so another language only needs its own block, a LOCALE_TAGS entry and
+// whatever part of the catalogue has been translated. Exports, feeds and the widget pick their
+// language the same way (serverI18n). API errors are written in English and translated through
+// API_ERROR_MESSAGES for clients that asked for another language.
+const DEFAULT_LOCALE = 'fr';
+const LOCALE_COOKIE = 'top20_lang';
+const LOCALE_TAGS = { fr: 'fr-FR', en: 'en-GB' }; // Intl formatting (numbers, €, dates)
+
+// '{name}' placeholders are filled by the client's t(); { one, other } entries follow its plural rules
+const UI_MESSAGES = {
+  fr: {
+    'locale.name': 'Français',
+    'app.title': 'Bordeaux — Top 20 par AOC (Vivino)',
+    'app.language': 'Langue',
+    'app.footer': "Sources: Notes de base issues de vos exports Vivino. Aucune collecte automatisée n'est effectuée ici. Les ajustements admin (±25% max) modifient le classement en temps réel.",
+    'meta.refreshed': 'Dernier rafraîchissement: {last} • Prochain: {next}',
+    'meta.schedule': 'Planification: tous les {n} jours',
+    'common.wine': 'Vin',
+    'common.winery': 'Domaine',
+    'common.vintage': 'Millésime',
+    'common.price': 'Prix',
+    'common.reviews': 'Avis',
+    'common.vivinoRating': 'Note Vivino',
+    'common.blendedRating': 'Note combinée',
+    'common.finalScore': 'Note finale',
+    'common.date': 'Date',
+    'common.back': 'Retour au classement',
+    'common.cancel': 'Annuler',
+    'common.failed': 'Échec: {error}',
+    'common.linkCopied': 'Lien copié',
+    'nav.stats': 'Statistiques',
+    'nav.statsTitle': 'Couverture, distributions et ajustements par appellation',
+    'nav.adminTitle': 'Se connecter en admin',
+    'filters.allAocs': 'Toutes (affiche top 100 global)',
+    'filters.search': 'Recherche (vin / château)',
+    'filters.searchPlaceholder': 'ex: Margaux, Pontet-Canet...',
+    'filters.rating': 'Filtrer par note finale',
+    'filters.from': 'de…',
+    'filters.to': 'à…',
+    'filters.price': 'Prix (€)',
+    'filters.allBands': 'Toutes gammes',
+    'filters.grouping': 'Regroupement',
+    'filters.groupWine': 'Une ligne par vin',
+    'filters.pickBest': 'meilleur millésime',
+    'filters.pickLatest': 'millésime le plus récent',
+    'filters.wineType': 'Type de vin',
+    'filters.allColors': 'Toutes couleurs',
+    'filters.allStyles': 'Tous styles',
+    'filters.allClassifications': 'Tous classements',
+    'filters.allGrapes': 'Tous cépages',
+    'filters.wholeClassification': 'Tout le classement ({n})',
+    'filters.bestValue': 'Meilleur rapport Q/P',
+    'filters.bestValueTitle': 'Classement par rapport qualité/prix',
+    'filters.reset': 'Réinitialiser',
+    'aoc.bank.left': '{region} (rive gauche)',
+    'aoc.bank.right': '{region} (rive droite)',
+    'aoc.allRegion': 'Tout {region} ({n})',
+    'aoc.unlisted': 'Non référencées',
+    'ranking.default': '{label} (par défaut)',
+    'strategy.raw': 'Note combinée',
+    'strategy.raw.description': 'Note combinée (Vivino et notes critiques/panels, pondérées) telle quelle ; le nombre d’avis ne départage que les ex æquo.',
+    'strategy.bayesian': 'Note pondérée (bayésienne)',
+    'strategy.bayesian.description': 'Note ramenée vers la moyenne de l’AOC : les vins avec peu d’avis se rapprochent de la moyenne. Poids a priori = nombre d’avis que vaut la moyenne.',
+    'strategy.wilson': 'Borne basse de confiance',
+    'strategy.wilson.description': 'Borne basse de Wilson (95 %) de la note rapportée à 5 étoiles ; pénalise les petits échantillons.',
+    'strategy.value': 'Rapport qualité/prix',
+    'strategy.value.description': 'Note multipliée par √(prix moyen de l’AOC / prix) ; les vins sans prix sont classés en dernier.',
+    'color.red': 'Rouge',
+    'color.white': 'Blanc',
+    'color.rose': 'Rosé',
+    'style.dry': 'Sec',
+    'style.sweet': 'Liquoreux / moelleux',
+    'style.sparkling': 'Effervescent',
+    'classification.medoc-1855': 'Classement 1855 (Médoc)',
+    'classification.sauternes-1855': 'Classement 1855 (Sauternes et Barsac)',
+    'classification.saint-emilion': 'Classement de Saint-Émilion',
+    'classification.graves': 'Classement des Graves',
+    'classification.cru-bourgeois': 'Crus Bourgeois du Médoc',
+    'table.ranking': 'Classement',
+    'table.scopeAoc': '(Top 20 — {aoc})',
+    'table.scopeRegion': '(Top 20 — tout {region})',
+    'table.scopeGlobal': '(Top 100 global)',
+    'table.embed': 'Intégrer',
+    'table.embedPrompt': 'Code à coller sur votre site (data-n: 1 à 20, data-theme: light, dark ou bordeaux, data-lang: fr ou en) :',
+    'table.sort': 'Tri:',
+    'table.trend': 'Tendance',
+    'table.adjustment': 'Ajust. admin (%)',
+    'table.sourceWeight': 'Poids {weight}',
+    'table.sourceScale': 'Échelle {min}–{max}, poids {weight}',
+    'table.vintages': { one: '{n} millésime', other: '{n} millésimes' },
+    'table.final': 'finale {score}',
+    'table.reviewCount': '{n} avis',
+    'table.rankInAoc': 'n°{rank} dans l’AOC',
+    'table.previousPrice': 'Prix précédent: {price}',
+    'table.valueIndex': 'Q/P {index}',
+    'table.newEntry': 'Nouveau depuis le dernier rafraîchissement',
+    'table.previousRank': 'Rang précédent: {rank}',
+    'table.liveRank': 'Rang actuel: {rank}',
+    'table.winePage': 'Fiche du vin',
+    'table.expires': 'expire le {date}',
+    'table.signInToEdit': 'Connectez-vous en admin pour modifier.',
+    'export.title': 'Télécharger le classement',
+    'export.placeholder': 'Exporter…',
+    'export.filtered': 'Classement affiché',
+    'export.top20': 'Tous les Top 20 par AOC',
+    'export.print': 'Impression / PDF',
+    'export.ranking': 'Classement',
+    'export.strategy': 'Classement : {strategy}',
+    'export.exportedAt': 'Exporté le {date}',
+    'export.sheetSubtitle': 'Exporté le {date} — classement : {strategy}',
+    'export.adjustment': 'Ajustement',
+    'export.empty': 'Aucun vin ne correspond aux filtres.',
+    'export.column.aoc': 'AOC',
+    'export.column.aoc_rank': 'Rang',
+    'export.column.name': 'Vin',
+    'export.column.winery': 'Domaine',
+    'export.column.vintage': 'Millésime',
+    'export.column.color': 'Couleur',
+    'export.column.style': 'Style',
+    'export.column.classification': 'Classement',
+    'export.column.grapes': 'Cépages',
+    'export.column.vivino_rating': 'Note Vivino',
+    'export.column.rating_count': 'Nb avis',
+    'export.column.blended_rating': 'Note combinée',
+    'export.column.base_score': 'Score de base',
+    'export.column.adjustment_pct': 'Ajustement (%)',
+    'export.column.adjusted_rating': 'Score final',
+    'export.column.price': 'Prix (€)',
+    'export.column.quantity': 'Quantité',
+    'export.column.line_total': 'Total (€)',
+    'export.column.note': 'Commentaire',
+    'export.column.exported_at': 'Exporté le',
+    'feed.title': 'Top {n} {aoc} — changements',
+    'feed.titleAll': 'Bordeaux AOC Top {n} — changements',
+    'feed.description': 'Entrées, sorties et mouvements du Top {n}',
+    'feed.summary': '{aoc} — Top {n} : {changes}',
+    'feed.entered': { one: '{n} entrée', other: '{n} entrées' },
+    'feed.exited': { one: '{n} sortie', other: '{n} sorties' },
+    'feed.moved': { one: '{n} mouvement', other: '{n} mouvements' },
+    'feed.enteredTitle': 'Entrées',
+    'feed.exitedTitle': 'Sorties',
+    'feed.movedTitle': 'Mouvements',
+    'feed.enteredRow': '{wine} — n°{rank}',
+    'feed.exitedRow': '{wine} (était n°{rank})',
+    'feed.movedRow': '{wine} : n°{from} → n°{to}',
+    'embed.empty': 'Aucun vin classé pour cette appellation.',
+    'embed.updated': 'Mis à jour le {date}',
+    'shortlist.selectTitle': 'Sélection qui reçoit les vins marqués ☆',
+    'shortlist.open': 'Ouvrir',
+    'shortlist.mine': 'Ma sélection…',
+    'shortlist.new': '+ Nouvelle sélection',
+    'shortlist.namePrompt': 'Nom de la sélection (ex: « Dîner Dupont ») :',
+    'shortlist.addWine': 'Ajouter à la sélection',
+    'shortlist.removeWine': 'Retirer de la sélection',
+    'shortlist.pageTitle': '{name} — Sélection Bordeaux Top 20',
+    'shortlist.notFoundTitle': 'Sélection introuvable',
+    'shortlist.notFound': "Cette sélection n'existe pas ou a été supprimée.",
+    'shortlist.readOnly': 'Consultation seule',
+    'shortlist.copyShare': 'Copier le lien de partage',
+    'shortlist.copyEdit': "Copier le lien d'édition",
+    'shortlist.copyEditTitle': "Permet de modifier la sélection : à ne partager qu'avec vos collègues",
+    'shortlist.exportTitle': 'Télécharger la sélection',
+    'shortlist.descriptionPlaceholder': 'Client, occasion, budget…',
+    'shortlist.wines': { one: '{n} vin', other: '{n} vins' },
+    'shortlist.bottles': { one: '{n} bouteille', other: '{n} bouteilles' },
+    'shortlist.estimatedTotal': 'total estimé {total}',
+    'shortlist.unpriced': '({n} sans prix)',
+    'shortlist.quantity': 'Quantité',
+    'shortlist.total': 'Total',
+    'shortlist.note': 'Commentaire',
+    'shortlist.remove': 'Retirer',
+    'shortlist.empty': "Aucun vin pour l'instant : ajoutez-en depuis le classement avec ☆.",
+    'shortlist.addFromRanking': 'Ajouter des vins depuis le classement',
+    'shortlist.delete': 'Supprimer la sélection',
+    'shortlist.deleteConfirm': 'Supprimer définitivement cette sélection ? Le lien de partage ne fonctionnera plus.',
+    'stats.pageTitle': 'Statistiques par AOC — Bordeaux Top 20',
+    'stats.title': 'Statistiques par appellation',
+    'stats.allRegions': 'Toutes les sous-régions',
+    'stats.wines': 'Vins',
+    'stats.vintages': 'Millésimes',
+    'stats.medianPrice': 'Prix médian',
+    'stats.adjustedWines': 'Vins ajustés',
+    'stats.median': 'médiane {value}',
+    'stats.mean': 'moyenne {value}',
+    'stats.wineCount': { one: '{n} vin', other: '{n} vins' },
+    'stats.vintageCount': { one: '{n} millésime', other: '{n} millésimes' },
+    'stats.meanBlended': 'Note combinée moyenne {score}',
+    'stats.meanFinal': 'Note finale moyenne {score}',
+    'stats.adjustedEffect': '{pct}% ajustés · effet {effect}',
+    'stats.noPrice': 'Aucun prix',
+    'stats.noWines': 'Aucun vin.',
+    'stats.coverage': 'Couverture',
+    'stats.coverageHelp': 'Vins par AOC ; en orange, moins de {top} vins (Top {top} incomplet). Pointillés : {top} vins.',
+    'stats.ratings': 'Notes et ajustements',
+    'stats.ratingsHelp': "Échelle 3–5 : trait = min–max, gris = note combinée moyenne, rouge = note finale moyenne. L'effet est l'écart moyen dû aux ajustements.",
+    'stats.prices': 'Prix',
+    'stats.pricesHelp': 'Trait P10–P90, boîte P25–P75, barre = médiane (0 à {max}).',
+    'stats.distribution': 'Distribution des notes',
+    'stats.distributionHelp': 'Nombre de vins par tranche : gris = note combinée, rouge = note finale.',
+    'stats.emptyAppellations': 'Appellations sans aucun vin ({n})',
+    'stats.col.rating': 'Note moy. / méd.',
+    'stats.col.final': 'Finale moy.',
+    'stats.col.price': 'Prix P25 / méd. / P75',
+    'stats.col.reviews': 'Avis (méd.)',
+    'stats.col.adjusted': 'Ajustés',
+    'stats.col.meanAdjustment': 'Ajust. moyen',
+    'wine.notFoundTitle': 'Vin introuvable',
+    'wine.notFound': "Ce vin n'existe pas (ou plus : il a peut-être été fusionné avec un doublon).",
+    'wine.copyLink': 'Copier le lien',
+    'wine.aocRank': 'Rang dans l’AOC',
+    'wine.rankOf': 'n°{rank} sur {size}',
+    'wine.strategyScore': 'Score ({strategy})',
+    'wine.valueIndex': 'Indice Q/P',
+    'wine.aocMean': 'Moyenne de l’AOC',
+    'wine.sourceId': 'Identifiant source',
+    'wine.sourceUpdate': 'Mise à jour source',
+    'wine.added': 'Ajout',
+    'wine.adjustment': 'Ajustement admin',
+    'wine.noAdjustment': 'aucun',
+    'wine.scores': 'Notes par source',
+    'wine.blended': 'note combinée {score} / 5',
+    'wine.sourceScale': '{min}–{max}, poids {weight}',
+    'wine.editScore': 'Modifier',
+    'wine.overrideUntil': 'Ajustement de {pct}% jusqu’au {until}, modifié le {changed}.',
+    'wine.overridePermanent': 'Ajustement de {pct}% (permanent), modifié le {changed}.',
+    'wine.justification': 'Justification : {note}',
+    'wine.otherVintages': 'Autres millésimes',
+    'wine.noOtherVintage': 'Aucun autre millésime.',
+    'wine.priceHistory': 'Historique des prix',
+    'wine.noPrice': 'Aucun prix connu.',
+    'wine.ratingHistory': 'Historique des notes',
+    'wine.noHistory': 'Pas encore d’historique.',
+    'wine.source': 'Source',
+    'wine.source.seed': 'Données initiales',
+    'wine.source.import': 'Import',
+    'wine.source.refresh': 'Rafraîchissement',
+    'wine.source.quarantine': 'Validation admin',
+    'wine.rank': 'Rang',
+    'wine.historyRank': 'n°{rank}',
+    'login.title': 'Connexion administrateur',
+    'login.intro': 'Entrez vos identifiants pour modifier les notes, importer des données ou lancer un rafraîchissement.',
+    'login.user': 'Utilisateur',
+    'login.password': 'Mot de passe',
+    'login.submit': 'Se connecter',
+    'login.invalid': 'Identifiants invalides.',
+    'login.done': 'Connecté. Vous pouvez maintenant modifier les notes.',
+    'admin.preview.title': "Aperçu du jeu d'ajustements :",
+    'admin.preview.help': '▲/▼ par rapport au classement en ligne. Les ajustements saisis modifient le jeu, pas le classement publié.',
+    'admin.preview.exit': "Quitter l'aperçu",
+    'admin.logout': 'Se déconnecter',
+    'admin.close': 'Fermer',
+    'admin.save': 'Enregistrer',
+    'admin.apply': 'Appliquer',
+    'admin.add': 'Ajouter',
+    'admin.create': 'Créer',
+    'admin.delete': 'Supprimer',
+    'admin.none': 'Aucune.',
+    'admin.wines': { one: '{n} vin', other: '{n} vins' },
+    'admin.until': "jusqu'au {date}",
+    'admin.updateFailed': 'Échec de la mise à jour',
+    'admin.invalidJson': 'Configuration JSON invalide.',
+    'admin.reasonPrompt': 'Justification (obligatoire) :',
+    'admin.commentPrompt': 'Commentaire (facultatif) :',
+    'admin.role.editor': 'Éditeur (notes)',
+    'admin.role.data_manager': 'Gestion des données',
+    'admin.role.owner': 'Propriétaire',
+    'admin.table.select': 'Sélectionner pour un ajustement en masse',
+    'admin.table.outOfRange': 'Valeur hors limite (±25%).',
+    'admin.table.notePrompt': "Justification de l'ajustement (obligatoire) :",
+    'admin.table.noteRequired': 'Une justification est obligatoire.',
+    'admin.table.expiresPrompt': "Date d'expiration (AAAA-MM-JJ, vide = permanent) :",
+    'admin.scorePrompt': '{source} : note entre {min} et {max} (vide = supprimer)',
+    'admin.audit.title': 'Journal des ajustements',
+    'admin.import.title': 'Importer (CSV/JSON)',
+    'admin.import.noProfile': 'Sans profil (colonnes standard)',
+    'admin.import.preview': 'Prévisualiser',
+    'admin.import.chooseFile': 'Choisissez un fichier CSV/JSON',
+    'admin.import.failed': 'Échec import: {error}',
+    'admin.import.report': "Aperçu de l'import",
+    'admin.import.new': 'Nouveaux: {n}',
+    'admin.import.changed': 'Modifiés: {n}',
+    'admin.import.unchanged': 'Inchangés: {n}',
+    'admin.import.rejected': 'Rejetés: {n}',
+    'admin.import.missing': 'Absents du fichier: {n}',
+    'admin.import.quarantined': 'En quarantaine: {n}',
+    'admin.import.newWines': 'Nouveaux vins',
+    'admin.import.changedWines': 'Vins modifiés',
+    'admin.import.quarantinedWines': 'Mis en quarantaine (appliqués après approbation)',
+    'admin.import.rejectedRows': 'Lignes rejetées',
+    'admin.import.warnings': 'Avertissements',
+    'admin.import.missingWines': 'En base mais absents du fichier',
+    'admin.import.row': 'Ligne {row}',
+    'admin.import.confirm': { one: "Confirmer l'import ({n} vin)", other: "Confirmer l'import ({n} vins)" },
+    'admin.import.done': { one: 'Import réussi: {n} vin', other: 'Import réussi: {n} vins' },
+    'admin.refresh.now': 'Rafraîchir maintenant',
+    'admin.refresh.start': 'Lancer',
+    'admin.refresh.title': 'Source de rafraîchissement',
+    'admin.refresh.every': 'Tous les',
+    'admin.refresh.days': 'jours',
+    'admin.refresh.history': 'Historique des rafraîchissements',
+    'admin.refresh.none': 'Aucun rafraîchissement.',
+    'admin.refresh.source.file': 'Fichier local',
+    'admin.refresh.source.drop_folder': 'Dossier de dépôt',
+    'admin.refresh.source.http': 'Export HTTP',
+    'admin.refresh.target.file': 'Chemin du fichier (vide = fichier de démo)',
+    'admin.refresh.target.drop_folder': 'Dossier surveillé',
+    'admin.refresh.target.http': 'URL de l’export',
+    'admin.job.status.running': 'en cours',
+    'admin.job.status.succeeded': 'terminé',
+    'admin.job.status.failed': 'échec',
+    'admin.job.status.skipped': 'rien à importer',
+    'admin.job.phase.fetch': 'lecture de la source',
+    'admin.job.phase.apply': 'import',
+    'admin.job.trigger.cron': 'planifié',
+    'admin.job.trigger.manual': 'manuel',
+    'admin.job.trigger.watch': 'dépôt de fichier',
+    'admin.job.rows': { one: '{n} ligne', other: '{n} lignes' },
+    'admin.job.updated': { one: '{n} vin mis à jour', other: '{n} vins mis à jour' },
+    'admin.job.rejected': { one: '{n} rejeté', other: '{n} rejetés' },
+    'admin.job.quarantined': '{n} en quarantaine',
+    'admin.quarantine.title': 'Quarantaine des imports',
+    'admin.quarantine.status.pending': 'En attente',
+    'admin.quarantine.status.approved': 'Approuvées',
+    'admin.quarantine.status.rejected': 'Rejetées',
+    'admin.quarantine.status.superseded': 'Remplacées par un import plus récent',
+    'admin.quarantine.nonePending': 'Aucune modification en attente.',
+    'admin.quarantine.selectAll': 'tout sélectionner',
+    'admin.quarantine.reject': 'Rejeter',
+    'admin.quarantine.approve': 'Approuver',
+    'admin.quarantine.newWine': 'nouveau vin',
+    'admin.quarantine.source.refresh': 'rafraîchissement',
+    'admin.quarantine.source.import': 'import',
+    'admin.quarantine.selectOne': 'Sélectionnez au moins une modification.',
+    'admin.quarantine.removals': { one: '{n} vin absent de la source sera retiré du classement. Continuer ?', other: '{n} vins absents de la source seront retirés du classement. Continuer ?' },
+    'admin.quarantine.approvePrompt': { one: 'Approuver {n} modification. Commentaire (facultatif) :', other: 'Approuver {n} modifications. Commentaire (facultatif) :' },
+    'admin.quarantine.rejectPrompt': { one: 'Rejeter {n} modification. Commentaire (facultatif) :', other: 'Rejeter {n} modifications. Commentaire (facultatif) :' },
+    'admin.rule.enabled': 'Contrôler les imports et les rafraîchissements',
+    'admin.rule.max_rating_delta': 'Écart de note max (sur 5)',
+    'admin.rule.min_rating_count': "Nombre d'avis minimum",
+    'admin.rule.max_rating_count_drop_pct': "Baisse du nombre d'avis max (%)",
+    'admin.rule.max_price_change_pct': 'Variation de prix max (%)',
+    'admin.rule.aoc_change': "Changement d'AOC",
+    'admin.rule.missing': 'Vin absent de la source (rafraîchissements)',
+    'admin.rule.help': "Une ligne qui enfreint une règle n'est pas appliquée : le vin garde ses valeurs actuelles jusqu'à approbation. Champ vide = règle désactivée. Approuver un vin absent de la source le retire du classement jusqu'à son retour.",
+    'admin.anomaly.max_rating_delta': 'écart de note',
+    'admin.anomaly.min_rating_count': 'peu d’avis',
+    'admin.anomaly.max_rating_count_drop_pct': 'chute du nombre d’avis',
+    'admin.anomaly.max_price_change_pct': 'variation de prix',
+    'admin.anomaly.aoc_change': 'changement d’AOC',
+    'admin.anomaly.missing': 'absent de la source',
+    'admin.history.title': 'Historique des ajustements',
+    'admin.history.none': 'Aucun ajustement.',
+    'admin.history.revert': 'Rétablir',
+    'admin.history.revertPrompt': 'Justification du rétablissement (obligatoire) :',
+    'admin.action.set': 'Modifié',
+    'admin.action.revert': 'Rétabli',
+    'admin.action.expire': 'Expiré',
+    'admin.action.merge': 'Fusion',
+    'admin.action.import': 'Importé',
+    'admin.action.bulk': 'En masse',
+    'admin.action.activate': 'Jeu activé',
+    'admin.action.rollback': 'Jeu annulé',
+    'admin.changed': { one: '{n} ajustement modifié', other: '{n} ajustements modifiés' },
+    'admin.expired': { one: '{n} expiré, appliqué à 0', other: '{n} expirés, appliqués à 0' },
+    'admin.restored': { one: '{n} ajustement rétabli.', other: '{n} ajustements rétablis.' },
+    'admin.bulk.title': 'Ajustements en masse',
+    'admin.bulk.apply': 'Appliquer à la sélection',
+    'admin.bulk.clear': 'Vider la sélection',
+    'admin.bulk.resetAoc': "Remettre à 0 l'AOC affichée",
+    'admin.bulk.importCsv': 'Importer un CSV…',
+    'admin.bulk.csvHelp': 'CSV : colonnes external_id et adjustment_pct (expires_at et note facultatives), séparées par des virgules ou des points-virgules.',
+    'admin.bulk.selected': { one: '{n} vin sélectionné : {names}', other: '{n} vins sélectionnés : {names}' },
+    'admin.bulk.noneSelected': 'Aucun vin sélectionné (cochez-les dans le classement).',
+    'admin.bulk.tickWines': 'Cochez des vins dans le classement.',
+    'admin.bulk.pctRange': 'Saisissez un ajustement entre -25 et 25 %.',
+    'admin.bulk.notePrompt': { one: 'Justification pour {n} vin à {pct} % (obligatoire) :', other: 'Justification pour {n} vins à {pct} % (obligatoire) :' },
+    'admin.bulk.chooseAoc': "Choisissez d'abord une AOC dans le filtre.",
+    'admin.bulk.resetPrompt': 'Remettre à 0 tous les ajustements de {aoc} ? Justification (obligatoire) :',
+    'admin.bulk.resetDone': { one: '{n} ajustement remis à 0.', other: '{n} ajustements remis à 0.' },
+    'admin.csv.toApply': 'Ajustements à appliquer : {n} (inchangés : {unchanged})',
+    'admin.csv.unmatched': 'Identifiants introuvables : {n}',
+    'admin.csv.skipped': 'Ignorés : {n}',
+    'admin.csv.addToSet': 'Ajouter au jeu ?',
+    'admin.sets.title': "Jeux d'ajustements",
+    'admin.sets.none': 'Aucun jeu.',
+    'admin.sets.namePlaceholder': 'Nom (ex. Sélection Salon 2026)',
+    'admin.sets.fromLive': 'partir des ajustements actuels',
+    'admin.sets.replaceAll': 'remplace tous les autres ajustements',
+    'admin.sets.help': "Un jeu se prépare en brouillon (aperçu, sélection, CSV), puis s'active d'un coup ; seule la dernière activation peut être annulée.",
+    'admin.sets.status.draft': 'Brouillon',
+    'admin.sets.status.active': 'Actif',
+    'admin.sets.status.superseded': 'Remplacé',
+    'admin.sets.replacesAll': '(remplace tout)',
+    'admin.sets.replacesAllTitle': 'Remet à 0 les ajustements hors du jeu',
+    'admin.sets.preview': 'Aperçu',
+    'admin.sets.items': 'Vins',
+    'admin.sets.select': '+ sélection',
+    'admin.sets.activate': 'Activer',
+    'admin.sets.rollback': "Annuler l'activation",
+    'admin.sets.remove': 'Retirer',
+    'admin.sets.selectFirst': 'Cochez des vins dans le classement et saisissez un ajustement (Ajustements en masse).',
+    'admin.sets.activatePrompt': 'Activer « {name} » ({wines}) ? Justification (obligatoire) :',
+    'admin.sets.activateReplacePrompt': 'Activer « {name} » ({wines}, les autres ajustements seront remis à 0) ? Justification (obligatoire) :',
+    'admin.sets.rollbackPrompt': "Annuler l'activation de « {name} » et rétablir les ajustements précédents ? Justification (obligatoire) :",
+    'admin.sets.deleteConfirm': 'Supprimer le jeu « {name} » ?',
+    'admin.sets.empty': 'Aucun vin : cochez des vins puis « + sélection », importez un CSV ou saisissez les ajustements dans l’aperçu.',
+    'admin.ranking.title': 'Classement par défaut',
+    'admin.ranking.priorWeight': 'Poids a priori (avis)',
+    'admin.scoreSources.title': 'Sources de notes',
+    'admin.scoreSources.help': "Liste de { id, label, min, max, weight } : chaque échelle [min, max] est ramenée sur 0–5, puis la note combinée est la moyenne pondérée des sources disponibles pour le vin. vivino est obligatoire (échelle 0–5, poids 0 pour l'ignorer). À l'import, une colonne score_<id> par source.",
+    'admin.priceBands.title': 'Gammes de prix',
+    'admin.priceBands.help': 'Liste de { id, label, min, max } en euros ; min inclus, max exclu, null = sans borne.',
+    'admin.webhooks.title': 'Webhooks (changements des Top 20)',
+    'admin.webhooks.none': 'Aucun webhook.',
+    'admin.webhooks.active': 'Actif',
+    'admin.webhooks.pending': '{n} en attente',
+    'admin.webhooks.failed': '{n} en échec',
+    'admin.webhooks.log': 'Journal',
+    'admin.webhooks.test': 'Tester',
+    'admin.webhooks.rotate': 'Nouveau secret',
+    'admin.webhooks.deleteConfirm': 'Supprimer ce webhook et son journal ?',
+    'admin.webhooks.secret': 'Secret de signature (affiché une seule fois) :',
+    'admin.webhooks.newSecret': 'Nouveau secret (affiché une seule fois) :',
+    'admin.webhooks.noDeliveries': 'Aucune livraison.',
+    'admin.webhooks.attempts': { one: '{n} essai', other: '{n} essais' },
+    'admin.webhooks.redeliver': 'Renvoyer',
+    'admin.delivery.pending': 'en attente',
+    'admin.delivery.delivered': 'livré',
+    'admin.delivery.failed': 'échec',
+    'admin.duplicates.title': 'Doublons potentiels',
+    'admin.duplicates.search': 'Rechercher',
+    'admin.duplicates.prompt': 'Lancez une recherche.',
+    'admin.duplicates.none': 'Aucun doublon détecté.',
+    'admin.duplicates.reviews': '{n} avis',
+    'admin.duplicates.keep': 'Garder #{id}',
+    'admin.duplicates.distinct': 'Distincts',
+    'admin.duplicates.mergePrompt': "Fusionner #{gone} dans #{keep} ? L'identifiant {external_id} redirigera vers ce vin.\nMotif :",
+    'admin.unknownAocs.title': 'AOC non référencées',
+    'admin.unknownAocs.map': 'Associer',
+    'admin.profiles.title': "Profils d'import",
+    'admin.profiles.new': '— Nouveau profil —',
+    'admin.profiles.name': 'Nom du profil',
+    'admin.profiles.transforms': 'Transformations : trim, upper, lower, title, score100_to_5, score20_to_5.',
+    'admin.profiles.deleteConfirm': 'Supprimer ce profil ?',
+    'admin.transfer.title': 'Réglages et ajustements (transfert)',
+    'admin.transfer.help': "Fichier JSON portable : stratégie, gammes de prix, sources de notes, règles de quarantaine et ajustements admin (retrouvés par identifiant source). Pour promouvoir les réglages d'un environnement de test vers la production.",
+    'admin.transfer.export': 'Exporter',
+    'admin.transfer.import': 'Importer…',
+    'admin.transfer.invalidFile': 'Fichier JSON invalide.',
+    'admin.transfer.settings': 'Réglages : {list}',
+    'admin.transfer.noSettings': 'aucun',
+    'admin.transfer.unmatched': 'Vins introuvables ici : {n}',
+    'admin.transfer.confirm': 'Appliquer ?',
+    'admin.backup.title': 'Sauvegarde de la base',
+    'admin.backup.download': 'Télécharger une sauvegarde',
+    'admin.backup.restore': 'Restaurer…',
+    'admin.backup.help': 'La restauration remplace toutes les données (comptes compris) et déconnecte tout le monde.',
+    'admin.backup.restoreConfirm': 'Remplacer toutes les données par « {file} » ? Tout le monde sera déconnecté.',
+    'admin.backup.restored': 'Base restaurée.',
+    'admin.backup.kept': 'Tables absentes de la sauvegarde conservées: {tables}.',
+    'admin.backup.signIn': 'Reconnectez-vous.',
+    'admin.backup.schema': 'Schéma v{version} (à jour)',
+    'admin.backup.schemaBehind': 'Schéma v{version} — v{latest} attendue',
+    'admin.users.title': 'Utilisateurs',
+    'admin.users.username': 'Identifiant',
+    'admin.users.password': 'Mot de passe (10+)',
+    'admin.users.disabled': 'désactivé',
+    'admin.users.setPassword': 'Mot de passe',
+    'admin.users.lastLogin': 'connecté le {date}',
+    'admin.users.neverLoggedIn': 'jamais connecté',
+    'admin.users.passwordPrompt': 'Nouveau mot de passe (10 caractères minimum) :',
+    'admin.users.deleteConfirm': 'Supprimer cet utilisateur ?',
+    'admin.password.title': 'Mon mot de passe',
+    'admin.password.current': 'Actuel',
+    'admin.password.new': 'Nouveau (10+)',
+    'admin.password.change': 'Changer',
+    'admin.password.changed': 'Mot de passe modifié.',
+  },
+  en: {
+    'locale.name': 'English',
+    'app.title': 'Bordeaux — Top 20 per AOC (Vivino)',
+    'app.language': 'Language',
+    'app.footer': 'Sources: base ratings come from your Vivino exports. Nothing is scraped here. Admin adjustments (±25% max) change the ranking in real time.',
+    'meta.refreshed': 'Last refresh: {last} • Next: {next}',
+    'meta.schedule': 'Scheduled every {n} days',
+    'common.wine': 'Wine',
+    'common.winery': 'Estate',
+    'common.vintage': 'Vintage',
+    'common.price': 'Price',
+    'common.reviews': 'Reviews',
+    'common.vivinoRating': 'Vivino rating',
+    'common.blendedRating': 'Blended rating',
+    'common.finalScore': 'Final score',
+    'common.date': 'Date',
+    'common.back': 'Back to the ranking',
+    'common.cancel': 'Cancel',
+    'common.failed': 'Failed: {error}',
+    'common.linkCopied': 'Link copied',
+    'nav.stats': 'Statistics',
+    'nav.statsTitle': 'Coverage, spreads and adjustments per appellation',
+    'nav.adminTitle': 'Sign in as admin',
+    'filters.allAocs': 'All (global top 100)',
+    'filters.search': 'Search (wine / château)',
+    'filters.searchPlaceholder': 'e.g. Margaux, Pontet-Canet...',
+    'filters.rating': 'Filter by final score',
+    'filters.from': 'from…',
+    'filters.to': 'to…',
+    'filters.price': 'Price (€)',
+    'filters.allBands': 'All price bands',
+    'filters.grouping': 'Grouping',
+    'filters.groupWine': 'One row per wine',
+    'filters.pickBest': 'best vintage',
+    'filters.pickLatest': 'latest vintage',
+    'filters.wineType': 'Wine type',
+    'filters.allColors': 'All colours',
+    'filters.allStyles': 'All styles',
+    'filters.allClassifications': 'All classifications',
+    'filters.allGrapes': 'All grapes',
+    'filters.wholeClassification': 'Whole classification ({n})',
+    'filters.bestValue': 'Best value',
+    'filters.bestValueTitle': 'Rank by value for money',
+    'filters.reset': 'Reset',
+    'aoc.bank.left': '{region} (Left Bank)',
+    'aoc.bank.right': '{region} (Right Bank)',
+    'aoc.allRegion': 'All of {region} ({n})',
+    'aoc.unlisted': 'Not in the registry',
+    'ranking.default': '{label} (default)',
+    'strategy.raw': 'Blended rating',
+    'strategy.raw.description': 'Blended rating (Vivino plus critic/panel scores, weighted) as-is; review count only breaks ties.',
+    'strategy.bayesian': 'Weighted rating (Bayesian)',
+    'strategy.bayesian.description': 'Rating shrunk toward the AOC mean; wines with few reviews move toward the average. Prior weight = reviews the mean counts for.',
+    'strategy.wilson': 'Lower confidence bound',
+    'strategy.wilson.description': 'Wilson lower bound (95%) of the rating as a share of 5 stars; penalizes small samples.',
+    'strategy.value': 'Value for money',
+    'strategy.value.description': 'Rating scaled by sqrt(AOC average price / price); wines without a price rank last.',
+    'color.red': 'Red',
+    'color.white': 'White',
+    'color.rose': 'Rosé',
+    'style.dry': 'Dry',
+    'style.sweet': 'Sweet',
+    'style.sparkling': 'Sparkling',
+    'classification.medoc-1855': '1855 Classification (Médoc)',
+    'classification.sauternes-1855': '1855 Classification (Sauternes & Barsac)',
+    'classification.saint-emilion': 'Saint-Émilion Classification',
+    'classification.graves': 'Graves Classification',
+    'classification.cru-bourgeois': 'Crus Bourgeois du Médoc',
+    'table.ranking': 'Ranking',
+    'table.scopeAoc': '(Top 20 — {aoc})',
+    'table.scopeRegion': '(Top 20 — all of {region})',
+    'table.scopeGlobal': '(global Top 100)',
+    'table.embed': 'Embed',
+    'table.embedPrompt': 'Code to paste into your site (data-n: 1 to 20, data-theme: light, dark or bordeaux, data-lang: fr or en):',
+    'table.sort': 'Sort:',
+    'table.trend': 'Trend',
+    'table.adjustment': 'Admin adj. (%)',
+    'table.sourceWeight': 'Weight {weight}',
+    'table.sourceScale': 'Scale {min}–{max}, weight {weight}',
+    'table.vintages': { one: '{n} vintage', other: '{n} vintages' },
+    'table.final': 'final {score}',
+    'table.reviewCount': { one: '{n} review', other: '{n} reviews' },
+    'table.rankInAoc': '#{rank} in the AOC',
+    'table.previousPrice': 'Previous price: {price}',
+    'table.valueIndex': 'Value {index}',
+    'table.newEntry': 'New since the last refresh',
+    'table.previousRank': 'Previous rank: {rank}',
+    'table.liveRank': 'Live rank: {rank}',
+    'table.winePage': 'Wine page',
+    'table.expires': 'expires {date}',
+    'table.signInToEdit': 'Sign in as admin to make changes.',
+    'export.title': 'Download the ranking',
+    'export.placeholder': 'Export…',
+    'export.filtered': 'Ranking shown',
+    'export.top20': 'Every Top 20 per AOC',
+    'export.print': 'Print / PDF',
+    'export.ranking': 'Ranking',
+    'export.strategy': 'Ranking: {strategy}',
+    'export.exportedAt': 'Exported on {date}',
+    'export.sheetSubtitle': 'Exported on {date} — ranking: {strategy}',
+    'export.adjustment': 'Adjustment',
+    'export.empty': 'No wine matches the filters.',
+    'export.column.aoc_rank': 'Rank',
+    'export.column.name': 'Wine',
+    'export.column.winery': 'Winery',
+    'export.column.vintage': 'Vintage',
+    'export.column.color': 'Colour',
+    'export.column.classification': 'Classification',
+    'export.column.grapes': 'Grapes',
+    'export.column.vivino_rating': 'Vivino rating',
+    'export.column.rating_count': 'Reviews',
+    'export.column.blended_rating': 'Blended rating',
+    'export.column.base_score': 'Base score',
+    'export.column.adjustment_pct': 'Adjustment (%)',
+    'export.column.adjusted_rating': 'Final score',
+    'export.column.price': 'Price (€)',
+    'export.column.quantity': 'Quantity',
+    'export.column.note': 'Note',
+    'export.column.exported_at': 'Exported on',
+    'feed.title': 'Top {n} {aoc} — changes',
+    'feed.titleAll': 'Bordeaux AOC Top {n} — changes',
+    'feed.description': 'Entries, exits and moves in the Top {n}',
+    'feed.summary': '{aoc} — Top {n}: {changes}',
+    'feed.entered': { one: '{n} entry', other: '{n} entries' },
+    'feed.exited': { one: '{n} exit', other: '{n} exits' },
+    'feed.moved': { one: '{n} move', other: '{n} moves' },
+    'feed.enteredTitle': 'Entries',
+    'feed.exitedTitle': 'Exits',
+    'feed.movedTitle': 'Moves',
+    'feed.enteredRow': '{wine} — #{rank}',
+    'feed.exitedRow': '{wine} (was #{rank})',
+    'feed.movedRow': '{wine}: #{from} → #{to}',
+    'embed.empty': 'No ranked wine for this appellation.',
+    'embed.updated': 'Updated on {date}',
+    'shortlist.selectTitle': 'Shortlist that receives the wines marked ☆',
+    'shortlist.open': 'Open',
+    'shortlist.mine': 'My shortlist…',
+    'shortlist.new': '+ New shortlist',
+    'shortlist.namePrompt': 'Shortlist name (e.g. "Smith dinner"):',
+    'shortlist.addWine': 'Add to the shortlist',
+    'shortlist.removeWine': 'Remove from the shortlist',
+    'shortlist.pageTitle': '{name} — Bordeaux Top 20 shortlist',
+    'shortlist.notFoundTitle': 'Shortlist not found',
+    'shortlist.notFound': 'This shortlist does not exist or has been deleted.',
+    'shortlist.readOnly': 'Read only',
+    'shortlist.copyShare': 'Copy the share link',
+    'shortlist.copyEdit': 'Copy the edit link',
+    'shortlist.copyEditTitle': 'Lets anyone change the shortlist: share it with colleagues only',
+    'shortlist.exportTitle': 'Download the shortlist',
+    'shortlist.descriptionPlaceholder': 'Client, occasion, budget…',
+    'shortlist.wines': { one: '{n} wine', other: '{n} wines' },
+    'shortlist.bottles': { one: '{n} bottle', other: '{n} bottles' },
+    'shortlist.estimatedTotal': 'estimated total {total}',
+    'shortlist.unpriced': '({n} without a price)',
+    'shortlist.quantity': 'Quantity',
+    'shortlist.total': 'Total',
+    'shortlist.note': 'Note',
+    'shortlist.remove': 'Remove',
+    'shortlist.empty': 'No wines yet: add some from the ranking with ☆.',
+    'shortlist.addFromRanking': 'Add wines from the ranking',
+    'shortlist.delete': 'Delete the shortlist',
+    'shortlist.deleteConfirm': 'Delete this shortlist for good? The share link will stop working.',
+    'stats.pageTitle': 'Statistics per AOC — Bordeaux Top 20',
+    'stats.title': 'Statistics per appellation',
+    'stats.allRegions': 'All sub-regions',
+    'stats.wines': 'Wines',
+    'stats.vintages': 'Vintages',
+    'stats.medianPrice': 'Median price',
+    'stats.adjustedWines': 'Adjusted wines',
+    'stats.median': 'median {value}',
+    'stats.mean': 'mean {value}',
+    'stats.wineCount': { one: '{n} wine', other: '{n} wines' },
+    'stats.vintageCount': { one: '{n} vintage', other: '{n} vintages' },
+    'stats.meanBlended': 'Mean blended rating {score}',
+    'stats.meanFinal': 'Mean final score {score}',
+    'stats.adjustedEffect': '{pct}% adjusted · effect {effect}',
+    'stats.noPrice': 'No prices',
+    'stats.noWines': 'No wines.',
+    'stats.coverage': 'Coverage',
+    'stats.coverageHelp': 'Wines per AOC; in orange, fewer than {top} wines (incomplete Top {top}). Dashed line: {top} wines.',
+    'stats.ratings': 'Ratings and adjustments',
+    'stats.ratingsHelp': 'Scale 3–5: line = min–max, grey = mean blended rating, red = mean final score. The effect is the mean shift caused by adjustments.',
+    'stats.prices': 'Prices',
+    'stats.pricesHelp': 'Line P10–P90, box P25–P75, bar = median (0 to {max}).',
+    'stats.distribution': 'Rating distribution',
+    'stats.distributionHelp': 'Wines per bucket: grey = blended rating, red = final score.',
+    'stats.emptyAppellations': 'Appellations without any wine ({n})',
+    'stats.col.rating': 'Rating mean / med.',
+    'stats.col.final': 'Final mean',
+    'stats.col.price': 'Price P25 / med. / P75',
+    'stats.col.reviews': 'Reviews (med.)',
+    'stats.col.adjusted': 'Adjusted',
+    'stats.col.meanAdjustment': 'Mean adj.',
+    'wine.notFoundTitle': 'Wine not found',
+    'wine.notFound': 'This wine does not exist (or no longer: it may have been merged with a duplicate).',
+    'wine.copyLink': 'Copy link',
+    'wine.aocRank': 'Rank in the AOC',
+    'wine.rankOf': '#{rank} of {size}',
+    'wine.strategyScore': 'Score ({strategy})',
+    'wine.valueIndex': 'Value index',
+    'wine.aocMean': 'AOC average',
+    'wine.sourceId': 'Source id',
+    'wine.sourceUpdate': 'Source update',
+    'wine.added': 'Added',
+    'wine.adjustment': 'Admin adjustment',
+    'wine.noAdjustment': 'none',
+    'wine.scores': 'Scores by source',
+    'wine.blended': 'blended rating {score} / 5',
+    'wine.sourceScale': '{min}–{max}, weight {weight}',
+    'wine.editScore': 'Edit',
+    'wine.overrideUntil': 'Adjusted by {pct}% until {until}, changed on {changed}.',
+    'wine.overridePermanent': 'Adjusted by {pct}% (permanent), changed on {changed}.',
+    'wine.justification': 'Justification: {note}',
+    'wine.otherVintages': 'Other vintages',
+    'wine.noOtherVintage': 'No other vintage.',
+    'wine.priceHistory': 'Price history',
+    'wine.noPrice': 'No known price.',
+    'wine.ratingHistory': 'Rating history',
+    'wine.noHistory': 'No history yet.',
+    'wine.source': 'Source',
+    'wine.source.seed': 'Initial data',
+    'wine.source.import': 'Import',
+    'wine.source.refresh': 'Refresh',
+    'wine.source.quarantine': 'Admin approval',
+    'wine.rank': 'Rank',
+    'wine.historyRank': '#{rank}',
+    'login.title': 'Administrator sign-in',
+    'login.intro': 'Enter your credentials to edit ratings, import data or start a refresh.',
+    'login.user': 'Username',
+    'login.password': 'Password',
+    'login.submit': 'Sign in',
+    'login.invalid': 'Invalid credentials.',
+    'login.done': 'Signed in. You can now edit ratings.',
+    'admin.preview.title': 'Previewing adjustment set:',
+    'admin.preview.help': '▲/▼ compared with the live ranking. Adjustments entered here edit the set, not the published ranking.',
+    'admin.preview.exit': 'Exit preview',
+    'admin.logout': 'Sign out',
+    'admin.close': 'Close',
+    'admin.save': 'Save',
+    'admin.apply': 'Apply',
+    'admin.add': 'Add',
+    'admin.create': 'Create',
+    'admin.delete': 'Delete',
+    'admin.none': 'None.',
+    'admin.wines': { one: '{n} wine', other: '{n} wines' },
+    'admin.until': 'until {date}',
+    'admin.updateFailed': 'Update failed',
+    'admin.invalidJson': 'Invalid JSON configuration.',
+    'admin.reasonPrompt': 'Reason (required):',
+    'admin.commentPrompt': 'Comment (optional):',
+    'admin.role.editor': 'Editor (ratings)',
+    'admin.role.data_manager': 'Data manager',
+    'admin.role.owner': 'Owner',
+    'admin.table.select': 'Select for a bulk adjustment',
+    'admin.table.outOfRange': 'Value out of range (±25%).',
+    'admin.table.notePrompt': 'Reason for the adjustment (required):',
+    'admin.table.noteRequired': 'A reason is required.',
+    'admin.table.expiresPrompt': 'Expiry date (YYYY-MM-DD, empty = permanent):',
+    'admin.scorePrompt': '{source}: score between {min} and {max} (empty = remove)',
+    'admin.audit.title': 'Adjustment log',
+    'admin.import.title': 'Import (CSV/JSON)',
+    'admin.import.noProfile': 'No profile (standard columns)',
+    'admin.import.preview': 'Preview',
+    'admin.import.chooseFile': 'Choose a CSV/JSON file',
+    'admin.import.failed': 'Import failed: {error}',
+    'admin.import.report': 'Import preview',
+    'admin.import.new': 'New: {n}',
+    'admin.import.changed': 'Changed: {n}',
+    'admin.import.unchanged': 'Unchanged: {n}',
+    'admin.import.rejected': 'Rejected: {n}',
+    'admin.import.missing': 'Missing from the file: {n}',
+    'admin.import.quarantined': 'Quarantined: {n}',
+    'admin.import.newWines': 'New wines',
+    'admin.import.changedWines': 'Changed wines',
+    'admin.import.quarantinedWines': 'Quarantined (applied once approved)',
+    'admin.import.rejectedRows': 'Rejected rows',
+    'admin.import.warnings': 'Warnings',
+    'admin.import.missingWines': 'In the database but missing from the file',
+    'admin.import.row': 'Row {row}',
+    'admin.import.confirm': { one: 'Confirm import ({n} wine)', other: 'Confirm import ({n} wines)' },
+    'admin.import.done': { one: 'Import succeeded: {n} wine', other: 'Import succeeded: {n} wines' },
+    'admin.refresh.now': 'Refresh now',
+    'admin.refresh.start': 'Start',
+    'admin.refresh.title': 'Refresh source',
+    'admin.refresh.every': 'Every',
+    'admin.refresh.days': 'days',
+    'admin.refresh.history': 'Refresh history',
+    'admin.refresh.none': 'No refreshes yet.',
+    'admin.refresh.source.file': 'Local file',
+    'admin.refresh.source.drop_folder': 'Drop folder',
+    'admin.refresh.source.http': 'HTTP export',
+    'admin.refresh.target.file': 'File path (empty = demo file)',
+    'admin.refresh.target.drop_folder': 'Watched folder',
+    'admin.refresh.target.http': 'Export URL',
+    'admin.job.status.running': 'running',
+    'admin.job.status.succeeded': 'done',
+    'admin.job.status.failed': 'failed',
+    'admin.job.status.skipped': 'nothing to import',
+    'admin.job.phase.fetch': 'reading the source',
+    'admin.job.phase.apply': 'importing',
+    'admin.job.trigger.cron': 'scheduled',
+    'admin.job.trigger.manual': 'manual',
+    'admin.job.trigger.watch': 'file drop',
+    'admin.job.rows': { one: '{n} row', other: '{n} rows' },
+    'admin.job.updated': { one: '{n} wine updated', other: '{n} wines updated' },
+    'admin.job.rejected': '{n} rejected',
+    'admin.job.quarantined': '{n} quarantined',
+    'admin.quarantine.title': 'Import quarantine',
+    'admin.quarantine.status.pending': 'Pending',
+    'admin.quarantine.status.approved': 'Approved',
+    'admin.quarantine.status.rejected': 'Rejected',
+    'admin.quarantine.status.superseded': 'Superseded by a newer import',
+    'admin.quarantine.nonePending': 'No pending changes.',
+    'admin.quarantine.selectAll': 'select all',
+    'admin.quarantine.reject': 'Reject',
+    'admin.quarantine.approve': 'Approve',
+    'admin.quarantine.newWine': 'new wine',
+    'admin.quarantine.source.refresh': 'refresh',
+    'admin.quarantine.source.import': 'import',
+    'admin.quarantine.selectOne': 'Select at least one change.',
+    'admin.quarantine.removals': { one: '{n} wine missing from the source will be retired from the rankings. Continue?', other: '{n} wines missing from the source will be retired from the rankings. Continue?' },
+    'admin.quarantine.approvePrompt': { one: 'Approve {n} change. Comment (optional):', other: 'Approve {n} changes. Comment (optional):' },
+    'admin.quarantine.rejectPrompt': { one: 'Reject {n} change. Comment (optional):', other: 'Reject {n} changes. Comment (optional):' },
+    'admin.rule.enabled': 'Check imports and refreshes',
+    'admin.rule.max_rating_delta': 'Max rating change (out of 5)',
+    'admin.rule.min_rating_count': 'Minimum review count',
+    'admin.rule.max_rating_count_drop_pct': 'Max drop in review count (%)',
+    'admin.rule.max_price_change_pct': 'Max price change (%)',
+    'admin.rule.aoc_change': 'AOC change',
+    'admin.rule.missing': 'Wine missing from the source (refreshes)',
+    'admin.rule.help': 'A row that breaks a rule is not applied: the wine keeps its current values until approved. Empty field = rule off. Approving a wine missing from the source retires it until the source lists it again.',
+    'admin.anomaly.max_rating_delta': 'rating change',
+    'admin.anomaly.min_rating_count': 'few reviews',
+    'admin.anomaly.max_rating_count_drop_pct': 'drop in review count',
+    'admin.anomaly.max_price_change_pct': 'price change',
+    'admin.anomaly.aoc_change': 'AOC change',
+    'admin.anomaly.missing': 'missing from the source',
+    'admin.history.title': 'Adjustment history',
+    'admin.history.none': 'No adjustments.',
+    'admin.history.revert': 'Revert',
+    'admin.history.revertPrompt': 'Reason for the revert (required):',
+    'admin.action.set': 'Set',
+    'admin.action.revert': 'Reverted',
+    'admin.action.expire': 'Expired',
+    'admin.action.merge': 'Merge',
+    'admin.action.import': 'Imported',
+    'admin.action.bulk': 'Bulk',
+    'admin.action.activate': 'Set activated',
+    'admin.action.rollback': 'Set rolled back',
+    'admin.changed': { one: '{n} adjustment changed', other: '{n} adjustments changed' },
+    'admin.expired': { one: '{n} expired, applied as 0', other: '{n} expired, applied as 0' },
+    'admin.restored': { one: '{n} adjustment restored.', other: '{n} adjustments restored.' },
+    'admin.bulk.title': 'Bulk adjustments',
+    'admin.bulk.apply': 'Apply to selection',
+    'admin.bulk.clear': 'Clear selection',
+    'admin.bulk.resetAoc': 'Reset the displayed AOC to 0',
+    'admin.bulk.importCsv': 'Import a CSV…',
+    'admin.bulk.csvHelp': 'CSV: external_id and adjustment_pct columns (expires_at and note optional), separated by commas or semicolons.',
+    'admin.bulk.selected': { one: '{n} wine selected: {names}', other: '{n} wines selected: {names}' },
+    'admin.bulk.noneSelected': 'No wine selected (tick them in the ranking).',
+    'admin.bulk.tickWines': 'Tick wines in the ranking.',
+    'admin.bulk.pctRange': 'Enter an adjustment between -25 and 25%.',
+    'admin.bulk.notePrompt': { one: 'Reason for {n} wine at {pct}% (required):', other: 'Reason for {n} wines at {pct}% (required):' },
+    'admin.bulk.chooseAoc': 'Choose an AOC in the filter first.',
+    'admin.bulk.resetPrompt': 'Reset every adjustment in {aoc} to 0? Reason (required):',
+    'admin.bulk.resetDone': { one: '{n} adjustment reset to 0.', other: '{n} adjustments reset to 0.' },
+    'admin.csv.toApply': 'Adjustments to apply: {n} (unchanged: {unchanged})',
+    'admin.csv.unmatched': 'Unknown IDs: {n}',
+    'admin.csv.skipped': 'Skipped: {n}',
+    'admin.csv.addToSet': 'Add to the set?',
+    'admin.sets.title': 'Adjustment sets',
+    'admin.sets.none': 'No sets.',
+    'admin.sets.namePlaceholder': 'Name (e.g. Wine Fair 2026 selection)',
+    'admin.sets.fromLive': 'start from the current adjustments',
+    'admin.sets.replaceAll': 'replaces all other adjustments',
+    'admin.sets.help': 'A set is prepared as a draft (preview, selection, CSV), then activated in one go; only the latest activation can be undone.',
+    'admin.sets.status.draft': 'Draft',
+    'admin.sets.status.active': 'Active',
+    'admin.sets.status.superseded': 'Superseded',
+    'admin.sets.replacesAll': '(replaces all)',
+    'admin.sets.replacesAllTitle': 'Resets adjustments outside the set to 0',
+    'admin.sets.preview': 'Preview',
+    'admin.sets.items': 'Wines',
+    'admin.sets.select': '+ selection',
+    'admin.sets.activate': 'Activate',
+    'admin.sets.rollback': 'Undo activation',
+    'admin.sets.remove': 'Remove',
+    'admin.sets.selectFirst': 'Tick wines in the ranking and enter an adjustment (Bulk adjustments).',
+    'admin.sets.activatePrompt': 'Activate “{name}” ({wines})? Reason (required):',
+    'admin.sets.activateReplacePrompt': 'Activate “{name}” ({wines}, other adjustments will be reset to 0)? Reason (required):',
+    'admin.sets.rollbackPrompt': 'Undo the activation of “{name}” and restore the previous adjustments? Reason (required):',
+    'admin.sets.deleteConfirm': 'Delete the set “{name}”?',
+    'admin.sets.empty': 'No wines: tick wines then “+ selection”, import a CSV or enter adjustments in the preview.',
+    'admin.ranking.title': 'Default ranking',
+    'admin.ranking.priorWeight': 'Prior weight (reviews)',
+    'admin.scoreSources.title': 'Score sources',
+    'admin.scoreSources.help': 'List of { id, label, min, max, weight }: each [min, max] scale is mapped onto 0–5, then the blended rating is the weighted mean of the sources available for the wine. vivino is required (0–5 scale, weight 0 to ignore it). On import, one score_<id> column per source.',
+    'admin.priceBands.title': 'Price bands',
+    'admin.priceBands.help': 'List of { id, label, min, max } in euros; min inclusive, max exclusive, null = unbounded.',
+    'admin.webhooks.title': 'Webhooks (Top 20 changes)',
+    'admin.webhooks.none': 'No webhooks.',
+    'admin.webhooks.active': 'Active',
+    'admin.webhooks.pending': '{n} pending',
+    'admin.webhooks.failed': '{n} failed',
+    'admin.webhooks.log': 'Log',
+    'admin.webhooks.test': 'Test',
+    'admin.webhooks.rotate': 'New secret',
+    'admin.webhooks.deleteConfirm': 'Delete this webhook and its log?',
+    'admin.webhooks.secret': 'Signing secret (shown only once):',
+    'admin.webhooks.newSecret': 'New secret (shown only once):',
+    'admin.webhooks.noDeliveries': 'No deliveries.',
+    'admin.webhooks.attempts': { one: '{n} attempt', other: '{n} attempts' },
+    'admin.webhooks.redeliver': 'Redeliver',
+    'admin.delivery.pending': 'pending',
+    'admin.delivery.delivered': 'delivered',
+    'admin.delivery.failed': 'failed',
+    'admin.duplicates.title': 'Possible duplicates',
+    'admin.duplicates.search': 'Search',
+    'admin.duplicates.prompt': 'Run a search.',
+    'admin.duplicates.none': 'No duplicates found.',
+    'admin.duplicates.reviews': { one: '{n} review', other: '{n} reviews' },
+    'admin.duplicates.keep': 'Keep #{id}',
+    'admin.duplicates.distinct': 'Distinct',
+    'admin.duplicates.mergePrompt': 'Merge #{gone} into #{keep}? ID {external_id} will redirect to this wine.\nReason:',
+    'admin.unknownAocs.title': 'Unknown AOCs',
+    'admin.unknownAocs.map': 'Map',
+    'admin.profiles.title': 'Import profiles',
+    'admin.profiles.new': '— New profile —',
+    'admin.profiles.name': 'Profile name',
+    'admin.profiles.transforms': 'Transforms: trim, upper, lower, title, score100_to_5, score20_to_5.',
+    'admin.profiles.deleteConfirm': 'Delete this profile?',
+    'admin.transfer.title': 'Settings and adjustments (transfer)',
+    'admin.transfer.help': 'Portable JSON file: strategy, price bands, score sources, quarantine rules and admin adjustments (matched by source ID). To promote settings from a test environment to production.',
+    'admin.transfer.export': 'Export',
+    'admin.transfer.import': 'Import…',
+    'admin.transfer.invalidFile': 'Invalid JSON file.',
+    'admin.transfer.settings': 'Settings: {list}',
+    'admin.transfer.noSettings': 'none',
+    'admin.transfer.unmatched': 'Wines not found here: {n}',
+    'admin.transfer.confirm': 'Apply?',
+    'admin.backup.title': 'Database backup',
+    'admin.backup.download': 'Download a backup',
+    'admin.backup.restore': 'Restore…',
+    'admin.backup.help': 'Restoring replaces all data (accounts included) and signs everyone out.',
+    'admin.backup.restoreConfirm': 'Replace all data with “{file}”? Everyone will be signed out.',
+    'admin.backup.restored': 'Database restored.',
+    'admin.backup.kept': 'Tables the backup did not have were kept: {tables}.',
+    'admin.backup.signIn': 'Please sign in again.',
+    'admin.backup.schema': 'Schema v{version} (up to date)',
+    'admin.backup.schemaBehind': 'Schema v{version} — v{latest} expected',
+    'admin.users.title': 'Users',
+    'admin.users.username': 'Username',
+    'admin.users.password': 'Password (10+)',
+    'admin.users.disabled': 'disabled',
+    'admin.users.setPassword': 'Password',
+    'admin.users.lastLogin': 'last signed in {date}',
+    'admin.users.neverLoggedIn': 'never signed in',
+    'admin.users.passwordPrompt': 'New password (at least 10 characters):',
+    'admin.users.deleteConfirm': 'Delete this user?',
+    'admin.password.title': 'My password',
+    'admin.password.current': 'Current',
+    'admin.password.new': 'New (10+)',
+    'admin.password.change': 'Change',
+    'admin.password.changed': 'Password changed.',
+  },
+};
+const LOCALES = Object.keys(UI_MESSAGES);
+
+// English API error -> translation. '{x}' matches any text; a captured part that is itself a known
+// message is translated too ("Wine 12: adjustment_pct must be a number").
+const API_ERROR_MESSAGES = {
+  fr: {
+    'Authentication required': 'Authentification requise',
+    'Invalid credentials': 'Identifiants invalides',
+    'Invalid CSRF token': 'Jeton CSRF invalide',
+    'Forbidden': 'Accès refusé',
+    'Current password is incorrect': 'Le mot de passe actuel est incorrect',
+    'password must be at least 10 characters': 'Le mot de passe doit faire au moins 10 caractères',
+    'username required': "Nom d'utilisateur requis",
+    'username and password required': "Nom d'utilisateur et mot de passe requis",
+    'Username already taken': "Ce nom d'utilisateur est déjà pris",
+    'User not found': 'Utilisateur introuvable',
+    'You cannot delete your own account': 'Vous ne pouvez pas supprimer votre propre compte',
+    'At least one active owner is required': 'Il faut au moins un propriétaire actif',
+    'Wine not found': 'Vin introuvable',
+    'Wine not found: {ids}': 'Vin introuvable : {ids}',
+    'Wine {id}: {error}': 'Vin {id} : {error}',
+    'Unknown AOC': 'AOC inconnue',
+    'Unknown region': 'Sous-région inconnue',
+    'aoc matches no wine': "L'AOC ne correspond à aucun vin",
+    'Invalid query parameters': 'Paramètres de requête invalides',
+    'body must be an object': 'Le corps de la requête doit être un objet',
+    'config must be an object': 'La configuration doit être un objet',
+    'headers must be an object': 'headers doit être un objet',
+    'name required': 'Nom requis',
+    'note required': 'Justification requise',
+    'note required (justification for the change)': 'Justification requise (raison du changement)',
+    'preview_id required': 'preview_id requis',
+    'name and region required': 'Nom et sous-région requis',
+    'alias and appellation_id required': 'alias et appellation_id requis',
+    'wine_id and adjustment_pct required': 'wine_id et adjustment_pct requis',
+    'dir required for the drop_folder source': 'dir est requis pour la source drop_folder',
+    'name must be at most 120 characters': 'Le nom fait au plus 120 caractères',
+    'description must be at most 2000 characters': 'La description fait au plus 2000 caractères',
+    'note must be at most 2000 characters': 'Le commentaire fait au plus 2000 caractères',
+    'quantity must be a whole number between 1 and 10000': 'La quantité doit être un nombre entier entre 1 et 10000',
+    'adjustment_pct must be a number': "L'ajustement doit être un nombre",
+    'adjustment_pct must be between -25 and 25': "L'ajustement doit être compris entre -25 et 25",
+    'expires_at must be a valid date': "La date d'expiration n'est pas valide",
+    'expires_at must be in the future': "La date d'expiration doit être dans le futur",
+    'score must be a number between {min} and {max}': 'La note doit être un nombre entre {min} et {max}',
+    '{field} must be one of {values}': '{field} doit valoir : {values}',
+    '{field} must be a year': '{field} doit être une année',
+    '{field} must be a non-negative number': '{field} doit être un nombre positif ou nul',
+    '{field} must be a non-negative integer': '{field} doit être un entier positif ou nul',
+    '{field} must be a positive integer': '{field} doit être un entier positif',
+    '{field} must be a non-empty array': '{field} doit être une liste non vide',
+    '{field} must be an array': '{field} doit être une liste',
+    'limit must be an integer between 1 and {max}': 'limit doit être un entier entre 1 et {max}',
+    'interval_days must be an integer between 1 and 365': 'interval_days doit être un entier entre 1 et 365',
+    'minScore must be between 0 and 1': 'minScore doit être compris entre 0 et 1',
+    'sep must be "," or ";"': 'sep doit valoir "," ou ";"',
+    'pick must be "best" or "latest"': 'pick doit valoir "best" ou "latest"',
+    'group must be "wine"': 'group doit valoir "wine"',
+    'scope must be "filtered" or "top20"': 'scope doit valoir "filtered" ou "top20"',
+    'classification must be a classification family or rank id (see /api/wines/facets)': 'classification doit être un identifiant de classement ou de rang (voir /api/wines/facets)',
+    'url must be an absolute http(s) URL': 'url doit être une URL http(s) absolue',
+    'No file uploaded': 'Aucun fichier envoyé',
+    'Nothing to import': 'Rien à importer',
+    'Import failed': "Échec de l'import",
+    'Export failed': "Échec de l'export",
+    'Backup failed': 'Échec de la sauvegarde',
+    'Backup failed the integrity check': "La sauvegarde n'a pas passé le contrôle d'intégrité",
+    'Backup has no enabled owner account': "La sauvegarde n'a aucun compte propriétaire actif",
+    'Restore failed': 'Échec de la restauration',
+    'Invalid CSV: {detail}': 'CSV invalide : {detail}',
+    'Preview not found or expired': 'Aperçu introuvable ou expiré',
+    'Import profile not found': "Profil d'import introuvable",
+    'A profile with this name already exists': 'Un profil porte déjà ce nom',
+    'Override set not found': "Jeu d'ajustements introuvable",
+    'An override set named "{name}" already exists': 'Un jeu d\'ajustements nommé « {name} » existe déjà',
+    'Override set is in force; roll it back first': "Ce jeu d'ajustements est en vigueur : annulez-le d'abord",
+    'Override set is not active': "Ce jeu d'ajustements n'est pas actif",
+    'Another set was activated since; roll that one back first': "Un autre jeu a été activé depuis : annulez-le d'abord",
+    'Audit entry not found': 'Entrée du journal introuvable',
+    'Appellation not found': 'Appellation introuvable',
+    'Alias not found': 'Alias introuvable',
+    'Cannot remove the canonical name of an appellation': "Impossible de supprimer le nom officiel d'une appellation",
+    'keep_id and merge_id must differ': 'keep_id et merge_id doivent être différents',
+    'a_id and b_id must be two different wine ids': 'a_id et b_id doivent désigner deux vins différents',
+    'Webhook not found': 'Webhook introuvable',
+    'Webhook is disabled': 'Ce webhook est désactivé',
+    'Delivery not found': 'Envoi introuvable',
+    'Job not found': 'Tâche introuvable',
+    'A refresh is already running': 'Un rafraîchissement est déjà en cours',
+    'A refresh job is running; retry once it has finished': 'Un rafraîchissement est en cours ; réessayez une fois terminé',
+    'Shortlist not found': 'Sélection introuvable',
+    'Wine not in this shortlist': "Ce vin n'est pas dans la sélection",
+    'A valid X-Shortlist-Key header is required to change this shortlist': 'Un en-tête X-Shortlist-Key valide est requis pour modifier cette sélection',
+    'A shortlist holds at most {n} wines': 'Une sélection contient au plus {n} vins',
+    '"{alias}" already resolves to {name}': '« {alias} » désigne déjà {name}',
+    'bank must be "left", "right" or null': 'bank doit valoir "left", "right" ou null',
+    'settings.score_sources: {error}': 'settings.score_sources : {error}',
+    'settings.price_bands: {error}': 'settings.price_bands : {error}',
+    'settings.anomaly_rules: {error}': 'settings.anomaly_rules : {error}',
+    'rules must be an object': 'Les règles doivent être un objet',
+    'Unknown rule: {key}': 'Règle inconnue : {key}',
+    '{key} must be true or false': '{key} doit valoir true ou false',
+    '{key} must be a non-negative number or null': '{key} doit être un nombre positif ou nul, ou null',
+    'Anomaly not found: {id}': 'Modification en quarantaine introuvable : {id}',
+    'Anomaly {id} is already {status}': 'La modification {id} est déjà traitée ({status})',
+    'each source needs an id made of a-z, 0-9 and _': 'Chaque source doit avoir un identifiant composé de a-z, 0-9 et _',
+    'duplicate source id: {id}': 'Identifiant de source en double : {id}',
+    'source {id}: min and max must be numbers with min below max': 'Source {id} : min et max doivent être des nombres, min inférieur à max',
+    'source vivino: the scale is fixed at 0–5': "Source vivino : l'échelle est fixée à 0–5",
+    'the vivino source cannot be removed (set its weight to 0 instead)': 'La source vivino ne peut pas être supprimée (mettez plutôt son poids à 0)',
+    'at least one source needs a positive weight': 'Au moins une source doit avoir un poids positif',
+    'each band needs an id made of a-z, 0-9 and -': 'Chaque gamme doit avoir un identifiant composé de a-z, 0-9 et -',
+    'duplicate band id: {id}': 'Identifiant de gamme en double : {id}',
+    'band {id}: min/max must be numbers': 'Gamme {id} : min et max doivent être des nombres',
+    'band {id}: min or max required': 'Gamme {id} : min ou max requis',
+    'band {id}: min must be below max': 'Gamme {id} : min doit être inférieur à max',
+    'format must be "csv", "json" or null': 'format doit valoir "csv", "json" ou null',
+    'delimiter must be a single character': 'delimiter doit être un seul caractère',
+    'decimal must be "." or ","': 'decimal doit valoir "." ou ","',
+    'Unsupported encoding: {encoding}': 'Encodage non pris en charge : {encoding}',
+    'Unknown field in columns: {field}': 'Champ inconnu dans columns : {field}',
+    'columns.{field} must be a header name or a list of header names': "columns.{field} doit être un nom d'en-tête ou une liste de noms d'en-tête",
+    'Unknown field in transforms: {field}': 'Champ inconnu dans transforms : {field}',
+    'Unknown transform: {name}': 'Transformation inconnue : {name}',
+    'Not a Bordeaux Top 20 database (no wines table)': "Ce n'est pas une base Bordeaux Top 20 (pas de table wines)",
+    'Not a usable database: {detail}': 'Base de données inutilisable : {detail}',
+    'Unsupported config version: {version}': 'Version de configuration non prise en charge : {version}',
+    'Not a {format} file': "Ce n'est pas un fichier {format}",
+  },
+};
+
+// Compiled once: exact messages in a Map, '{x}' patterns as regexes tried in catalogue order
+const API_ERROR_PATTERNS = Object.fromEntries(Object.entries(API_ERROR_MESSAGES).map(([locale, messages]) => {
+  const exact = new Map();
+  const patterns = [];
+  for (const [source, target] of Object.entries(messages)) {
+    if (!source.includes('{')) { exact.set(source, target); continue; }
+    const names = [...source.matchAll(/\{(\w+)\}/g)].map(x => x[1]);
+    const regex = new RegExp(`^${source.split(/\{\w+\}/).map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('(.+?)')}$`);
+    patterns.push({ regex, names, target });
+  }
+  return [locale, { exact, patterns }];
+}));
+
+function translateApiError(message, locale) {
+  const catalogue = API_ERROR_PATTERNS[locale];
+  if (!catalogue || typeof message !== 'string') return message;
+  if (catalogue.exact.has(message)) return catalogue.exact.get(message);
+  for (const p of catalogue.patterns) {
+    const match = message.match(p.regex);
+    if (!match) continue;
+    const values = Object.fromEntries(p.names.map((name, i) => [name, translateApiError(match[i + 1], locale)]));
+    return p.target.replace(/\{(\w+)\}/g, (all, name) => values[name]);
+  }
+  return message;
+}
+
+function uiMessage(locale, key) {
+  const msg = UI_MESSAGES[locale][key] ?? UI_MESSAGES[DEFAULT_LOCALE][key];
+  if (msg === undefined) throw new Error(`Missing UI message: ${key}`);
+  return msg;
+}
+
+// Exports, feeds and the widget, rendered in `locale` from the same catalogue: msg() fills '{x}'
+// and picks { one, other } forms like the client's t(); label() falls back to the (French) label a
+// server-side list carries when the catalogue has no entry for it.
+function serverI18n(locale) {
+  const tag = LOCALE_TAGS[locale];
+  const plural = new Intl.PluralRules(tag);
+  const msg = (key, params = {}) => {
+    let text = uiMessage(locale, key);
+    if (typeof text === 'object') text = text[plural.select(params.n)] ?? text.other;
+    return text.replace(/\{(\w+)\}/g, (all, name) => params[name] ?? all);
+  };
+  const label = (key, fallback) => ((UI_MESSAGES[locale][key] ?? UI_MESSAGES[DEFAULT_LOCALE][key]) === undefined ? fallback : msg(key));
+  return {
+    locale,
+    msg,
+    label,
+    strategy: id => label(`strategy.${id}`, RANKING_STRATEGIES[id].label),
+    num: (x, d) => (x == null ? '—' : new Intl.NumberFormat(tag, { minimumFractionDigits: d, maximumFractionDigits: d }).format(x)),
+    money: x => (x == null ? '—' : new Intl.NumberFormat(tag, { style: 'currency', currency: 'EUR' }).format(x)),
+    date: iso => new Date(iso).toLocaleDateString(tag),
+    dateTime: iso => new Date(iso).toLocaleString(tag, { dateStyle: 'short', timeStyle: 'short' }),
+  };
+}
+
+// What the page script receives as I18N; '<' escaped so no message can close the <script> tag
+function clientI18n(locale) {
+  const messages = { ...UI_MESSAGES[DEFAULT_LOCALE], ...UI_MESSAGES[locale] };
+  return JSON.stringify({ locale, tag: LOCALE_TAGS[locale], messages }).replace(/</g, '\\u003c');
+}
+
+// "en-GB,en;q=0.9,fr;q=0.8" -> the best supported language, or null
+function acceptLanguage(header) {
+  const ranked = String(header || '').split(',').map(part => {
+    const [tag, ...params] = part.trim().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    return { locale: tag.trim().toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1 };
+  }).filter(x => x.q > 0 && LOCALES.includes(x.locale));
+  ranked.sort((a, b) => b.q - a.q);
+  return ranked.length ? ranked[0].locale : null;
+}
+
+function requestLocale(req, fallback = DEFAULT_LOCALE) {
+  const known = x => (LOCALES.includes(x) ? x : null);
+  return known(req.query.lang) || known(parseCookies(req.headers.cookie)[LOCALE_COOKIE])
+    || acceptLanguage(req.headers['accept-language']) || fallback;
+}
+
+// For responses whose body follows the negotiated language: caches must key on the headers that chose
+// it. An explicit ?lang is already part of the URL.
+function varyLocale(req, res) {
+  if (!LOCALES.includes(req.query.lang)) res.vary('Accept-Language, Cookie');
+}
+
+function localeCookie(req, locale) {
+  return [`${LOCALE_COOKIE}=${locale}`, 'Path=/', 'SameSite=Lax', `Max-Age=${365 * 24 * 3600}`, req.secure ? 'Secure' : null]
+    .filter(Boolean).join('; ');
+}
+
+const INDEX_PAGES = new Map(); // locale -> rendered page
+function indexPage(locale) {
+  if (!INDEX_PAGES.has(locale)) INDEX_PAGES.set(locale, indexHtml(locale));
+  return INDEX_PAGES.get(locale);
+}
+
+// ---- Express app & API -------------------------------------
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+// CORS for dev convenience
+app.use((req, res, next) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token, X-Shortlist-Key');
+  if (req.method === 'OPTIONS') return res.sendStatus(200);
+  next();
+});
+
+// API errors stay English unless the client asked for another language (?lang, cookie or Accept-Language).
+// Only error bodies are translated, so only they vary by language.
+app.use('/api', (req, res, next) => {
+  const locale = requestLocale(req, 'en');
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (body && typeof body.error === 'string') {
+      varyLocale(req, res);
+      if (locale !== 'en') body = { ...body, error: translateApiError(body.error, locale) };
+    }
+    return json(body);
+  };
+  next();
+});
+
+// --- UI ------------------------------------------------------
+// /wines/:id, /stats and /shortlists/:token are the same page; the client router shows the right view.
+// An explicit ?lang= is remembered for the next visits.
+app.get(['/', '/wines/:id', '/stats', '/shortlists/:token'], (req, res) => {
+  const locale = requestLocale(req);
+  if (LOCALES.includes(req.query.lang)) res.setHeader('Set-Cookie', localeCookie(req, locale));
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Language', locale);
+  varyLocale(req, res);
+  res.end(indexPage(locale));
+});
+
+// --- Public API ---------------------------------------------
+// AOCs grouped by sub-region: [{ region, bank, n, aocs: [{ name, n, known }] }].
+// AOCs missing from the registry come last under region: null. ?all=1 includes AOCs without wines.
+app.get('/api/aocs', (req, res) => {
+  res.json(aocHierarchy(Boolean(req.query.all)));
+});
+
+// Fetch wines with optional filters (see queryWines)
+app.get('/api/wines', (req, res) => {
+  const result = queryWines(req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.setHeader('X-Ranking-Strategy', result.ranking.strategy);
+  res.json(result.rows);
+});
+
+// Value counts for the color/style/classification/grape filters under the other /api/wines filters
+// (see wineFacets)
+app.get('/api/wines/facets', (req, res) => {
+  const result = wineFacets(req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.facets);
+});
+
+// Price bands with the number of wines in each
+app.get('/api/price-bands', (req, res) => {
+  const prices = db.prepare(`SELECT price FROM wines WHERE price IS NOT NULL AND retired_at IS NULL`).all();
+  const bands = getPriceBands();
+  res.json(bands.map(b => ({ ...b, n: prices.filter(p => priceBandOf(p.price, [b]) === b.id).length })));
+});
+
+// Distribution statistics overall and per AOC (see wineStats). ?strategy= as /api/wines; ?aoc= or
+// ?region= narrows the scope.
+app.get('/api/stats', (req, res) => {
+  const { strategy, aoc, region } = req.query;
+  if (strategy && !RANKING_STRATEGIES[strategy]) return res.status(400).json({ error: `strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}` });
+  if (region && !db.prepare(`SELECT 1 FROM appellation_regions WHERE name = ?`).get(region)) return res.status(404).json({ error: 'Unknown region' });
+  let aocName = null;
+  if (aoc) {
+    const a = resolveAoc(aoc);
+    aocName = a ? a.name : db.prepare(`SELECT 1 FROM wines WHERE aoc = ?`).get(aoc) ? aoc : null;
+    if (!aocName) return res.status(404).json({ error: 'Unknown AOC' });
+  }
+  res.json(wineStats({ strategy, aoc: aocName, region }));
+});
+
+// One wine with its AOC rank, other vintages, history and adjustment (see wineDetail). ?strategy= as /api/wines
+app.get('/api/wines/:id', (req, res) => {
+  const { strategy } = req.query;
+  if (strategy && !RANKING_STRATEGIES[strategy]) return res.status(400).json({ error: `strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}` });
+  const wine = wineDetail(req.params.id, strategy);
+  if (!wine) return res.status(404).json({ error: 'Wine not found' });
+  res.json(wine);
+});
+
+// Price points of one wine (see pricePoints)
+app.get('/api/wines/:id/prices', (req, res) => {
+  const wine = getWineById.get(req.params.id);
+  if (!wine) return res.status(404).json({ error: 'Wine not found' });
+  res.json(pricePoints(wine.id));
+});
+
+// Wines whose price moved by at least minPct (default 10) between the previous run and now
+app.get('/api/prices/drift', (req, res) => {
+  const { aoc } = req.query;
+  const minPct = req.query.minPct !== undefined ? Number(req.query.minPct) : 10;
+  if (!(minPct >= 0)) return res.status(400).json({ error: 'minPct must be a non-negative number' });
+  let sql = `
+    SELECT w.id, w.name, w.aoc, w.vintage, w.price, s.price AS prev_price, s.captured_at AS prev_captured_at,
+           (w.price - s.price) * 100.0 / s.price AS change_pct
+    FROM wines w
+    JOIN wine_snapshots s ON s.wine_id = w.id
+      AND s.captured_at = (SELECT captured_at FROM wine_snapshots GROUP BY captured_at ORDER BY captured_at DESC LIMIT 1 OFFSET 1)
+    WHERE w.retired_at IS NULL AND w.price IS NOT NULL AND s.price > 0 AND ABS(w.price - s.price) * 100.0 / s.price >= ?
+  `;
+  const params = [minPct];
+  if (aoc) { sql += ` AND w.aoc = ?`; params.push(aoc); }
+  sql += ` ORDER BY ABS(change_pct) DESC`;
+  res.json(db.prepare(sql).all(...params));
+});
+
+// Distinct vintages with wine counts, newest first (feeds the vintage selector)
+app.get('/api/vintages', (req, res) => {
+  const { aoc } = req.query;
+  const rows = aoc
+    ? db.prepare(`SELECT vintage, COUNT(*) AS n FROM wines WHERE vintage IS NOT NULL AND retired_at IS NULL AND aoc = ? GROUP BY vintage ORDER BY vintage DESC`).all(aoc)
+    : db.prepare(`SELECT vintage, COUNT(*) AS n FROM wines WHERE vintage IS NOT NULL AND retired_at IS NULL GROUP BY vintage ORDER BY vintage DESC`).all();
+  res.json(rows);
+});
+
+// Available strategies and the admin-chosen default
+app.get('/api/ranking', (req, res) => {
+  const { strategy, prior } = rankingParams();
+  res.json({
+    default_strategy: strategy,
+    prior_weight: prior,
+    strategies: Object.entries(RANKING_STRATEGIES).map(([id, s]) => ({ id, ...s })),
+    score_sources: SCORE_SOURCES,
+  });
+});
+
+// Download the ranking. scope=filtered (default) takes the /api/wines filters as-is;
+// scope=top20 exports every AOC's Top 20 (filters still apply) in one file.
+// format=csv|json|xlsx|html (html = print view, one AOC per page); sep=; for French-locale Excel.
+// Headers and labels follow ?lang=, the language cookie or Accept-Language (French by default).
+app.get('/api/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  const scope = req.query.scope || 'filtered';
+  const sep = req.query.sep || ',';
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  if (!['filtered', 'top20'].includes(scope)) return res.status(400).json({ error: 'scope must be "filtered" or "top20"' });
+  if (![',', ';'].includes(sep)) return res.status(400).json({ error: 'sep must be "," or ";"' });
+  const result = queryWines(req.query, scope === 'top20' ? { top: 20 } : {});
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  const l10n = serverI18n(requestLocale(req));
+  varyLocale(req, res);
+  let rows = result.rows.map(r => exportRow(r, l10n));
+  if (scope === 'top20') rows.sort((a, b) => a.aoc.localeCompare(b.aoc, 'fr') || a.aoc_rank - b.aoc_rank);
+  const exportedAt = dayjs().toISOString();
+  const strategy = result.ranking.strategy;
+  const filename = `bordeaux-${scope === 'top20' ? 'top20-par-aoc' : 'classement'}-${dayjs(exportedAt).format('YYYYMMDD-HHmm')}.${format}`;
+  res.setHeader('X-Ranking-Strategy', strategy);
+
+  try {
+    if (format === 'json') {
+      const filters = { ...req.query };
+      for (const k of ['format', 'scope', 'sep', 'lang']) delete filters[k];
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.json({ exported_at: exportedAt, scope, strategy, filters, count: rows.length, wines: rows });
+    }
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.end(exportCsv(rows, { exportedAt, sep, l10n }));
+    }
+    if (format === 'xlsx') {
+      const sheets = scope === 'top20'
+        ? groupByAoc(rows).map(g => ({ title: g.aoc, wines: g.wines }))
+        : [{ title: req.query.aoc || req.query.region || l10n.msg('export.ranking'), wines: rows }];
+      const buf = await exportXlsx(sheets, { exportedAt, strategy, l10n });
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.end(Buffer.from(buf));
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(exportPrintHtml(groupByAoc(rows), { exportedAt, strategy, l10n }));
+  } catch (err) {
+    console.error('[export] Failed:', err);
+    res.status(500).json({ error: 'Export failed', detail: String(err) });
+  }
+});
+
+// Type-ahead suggestions for the search box: [{ type: 'aoc'|'winery'|'wine', label, n, id?, detail? }]
+app.get('/api/search/suggest', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 8;
+  if (!(Number.isInteger(limit) && limit >= 1 && limit <= 20)) return res.status(400).json({ error: 'limit must be an integer between 1 and 20' });
+  res.json(q ? searchSuggestions(q, limit) : []);
+});
+
+// --- Shortlists -----------------------------------------------
+// Public: anyone can create one; the response carries the edit key, which is never shown again.
+// Reading only needs the token. Body: { name, description?, wine_ids? }
+app.post('/api/shortlists', (req, res) => {
+  const { fields, error } = validateShortlist(req.body);
+  if (error) return res.status(400).json({ error });
+  const wineIds = req.body.wine_ids === undefined ? [] : req.body.wine_ids;
+  if (!Array.isArray(wineIds)) return res.status(400).json({ error: 'wine_ids must be an array' });
+  const { shortlist, editKey } = createShortlist(fields, wineIds);
+  res.status(201).json({ ok: true, token: shortlist.token, edit_key: editKey, shortlist: shortlistDetail(shortlist) });
+});
+
+// ?strategy= as /api/wines
+app.get('/api/shortlists/:token', (req, res) => {
+  const { strategy } = req.query;
+  if (strategy && !RANKING_STRATEGIES[strategy]) return res.status(400).json({ error: `strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}` });
+  const s = getShortlistByToken.get(req.params.token);
+  if (!s) return res.status(404).json({ error: 'Shortlist not found' });
+  res.json(shortlistDetail(s, strategy));
+});
+
+app.patch('/api/shortlists/:token', requireShortlistKey, (req, res) => {
+  const { fields, error } = validateShortlist(req.body, req.shortlist);
+  if (error) return res.status(400).json({ error });
+  fields.updated_at = dayjs().toISOString();
+  const sets = Object.keys(fields).map(k => `${k} = @${k}`).join(', ');
+  db.prepare(`UPDATE shortlists SET ${sets} WHERE id = @id`).run({ ...fields, id: req.shortlist.id });
+  res.json({ ok: true, shortlist: shortlistDetail(getShortlistByToken.get(req.shortlist.token)) });
+});
+
+app.delete('/api/shortlists/:token', requireShortlistKey, (req, res) => {
+  db.transaction(() => {
+    db.prepare(`DELETE FROM shortlist_items WHERE shortlist_id = ?`).run(req.shortlist.id);
+    db.prepare(`DELETE FROM shortlists WHERE id = ?`).run(req.shortlist.id);
+  })();
+  res.json({ ok: true });
+});
+
+// Add a wine or update its line. Body: { note?, quantity? }; fields left out are kept.
+app.put('/api/shortlists/:token/items/:wineId', requireShortlistKey, (req, res) => {
+  const wine = getActiveWineById.get(req.params.wineId);
+  if (!wine) return res.status(404).json({ error: 'Wine not found' });
+  const existing = getShortlistItem.get(req.shortlist.id, wine.id);
+  if (!existing && countShortlistItems.get(req.shortlist.id).n >= SHORTLIST_MAX_ITEMS) {
+    return res.status(400).json({ error: `A shortlist holds at most ${SHORTLIST_MAX_ITEMS} wines` });
+  }
+  const { note, quantity, error } = validateShortlistItem(req.body, existing);
+  if (error) return res.status(400).json({ error });
+  const now = dayjs().toISOString();
+  db.transaction(() => {
+    upsertShortlistItem.run({ shortlist_id: req.shortlist.id, wine_id: wine.id, note, quantity, added_at: now });
+    touchShortlist.run(now, req.shortlist.id);
+  })();
+  res.status(existing ? 200 : 201).json({ ok: true, added: !existing, wine_id: wine.id, note, quantity });
+});
+
+app.delete('/api/shortlists/:token/items/:wineId', requireShortlistKey, (req, res) => {
+  const removed = deleteShortlistItem.run(req.shortlist.id, req.params.wineId).changes;
+  if (!removed) return res.status(404).json({ error: 'Wine not in this shortlist' });
+  touchShortlist.run(dayjs().toISOString(), req.shortlist.id);
+  res.json({ ok: true });
+});
+
+// format=csv|json|xlsx; sep= and lang= as /api/export. Columns of /api/export plus quantity, line total and note.
+app.get('/api/shortlists/:token/export', async (req, res) => {
+  const format = req.query.format || 'csv';
+  const sep = req.query.sep || ',';
+  if (!SHORTLIST_EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of ${SHORTLIST_EXPORT_FORMATS.join(', ')}` });
+  if (![',', ';'].includes(sep)) return res.status(400).json({ error: 'sep must be "," or ";"' });
+  const { strategy } = req.query;
+  if (strategy && !RANKING_STRATEGIES[strategy]) return res.status(400).json({ error: `strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}` });
+  const s = getShortlistByToken.get(req.params.token);
+  if (!s) return res.status(404).json({ error: 'Shortlist not found' });
+
+  const detail = shortlistDetail(s, strategy);
+  const l10n = serverI18n(requestLocale(req));
+  varyLocale(req, res);
+  const rows = detail.items.map(item => shortlistExportRow(item, l10n));
+  const exportedAt = dayjs().toISOString();
+  const filename = `selection-${aocSlug(s.name) || 'vins'}-${dayjs(exportedAt).format('YYYYMMDD-HHmm')}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  try {
+    if (format === 'json') {
+      return res.json({ exported_at: exportedAt, name: s.name, description: s.description, strategy: detail.ranking.strategy, totals: detail.totals, wines: rows });
+    }
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.end(exportCsv(rows, { exportedAt, sep, l10n, columns: SHORTLIST_EXPORT_COLUMNS }));
+    }
+    const buf = await exportXlsx([{ title: s.name, wines: rows }], { exportedAt, strategy: detail.ranking.strategy, l10n, columns: SHORTLIST_EXPORT_COLUMNS });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.end(Buffer.from(buf));
+  } catch (err) {
+    console.error('[shortlists] Export failed:', err);
+    res.status(500).json({ error: 'Export failed', detail: String(err) });
+  }
+});
+
+// --- Feeds & widget -------------------------------------------
+// Both speak the language of ?lang=, the language cookie or Accept-Language (French by default).
+// /feeds/all.atom|rss covers every AOC; otherwise :aoc is a slug or any alias, e.g. saint-estephe
+app.get(['/feeds/:aoc.atom', '/feeds/:aoc.rss'], (req, res) => {
+  const rss = req.path.endsWith('.rss');
+  const all = req.params.aoc === 'all';
+  const a = all ? null : resolveAoc(req.params.aoc.replace(/-/g, ' '));
+  if (!all && !a) return res.status(404).type('text/plain').send('Unknown AOC');
+  const origin = baseUrl(req);
+  const l10n = serverI18n(requestLocale(req));
+  const feed = {
+    title: all ? l10n.msg('feed.titleAll', { n: TOP_N }) : l10n.msg('feed.title', { n: TOP_N, aoc: a.name }),
+    selfUrl: `${origin}/feeds/${all ? 'all' : aocSlug(a.name)}.${rss ? 'rss' : 'atom'}`,
+    pageUrl: all ? `${origin}/?lang=${l10n.locale}` : `${origin}/?aoc=${encodeURIComponent(a.name)}&lang=${l10n.locale}`,
+    events: listRankingEvents(all ? null : a.name),
+    l10n,
+  };
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  varyLocale(req, res);
+  res.type(rss ? 'application/rss+xml; charset=utf-8' : 'application/atom+xml; charset=utf-8');
+  res.send(rss ? rssFeed(feed) : atomFeed(feed));
+});
+
+// Widget page for an iframe: ?aoc=&n=1..20 (default 10)&theme=light|dark|bordeaux&strategy=&lang=
+app.get('/embed/top', (req, res) => {
+  const a = resolveAoc(String(req.query.aoc || ''));
+  const n = req.query.n !== undefined ? Number(req.query.n) : 10;
+  const theme = req.query.theme || 'light';
+  const strategy = req.query.strategy;
+  if (!a) return res.status(404).type('text/plain').send('Unknown AOC');
+  if (!(Number.isInteger(n) && n >= 1 && n <= TOP_N)) return res.status(400).type('text/plain').send(`n must be an integer between 1 and ${TOP_N}`);
+  if (!EMBED_THEMES[theme]) return res.status(400).type('text/plain').send(`theme must be one of ${Object.keys(EMBED_THEMES).join(', ')}`);
+  if (strategy && !RANKING_STRATEGIES[strategy]) return res.status(400).type('text/plain').send(`strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}`);
+  const { rows } = queryWines({ aoc: a.name, strategy, limit: String(n) });
+  const l10n = serverI18n(requestLocale(req));
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  varyLocale(req, res);
+  res.type('html').send(embedHtml({ aoc: a.name, wines: rows, n, theme, l10n, pageUrl: `${baseUrl(req)}/?aoc=${encodeURIComponent(a.name)}&lang=${l10n.locale}` }));
+});
+
+app.get('/embed.js', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.type('application/javascript').send(embedScript(baseUrl(req)));
+});
+
+// --- Public API v1 ------------------------------------------
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.json(openApiSpec());
+});
+
+app.get('/api/v1/wines', (req, res) => {
+  const { values, details } = validateQuery(req.query, V1_WINE_PARAMS);
+  if (details.length) return v1BadRequest(res, details);
+  const result = queryWines(values, { withTotal: true });
+  if (result.error) return v1BadRequest(res, [{ param: result.param, message: result.error }]);
+  const { limit, offset, facets, ...filters } = values;
+  const facetResult = facets ? wineFacets(filters) : {};
+  if (facetResult.error) return v1BadRequest(res, [{ param: facetResult.param, message: facetResult.error }]);
+  res.json({
+    items: result.rows.map(v1Wine),
+    total: result.total,
+    limit: result.limit,
+    offset: result.offset,
+    filters,
+    ranking: result.ranking,
+    ...facetResult,
+  });
+});
+
+app.get('/api/v1/aocs', (req, res) => {
+  const { values, details } = validateQuery(req.query, V1_AOC_PARAMS);
+  if (details.length) return v1BadRequest(res, details);
+  const items = aocHierarchy(values.all)
+    .filter(g => !values.region || g.region === values.region)
+    .flatMap(g => g.aocs.map(a => ({ name: a.name, region: g.region, bank: g.bank, n: a.n, known: a.known })));
+  res.json({ items, total: items.length, filters: values });
+});
+
+app.get('/api/v1/vintages', (req, res) => {
+  const { values, details } = validateQuery(req.query, V1_VINTAGE_PARAMS);
+  if (details.length) return v1BadRequest(res, details);
+  const items = values.aoc
+    ? db.prepare(`SELECT vintage, COUNT(*) AS n FROM wines WHERE vintage IS NOT NULL AND retired_at IS NULL AND aoc = ? GROUP BY vintage ORDER BY vintage DESC`).all(values.aoc)
+    : db.prepare(`SELECT vintage, COUNT(*) AS n FROM wines WHERE vintage IS NOT NULL AND retired_at IS NULL GROUP BY vintage ORDER BY vintage DESC`).all();
+  res.json({ items, total: items.length, filters: values });
+});
+
+// Rating/count/price snapshots for one wine, oldest first
+app.get('/api/wines/:id/history', (req, res) => {
+  const wine = getWineById.get(req.params.id);
+  if (!wine) return res.status(404).json({ error: 'Wine not found' });
+  res.json(getWineHistory.all(wine.id));
+});
+
+// --- Auth ---------------------------------------------------
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  if (isBlank(username) || isBlank(password)) return res.status(400).json({ error: 'username and password required' });
+  const u = getUserByName.get(String(username).trim());
+  if (!u || u.disabled || !verifyPassword(password, u.password_hash)) return res.status(401).json({ error: 'Invalid credentials' });
+  const csrf = createSession(req, res, u);
+  res.json({ ok: true, user: publicUser(u), csrf_token: csrf });
+});
+
+app.post('/api/auth/logout', requireAuth(), (req, res) => {
+  if (req.session) deleteSession.run(req.session.id);
+  res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+// Current user and the CSRF token the page must echo in X-CSRF-Token
+app.get('/api/auth/me', requireAuth(), (req, res) => {
+  res.json({ user: publicUser(req.user), csrf_token: req.session ? req.session.csrf_token : null });
+});
+
+// Body: { current_password, new_password }. Ends the user's other sessions.
+app.post('/api/auth/password', requireAuth(), (req, res) => {
+  const { current_password, new_password } = req.body || {};
+  const u = getUserById.get(req.user.id);
+  if (!verifyPassword(current_password || '', u.password_hash)) return res.status(403).json({ error: 'Current password is incorrect' });
+  const problem = passwordProblem(new_password);
+  if (problem) return res.status(400).json({ error: problem });
+  db.transaction(() => {
+    db.prepare(`UPDATE users SET password_hash = ? WHERE id = ?`).run(hashPassword(new_password), u.id);
+    db.prepare(`DELETE FROM sessions WHERE user_id = ? AND id != ?`).run(u.id, req.session ? req.session.id : '');
+  })();
+  res.json({ ok: true });
+});
+
+// --- Admin API ----------------------------------------------
+// Body: { wine_id, adjustment_pct, note (required justification), expires_at? (ISO date, future) }
+app.post('/api/admin/override', requireAuth('overrides'), (req, res) => {
+  const { wine_id, adjustment_pct, note, expires_at } = req.body || {};
+  if (!wine_id || adjustment_pct === undefined) return res.status(400).json({ error: 'wine_id and adjustment_pct required' });
+  const { pct, expiresAt, error } = validateOverrideValue(adjustment_pct, expires_at);
+  if (error) return res.status(400).json({ error });
+  if (isBlank(note)) return res.status(400).json({ error: 'note required (justification for the change)' });
+  const wine = getWineById.get(wine_id);
+  if (!wine) return res.status(404).json({ error: 'Wine not found' });
+  setOverride(wine.id, pct, expiresAt, { action: 'set', note: String(note).trim(), user: req.user.username });
+  checkTop20Changes('override');
+  const updated = getRankedWineById.get(rankingParams(), wine.id);
+  res.json({ ok: true, wine: updated });
+});
+
+// Set (or clear with score: null) one source score of a wine. Body: { source, score, note? }
+app.put('/api/admin/wines/:id/scores', requireAuth('overrides'), (req, res) => {
+  const { source, score, note } = req.body || {};
+  const wine = getWineById.get(req.params.id);
+  if (!wine) return res.status(404).json({ error: 'Wine not found' });
+  const s = SCORE_SOURCES.find(x => x.id === source);
+  if (!s || s.id === 'vivino') return res.status(400).json({ error: `source must be one of ${SCORE_SOURCES.filter(x => x.id !== 'vivino').map(x => x.id).join(', ')}` });
+  if (score === null || score === '') deleteWineScore.run(wine.id, s.id);
+  else {
+    const value = Number(score);
+    if (!Number.isFinite(value) || value < s.min || value > s.max) return res.status(400).json({ error: `score must be a number between ${s.min} and ${s.max}` });
+    upsertWineScore.run(wine.id, s.id, value, isBlank(note) ? null : String(note).trim(), req.user.username, dayjs().toISOString());
+  }
+  checkTop20Changes('scores');
+  res.json({ ok: true, wine: wineDetail(wine.id) });
+});
+
+// Audit trail, newest first. Filters: wine_id, limit (default 100), offset
+app.get('/api/admin/overrides/history', requireAuth('overrides'), (req, res) => {
+  const { wine_id } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  let sql = `
+    SELECT a.*, w.name, w.aoc, w.vintage
+    FROM override_audit a JOIN wines w ON w.id = a.wine_id
+  `;
+  const params = [];
+  if (wine_id) { sql += ` WHERE a.wine_id = ?`; params.push(wine_id); }
+  sql += ` ORDER BY a.created_at DESC, a.id DESC LIMIT ? OFFSET ?`;
+  res.json(db.prepare(sql).all(...params, limit, offset));
+});
+
+// Restore the value (and expiry) an audit entry set. Body: { note }
+app.post('/api/admin/overrides/history/:id/revert', requireAuth('overrides'), (req, res) => {
+  const { note } = req.body || {};
+  if (isBlank(note)) return res.status(400).json({ error: 'note required (justification for the change)' });
+  const entry = getOverrideAuditById.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Audit entry not found' });
+  const expiresAt = entry.new_expires_at && dayjs(entry.new_expires_at).isAfter(dayjs()) ? entry.new_expires_at : null;
+  setOverride(entry.wine_id, entry.new_pct, expiresAt, { action: 'revert', note: `${String(note).trim()} (revert to #${entry.id})`, user: req.user.username });
+  checkTop20Changes('revert');
+  res.json({ ok: true, wine: getRankedWineById.get(rankingParams(), entry.wine_id) });
+});
+
+// Set the same adjustment on several wines. Body: { wine_ids, adjustment_pct, note, expires_at? }
+app.post('/api/admin/overrides/bulk', requireAuth('overrides'), (req, res) => {
+  const { wine_ids, adjustment_pct, note, expires_at } = req.body || {};
+  if (!Array.isArray(wine_ids) || !wine_ids.length) return res.status(400).json({ error: 'wine_ids must be a non-empty array' });
+  const { pct, expiresAt, error } = validateOverrideValue(adjustment_pct, expires_at);
+  if (error) return res.status(400).json({ error });
+  if (isBlank(note)) return res.status(400).json({ error: 'note required (justification for the change)' });
+  const missing = wine_ids.filter(id => !getWineById.get(id));
+  if (missing.length) return res.status(404).json({ error: `Wine not found: ${missing.join(', ')}` });
+  const changed = applyOverrideChanges([...new Set(wine_ids.map(Number))].map(id => ({ wine_id: id, new_pct: pct, new_expires_at: expiresAt })),
+    { action: 'bulk', note: String(note).trim(), user: req.user.username });
+  if (changed.length) checkTop20Changes('override');
+  res.json({ ok: true, changed: changed.length });
+});
+
+// Every adjustment of an AOC back to 0. Body: { aoc, note }
+app.post('/api/admin/overrides/reset', requireAuth('overrides'), (req, res) => {
+  const { aoc, note } = req.body || {};
+  const a = isBlank(aoc) ? null : resolveAoc(String(aoc));
+  const name = a ? a.name : !isBlank(aoc) && db.prepare(`SELECT 1 FROM wines WHERE aoc = ?`).get(String(aoc)) ? String(aoc) : null;
+  if (!name) return res.status(400).json({ error: 'aoc matches no wine' });
+  if (isBlank(note)) return res.status(400).json({ error: 'note required (justification for the change)' });
+  const changed = resetAocOverrides(name, { note: String(note).trim(), user: req.user.username });
+  if (changed.length) checkTop20Changes('override');
+  res.json({ ok: true, aoc: name, changed: changed.length });
+});
+
+// CSV of external_id,adjustment_pct[,expires_at][,note] (multipart "file" + "note"). Applies to the
+// live adjustments, or to the items of override set ?set=<id>. ?dryRun=1 only reports the plan.
+app.post('/api/admin/overrides/import', requireAuth('overrides'), upload.single('file'), (req, res) => {
+  const file = req.file;
+  const dryRun = ['1', 'true'].includes(String(req.query.dryRun || '').toLowerCase());
+  const note = req.body && req.body.note;
+  try {
+    if (!file) return res.status(400).json({ error: 'No file uploaded' });
+    const set = req.query.set ? getOverrideSet.get(req.query.set) : null;
+    if (req.query.set && !set) return res.status(404).json({ error: 'Override set not found' });
+    if (!dryRun && !set && isBlank(note)) return res.status(400).json({ error: 'note required (justification for the change)' });
+    let rows;
+    try { rows = parseOverrideCsv(fs.readFileSync(file.path)); } catch (err) { return res.status(400).json({ error: `Invalid CSV: ${err.message}` }); }
+    const plan = planOverrideRows(rows, set ? wineId => getOverrideSetItem.get(set.id, wineId) : undefined);
+    const changes = plan.overrides.filter(o => !o.unchanged);
+    if (!dryRun && changes.length) {
+      if (set) {
+        updateOverrideSetItems(set, changes.map(o => ({ wine_id: o.wine_id, adjustment_pct: o.new_pct, expires_at: o.new_expires_at })));
+      } else {
+        const base = String(note).trim();
+        applyOverrideChanges(changes.map(o => ({ ...o, note: o.note ? `${base} (${o.note})` : base })), { action: 'bulk', note: base, user: req.user.username });
+        checkTop20Changes('override');
+      }
+    }
+    res.json({ ok: true, dry_run: dryRun, set_id: set ? set.id : null, ...plan });
+  } finally {
+    if (file) fs.unlink(file.path, () => {});
+  }
+});
+
+// Override sets: named drafts of adjustments, previewed as a ranking, then activated or rolled back
+app.get('/api/admin/override-sets', requireAuth('overrides'), (req, res) => {
+  res.json(listOverrideSets());
+});
+
+// Body: { name, description?, replace_all?, from_live? (start from the current adjustments) }
+app.post('/api/admin/override-sets', requireAuth('overrides'), (req, res) => {
+  const { fields, error } = validateOverrideSet(req.body);
+  if (error) return res.status(400).json({ error });
+  const id = createOverrideSet(fields, { fromLive: Boolean(req.body.from_live), user: req.user.username });
+  res.status(201).json({ ok: true, set: overrideSetDetail(id) });
+});
+
+app.get('/api/admin/override-sets/:id', requireAuth('overrides'), (req, res) => {
+  const set = overrideSetDetail(req.params.id);
+  if (!set) return res.status(404).json({ error: 'Override set not found' });
+  res.json(set);
+});
+
+// Body: any of { name, description, replace_all }
+app.put('/api/admin/override-sets/:id', requireAuth('overrides'), (req, res) => {
+  const set = getOverrideSet.get(req.params.id);
+  if (!set) return res.status(404).json({ error: 'Override set not found' });
+  const { fields, error } = validateOverrideSet(req.body, set);
+  if (error) return res.status(400).json({ error });
+  db.prepare(`
+    UPDATE override_sets SET name = @name, description = @description, replace_all = @replace_all, updated_at = @updated_at WHERE id = @id`)
+    .run({ ...set, ...fields, updated_at: dayjs().toISOString() });
+  res.json({ ok: true, set: overrideSetDetail(set.id) });
+});
+
+// The set in force cannot be deleted; roll it back first
+app.delete('/api/admin/override-sets/:id', requireAuth('overrides'), (req, res) => {
+  const set = getOverrideSet.get(req.params.id);
+  if (!set) return res.status(404).json({ error: 'Override set not found' });
+  if (overrideSetStatus(set.id) !== 'draft') return res.status(409).json({ error: 'Override set is in force; roll it back first' });
+  db.transaction(() => {
+    db.prepare(`DELETE FROM override_set_items WHERE set_id = ?`).run(set.id);
+    db.prepare(`DELETE FROM override_set_activations WHERE set_id = ?`).run(set.id);
+    db.prepare(`DELETE FROM override_sets WHERE id = ?`).run(set.id);
+  })();
+  res.json({ ok: true });
+});
+
+// Body: { items: [{ wine_id, adjustment_pct (null removes), expires_at? }] }
+app.put('/api/admin/override-sets/:id/items', requireAuth('overrides'), (req, res) => {
+  const set = getOverrideSet.get(req.params.id);
+  if (!set) return res.status(404).json({ error: 'Override set not found' });
+  const { error } = updateOverrideSetItems(set, (req.body || {}).items);
+  if (error) return res.status(400).json({ error });
+  res.json({ ok: true, set: overrideSetDetail(set.id) });
+});
+
+// The ranking as it would be with the set active; same filters as /api/wines. prev_rank and
+// rank_delta compare with the live ranking.
+app.get('/api/admin/override-sets/:id/preview', requireAuth('overrides'), (req, res) => {
+  const set = getOverrideSet.get(req.params.id);
+  if (!set) return res.status(404).json({ error: 'Override set not found' });
+  const result = queryWines(req.query, { overrideSet: set.id });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.setHeader('X-Ranking-Strategy', result.ranking.strategy);
+  res.json(result.rows);
+});
+
+// Body: { note }
+app.post('/api/admin/override-sets/:id/activate', requireAuth('overrides'), (req, res) => {
+  const { note } = req.body || {};
+  const set = getOverrideSet.get(req.params.id);
+  if (!set) return res.status(404).json({ error: 'Override set not found' });
+  if (isBlank(note)) return res.status(400).json({ error: 'note required (justification for the change)' });
+  const result = activateOverrideSet(set, { note: String(note).trim(), user: req.user.username });
+  res.json({ ok: true, ...result, set: overrideSetDetail(set.id) });
+});
 
-function ensureSeed() {
-  // Seed with tiny demo data if DB is empty AND a seed file is present
-  const count = db.prepare('SELECT COUNT(*) AS n FROM wines').get().n;
-  if (count > 0) return;
-  try {
-    if (fs.existsSync(DATA_SEED)) {
-      const raw = fs.readFileSync(DATA_SEED, 'utf8');
-      const arr = JSON.parse(raw);
-      const insert = db.transaction((items) => {
-        for (const w of items) upsertWine.run(w);
-      });
-      insert(arr);
-      setMeta.run('last_refresh', dayjs().toISOString());
-      console.log(`[seed] Inserted ${arr.length} wines from seed file.`);
-    } else {
-      // Minimal inline seed as fallback
-      const demo = [
-        { external_id: 'demo-1', name: 'Château Demo 1', winery: 'Demo Estate', aoc: 'Saint-Estèphe', vintage: 2018, vivino_rating: 4.2, rating_count: 1200, price: 35.0, last_source_update: dayjs().toISOString() },
-        { external_id: 'demo-2', name: 'Château Demo 2', winery: 'Demo Estate', aoc: 'Pauillac', vintage: 2019, vivino_rating: 4.5, rating_count: 980, price: 75.0, last_source_update: dayjs().toISOString() },
-        { external_id: 'demo-3', name: 'Château Demo 3', winery: 'Demo Estate', aoc: 'Margaux', vintage: 2020, vivino_rating: 4.0, rating_count: 450, price: 52.0, last_source_update: dayjs().toISOString() },
-        { external_id: 'demo-4', name: 'Château Demo 4', winery: 'Demo Estate', aoc: 'Saint-Julien', vintage: 2016, vivino_rating: 4.3, rating_count: 2100, price: 60.0, last_source_update: dayjs().toISOString() },
-        { external_id: 'demo-5', name: 'Château Demo 5', winery: 'Demo Estate', aoc: 'Pessac-Léognan', vintage: 2017, vivino_rating: 4.1, rating_count: 800, price: 40.0, last_source_update: dayjs().toISOString() }
-      ];
-      const insert = db.transaction((items) => {
-        for (const w of items) upsertWine.run(w);
-      });
-      insert(demo);
-      setMeta.run('last_refresh', dayjs().toISOString());
-      console.log('[seed] Inserted demo wines.');
-    }
-  } catch (err) {
-    console.error('[seed] Failed:', err);
+// Undo the set's activation; only the latest activation still in force can be rolled back. Body: { note }
+app.post('/api/admin/override-sets/:id/rollback', requireAuth('overrides'), (req, res) => {
+  const { note } = req.body || {};
+  const set = getOverrideSet.get(req.params.id);
+  if (!set) return res.status(404).json({ error: 'Override set not found' });
+  if (isBlank(note)) return res.status(400).json({ error: 'note required (justification for the change)' });
+  const latest = getLatestSetActivation.get();
+  if (!latest || latest.set_id !== set.id) {
+    return res.status(409).json({ error: overrideSetStatus(set.id, latest) === 'superseded' ? 'Another set was activated since; roll that one back first' : 'Override set is not active' });
   }
-}
+  const result = rollbackOverrideSet(latest, set, { note: String(note).trim(), user: req.user.username });
+  res.json({ ok: true, ...result, set: overrideSetDetail(set.id) });
+});
 
-ensureSeed();
+// Upload CSV/JSON and upsert wines (base ratings). Keeps overrides intact.
+// Invalid rows are rejected (never coerced). With ?dryRun=1 nothing is written: the response is a
+// report plus a preview_id that /api/admin/import/confirm applies verbatim.
+app.post('/api/admin/import', requireAuth('data'), upload.single('file'), (req, res) => {
+  const file = req.file;
+  const { format } = req.body || {}; // 'csv' or 'json'
+  const profileRef = req.query.profile || (req.body && req.body.profile);
+  const dryRun = ['1', 'true'].includes(String(req.query.dryRun || (req.body && req.body.dry_run) || '').toLowerCase());
+  if (!file) return res.status(400).json({ error: 'No file uploaded' });
+  const profile = findImportProfile(profileRef);
+  if (!isBlank(profileRef) && !profile) {
+    fs.unlink(file.path, () => {});
+    return res.status(404).json({ error: 'Import profile not found' });
+  }
 
-// ---- Auto-refresh scheduler --------------------------------
-// We run a daily check at REFRESH_HOUR_UTC; if last_refresh >= 75 days ago, we call refreshVivinoData().
-cron.schedule(`0 ${REFRESH_HOUR_UTC} * * *`, () => {
   try {
-    const last = getMeta.get('last_refresh');
-    const lastIso = last && last.value ? dayjs(last.value) : null;
-    const daysSince = lastIso ? dayjs().diff(lastIso, 'day') : 9999;
-    if (daysSince >= 75) {
-      console.log(`[refresh] ${daysSince} days since last refresh — running refreshVivinoData()`);
-      refreshVivinoData();
-    } else {
-      console.log(`[refresh] ${daysSince} days since last refresh — not due yet.`);
+    const validated = validateImportRows(parseImportFile(file, format, profile));
+
+    if (dryRun) {
+      const report = buildImportReport(validated);
+      const previewId = crypto.randomUUID();
+      pruneImportPreviews.run(`-${IMPORT_PREVIEW_TTL_HOURS} hours`);
+      insertImportPreview.run(previewId, file.originalname, JSON.stringify(validated.items), JSON.stringify(report));
+      return res.json({ ok: true, dry_run: true, preview_id: previewId, report });
     }
-  } catch (e) {
-    console.error('[refresh] Check failed:', e);
+
+    const { upserted, quarantined } = applyImport(validated.items, 'import', { origin: file.originalname });
+    res.json({ ok: true, upserted, quarantined, rejected: validated.rejected });
+  } catch (err) {
+    console.error('[import] Failed:', err);
+    res.status(500).json({ error: 'Import failed', detail: String(err) });
+  } finally {
+    if (file) fs.unlink(file.path, () => {});
   }
-}, { timezone: 'UTC' });
+});
 
-function refreshVivinoData() {
-  // IMPORTANT: We do NOT scrape Vivino. Provide your own export (CSV/JSON) from legitimate sources.
-  // This example will look for ./data/vivino_seed.json if present and update base ratings.
+// Apply a previewed dry-run batch exactly as it was reported
+app.post('/api/admin/import/confirm', requireAuth('data'), (req, res) => {
+  const { preview_id } = req.body || {};
+  if (!preview_id) return res.status(400).json({ error: 'preview_id required' });
+  const preview = getImportPreview.get(preview_id, `-${IMPORT_PREVIEW_TTL_HOURS} hours`);
+  if (!preview) return res.status(404).json({ error: 'Preview not found or expired' });
   try {
-    if (fs.existsSync(DATA_SEED)) {
-      const raw = fs.readFileSync(DATA_SEED, 'utf8');
-      const arr = JSON.parse(raw);
-      const tx = db.transaction((items) => {
-        for (const w of items) {
-          upsertWine.run({
-            external_id: w.external_id,
-            name: w.name,
-            winery: w.winery,
-            aoc: w.aoc,
-            vintage: w.vintage,
-            vivino_rating: sanitizeNumber(w.vivino_rating, 0),
-            rating_count: sanitizeNumber(w.rating_count, 0),
-            price: sanitizeNumber(w.price, null),
-            last_source_update: dayjs().toISOString(),
-          });
-        }
-      });
-      tx(arr);
-      setMeta.run('last_refresh', dayjs().toISOString());
-      console.log(`[refresh] Updated ${arr.length} wines from ${DATA_SEED}`);
-    } else {
-      console.log(`[refresh] Seed file not found: ${DATA_SEED}. Skipping.`);
-    }
+    const { upserted, quarantined } = applyImport(JSON.parse(preview.items), 'import', { origin: preview.filename });
+    deleteImportPreview.run(preview_id);
+    res.json({ ok: true, upserted, quarantined });
   } catch (err) {
-    console.error('[refresh] Failed:', err);
+    console.error('[import] Confirm failed:', err);
+    res.status(500).json({ error: 'Import failed', detail: String(err) });
   }
-}
+});
 
-// ---- Express app & API -------------------------------------
-const app = express();
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Import profiles CRUD. Body: { name, columns, delimiter, decimal, encoding, default_aoc, transforms }
+app.get('/api/admin/import-profiles', requireAuth('data'), (req, res) => {
+  res.json(listImportProfiles.all().map(profileRow));
+});
 
-// CORS for dev convenience
-app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  if (req.method === 'OPTIONS') return res.sendStatus(200);
-  next();
+app.post('/api/admin/import-profiles', requireAuth('data'), (req, res) => {
+  const { name, ...rest } = req.body || {};
+  if (isBlank(name)) return res.status(400).json({ error: 'name required' });
+  const { config, error } = validateImportProfile(rest);
+  if (error) return res.status(400).json({ error });
+  if (getImportProfileByName.get(String(name).trim())) return res.status(409).json({ error: 'A profile with this name already exists' });
+  const info = insertImportProfile.run(String(name).trim(), JSON.stringify(config));
+  res.json({ ok: true, profile: profileRow(getImportProfileById.get(info.lastInsertRowid)) });
 });
 
-// --- UI ------------------------------------------------------
-app.get('/', (req, res) => {
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.end(INDEX_HTML);
+app.put('/api/admin/import-profiles/:id', requireAuth('data'), (req, res) => {
+  const existing = getImportProfileById.get(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Import profile not found' });
+  const { name, ...rest } = req.body || {};
+  const newName = isBlank(name) ? existing.name : String(name).trim();
+  const clash = getImportProfileByName.get(newName);
+  if (clash && clash.id !== existing.id) return res.status(409).json({ error: 'A profile with this name already exists' });
+  const { config, error } = validateImportProfile(rest);
+  if (error) return res.status(400).json({ error });
+  updateImportProfile.run(newName, JSON.stringify(config), existing.id);
+  res.json({ ok: true, profile: profileRow(getImportProfileById.get(existing.id)) });
 });
 
-// --- Public API ---------------------------------------------
-app.get('/api/aocs', (req, res) => {
-  const rows = db.prepare(`SELECT aoc, COUNT(*) AS n FROM wines GROUP BY aoc ORDER BY aoc`).all();
-  res.json(rows.map(r => r.aoc));
+app.delete('/api/admin/import-profiles/:id', requireAuth('data'), (req, res) => {
+  const info = deleteImportProfile.run(req.params.id);
+  if (!info.changes) return res.status(404).json({ error: 'Import profile not found' });
+  res.json({ ok: true });
 });
 
-// Fetch wines with optional filters. By default, returns top 20 for the provided AOC (if any)
-app.get('/api/wines', (req, res) => {
-  const { aoc, q, minRating, maxRating, limit, offset, all } = req.query;
+// Appellation registry management
+app.get('/api/admin/appellations', requireAuth('data'), (req, res) => {
+  const rows = db.prepare(`
+    SELECT a.id, a.name, g.name AS region, g.bank,
+           (SELECT json_group_array(alias) FROM appellation_aliases x WHERE x.appellation_id = a.id) AS aliases
+    FROM appellations a LEFT JOIN appellation_regions g ON g.id = a.region_id
+    ORDER BY g.sort_order IS NULL, g.sort_order, a.name`).all();
+  res.json(rows.map(r => ({ ...r, aliases: JSON.parse(r.aliases) })));
+});
 
-  // Compose SQL: join overrides and compute adjusted rating
-  let sql = `
-    SELECT w.*, IFNULL(o.adjustment_pct, 0) AS adjustment_pct,
-           (w.vivino_rating * (1 + (CASE WHEN IFNULL(o.adjustment_pct, 0) > 25 THEN 25 WHEN IFNULL(o.adjustment_pct, 0) < -25 THEN -25 ELSE IFNULL(o.adjustment_pct, 0) END)/100.0)) AS adjusted_rating
-    FROM wines w
-    LEFT JOIN admin_overrides o ON o.wine_id = w.id
-    WHERE 1 = 1
-  `;
-  const params = [];
-  if (aoc) { sql += ` AND w.aoc = ?`; params.push(aoc); }
-  if (q) { sql += ` AND (w.name LIKE ? OR w.winery LIKE ?) `; params.push(`%${q}%`, `%${q}%`); }
-  if (minRating) { sql += ` AND adjusted_rating >= ?`; params.push(Number(minRating)); }
-  if (maxRating) { sql += ` AND adjusted_rating <= ?`; params.push(Number(maxRating)); }
+// Body: { name, region, bank?, aliases?: [] }. Unknown regions are created.
+app.post('/api/admin/appellations', requireAuth('data'), (req, res) => {
+  const { name, region, bank, aliases } = req.body || {};
+  if (isBlank(name) || isBlank(region)) return res.status(400).json({ error: 'name and region required' });
+  if (bank != null && !['left', 'right'].includes(bank)) return res.status(400).json({ error: 'bank must be "left", "right" or null' });
+  const existing = resolveAoc(name);
+  if (existing) return res.status(409).json({ error: `"${name}" already resolves to ${existing.name}` });
+  const id = db.transaction(() => {
+    let g = getAppellationRegion.get(String(region).trim());
+    if (!g) {
+      const order = db.prepare(`SELECT IFNULL(MAX(sort_order), 0) + 1 AS n FROM appellation_regions`).get().n;
+      insertAppellationRegion.run(String(region).trim(), bank || null, order);
+      g = getAppellationRegion.get(String(region).trim());
+    }
+    const newId = insertAppellation.run(String(name).trim(), g.id).lastInsertRowid;
+    for (const alias of [name, ...(Array.isArray(aliases) ? aliases : [])]) {
+      if (!isBlank(alias)) upsertAppellationAlias.run(aocKey(alias), String(alias).trim(), newId);
+    }
+    return newId;
+  })();
+  const remapped = canonicalizeWineAocs();
+  ensureSearchIndex(true); // region column of wines already named after this AOC
+  if (remapped) checkTop20Changes('appellations');
+  res.json({ ok: true, id, remapped });
+});
 
-  sql += ` ORDER BY adjusted_rating DESC, rating_count DESC, price ASC NULLS LAST`;
+// Map a spelling (typically an unknown AOC from an import) onto an appellation. Body: { alias, appellation_id }
+app.post('/api/admin/appellations/aliases', requireAuth('data'), (req, res) => {
+  const { alias, appellation_id } = req.body || {};
+  if (isBlank(alias) || !appellation_id) return res.status(400).json({ error: 'alias and appellation_id required' });
+  if (!getAppellationById.get(appellation_id)) return res.status(404).json({ error: 'Appellation not found' });
+  upsertAppellationAlias.run(aocKey(alias), String(alias).trim(), appellation_id);
+  const remapped = canonicalizeWineAocs();
+  if (remapped) checkTop20Changes('appellations');
+  res.json({ ok: true, remapped });
+});
 
-  const lim = all ? null : Number(limit || (aoc ? 20 : 100));
-  const off = Number(offset || 0);
-  if (lim) sql += ` LIMIT ${lim} OFFSET ${off}`;
+app.delete('/api/admin/appellations/aliases/:alias', requireAuth('data'), (req, res) => {
+  const key = aocKey(req.params.alias);
+  const a = getAppellationByAlias.get(key);
+  if (!a) return res.status(404).json({ error: 'Alias not found' });
+  if (key === aocKey(a.name)) return res.status(400).json({ error: 'Cannot remove the canonical name of an appellation' });
+  deleteAppellationAlias.run(key);
+  res.json({ ok: true });
+});
 
-  const rows = db.prepare(sql).all(...params);
+app.get('/api/admin/aocs/unknown', requireAuth('data'), (req, res) => {
+  const rows = db.prepare(`
+    SELECT u.*, (SELECT COUNT(*) FROM wines w WHERE w.aoc = u.raw) AS wines
+    FROM unknown_aocs u ORDER BY u.last_seen DESC`).all();
   res.json(rows);
 });
 
-// --- Admin API ----------------------------------------------
-app.post('/api/admin/override', basicAuth, (req, res) => {
-  const { wine_id, adjustment_pct } = req.body || {};
-  if (!wine_id || adjustment_pct === undefined) return res.status(400).json({ error: 'wine_id and adjustment_pct required' });
-  const pct = Number(adjustment_pct);
-  if (!Number.isFinite(pct)) return res.status(400).json({ error: 'adjustment_pct must be a number' });
-  if (pct < -25 || pct > 25) return res.status(400).json({ error: 'adjustment_pct must be between -25 and 25' });
-  const wine = getWineById.get(wine_id);
-  if (!wine) return res.status(404).json({ error: 'Wine not found' });
-  upsertOverride.run(wine_id, pct);
-  const updated = db.prepare(`
-    SELECT w.*, IFNULL(o.adjustment_pct, 0) AS adjustment_pct,
-           (w.vivino_rating * (1 + (CASE WHEN IFNULL(o.adjustment_pct, 0) > 25 THEN 25 WHEN IFNULL(o.adjustment_pct, 0) < -25 THEN -25 ELSE IFNULL(o.adjustment_pct, 0) END)/100.0)) AS adjusted_rating
-    FROM wines w LEFT JOIN admin_overrides o ON o.wine_id = w.id WHERE w.id = ?
-  `).get(wine_id);
-  res.json({ ok: true, wine: updated });
+// User management (owner only)
+app.get('/api/admin/users', requireAuth('users'), (req, res) => {
+  res.json(db.prepare(`SELECT id, username, role, disabled, created_at, last_login_at FROM users ORDER BY username`).all());
 });
 
-// Upload CSV/JSON and upsert wines (base ratings). Keeps overrides intact.
-app.post('/api/admin/import', basicAuth, upload.single('file'), (req, res) => {
-  const file = req.file;
-  const { format } = req.body || {}; // 'csv' or 'json'
-  if (!file) return res.status(400).json({ error: 'No file uploaded' });
+// Body: { username, password, role }
+app.post('/api/admin/users', requireAuth('users'), (req, res) => {
+  const { username, password, role } = req.body || {};
+  if (isBlank(username)) return res.status(400).json({ error: 'username required' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  const problem = passwordProblem(password);
+  if (problem) return res.status(400).json({ error: problem });
+  if (getUserByName.get(String(username).trim())) return res.status(409).json({ error: 'Username already taken' });
+  const id = insertUser.run(String(username).trim(), hashPassword(password), role).lastInsertRowid;
+  res.json({ ok: true, user: publicUser(getUserById.get(id)) });
+});
+
+// Body: any of { role, password, disabled }. Changing the password or disabling ends the user's sessions.
+app.put('/api/admin/users/:id', requireAuth('users'), (req, res) => {
+  const u = getUserById.get(req.params.id);
+  if (!u) return res.status(404).json({ error: 'User not found' });
+  const { role, password, disabled } = req.body || {};
+  if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  if (password !== undefined) {
+    const problem = passwordProblem(password);
+    if (problem) return res.status(400).json({ error: problem });
+  }
+  const losesOwner = u.role === 'owner' && !u.disabled && ((role !== undefined && role !== 'owner') || disabled);
+  if (losesOwner && countActiveOwners.get().n <= 1) return res.status(400).json({ error: 'At least one active owner is required' });
+  db.transaction(() => {
+    if (role !== undefined) db.prepare(`UPDATE users SET role = ? WHERE id = ?`).run(role, u.id);
+    if (disabled !== undefined) db.prepare(`UPDATE users SET disabled = ? WHERE id = ?`).run(disabled ? 1 : 0, u.id);
+    if (password !== undefined) db.prepare(`UPDATE users SET password_hash = ? WHERE id = ?`).run(hashPassword(password), u.id);
+    if (password !== undefined || disabled) deleteUserSessions.run(u.id);
+  })();
+  res.json({ ok: true, user: publicUser(getUserById.get(u.id)) });
+});
+
+app.delete('/api/admin/users/:id', requireAuth('users'), (req, res) => {
+  const u = getUserById.get(req.params.id);
+  if (!u) return res.status(404).json({ error: 'User not found' });
+  if (u.id === req.user.id) return res.status(400).json({ error: 'You cannot delete your own account' });
+  if (u.role === 'owner' && !u.disabled && countActiveOwners.get().n <= 1) return res.status(400).json({ error: 'At least one active owner is required' });
+  db.transaction(() => {
+    deleteUserSessions.run(u.id);
+    db.prepare(`DELETE FROM users WHERE id = ?`).run(u.id);
+  })();
+  res.json({ ok: true });
+});
+
+// Body: { default_strategy?, prior_weight? }
+app.put('/api/admin/ranking', requireAuth('data'), (req, res) => {
+  const { default_strategy, prior_weight } = req.body || {};
+  if (default_strategy !== undefined && !RANKING_STRATEGIES[default_strategy]) {
+    return res.status(400).json({ error: `default_strategy must be one of ${Object.keys(RANKING_STRATEGIES).join(', ')}` });
+  }
+  if (prior_weight !== undefined && !(Number(prior_weight) >= 0)) return res.status(400).json({ error: 'prior_weight must be a non-negative number' });
+  if (default_strategy !== undefined) setMeta.run('ranking_strategy', default_strategy);
+  if (prior_weight !== undefined) setMeta.run('ranking_prior_weight', String(Number(prior_weight)));
+  checkTop20Changes('ranking');
+  const { strategy, prior } = rankingParams();
+  res.json({ ok: true, default_strategy: strategy, prior_weight: prior });
+});
+
+// Body: { sources: [{ id, label, min, max, weight }] } — the whole list; vivino must stay (scale 0–5)
+app.put('/api/admin/score-sources', requireAuth('data'), (req, res) => {
+  const { sources, error } = validateScoreSources((req.body || {}).sources);
+  if (error) return res.status(400).json({ error });
+  saveScoreSources(sources);
+  checkTop20Changes('score_sources');
+  res.json({ ok: true, sources });
+});
 
+// Body: { bands: [{ id, label, min, max }] }
+app.put('/api/admin/price-bands', requireAuth('data'), (req, res) => {
+  const { bands, error } = validatePriceBands((req.body || {}).bands);
+  if (error) return res.status(400).json({ error });
+  setMeta.run('price_bands', JSON.stringify(bands));
+  res.json({ ok: true, bands });
+});
+
+// Schema version and migration log
+app.get('/api/admin/migrations', requireAuth('users'), (req, res) => {
+  res.json({
+    version: db.pragma('user_version', { simple: true }),
+    latest: SCHEMA_VERSION,
+    applied: db.prepare(`SELECT * FROM schema_migrations ORDER BY version`).all(),
+  });
+});
+
+// Download a consistent copy of the whole database (accounts and webhook secrets included)
+app.get('/api/admin/backup', requireAuth('users'), async (req, res) => {
+  let file;
   try {
-    const raw = fs.readFileSync(file.path, 'utf8');
-    let items = [];
-    if ((format || '').toLowerCase() === 'csv' || file.originalname.toLowerCase().endsWith('.csv')) {
-      const records = parseCsv(raw, { columns: true, skip_empty_lines: true });
-      items = records.map(r => ({
-        external_id: r.external_id || r.id || `${r.name}|${r.vintage}|${r.aoc}`,
-        name: r.name,
-        winery: r.winery || r.domain || r.chateau,
-        aoc: r.aoc,
-        vintage: r.vintage ? Number(r.vintage) : null,
-        vivino_rating: sanitizeNumber(r.vivino_rating ?? r.rating),
-        rating_count: sanitizeNumber(r.rating_count ?? r.reviews),
-        price: r.price ? Number(r.price) : null,
-        last_source_update: dayjs().toISOString(),
-      }));
-    } else {
-      const arr = JSON.parse(raw);
-      items = arr.map(w => ({
-        external_id: w.external_id || w.id || `${w.name}|${w.vintage}|${w.aoc}`,
-        name: w.name,
-        winery: w.winery,
-        aoc: w.aoc,
-        vintage: w.vintage,
-        vivino_rating: sanitizeNumber(w.vivino_rating ?? w.rating),
-        rating_count: sanitizeNumber(w.rating_count ?? w.reviews),
-        price: w.price != null ? Number(w.price) : null,
-        last_source_update: dayjs().toISOString(),
-      }));
-    }
-
-    const tx = db.transaction((rows) => {
-      for (const w of rows) upsertWine.run(w);
-    });
-    tx(items);
+    file = await backupDatabase();
+    res.download(file, `bordeaux-backup-${dayjs().format('YYYYMMDD-HHmm')}.db`, () => fs.rm(path.dirname(file), { recursive: true, force: true }, () => {}));
+  } catch (err) {
+    console.error('[backup] Failed:', err);
+    if (file) fs.rm(path.dirname(file), { recursive: true, force: true }, () => {});
+    res.status(500).json({ error: 'Backup failed', detail: String(err.message || err) });
+  }
+});
 
-    setMeta.run('last_refresh', dayjs().toISOString());
-    res.json({ ok: true, upserted: items.length });
+// Replace the tables with the uploaded backup's (multipart field "file"; see restoreDatabase). Logs
+// everyone out unless the backup predates user accounts and the live ones were kept.
+app.post('/api/admin/restore', requireAuth('users'), upload.single('file'), (req, res) => {
+  const file = req.file;
+  if (!file) return res.status(400).json({ error: 'No file uploaded' });
+  try {
+    const running = getRunningRefreshJob.get();
+    if (running) return res.status(409).json({ error: 'A refresh job is running; retry once it has finished', job: refreshJobRow(running) });
+    const result = restoreDatabase(file.path);
+    if (result.error) return res.status(400).json({ error: result.error });
+    const loggedOut = !result.kept.includes('users');
+    console.log(`[restore] ${req.user.username} restored ${file.originalname}${result.kept.length ? ` (kept live ${result.kept.join(', ')})` : ''}`);
+    if (loggedOut) res.setHeader('Set-Cookie', sessionCookie(req, '', 0));
+    res.json({ ok: true, tables: result.tables, kept: result.kept, logged_out: loggedOut });
   } catch (err) {
-    console.error('[import] Failed:', err);
-    res.status(500).json({ error: 'Import failed', detail: String(err) });
+    console.error('[restore] Failed:', err);
+    res.status(500).json({ error: 'Restore failed', detail: String(err.message || err) });
   } finally {
-    if (file) fs.unlink(file.path, () => {});
+    fs.unlink(file.path, () => {});
+  }
+});
+
+// Ranking settings and overrides as a portable JSON file (see exportConfig)
+app.get('/api/admin/config/export', requireAuth('data'), (req, res) => {
+  res.setHeader('Content-Disposition', `attachment; filename="bordeaux-config-${dayjs().format('YYYYMMDD-HHmm')}.json"`);
+  res.json(exportConfig());
+});
+
+// Body: a config export. ?dryRun=1 only reports what would change.
+app.post('/api/admin/config/import', requireAuth('data'), (req, res) => {
+  const dryRun = ['1', 'true'].includes(String(req.query.dryRun || '').toLowerCase());
+  const { plan, error } = planConfigImport(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!dryRun) applyConfigImport(plan, req.user.username);
+  res.json({ ok: true, dry_run: dryRun, ...plan });
+});
+
+// Candidate duplicate pairs, best match first (?minScore=0..1, default 0.85; ?limit=, default 100)
+app.get('/api/admin/duplicates', requireAuth('data'), (req, res) => {
+  const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : 0.85;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+  if (!(minScore >= 0 && minScore <= 1)) return res.status(400).json({ error: 'minScore must be between 0 and 1' });
+  if (!(Number.isInteger(limit) && limit >= 1 && limit <= 500)) return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+  res.json(findDuplicateCandidates({ minScore, limit }));
+});
+
+// Mark a candidate pair as two different wines so it is no longer listed
+app.post('/api/admin/duplicates/dismiss', requireAuth('data'), (req, res) => {
+  const ids = [Number((req.body || {}).a_id), Number((req.body || {}).b_id)].sort((x, y) => x - y);
+  if (!ids.every(Number.isInteger) || ids[0] === ids[1]) return res.status(400).json({ error: 'a_id and b_id must be two different wine ids' });
+  insertDuplicateDismissal.run(ids[0], ids[1], req.user.username, dayjs().toISOString());
+  res.json({ ok: true });
+});
+
+// Merge merge_id into keep_id (see mergeWines). A note is required, as for overrides.
+app.post('/api/admin/wines/merge', requireAuth('data'), (req, res) => {
+  const { keep_id, merge_id, note } = req.body || {};
+  if (isBlank(note)) return res.status(400).json({ error: 'note required' });
+  if (Number(keep_id) === Number(merge_id)) return res.status(400).json({ error: 'keep_id and merge_id must differ' });
+  const keep = getWineById.get(keep_id);
+  const gone = getWineById.get(merge_id);
+  if (!keep || !gone) return res.status(404).json({ error: 'Wine not found' });
+  const wine = mergeWines(keep.id, gone.id, { note: String(note).trim(), user: req.user.username });
+  checkTop20Changes('merge');
+  res.json({ ok: true, wine, alias: gone.external_id });
+});
+
+// Webhooks. The secret is only returned in full on creation and rotation.
+app.get('/api/admin/webhooks', requireAuth('data'), (req, res) => {
+  const stats = db.prepare(`
+    SELECT webhook_id, SUM(status = 'pending') AS pending, SUM(status = 'failed') AS failed, MAX(delivered_at) AS last_delivered_at
+    FROM webhook_deliveries GROUP BY webhook_id`).all();
+  const byHook = new Map(stats.map(s => [s.webhook_id, s]));
+  res.json(listWebhooks.all().map(h => {
+    const s = byHook.get(h.id) || {};
+    return { ...publicWebhook(h), pending: s.pending || 0, failed: s.failed || 0, last_delivered_at: s.last_delivered_at || null };
+  }));
+});
+
+app.post('/api/admin/webhooks', requireAuth('data'), (req, res) => {
+  const { url, description } = req.body || {};
+  const normalized = webhookUrl(url);
+  if (!normalized) return res.status(400).json({ error: 'url must be an absolute http(s) URL' });
+  const secret = newWebhookSecret();
+  const id = db.prepare(`INSERT INTO webhooks (url, secret, description, created_by, created_at) VALUES (?, ?, ?, ?, ?)`)
+    .run(normalized, secret, isBlank(description) ? null : String(description).trim(), req.user.username, dayjs().toISOString()).lastInsertRowid;
+  res.json({ ok: true, webhook: publicWebhook(getWebhook.get(id)), secret });
+});
+
+// Body: any of { url, description, active, rotate_secret }
+app.put('/api/admin/webhooks/:id', requireAuth('data'), (req, res) => {
+  const hook = getWebhook.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  const { url, description, active, rotate_secret } = req.body || {};
+  const next = { ...hook };
+  if (url !== undefined) {
+    next.url = webhookUrl(url);
+    if (!next.url) return res.status(400).json({ error: 'url must be an absolute http(s) URL' });
   }
+  if (description !== undefined) next.description = isBlank(description) ? null : String(description).trim();
+  if (active !== undefined) next.active = active ? 1 : 0;
+  if (rotate_secret) next.secret = newWebhookSecret();
+  db.prepare(`UPDATE webhooks SET url = ?, description = ?, active = ?, secret = ? WHERE id = ?`)
+    .run(next.url, next.description, next.active, next.secret, hook.id);
+  res.json({ ok: true, webhook: publicWebhook(getWebhook.get(hook.id)), ...(rotate_secret ? { secret: next.secret } : {}) });
+});
+
+app.delete('/api/admin/webhooks/:id', requireAuth('data'), (req, res) => {
+  const hook = getWebhook.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  db.transaction(() => {
+    db.prepare(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`).run(hook.id);
+    db.prepare(`DELETE FROM webhooks WHERE id = ?`).run(hook.id);
+  })();
+  res.json({ ok: true });
 });
 
-app.post('/api/admin/refresh', basicAuth, (req, res) => {
-  refreshVivinoData();
+// Queue a 'ping' event to this webhook only
+app.post('/api/admin/webhooks/:id/test', requireAuth('data'), (req, res) => {
+  const hook = getWebhook.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  if (!hook.active) return res.status(409).json({ error: 'Webhook is disabled' });
+  queueWebhookEvent('ping', { message: 'Test delivery', user: req.user.username }, [hook]);
   res.json({ ok: true });
 });
 
+// Delivery log of one webhook, newest first (?limit=, default 50)
+app.get('/api/admin/webhooks/:id/deliveries', requireAuth('data'), (req, res) => {
+  const hook = getWebhook.get(req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  res.json(listWebhookDeliveries.all(hook.id, limit).map(d => ({ ...d, payload: JSON.parse(d.payload) })));
+});
+
+// Send a logged delivery again (as a new delivery with the same body)
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', requireAuth('data'), (req, res) => {
+  const d = getWebhookDelivery.get(req.params.id);
+  if (!d) return res.status(404).json({ error: 'Delivery not found' });
+  const now = dayjs().toISOString();
+  const id = insertWebhookDelivery.run(d.webhook_id, d.event, d.payload, now, now).lastInsertRowid;
+  setImmediate(deliverPendingWebhooks);
+  res.json({ ok: true, delivery_id: id });
+});
+
+// --- Import quarantine ---
+// Held changes (?status=pending by default; approved, rejected, superseded) with the rules and counts
+app.get('/api/admin/anomalies', requireAuth('data'), (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!ANOMALY_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${ANOMALY_STATUSES.join(', ')}` });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+  res.json({ rules: getAnomalyRules(), counts: anomalyCounts(), anomalies: listAnomalies(status, limit) });
+});
+
+// Body: any of the rule keys (see DEFAULT_ANOMALY_RULES); the others keep their value
+app.put('/api/admin/anomalies/rules', requireAuth('data'), (req, res) => {
+  const { rules, error } = validateAnomalyRules(req.body);
+  if (error) return res.status(400).json({ error });
+  setMeta.run('anomaly_rules', JSON.stringify(rules));
+  res.json({ ok: true, rules });
+});
+
+// Body: { ids, note? }. Approving writes the held values (or retires a wine missing from the source).
+for (const action of ['approve', 'reject']) app.post(`/api/admin/anomalies/${action}`, requireAuth('data'), (req, res) => {
+  const { ids, note } = req.body || {};
+  if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ error: 'ids must be a non-empty array' });
+  const entries = [];
+  for (const id of ids) {
+    const a = getAnomaly.get(id);
+    if (!a) return res.status(404).json({ error: `Anomaly not found: ${id}` });
+    entries.push(a);
+  }
+  const result = resolveAnomalies(entries, action, { note: isBlank(note) ? null : String(note).trim(), user: req.user.username });
+  if (result.error) return res.status(409).json(result);
+  res.json({ ok: true, ...result, counts: anomalyCounts() });
+});
+
+// Start a refresh job in the background; poll /api/admin/jobs/:id for progress
+app.post('/api/admin/refresh', requireAuth('data'), (req, res) => {
+  const job = startRefresh('manual', req.user.username);
+  if (job.busy) return res.status(409).json({ error: 'A refresh is already running', job: refreshJobRow(job.busy) });
+  res.status(202).json({ ok: true, job: refreshJobRow(getRefreshJob.get(job.id)) });
+});
+
+// Refresh source, its settings and the interval, plus the available adapters
+app.get('/api/admin/refresh/config', requireAuth('data'), (req, res) => {
+  res.json({
+    config: getRefreshConfig(),
+    sources: Object.entries(REFRESH_SOURCES).map(([id, s]) => ({ id, label: s.label, description: s.description })),
+  });
+});
+
+app.put('/api/admin/refresh/config', requireAuth('data'), (req, res) => {
+  const { config, error } = validateRefreshConfig(req.body || {});
+  if (error) return res.status(400).json({ error });
+  setMeta.run('refresh_config', JSON.stringify(config));
+  watchDropFolder();
+  res.json({ ok: true, config, ...refreshDue() });
+});
+
+// Refresh job history, newest first (?limit=, default 20)
+app.get('/api/admin/jobs', requireAuth('data'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+  res.json(listRefreshJobs.all(limit).map(refreshJobRow));
+});
+
+app.get('/api/admin/jobs/:id', requireAuth('data'), (req, res) => {
+  const job = getRefreshJob.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(refreshJobRow(job));
+});
+
 app.get('/api/meta', (req, res) => {
-  const last = getMeta.get('last_refresh');
-  const lastIso = last && last.value ? dayjs(last.value).toISOString() : null;
-  const next = lastIso ? dayjs(lastIso).add(75, 'day').toISOString() : null;
-  res.json({ last_refresh: lastIso, next_refresh_due: next });
+  res.json(refreshDue());
 });
 
 // Serve app
@@ -353,12 +6060,16 @@ app.listen(PORT, () => {
 });
 
 // ---- Frontend (served inline) -------------------------------
-const INDEX_HTML = `<!doctype html>
-<html lang="fr">
+// Rendered once per locale (see indexPage): static text comes from UI_MESSAGES through m(); the
+// client script gets the same catalogue as I18N and translates what it builds with t().
+function indexHtml(locale) {
+  const m = key => htmlText(uiMessage(locale, key));
+  return `<!doctype html>
+<html lang="${locale}">
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>Bordeaux — Top 20 par AOC (Vivino)</title>
+  <title>${m('app.title')}</title>
   <script src="https://cdn.tailwindcss.com"></script>
   <script>
     tailwind.config = { theme: { extend: { colors: { brand: { 50:'#fff1f2',100:'#ffe4e6',200:'#fecdd3',300:'#fda4af',400:'#fb7185',500:'#f43f5e',600:'#e11d48',700:'#be123c',800:'#9f1239',900:'#881337' } } } } };
@@ -375,58 +6086,140 @@ const INDEX_HTML = `<!doctype html>
     <div class="max-w-7xl mx-auto px-4 py-4 flex items-center justify-between">
       <div class="flex items-center gap-3">
         <span class="text-2xl">🍷</span>
-        <h1 class="text-xl sm:text-2xl font-semibold">Bordeaux — Top 20 par AOC (Vivino)</h1>
+        <h1 class="text-xl sm:text-2xl font-semibold"><a href="/" data-link>${m('app.title')}</a></h1>
+      </div>
+      <div class="flex items-center gap-4">
+        <div class="text-sm opacity-90" id="meta"></div>
+        <nav class="flex gap-1 text-xs" aria-label="${m('app.language')}">${LOCALES.map(l => `
+          <a href="?lang=${l}" data-lang="${l}" hreflang="${l}" title="${htmlText(uiMessage(l, 'locale.name'))}" class="px-2 py-1 rounded-lg ${l === locale ? 'bg-white text-brand-700 font-semibold' : 'hover:bg-white/20'}">${l.toUpperCase()}</a>`).join('')}
+        </nav>
       </div>
-      <div class="text-sm opacity-90" id="meta"></div>
     </div>
   </header>
 
   <main class="max-w-7xl mx-auto px-4 py-6">
+    <div id="listView">
     <section class="glass rounded-2xl shadow-md p-4 sm:p-6 mb-6">
       <div class="grid grid-cols-1 md:grid-cols-12 gap-4 items-end">
         <div class="md:col-span-4">
           <label class="block text-sm font-medium mb-1">AOC</label>
           <select id="aocSelect" class="w-full rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2">
-            <option value="">Toutes (affiche top 100 global)</option>
+            <option value="">${m('filters.allAocs')}</option>
           </select>
         </div>
-        <div class="md:col-span-3">
-          <label class="block text-sm font-medium mb-1">Recherche (vin / château)</label>
-          <input id="q" type="text" placeholder="ex: Margaux, Pontet-Canet..." class="w-full rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2" />
+        <div class="md:col-span-3 relative">
+          <label class="block text-sm font-medium mb-1">${m('filters.search')}</label>
+          <input id="q" type="text" autocomplete="off" placeholder="${m('filters.searchPlaceholder')}" class="w-full rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2" />
+          <div id="qSuggest" class="hidden absolute z-20 left-0 right-0 mt-1 bg-white rounded-xl shadow-lg border text-sm overflow-hidden"></div>
         </div>
         <div class="md:col-span-3">
-          <label class="block text-sm font-medium mb-1">Filtrer par note finale</label>
+          <label class="block text-sm font-medium mb-1">${m('filters.rating')}</label>
           <div class="flex items-center gap-2">
             <input id="minRating" type="number" step="0.1" min="0" max="5" class="w-24 rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2" placeholder="min" />
             <span>—</span>
             <input id="maxRating" type="number" step="0.1" min="0" max="5" class="w-24 rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2" placeholder="max" />
           </div>
         </div>
-        <div class="md:col-span-2 flex gap-2 md:justify-end">
-          <button id="resetBtn" class="px-4 py-2 rounded-xl bg-gray-100 hover:bg-gray-200">Réinitialiser</button>
-          <button id="adminBtn" class="px-4 py-2 rounded-xl bg-white text-brand-700 border border-brand-200 hover:bg-brand-50" title="Se connecter en admin">Admin</button>
+        <div class="md:col-span-4">
+          <label class="block text-sm font-medium mb-1">${m('common.vintage')}</label>
+          <div class="flex items-center gap-2">
+            <select id="vintageFrom" class="w-28 rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2"><option value="">${m('filters.from')}</option></select>
+            <span>—</span>
+            <select id="vintageTo" class="w-28 rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2"><option value="">${m('filters.to')}</option></select>
+          </div>
+        </div>
+        <div class="md:col-span-4">
+          <label class="block text-sm font-medium mb-1">${m('filters.price')}</label>
+          <div class="flex items-center gap-2">
+            <input id="minPrice" type="number" step="1" min="0" class="w-20 rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2" placeholder="min" />
+            <span>—</span>
+            <input id="maxPrice" type="number" step="1" min="0" class="w-20 rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2" placeholder="max" />
+            <select id="priceBand" class="flex-1 rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2 text-sm">
+              <option value="">${m('filters.allBands')}</option>
+            </select>
+          </div>
+        </div>
+        <div class="md:col-span-4">
+          <label class="block text-sm font-medium mb-1">${m('filters.grouping')}</label>
+          <div class="flex items-center gap-3">
+            <label class="flex items-center gap-2 text-sm"><input id="groupWine" type="checkbox" class="rounded" /> ${m('filters.groupWine')}</label>
+            <select id="groupPick" class="rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2 text-sm" disabled>
+              <option value="best">${m('filters.pickBest')}</option>
+              <option value="latest">${m('filters.pickLatest')}</option>
+            </select>
+          </div>
+        </div>
+        <div class="md:col-span-8">
+          <label class="block text-sm font-medium mb-1">${m('filters.wineType')}</label>
+          <div class="flex items-center gap-2 flex-wrap">
+            <select id="color" class="rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2 text-sm"><option value="">${m('filters.allColors')}</option></select>
+            <select id="style" class="rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2 text-sm"><option value="">${m('filters.allStyles')}</option></select>
+            <select id="classification" class="rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2 text-sm"><option value="">${m('filters.allClassifications')}</option></select>
+            <select id="grape" class="rounded-xl border-gray-300 focus:ring-brand-500 focus:border-brand-500 p-2 text-sm"><option value="">${m('filters.allGrapes')}</option></select>
+          </div>
+        </div>
+        <div class="md:col-span-4 flex gap-2 md:justify-end flex-wrap">
+          <button id="bestValueBtn" class="px-4 py-2 rounded-xl bg-emerald-50 text-emerald-700 border border-emerald-200 hover:bg-emerald-100" title="${m('filters.bestValueTitle')}">${m('filters.bestValue')}</button>
+          <button id="resetBtn" class="px-4 py-2 rounded-xl bg-gray-100 hover:bg-gray-200">${m('filters.reset')}</button>
+          <a href="/stats" data-link class="px-4 py-2 rounded-xl bg-white text-brand-700 border border-brand-200 hover:bg-brand-50" title="${m('nav.statsTitle')}">${m('nav.stats')}</a>
+          <button id="adminBtn" class="px-4 py-2 rounded-xl bg-white text-brand-700 border border-brand-200 hover:bg-brand-50" title="${m('nav.adminTitle')}">Admin</button>
         </div>
       </div>
     </section>
 
     <section class="glass rounded-2xl shadow-md overflow-hidden">
+      <div id="previewBanner" class="hidden flex flex-wrap items-center gap-2 px-4 py-2 text-sm bg-amber-50 border-b border-amber-200 text-amber-900">
+        <span class="flex-1">${m('admin.preview.title')} <strong id="previewName"></strong> — ${m('admin.preview.help')}</span>
+        <button type="button" id="previewExit" class="px-3 py-1 rounded-lg bg-white border border-amber-200 hover:bg-amber-100">${m('admin.preview.exit')}</button>
+      </div>
       <div class="flex items-center justify-between px-4 py-3 border-b bg-white/70">
-        <h2 class="text-lg font-semibold">Classement <span id="rankingLabel" class="text-gray-500 font-normal"></span></h2>
-        <div class="text-sm text-gray-600">Tri: note finale décroissante</div>
+        <div class="flex items-center gap-3">
+          <h2 class="text-lg font-semibold">${m('table.ranking')} <span id="rankingLabel" class="text-gray-500 font-normal"></span></h2>
+          <span id="aocLinks" class="hidden text-xs text-gray-500 space-x-2">
+            <a id="feedAtom" class="underline hover:text-brand-700" target="_blank">Atom</a>
+            <a id="feedRss" class="underline hover:text-brand-700" target="_blank">RSS</a>
+            <button type="button" id="embedBtn" class="underline hover:text-brand-700">${m('table.embed')}</button>
+          </span>
+        </div>
+        <div class="flex items-center gap-3">
+          <label class="text-sm text-gray-600 flex items-center gap-2">${m('table.sort')}
+            <select id="strategySelect" class="rounded-lg border-gray-300 p-1 text-sm" title=""></select>
+          </label>
+          <span class="flex items-center gap-1 text-sm">
+            <select id="shortlistSelect" class="rounded-lg border-gray-300 p-1 text-sm" title="${m('shortlist.selectTitle')}"></select>
+            <a id="shortlistOpen" data-link class="hidden text-brand-700 hover:underline">${m('shortlist.open')}</a>
+          </span>
+          <select id="exportSelect" class="rounded-lg border-gray-300 p-1 text-sm" title="${m('export.title')}">
+            <option value="">${m('export.placeholder')}</option>
+            <optgroup label="${m('export.filtered')}">
+              <option value="filtered:xlsx">Excel (.xlsx)</option>
+              <option value="filtered:csv">CSV</option>
+              <option value="filtered:json">JSON</option>
+              <option value="filtered:html">${m('export.print')}</option>
+            </optgroup>
+            <optgroup label="${m('export.top20')}">
+              <option value="top20:xlsx">Excel (.xlsx)</option>
+              <option value="top20:csv">CSV</option>
+              <option value="top20:json">JSON</option>
+              <option value="top20:html">${m('export.print')}</option>
+            </optgroup>
+          </select>
+        </div>
       </div>
       <div class="overflow-x-auto">
         <table class="min-w-full text-sm">
           <thead class="sticky-head text-left text-xs uppercase tracking-wide text-gray-500 border-b">
             <tr>
               <th class="p-3">#</th>
-              <th class="p-3">Vin</th>
+              <th class="p-3">${m('table.trend')}</th>
+              <th class="p-3">${m('common.wine')}</th>
               <th class="p-3">AOC</th>
-              <th class="p-3">Millésime</th>
-              <th class="p-3">Note Vivino</th>
-              <th class="p-3">Ajust. admin (%)</th>
-              <th class="p-3">Note finale</th>
-              <th class="p-3">Avis</th>
-              <th class="p-3">Prix</th>
+              <th class="p-3">${m('common.vintage')}</th>
+              <th class="p-3" id="vivinoHead">${m('common.vivinoRating')}</th>
+              <th class="p-3">${m('table.adjustment')}</th>
+              <th class="p-3">${m('common.finalScore')}</th>
+              <th class="p-3">${m('common.reviews')}</th>
+              <th class="p-3">${m('common.price')}</th>
               <th class="p-3">Actions</th>
             </tr>
           </thead>
@@ -434,210 +6227,2073 @@ const INDEX_HTML = `<!doctype html>
         </table>
       </div>
     </section>
+    </div>
+
+    <section id="detailView" class="hidden glass rounded-2xl shadow-md p-4 sm:p-6"></section>
+
+    <section id="statsView" class="hidden glass rounded-2xl shadow-md p-4 sm:p-6"></section>
+
+    <section id="shortlistView" class="hidden glass rounded-2xl shadow-md p-4 sm:p-6"></section>
 
-    <p class="text-xs text-gray-500 mt-3">Sources: Notes de base issues de vos exports Vivino. Aucune collecte automatisée n'est effectuée ici. Les ajustements admin (±25% max) modifient le classement en temps réel.</p>
+    <p class="text-xs text-gray-500 mt-3">${m('app.footer')}</p>
   </main>
 
   <!-- Admin modal -->
   <div id="adminModal" class="fixed inset-0 hidden items-center justify-center bg-black/40 p-4">
-    <div class="w-full max-w-md bg-white rounded-2xl shadow-xl p-6">
-      <h3 class="text-lg font-semibold mb-2">Connexion administrateur</h3>
-      <p class="text-sm text-gray-600 mb-4">Entrez vos identifiants pour modifier les notes, importer des données ou lancer un rafraîchissement.</p>
+    <div class="w-full max-w-3xl max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-xl p-6">
+      <h3 class="text-lg font-semibold mb-2">${m('login.title')}</h3>
+      <p class="text-sm text-gray-600 mb-4">${m('login.intro')}</p>
       <form id="adminLogin" class="space-y-3">
         <div>
-          <label class="block text-sm mb-1">Utilisateur</label>
+          <label class="block text-sm mb-1">${m('login.user')}</label>
           <input id="adminUser" class="w-full rounded-xl border-gray-300 p-2" placeholder="admin" />
         </div>
         <div>
-          <label class="block text-sm mb-1">Mot de passe</label>
+          <label class="block text-sm mb-1">${m('login.password')}</label>
           <input id="adminPass" type="password" class="w-full rounded-xl border-gray-300 p-2" placeholder="••••••" />
         </div>
         <div class="flex items-center justify-end gap-2 pt-2">
-          <button type="button" id="closeAdmin" class="px-4 py-2 rounded-xl bg-gray-100">Annuler</button>
-          <button class="px-4 py-2 rounded-xl bg-brand-600 text-white hover:bg-brand-700">Se connecter</button>
+          <button type="button" id="closeAdmin" class="px-4 py-2 rounded-xl bg-gray-100">${m('common.cancel')}</button>
+          <button class="px-4 py-2 rounded-xl bg-brand-600 text-white hover:bg-brand-700">${m('login.submit')}</button>
         </div>
       </form>
       <div id="adminPanel" class="hidden mt-4 border-t pt-4">
         <div class="flex items-center gap-2 text-sm">
           <strong class="mr-2">Admin:</strong><span id="whoami"></span>
+          <span class="flex-1"></span>
+          <button type="button" id="logoutBtn" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">${m('admin.logout')}</button>
+          <button type="button" id="closeAdminPanel" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">${m('admin.close')}</button>
         </div>
-        <div class="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div data-perm="data" class="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
           <form id="importForm" class="glass p-3 rounded-xl border">
-            <h4 class="font-medium mb-2">Importer (CSV/JSON)</h4>
+            <h4 class="font-medium mb-2">${m('admin.import.title')}</h4>
             <input type="file" id="importFile" class="block w-full text-sm" />
-            <button type="submit" class="mt-2 w-full px-3 py-2 rounded-xl bg-brand-600 text-white">Importer</button>
+            <select id="importProfile" class="mt-2 w-full rounded-lg border-gray-300 p-1 text-sm">
+              <option value="">${m('admin.import.noProfile')}</option>
+            </select>
+            <button type="submit" class="mt-2 w-full px-3 py-2 rounded-xl bg-brand-600 text-white">${m('admin.import.preview')}</button>
           </form>
           <div class="glass p-3 rounded-xl border">
-            <h4 class="font-medium mb-2">Rafraîchir maintenant</h4>
-            <button id="refreshNow" class="w-full px-3 py-2 rounded-xl bg-emerald-600 text-white">Lancer</button>
+            <h4 class="font-medium mb-2">${m('admin.refresh.now')}</h4>
+            <button id="refreshNow" class="w-full px-3 py-2 rounded-xl bg-emerald-600 text-white">${m('admin.refresh.start')}</button>
+            <div id="refreshProgress" class="mt-2 text-xs text-gray-600"></div>
+          </div>
+        </div>
+        <form id="refreshConfigForm" data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.refresh.title')}</h4>
+          <div class="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <select id="refreshSource" class="rounded-lg border-gray-300 p-1"></select>
+            <label class="text-xs text-gray-600 flex items-center gap-1">${m('admin.refresh.every')}
+              <input id="refreshInterval" type="number" min="1" max="365" step="1" class="w-20 rounded-lg border-gray-300 p-1" /> ${m('admin.refresh.days')}
+            </label>
+            <input id="refreshTarget" class="sm:col-span-2 rounded-lg border-gray-300 p-1" />
+            <select id="refreshProfile" class="sm:col-span-2 rounded-lg border-gray-300 p-1">
+              <option value="">${m('admin.import.noProfile')}</option>
+            </select>
+          </div>
+          <p id="refreshSourceHelp" class="mt-1 text-xs text-gray-500"></p>
+          <div class="mt-2 flex justify-end"><button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.save')}</button></div>
+          <h4 class="font-medium mt-3 mb-1">${m('admin.refresh.history')}</h4>
+          <div id="refreshJobs" class="max-h-48 overflow-y-auto text-xs text-gray-600">${m('admin.refresh.none')}</div>
+        </form>
+        <div data-perm="data"><div id="importReport" class="hidden mt-3 glass p-3 rounded-xl border text-sm"></div></div>
+        <div data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <div class="flex items-center gap-2 mb-2">
+            <h4 class="font-medium flex-1">${m('admin.quarantine.title')} <span id="anomalyCount" class="hidden chip border-amber-200 text-amber-700 bg-amber-50"></span></h4>
+            <select id="anomalyStatus" class="rounded-lg border-gray-300 p-1 text-xs">
+              <option value="pending">${m('admin.quarantine.status.pending')}</option>
+              <option value="approved">${m('admin.quarantine.status.approved')}</option>
+              <option value="rejected">${m('admin.quarantine.status.rejected')}</option>
+              <option value="superseded">${m('admin.quarantine.status.superseded')}</option>
+            </select>
+          </div>
+          <div id="anomalies" class="max-h-72 overflow-y-auto text-xs text-gray-600">${m('admin.quarantine.nonePending')}</div>
+          <div id="anomalyActions" class="hidden mt-2 flex flex-wrap items-center gap-2">
+            <label class="text-xs text-gray-600 flex items-center gap-1"><input id="anomalyAll" type="checkbox" /> ${m('admin.quarantine.selectAll')}</label>
+            <span class="flex-1"></span>
+            <button type="button" id="anomalyReject" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">${m('admin.quarantine.reject')}</button>
+            <button type="button" id="anomalyApprove" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.quarantine.approve')}</button>
+          </div>
+          <form id="anomalyRulesForm" class="mt-3 border-t pt-2 grid grid-cols-1 sm:grid-cols-2 gap-2 text-xs text-gray-600">
+            <label class="sm:col-span-2 flex items-center gap-1 font-medium text-gray-800"><input data-rule="enabled" type="checkbox" /> ${m('admin.rule.enabled')}</label>
+            <label class="flex items-center gap-1">${m('admin.rule.max_rating_delta')}
+              <input data-rule="max_rating_delta" type="number" min="0" step="0.1" class="w-20 rounded-lg border-gray-300 p-1" /></label>
+            <label class="flex items-center gap-1">${m('admin.rule.min_rating_count')}
+              <input data-rule="min_rating_count" type="number" min="0" step="1" class="w-20 rounded-lg border-gray-300 p-1" /></label>
+            <label class="flex items-center gap-1">${m('admin.rule.max_rating_count_drop_pct')}
+              <input data-rule="max_rating_count_drop_pct" type="number" min="0" step="1" class="w-20 rounded-lg border-gray-300 p-1" /></label>
+            <label class="flex items-center gap-1">${m('admin.rule.max_price_change_pct')}
+              <input data-rule="max_price_change_pct" type="number" min="0" step="1" class="w-20 rounded-lg border-gray-300 p-1" /></label>
+            <label class="flex items-center gap-1"><input data-rule="aoc_change" type="checkbox" /> ${m('admin.rule.aoc_change')}</label>
+            <label class="flex items-center gap-1"><input data-rule="missing" type="checkbox" /> ${m('admin.rule.missing')}</label>
+            <p class="sm:col-span-2 text-gray-500">${m('admin.rule.help')}</p>
+            <div class="sm:col-span-2 flex justify-end"><button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.save')}</button></div>
+          </form>
+        </div>
+        <div class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.history.title')}</h4>
+          <div id="overrideHistory" class="max-h-64 overflow-y-auto text-xs text-gray-600">${m('admin.history.none')}</div>
+        </div>
+        <div data-perm="overrides" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.bulk.title')}</h4>
+          <div class="flex flex-wrap items-center gap-2">
+            <span id="selectionCount" class="text-xs text-gray-600"></span>
+            <input id="bulkPct" type="number" min="-25" max="25" step="0.5" placeholder="%" class="w-20 rounded-lg border-gray-300 p-1" />
+            <button type="button" id="bulkApply" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.bulk.apply')}</button>
+            <button type="button" id="bulkClear" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">${m('admin.bulk.clear')}</button>
+          </div>
+          <div class="mt-2 flex flex-wrap items-center gap-2">
+            <button type="button" id="resetAoc" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">${m('admin.bulk.resetAoc')}</button>
+            <label class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 cursor-pointer">${m('admin.bulk.importCsv')}<input id="overrideCsvFile" type="file" accept=".csv,text/csv" class="hidden" /></label>
+          </div>
+          <p class="text-xs text-gray-500 mt-2">${m('admin.bulk.csvHelp')}</p>
+        </div>
+        <div data-perm="overrides" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.sets.title')}</h4>
+          <div id="overrideSets" class="text-xs text-gray-600">${m('admin.sets.none')}</div>
+          <div id="overrideSetItems" class="hidden mt-2 max-h-48 overflow-y-auto text-xs text-gray-600"></div>
+          <form id="overrideSetForm" class="mt-2 flex flex-wrap items-center gap-2">
+            <input id="overrideSetName" required placeholder="${m('admin.sets.namePlaceholder')}" class="flex-1 min-w-[12rem] rounded-lg border-gray-300 p-1" />
+            <label class="text-xs text-gray-600 flex items-center gap-1"><input id="overrideSetFromLive" type="checkbox" /> ${m('admin.sets.fromLive')}</label>
+            <label class="text-xs text-gray-600 flex items-center gap-1"><input id="overrideSetReplace" type="checkbox" /> ${m('admin.sets.replaceAll')}</label>
+            <button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.create')}</button>
+          </form>
+          <input id="overrideSetCsvFile" type="file" accept=".csv,text/csv" class="hidden" />
+          <p class="text-xs text-gray-500 mt-2">${m('admin.sets.help')}</p>
+        </div>
+        <form id="rankingForm" data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm flex flex-wrap items-center gap-2">
+          <h4 class="font-medium w-full">${m('admin.ranking.title')}</h4>
+          <select id="defaultStrategy" class="rounded-lg border-gray-300 p-1"></select>
+          <label class="text-xs text-gray-600 flex items-center gap-1">${m('admin.ranking.priorWeight')}
+            <input id="priorWeight" type="number" min="0" step="1" class="w-20 rounded-lg border-gray-300 p-1" />
+          </label>
+          <button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.apply')}</button>
+        </form>
+        <form id="scoreSourcesForm" data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.scoreSources.title')}</h4>
+          <textarea id="scoreSourcesConfig" rows="6" class="w-full rounded-lg border-gray-300 p-2 font-mono text-xs"></textarea>
+          <p class="text-xs text-gray-500">${m('admin.scoreSources.help')}</p>
+          <div class="mt-2 flex justify-end"><button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.save')}</button></div>
+        </form>
+        <form id="priceBandsForm" data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.priceBands.title')}</h4>
+          <textarea id="priceBandsConfig" rows="5" class="w-full rounded-lg border-gray-300 p-2 font-mono text-xs"></textarea>
+          <p class="text-xs text-gray-500">${m('admin.priceBands.help')}</p>
+          <div class="mt-2 flex justify-end"><button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.save')}</button></div>
+        </form>
+        <div data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.webhooks.title')}</h4>
+          <div id="webhooks" class="text-xs text-gray-600">${m('admin.webhooks.none')}</div>
+          <form id="webhookForm" class="mt-2 flex flex-wrap gap-2">
+            <input id="webhookUrl" type="url" required placeholder="https://…/hooks/top20" class="flex-1 min-w-[12rem] rounded-lg border-gray-300 p-1" />
+            <input id="webhookDescription" placeholder="Description" class="w-40 rounded-lg border-gray-300 p-1" />
+            <button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.add')}</button>
+          </form>
+          <div id="webhookDeliveries" class="hidden mt-2 max-h-48 overflow-y-auto text-xs text-gray-600"></div>
+        </div>
+        <div data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <div class="flex items-center mb-2">
+            <h4 class="font-medium flex-1">${m('admin.duplicates.title')}</h4>
+            <button type="button" id="findDuplicates" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-xs">${m('admin.duplicates.search')}</button>
+          </div>
+          <div id="duplicates" class="max-h-72 overflow-y-auto text-xs text-gray-600">${m('admin.duplicates.prompt')}</div>
+        </div>
+        <div data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.unknownAocs.title')}</h4>
+          <div id="unknownAocs" class="space-y-2 text-sm text-gray-600">${m('admin.none')}</div>
+        </div>
+        <form id="profileForm" data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.profiles.title')}</h4>
+          <div class="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <select id="profileSelect" class="rounded-lg border-gray-300 p-1">
+              <option value="">${m('admin.profiles.new')}</option>
+            </select>
+            <input id="profileName" class="rounded-lg border-gray-300 p-1" placeholder="${m('admin.profiles.name')}" />
+          </div>
+          <textarea id="profileConfig" rows="6" class="mt-2 w-full rounded-lg border-gray-300 p-2 font-mono text-xs"
+            placeholder='{"columns": {"name": "Nom", "aoc": "Appellation", "vivino_rating": "Note"}, "delimiter": ";", "decimal": ",", "encoding": "windows-1252", "default_aoc": null, "transforms": {"vivino_rating": ["score100_to_5"]}}'></textarea>
+          <p class="text-xs text-gray-500">${m('admin.profiles.transforms')}</p>
+          <div class="mt-2 flex justify-end gap-2">
+            <button type="button" id="profileDelete" class="px-3 py-2 rounded-xl bg-gray-100">${m('admin.delete')}</button>
+            <button type="submit" class="px-3 py-2 rounded-xl bg-brand-600 text-white">${m('admin.save')}</button>
+          </div>
+        </form>
+        <div data-perm="data" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.transfer.title')}</h4>
+          <p class="text-xs text-gray-500 mb-2">${m('admin.transfer.help')}</p>
+          <div class="flex flex-wrap items-center gap-2">
+            <a href="/api/admin/config/export" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">${m('admin.transfer.export')}</a>
+            <label class="px-3 py-1 rounded-lg bg-brand-600 text-white cursor-pointer">${m('admin.transfer.import')}<input id="configImportFile" type="file" accept=".json,application/json" class="hidden" /></label>
           </div>
         </div>
+        <div data-perm="users" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.backup.title')}</h4>
+          <p id="schemaVersion" class="text-xs text-gray-500 mb-2"></p>
+          <div class="flex flex-wrap items-center gap-2">
+            <a href="/api/admin/backup" class="px-3 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">${m('admin.backup.download')}</a>
+            <label class="px-3 py-1 rounded-lg bg-brand-600 text-white cursor-pointer">${m('admin.backup.restore')}<input id="restoreFile" type="file" accept=".db,.sqlite,.sqlite3" class="hidden" /></label>
+          </div>
+          <p class="text-xs text-gray-500 mt-2">${m('admin.backup.help')}</p>
+        </div>
+        <div data-perm="users" class="mt-3 glass p-3 rounded-xl border text-sm">
+          <h4 class="font-medium mb-2">${m('admin.users.title')}</h4>
+          <div id="userList" class="divide-y"></div>
+          <form id="userForm" class="mt-2 flex flex-wrap items-center gap-2">
+            <input id="newUsername" class="rounded-lg border-gray-300 p-1" placeholder="${m('admin.users.username')}" required />
+            <input id="newPassword" type="password" minlength="10" class="rounded-lg border-gray-300 p-1" placeholder="${m('admin.users.password')}" required />
+            <select id="newRole" class="rounded-lg border-gray-300 p-1">
+              <option value="editor">${m('admin.role.editor')}</option>
+              <option value="data_manager">${m('admin.role.data_manager')}</option>
+              <option value="owner">${m('admin.role.owner')}</option>
+            </select>
+            <button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.add')}</button>
+          </form>
+        </div>
+        <form id="passwordForm" class="mt-3 glass p-3 rounded-xl border text-sm flex flex-wrap items-center gap-2">
+          <h4 class="font-medium w-full">${m('admin.password.title')}</h4>
+          <input id="pwCurrent" type="password" class="rounded-lg border-gray-300 p-1" placeholder="${m('admin.password.current')}" required />
+          <input id="pwNew" type="password" minlength="10" class="rounded-lg border-gray-300 p-1" placeholder="${m('admin.password.new')}" required />
+          <button type="submit" class="px-3 py-1 rounded-lg bg-brand-600 text-white">${m('admin.password.change')}</button>
+        </form>
       </div>
     </div>
   </div>
 
 <script>
+  const I18N = ${clientI18n(locale)}; // { locale, tag, messages }
+  // Admin calls ride on the HTTP-only session cookie; state-changing ones echo the CSRF token
+  async function adminFetch(url, { method='GET', json, body } = {}) {
+    const headers = {};
+    if (method !== 'GET' && SESSION) headers['X-CSRF-Token'] = SESSION.csrf_token;
+    if (json !== undefined) { headers['Content-Type'] = 'application/json'; body = JSON.stringify(json); }
+    const res = await fetch(url, { method, headers, body, credentials: 'same-origin' });
+    if (res.status === 401 && SESSION) { onLoggedOut(); }
+    return res.json();
+  }
+
+  // Shortlist changes authenticate with the shortlist's edit key, not the admin session
+  async function shortlistFetch(url, key, { method='GET', json } = {}) {
+    const headers = {};
+    if (key) headers['X-Shortlist-Key'] = key;
+    if (json !== undefined) headers['Content-Type'] = 'application/json';
+    const res = await fetch(url, { method, headers, body: json === undefined ? undefined : JSON.stringify(json) });
+    return res.json();
+  }
+
+  function withParams(path, params={}) {
+    const u = new URL(path, location.origin);
+    for (const [k,v] of Object.entries(params)) if (v !== undefined && v !== '') u.searchParams.set(k, v);
+    return u;
+  }
+
   const api = {
     async aocs() { return (await fetch('/api/aocs')).json(); },
     async wines(params={}) {
-      const u = new URL('/api/wines', location.origin);
-      for (const [k,v] of Object.entries(params)) if (v !== undefined && v !== '') u.searchParams.set(k, v);
-      return (await fetch(u)).json();
+      return (await fetch(withParams('/api/wines', params))).json();
+    },
+    async wineFacets(params={}) {
+      return (await fetch(withParams('/api/wines/facets', params))).json();
+    },
+    async wine(id, strategy) {
+      const res = await fetch(withParams('/api/wines/' + id, { strategy }));
+      return res.ok ? res.json() : null;
     },
     async meta() { return (await fetch('/api/meta')).json(); },
-    async adminOverride(auth, wine_id, adjustment_pct) {
-      return (await fetch('/api/admin/override', { method:'POST', headers: { 'Content-Type':'application/json', 'Authorization': auth }, body: JSON.stringify({ wine_id, adjustment_pct }) })).json();
+    async ranking() { return (await fetch('/api/ranking')).json(); },
+    async vintages() { return (await fetch('/api/vintages')).json(); },
+    async priceBands() { return (await fetch('/api/price-bands')).json(); },
+    async stats(params={}) { return (await fetch(withParams('/api/stats', params))).json(); },
+    async shortlist(token, strategy) {
+      const res = await fetch(withParams('/api/shortlists/' + token, { strategy }));
+      return res.ok ? res.json() : null;
     },
-    async adminImport(auth, file) {
+    async createShortlist(body) { return shortlistFetch('/api/shortlists', null, { method:'POST', json: body }); },
+    async updateShortlist(token, key, body) { return shortlistFetch('/api/shortlists/' + token, key, { method:'PATCH', json: body }); },
+    async deleteShortlist(token, key) { return shortlistFetch('/api/shortlists/' + token, key, { method:'DELETE' }); },
+    async putShortlistItem(token, key, wineId, body) {
+      return shortlistFetch('/api/shortlists/' + token + '/items/' + wineId, key, { method:'PUT', json: body });
+    },
+    async removeShortlistItem(token, key, wineId) {
+      return shortlistFetch('/api/shortlists/' + token + '/items/' + wineId, key, { method:'DELETE' });
+    },
+    async suggest(q) { return (await fetch(withParams('/api/search/suggest', { q }))).json(); },
+    async me() {
+      const res = await fetch('/api/auth/me', { credentials: 'same-origin' });
+      return res.ok ? res.json() : null;
+    },
+    async login(username, password) { return adminFetch('/api/auth/login', { method:'POST', json: { username, password } }); },
+    async logout() { return adminFetch('/api/auth/logout', { method:'POST' }); },
+    async changePassword(current_password, new_password) { return adminFetch('/api/auth/password', { method:'POST', json: { current_password, new_password } }); },
+    async adminOverride(wine_id, adjustment_pct, note, expires_at) {
+      return adminFetch('/api/admin/override', { method:'POST', json: { wine_id, adjustment_pct, note, expires_at } });
+    },
+    async adminOverrideHistory(params={}) { return adminFetch(withParams('/api/admin/overrides/history', params)); },
+    async adminRevertOverride(entryId, note) {
+      return adminFetch('/api/admin/overrides/history/' + entryId + '/revert', { method:'POST', json: { note } });
+    },
+    async adminBulkOverride(wine_ids, adjustment_pct, note) {
+      return adminFetch('/api/admin/overrides/bulk', { method:'POST', json: { wine_ids, adjustment_pct, note } });
+    },
+    async adminResetAoc(aoc, note) { return adminFetch('/api/admin/overrides/reset', { method:'POST', json: { aoc, note } }); },
+    async adminImportOverrides(file, { dryRun, note, set } = {}) {
       const fd = new FormData(); fd.append('file', file);
-      return (await fetch('/api/admin/import', { method:'POST', headers: { 'Authorization': auth }, body: fd })).json();
+      if (note) fd.append('note', note);
+      return adminFetch(withParams('/api/admin/overrides/import', { dryRun: dryRun ? 1 : '', set }), { method:'POST', body: fd });
     },
-    async adminRefresh(auth) {
-      return (await fetch('/api/admin/refresh', { method:'POST', headers: { 'Authorization': auth } })).json();
-    }
+    async adminOverrideSets() { return adminFetch('/api/admin/override-sets'); },
+    async adminOverrideSet(id) { return adminFetch(\`/api/admin/override-sets/\${id}\`); },
+    async adminCreateOverrideSet(body) { return adminFetch('/api/admin/override-sets', { method:'POST', json: body }); },
+    async adminDeleteOverrideSet(id) { return adminFetch(\`/api/admin/override-sets/\${id}\`, { method:'DELETE' }); },
+    async adminSetOverrideSetItems(id, items) { return adminFetch(\`/api/admin/override-sets/\${id}/items\`, { method:'PUT', json: { items } }); },
+    async adminPreviewOverrideSet(id, params={}) { return adminFetch(withParams(\`/api/admin/override-sets/\${id}/preview\`, params)); },
+    async adminActivateOverrideSet(id, note) { return adminFetch(\`/api/admin/override-sets/\${id}/activate\`, { method:'POST', json: { note } }); },
+    async adminRollbackOverrideSet(id, note) { return adminFetch(\`/api/admin/override-sets/\${id}/rollback\`, { method:'POST', json: { note } }); },
+    async adminImport(file, dryRun=false, profile='') {
+      const fd = new FormData(); fd.append('file', file);
+      if (profile) fd.append('profile', profile);
+      return adminFetch('/api/admin/import' + (dryRun ? '?dryRun=1' : ''), { method:'POST', body: fd });
+    },
+    async adminImportConfirm(preview_id) { return adminFetch('/api/admin/import/confirm', { method:'POST', json: { preview_id } }); },
+    async adminProfiles() { return adminFetch('/api/admin/import-profiles'); },
+    async adminSaveProfile(id, body) {
+      return adminFetch('/api/admin/import-profiles' + (id ? '/' + id : ''), { method: id ? 'PUT' : 'POST', json: body });
+    },
+    async adminDeleteProfile(id) { return adminFetch('/api/admin/import-profiles/' + id, { method:'DELETE' }); },
+    async adminAppellations() { return adminFetch('/api/admin/appellations'); },
+    async adminUnknownAocs() { return adminFetch('/api/admin/aocs/unknown'); },
+    async adminMapAoc(alias, appellation_id) {
+      return adminFetch('/api/admin/appellations/aliases', { method:'POST', json: { alias, appellation_id } });
+    },
+    async adminSetRanking(body) { return adminFetch('/api/admin/ranking', { method:'PUT', json: body }); },
+    async adminSetPriceBands(bands) { return adminFetch('/api/admin/price-bands', { method:'PUT', json: { bands } }); },
+    async adminSetScoreSources(sources) { return adminFetch('/api/admin/score-sources', { method:'PUT', json: { sources } }); },
+    async adminSetWineScore(id, source, score, note) {
+      return adminFetch(\`/api/admin/wines/\${id}/scores\`, { method:'PUT', json: { source, score, note } });
+    },
+    async adminRefresh() { return adminFetch('/api/admin/refresh', { method:'POST' }); },
+    async adminDuplicates() { return adminFetch('/api/admin/duplicates'); },
+    async adminWebhooks() { return adminFetch('/api/admin/webhooks'); },
+    async adminCreateWebhook(body) { return adminFetch('/api/admin/webhooks', { method:'POST', json: body }); },
+    async adminUpdateWebhook(id, body) { return adminFetch(\`/api/admin/webhooks/\${id}\`, { method:'PUT', json: body }); },
+    async adminDeleteWebhook(id) { return adminFetch(\`/api/admin/webhooks/\${id}\`, { method:'DELETE' }); },
+    async adminTestWebhook(id) { return adminFetch(\`/api/admin/webhooks/\${id}/test\`, { method:'POST' }); },
+    async adminWebhookDeliveries(id) { return adminFetch(\`/api/admin/webhooks/\${id}/deliveries\`); },
+    async adminRedeliver(id) { return adminFetch(\`/api/admin/webhooks/deliveries/\${id}/redeliver\`, { method:'POST' }); },
+    async adminDismissDuplicate(a_id, b_id) { return adminFetch('/api/admin/duplicates/dismiss', { method:'POST', json: { a_id, b_id } }); },
+    async adminMergeWines(keep_id, merge_id, note) { return adminFetch('/api/admin/wines/merge', { method:'POST', json: { keep_id, merge_id, note } }); },
+    async adminRefreshConfig() { return adminFetch('/api/admin/refresh/config'); },
+    async adminSetRefreshConfig(config) { return adminFetch('/api/admin/refresh/config', { method:'PUT', json: config }); },
+    async adminJobs() { return adminFetch('/api/admin/jobs'); },
+    async adminAnomalies(status) { return adminFetch(withParams('/api/admin/anomalies', { status })); },
+    async adminSetAnomalyRules(rules) { return adminFetch('/api/admin/anomalies/rules', { method:'PUT', json: rules }); },
+    async adminResolveAnomalies(action, ids, note) { return adminFetch(\`/api/admin/anomalies/\${action}\`, { method:'POST', json: { ids, note } }); },
+    async adminJob(id) { return adminFetch(\`/api/admin/jobs/\${id}\`); },
+    async adminUsers() { return adminFetch('/api/admin/users'); },
+    async adminMigrations() { return adminFetch('/api/admin/migrations'); },
+    async adminRestore(file) {
+      const fd = new FormData(); fd.append('file', file);
+      return adminFetch('/api/admin/restore', { method:'POST', body: fd });
+    },
+    async adminImportConfig(config, dryRun) { return adminFetch('/api/admin/config/import' + (dryRun ? '?dryRun=1' : ''), { method:'POST', json: config }); },
+    async adminCreateUser(body) { return adminFetch('/api/admin/users', { method:'POST', json: body }); },
+    async adminUpdateUser(id, body) { return adminFetch('/api/admin/users/' + id, { method:'PUT', json: body }); },
+    async adminDeleteUser(id) { return adminFetch('/api/admin/users/' + id, { method:'DELETE' }); }
   };
 
   // State
-  let AUTH = null;
-  let current = { aoc: '', q: '', minRating: '', maxRating: '' };
+  let SESSION = null; // { user: { username, role, permissions }, csrf_token }
+  const can = perm => Boolean(SESSION && SESSION.user.permissions.includes(perm));
+  const EMPTY_FILTERS = { aoc: '', region: '', q: '', minRating: '', maxRating: '', vintageFrom: '', vintageTo: '', group: '', pick: 'best', minPrice: '', maxPrice: '', priceBand: '', color: '', style: '', classification: '', grape: '' };
+  let current = { ...EMPTY_FILTERS, strategy: '' };
+  let RANKING = null; // { default_strategy, prior_weight, strategies, score_sources }
+  let EXTRA_SOURCES = []; // score sources other than Vivino, one table column each
+  let PRICE_BANDS = [];
+  const ATTRIBUTE_FILTERS = ['color', 'style', 'classification', 'grape'];
+  let ATTRIBUTE_LABELS = {}; // color/style/classification id -> label, from the facet counts
+  const TOP_N = 20; // size of an AOC ranking, as on the server
+  const SELECTED = new Map(); // wine id -> label, ticked in the table for bulk adjustments
+  let PREVIEW_SET = null; // { id, name } while the table previews an override set
+  let ACTIVE_SHORTLIST = localStorage.getItem('top20.activeShortlist') || ''; // token receiving the ☆ clicks
+  let SHORTLIST_WINES = new Set(); // wine ids of the active shortlist
 
-  function fmt(x, d=1){ if (x==null || isNaN(x)) return '—'; return Number(x).toFixed(d); }
-  function money(x){ if (x==null || isNaN(x)) return '—'; return Intl.NumberFormat('fr-FR', { style:'currency', currency:'EUR' }).format(x); }
+  function escapeHtml(x){ return String(x ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c])); }
+  function fmt(x, d=1){ if (x==null || isNaN(x)) return '—'; return Intl.NumberFormat(I18N.tag, { minimumFractionDigits: d, maximumFractionDigits: d }).format(x); }
+  function money(x){ if (x==null || isNaN(x)) return '—'; return Intl.NumberFormat(I18N.tag, { style:'currency', currency:'EUR' }).format(x); }
+  function date(x){ return x ? new Date(x).toLocaleDateString(I18N.tag) : '—'; }
+  function dateTime(x){ return x ? new Date(x).toLocaleString(I18N.tag) : '—'; }
+
+  // Catalogue lookup: t('shortlist.wines', { n: 3 }). Entries with one/other forms follow the
+  // locale's plural rules for params.n; unknown keys come back as the key itself.
+  function t(key, params={}){
+    let msg = I18N.messages[key];
+    if (msg == null) return key;
+    if (typeof msg === 'object') msg = msg[new Intl.PluralRules(I18N.tag).select(params.n)] ?? msg.other;
+    return msg.replace(/\\{(\\w+)\\}/g, (all, name) => params[name] ?? all);
+  }
+  // Labels the server sends in French (strategies, colours...) have catalogue entries by id
+  function tLabel(key, fallback){ return I18N.messages[key] == null ? fallback : t(key); }
 
   async function loadMeta(){
     const m = await api.meta();
     const el = document.getElementById('meta');
-    const last = m.last_refresh ? new Date(m.last_refresh) : null;
-    const next = m.next_refresh_due ? new Date(m.next_refresh_due) : null;
-    el.textContent = last ? `Dernier rafraîchissement: ${last.toLocaleDateString('fr-FR')} • Prochain: ${next.toLocaleDateString('fr-FR')}` : 'Planification: tous les 75 jours';
+    el.textContent = m.last_refresh
+      ? t('meta.refreshed', { last: date(m.last_refresh), next: date(m.next_refresh_due) })
+      : t('meta.schedule', { n: m.interval_days });
+  }
+
+  // Grouped by sub-region; "region:<name>" options select every AOC of the sub-region
+  // "Tri:" selector; '' follows the admin default strategy
+  async function loadRanking(){
+    RANKING = await api.ranking();
+    const sel = document.getElementById('strategySelect');
+    sel.length = 0;
+    for (const s of RANKING.strategies){
+      const label = tLabel('strategy.' + s.id, s.label);
+      const opt = new Option(s.id === RANKING.default_strategy ? t('ranking.default', { label }) : label, s.id === RANKING.default_strategy ? '' : s.id);
+      opt.title = tLabel('strategy.' + s.id + '.description', s.description);
+      sel.add(opt);
+    }
+    sel.value = current.strategy;
+    const adminSel = document.getElementById('defaultStrategy');
+    adminSel.length = 0;
+    for (const s of RANKING.strategies) adminSel.add(new Option(tLabel('strategy.' + s.id, s.label), s.id));
+    adminSel.value = RANKING.default_strategy;
+    document.getElementById('priorWeight').value = RANKING.prior_weight;
+    EXTRA_SOURCES = RANKING.score_sources.filter(s => s.id !== 'vivino');
+    document.querySelectorAll('th.sourceHead').forEach(th => th.remove());
+    const vivinoHead = document.getElementById('vivinoHead');
+    vivinoHead.title = t('table.sourceWeight', { weight: RANKING.score_sources.find(s => s.id === 'vivino').weight });
+    for (const s of EXTRA_SOURCES.slice().reverse()) {
+      const th = document.createElement('th');
+      th.className = 'p-3 sourceHead';
+      th.textContent = s.label;
+      th.title = t('table.sourceScale', { min: s.min, max: s.max, weight: s.weight });
+      vivinoHead.after(th);
+    }
+    document.getElementById('scoreSourcesConfig').value = JSON.stringify(RANKING.score_sources, null, 2);
   }
 
   async function populateAOCs(){
-    const aocs = await api.aocs();
+    const groups = await api.aocs();
     const sel = document.getElementById('aocSelect');
-    for (const a of aocs){
-      const opt = document.createElement('option');
-      opt.value = a; opt.textContent = a;
-      sel.appendChild(opt);
+    sel.length = 1;
+    for (const g of groups){
+      const og = document.createElement('optgroup');
+      og.label = g.region ? (g.bank ? t('aoc.bank.' + g.bank, { region: g.region }) : g.region) : t('aoc.unlisted');
+      if (g.region && g.aocs.length > 1) og.appendChild(new Option(t('aoc.allRegion', { region: g.region, n: g.n }), 'region:' + g.region));
+      for (const a of g.aocs) og.appendChild(new Option(\`\${a.name} (\${a.n})\`, a.name));
+      sel.appendChild(og);
     }
   }
 
+  // Feed and widget links for the selected AOC
+  function aocSlug(name){ return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''); }
+  function updateAocLinks(){
+    document.getElementById('aocLinks').classList.toggle('hidden', !current.aoc);
+    if (!current.aoc) return;
+    document.getElementById('feedAtom').href = \`/feeds/\${aocSlug(current.aoc)}.atom?lang=\${I18N.locale}\`;
+    document.getElementById('feedRss').href = \`/feeds/\${aocSlug(current.aoc)}.rss?lang=\${I18N.locale}\`;
+  }
+  document.getElementById('embedBtn').addEventListener('click', ()=>{
+    const snippet = \`<script src="\${location.origin}/embed.js" data-aoc="\${current.aoc}" data-n="10" data-theme="light" data-lang="\${I18N.locale}"></\` + \`script>\`;
+    prompt(t('table.embedPrompt'), snippet);
+  });
+
+  // Query parameters for the table as currently filtered (shared with exports)
+  function currentParams(){
+    const scoped = current.aoc || current.region;
+    return {
+      aoc: current.aoc, region: current.region, q: current.q, minRating: current.minRating, maxRating: current.maxRating,
+      vintageFrom: current.vintageFrom, vintageTo: current.vintageTo, group: current.group, pick: current.group ? current.pick : '',
+      minPrice: current.minPrice, maxPrice: current.maxPrice, priceBand: current.priceBand,
+      color: current.color, style: current.style, classification: current.classification, grape: current.grape,
+      strategy: current.strategy, limit: scoped ? 20 : 100,
+    };
+  }
+
   async function refreshTable(){
+    if (wineIdFromPath() || onStatsPage() || shortlistTokenFromPath()) return;
+    syncUrl();
     const label = document.getElementById('rankingLabel');
-    const params = { aoc: current.aoc, q: current.q, minRating: current.minRating, maxRating: current.maxRating, limit: current.aoc ? 20 : 100 };
-    const rows = await api.wines(params);
-    label.textContent = current.aoc ? `(Top 20 — ${current.aoc})` : '(Top 100 global)';
+    const [rows, facets] = await Promise.all([
+      PREVIEW_SET ? api.adminPreviewOverrideSet(PREVIEW_SET.id, currentParams()) : api.wines(currentParams()),
+      api.wineFacets(currentParams()),
+    ]);
+    if (!Array.isArray(rows)) { alert(t('common.failed', { error: rows.error||'' })); exitPreview(); return; }
+    populateFacets(facets);
+    document.getElementById('previewBanner').classList.toggle('hidden', !PREVIEW_SET);
+    if (PREVIEW_SET) document.getElementById('previewName').textContent = PREVIEW_SET.name;
+    updateAocLinks();
+    label.textContent = current.aoc ? t('table.scopeAoc', { aoc: current.aoc }) : current.region ? t('table.scopeRegion', { region: current.region }) : t('table.scopeGlobal');
 
     const tbody = document.getElementById('rows');
     tbody.innerHTML = '';
     rows.forEach((w, idx) => {
       const tr = document.createElement('tr');
       tr.className = 'hover:bg-brand-50/40';
-      tr.innerHTML = `
-        <td class="p-3 font-medium">${idx+1}</td>
+      tr.innerHTML = \`
+        <td class="p-3 font-medium whitespace-nowrap">\${selectBox(w)}\${idx+1}</td>
+        <td class="p-3"><div class="flex items-center gap-2">\${movementBadge(w)}\${sparkline(w.trend)}</div></td>
         <td class="p-3">
-          <div class="font-medium">${w.name || '—'}</div>
-          <div class="text-xs text-gray-500">${w.winery || ''}</div>
+          <a href="/wines/\${w.id}" data-link class="font-medium hover:text-brand-700 hover:underline">\${escapeHtml(w.name || '—')}</a>
+          <div class="text-xs text-gray-500">\${w.winery || ''}</div>
+          \${attributeChips(w)}
+          \${w.vintages && w.vintage_count > 1 ? \`<button type="button" class="vintToggle mt-1 text-xs text-brand-700 hover:underline">▸ \${t('table.vintages', { n: w.vintage_count })}</button>\` : ''}
         </td>
-        <td class="p-3">${w.aoc}</td>
-        <td class="p-3">${w.vintage || '—'}</td>
-        <td class="p-3">${fmt(w.vivino_rating)}</td>
-        <td class="p-3">${adminControl(w)}</td>
-        <td class="p-3 font-semibold">${fmt(w.adjusted_rating)}</td>
-        <td class="p-3">${w.rating_count ?? '—'}</td>
-        <td class="p-3">${money(w.price)}</td>
-        <td class="p-3">${actionsCell(w)}</td>
-      `;
+        <td class="p-3">\${w.aoc}</td>
+        <td class="p-3">\${w.vintage || '—'}</td>
+        <td class="p-3">\${fmt(w.vivino_rating)}</td>
+        \${EXTRA_SOURCES.map(s => \`<td class="p-3">\${sourceScore(w, s)}</td>\`).join('')}
+        <td class="p-3">\${adminControl(w)}</td>
+        <td class="p-3 font-semibold">\${fmt(w.adjusted_rating)}</td>
+        <td class="p-3">\${w.rating_count ?? '—'}</td>
+        <td class="p-3">\${priceCell(w)}</td>
+        <td class="p-3">\${actionsCell(w)}</td>
+      \`;
       tbody.appendChild(tr);
+      const box = tr.querySelector('.selWine');
+      if (box) box.addEventListener('change', ()=>{
+        if (box.checked) SELECTED.set(w.id, \`\${w.name} \${w.vintage || ''}\`.trim());
+        else SELECTED.delete(w.id);
+        updateSelectionCount();
+      });
+      if (w.vintages && w.vintage_count > 1) {
+        const sub = document.createElement('tr');
+        sub.className = 'hidden bg-brand-50/30';
+        sub.innerHTML = \`<td></td><td></td><td colspan="\${9 + EXTRA_SOURCES.length}" class="p-3">\${vintageList(w)}</td>\`;
+        tbody.appendChild(sub);
+        tr.querySelector('.vintToggle').addEventListener('click', e => {
+          sub.classList.toggle('hidden');
+          e.target.textContent = (sub.classList.contains('hidden') ? '▸ ' : '▾ ') + t('table.vintages', { n: w.vintage_count });
+        });
+      }
     });
   }
 
+  // A source score on its own scale, with its 0–5 equivalent on hover
+  function sourceScore(w, s){
+    const x = w.scores && w.scores[s.id];
+    if (!x) return '<span class="text-gray-300">—</span>';
+    return \`<span title="\${fmt(x.normalized, 2)} / 5">\${fmt(x.score, s.max > 20 ? 0 : 1)}</span>\`;
+  }
+
+  // Price with its band, quality/price index (100 = AOC average) and change since the previous run
+  function priceCell(w){
+    if (w.price == null) return money(w.price);
+    const band = PRICE_BANDS.find(b => b.id === w.price_band);
+    const drift = w.price_change_pct == null || Math.abs(w.price_change_pct) < 0.5 ? ''
+      : \`<span class="\${w.price_change_pct > 0 ? 'text-brand-600' : 'text-emerald-600'}" title="\${t('table.previousPrice', { price: money(w.prev_price) })}">\${w.price_change_pct > 0 ? '+' : ''}\${fmt(w.price_change_pct, 0)}%</span>\`;
+    return \`<div>\${money(w.price)} \${drift}</div>
+      <div class="text-xs text-gray-500">\${band ? escapeHtml(band.label) : ''}\${w.value_index != null ? ' · ' + t('table.valueIndex', { index: fmt(w.value_index, 0) }) : ''}</div>\`;
+  }
+
+  // Other vintages of a grouped row, newest first
+  function vintageList(w){
+    return \`<table class="text-xs"><tbody>\${w.vintages.map(v => \`
+      <tr class="\${v.id === w.id ? 'font-semibold' : ''}">
+        <td class="pr-4">\${v.vintage || '—'}</td>
+        <td class="pr-4">Vivino \${fmt(v.vivino_rating)}</td>
+        <td class="pr-4">\${t('table.final', { score: fmt(v.adjusted_rating) })}\${v.adjustment_pct ? \` (\${v.adjustment_pct > 0 ? '+' : ''}\${v.adjustment_pct}%)\` : ''}</td>
+        <td class="pr-4">\${v.rating_count == null ? '—' : t('table.reviewCount', { n: v.rating_count })}</td>
+        <td class="pr-4">\${money(v.price)}</td>
+        <td class="text-gray-500">\${t('table.rankInAoc', { rank: v.aoc_rank })}</td>
+      </tr>\`).join('')}</tbody></table>\`;
+  }
+
+  // Colour, style, classification and main grapes of a wine, as small chips
+  const COLOR_CHIPS = { red: 'border-rose-200 text-rose-800 bg-rose-50', white: 'border-amber-200 text-amber-800 bg-amber-50', rose: 'border-pink-200 text-pink-700 bg-pink-50' };
+  function attributeChips(w){
+    const chips = [];
+    if (w.color) chips.push(\`<span class="chip \${COLOR_CHIPS[w.color] || ''}">\${escapeHtml(ATTRIBUTE_LABELS[w.color] || w.color)}</span>\`);
+    if (w.style) chips.push(\`<span class="chip border-gray-200 text-gray-600 bg-gray-50">\${escapeHtml(ATTRIBUTE_LABELS[w.style] || w.style)}</span>\`);
+    if (w.classification) chips.push(\`<span class="chip border-yellow-300 text-yellow-800 bg-yellow-50">\${escapeHtml(ATTRIBUTE_LABELS[w.classification] || w.classification)}</span>\`);
+    if (w.grapes && w.grapes.length) {
+      const blend = w.grapes.map(g => g.pct == null ? g.grape : \`\${g.grape} \${g.pct}%\`);
+      chips.push(\`<span class="chip border-violet-200 text-violet-700 bg-violet-50" title="\${escapeHtml(blend.join(', '))}">\${escapeHtml(blend.slice(0, 2).join(' · '))}\${blend.length > 2 ? ' …' : ''}</span>\`);
+    }
+    return chips.length ? \`<div class="mt-1 flex flex-wrap gap-1">\${chips.join('')}</div>\` : '';
+  }
+
+  // Attribute selects with counts under the other filters; the current choice stays listed even at 0
+  function populateFacets(facets){
+    if (!facets || facets.error) return;
+    const labels = {};
+    for (const id of ATTRIBUTE_FILTERS){
+      const sel = document.getElementById(id);
+      while (sel.children.length > 1) sel.lastChild.remove(); // options and classification optgroups
+      const values = facets[id].values;
+      if (id === 'classification') {
+        for (const f of values){
+          const group = document.createElement('optgroup');
+          group.label = tLabel('classification.' + f.id, f.label);
+          group.appendChild(new Option(t('filters.wholeClassification', { n: f.n }), f.id));
+          for (const r of f.ranks){
+            group.appendChild(new Option(\`\${r.label} (\${r.n})\`, r.id));
+            labels[r.id] = r.label;
+          }
+          sel.appendChild(group);
+        }
+      } else {
+        for (const v of values){
+          const label = id === 'grape' ? v.label : tLabel(id + '.' + v.id, v.label);
+          sel.add(new Option(\`\${label} (\${v.n})\`, v.id));
+          labels[v.id] = label;
+        }
+        if (current[id] && !values.some(v => v.id === current[id])) sel.add(new Option(\`\${current[id]} (0)\`, current[id]));
+      }
+      sel.value = current[id];
+    }
+    ATTRIBUTE_LABELS = labels;
+  }
+
+  async function populatePriceBands(){
+    PRICE_BANDS = await api.priceBands();
+    const sel = document.getElementById('priceBand');
+    sel.length = 1;
+    for (const b of PRICE_BANDS) sel.add(new Option(\`\${b.label} (\${b.n})\`, b.id));
+    sel.value = current.priceBand;
+    document.getElementById('priceBandsConfig').value = JSON.stringify(PRICE_BANDS.map(({ n, ...b }) => b), null, 2);
+  }
+
+  async function populateVintages(){
+    const vintages = await api.vintages();
+    for (const id of ['vintageFrom', 'vintageTo']){
+      const sel = document.getElementById(id);
+      sel.length = 1;
+      for (const v of vintages) sel.add(new Option(\`\${v.vintage} (\${v.n})\`, v.vintage));
+      sel.value = current[id];
+    }
+  }
+
+  // ▲/▼ versus the rank after the previous import/refresh run (the live rank in a set preview)
+  function movementBadge(w){
+    if (w.prev_rank == null) return \`<span class="text-xs text-sky-600" title="\${t('table.newEntry')}">•</span>\`;
+    const d = w.rank_delta || 0;
+    const title = t(PREVIEW_SET ? 'table.liveRank' : 'table.previousRank', { rank: w.prev_rank });
+    if (d > 0) return \`<span class="text-xs font-semibold text-emerald-600" title="\${title}">▲\${d}</span>\`;
+    if (d < 0) return \`<span class="text-xs font-semibold text-brand-600" title="\${title}">▼\${-d}</span>\`;
+    return \`<span class="text-xs text-gray-400" title="\${title}">=</span>\`;
+  }
+
+  function sparkline(values, w=60, h=18){
+    if (!values || values.length < 2) return '';
+    const min = Math.min(...values), max = Math.max(...values);
+    const span = (max - min) || 1;
+    const pts = values.map((v, i) => \`\${(i / (values.length - 1) * w).toFixed(1)},\${(h - 2 - (v - min) / span * (h - 4)).toFixed(1)}\`).join(' ');
+    return \`<svg width="\${w}" height="\${h}" class="text-brand-500"><polyline fill="none" stroke="currentColor" stroke-width="1.5" points="\${pts}" /></svg>\`;
+  }
+
   function actionsCell(w){
-    return `<span class="chip border-brand-200 text-brand-700 bg-brand-50">ID: ${w.external_id || w.id}</span>`;
+    return \`<div class="flex items-center gap-2">\${shortlistButton(w.id)}<a href="/wines/\${w.id}" data-link class="chip border-brand-200 text-brand-700 bg-brand-50 hover:bg-brand-100" title="\${t('table.winePage')}">ID: \${w.external_id || w.id}</a></div>\`;
+  }
+
+  function shortlistButton(id){
+    const inList = SHORTLIST_WINES.has(id);
+    return \`<button type="button" class="text-lg leading-none \${inList ? 'text-amber-500' : 'text-gray-300 hover:text-amber-500'}" title="\${t(inList ? 'shortlist.removeWine' : 'shortlist.addWine')}" onclick="window.toggleShortlist(\${id}, this)">\${inList ? '★' : '☆'}</button>\`;
   }
 
   function adminControl(w){
     const pct = w.adjustment_pct ?? 0;
-    const disabled = AUTH ? '' : 'disabled';
-    return `
+    const disabled = can('overrides') ? '' : 'disabled';
+    return \`
     <div class="flex items-center gap-2">
-      <input type="number" min="-25" max="25" step="0.5" value="${pct}" class="w-20 rounded-lg border-gray-300 p-1" ${disabled}
-        onChange="window.setAdj(${w.id}, this.value)" />
-      <span class="text-xs text-gray-500">±25% max</span>
-    </div>`;
+      <input type="number" min="-25" max="25" step="0.5" value="\${pct}" class="w-20 rounded-lg border-gray-300 p-1" \${disabled}
+        onChange="window.setAdj(\${w.id}, this.value)" />
+      <span class="text-xs text-gray-500">\${w.adjustment_expires_at ? t('table.expires', { date: date(w.adjustment_expires_at) }) : '±25% max'}</span>
+    </div>\`;
+  }
+
+  // Ticks rows for the bulk adjustment tools
+  function selectBox(w){
+    if (!can('overrides')) return '';
+    return \`<input type="checkbox" class="selWine mr-2 align-middle" title="\${t('admin.table.select')}" \${SELECTED.has(w.id) ? 'checked' : ''} />\`;
   }
 
   window.setAdj = async (id, val) => {
-    if (!AUTH) { alert('Connectez-vous en admin pour modifier.'); return; }
+    if (!can('overrides')) { alert(t('table.signInToEdit')); return; }
     const pct = Number(val);
     if (isNaN(pct)) return;
-    if (pct < -25 || pct > 25) { alert('Valeur hors limite (±25%).'); return; }
-    const res = await api.adminOverride(AUTH, id, pct);
-    if (!res.ok) { alert(res.error || 'Échec de la mise à jour'); return; }
+    if (pct < -25 || pct > 25) { alert(t('admin.table.outOfRange')); return; }
+    if (PREVIEW_SET) {
+      const res = await api.adminSetOverrideSetItems(PREVIEW_SET.id, [{ wine_id: id, adjustment_pct: pct }]);
+      if (!res.ok) { alert(res.error || t('admin.updateFailed')); return; }
+      refreshTable();
+      loadOverrideSets();
+      return;
+    }
+    const note = prompt(t('admin.table.notePrompt'));
+    if (!note || !note.trim()) { alert(t('admin.table.noteRequired')); refreshTable(); return; }
+    const expires = pct !== 0 ? prompt(t('admin.table.expiresPrompt'), '') : '';
+    if (expires === null) { refreshTable(); return; }
+    const res = await api.adminOverride(id, pct, note, expires || undefined);
+    if (!res.ok) { alert(res.error || t('admin.updateFailed')); return; }
     refreshTable();
+    loadOverrideHistory();
   };
 
   function debounce(fn, ms){ let t; return (...a)=>{ clearTimeout(t); t=setTimeout(()=>fn(...a), ms); }; }
 
   // Event bindings
-  document.getElementById('aocSelect').addEventListener('change', e=>{ current.aoc = e.target.value; refreshTable(); });
+  document.getElementById('aocSelect').addEventListener('change', e=>{
+    const v = e.target.value;
+    current.region = v.startsWith('region:') ? v.slice(7) : '';
+    current.aoc = current.region ? '' : v;
+    refreshTable();
+  });
+  document.getElementById('vintageFrom').addEventListener('change', e=>{ current.vintageFrom = e.target.value; refreshTable(); });
+  document.getElementById('vintageTo').addEventListener('change', e=>{ current.vintageTo = e.target.value; refreshTable(); });
+  document.getElementById('groupWine').addEventListener('change', e=>{
+    current.group = e.target.checked ? 'wine' : '';
+    document.getElementById('groupPick').disabled = !e.target.checked;
+    refreshTable();
+  });
+  document.getElementById('minPrice').addEventListener('input', debounce(e=>{ current.minPrice = e.target.value; refreshTable(); }, 250));
+  document.getElementById('maxPrice').addEventListener('input', debounce(e=>{ current.maxPrice = e.target.value; refreshTable(); }, 250));
+  document.getElementById('priceBand').addEventListener('change', e=>{ current.priceBand = e.target.value; refreshTable(); });
+  document.getElementById('shortlistSelect').addEventListener('change', async e=>{
+    if (e.target.value === '__new') { if (!await newShortlist()) e.target.value = ACTIVE_SHORTLIST; }
+    else { setActiveShortlist(e.target.value); await loadActiveShortlist(); }
+    refreshTable();
+  });
+  for (const id of ATTRIBUTE_FILTERS) document.getElementById(id).addEventListener('change', e=>{ current[id] = e.target.value; refreshTable(); });
+  document.getElementById('exportSelect').addEventListener('change', e=>{
+    if (!e.target.value) return;
+    const [scope, format] = e.target.value.split(':');
+    const params = { ...currentParams(), scope, format, sep: format === 'csv' && I18N.locale === 'fr' ? ';' : '', lang: I18N.locale };
+    if (scope === 'top20') params.limit = '';
+    window.open(withParams('/api/export', params), format === 'html' ? '_blank' : '_self');
+    e.target.value = '';
+  });
+  document.getElementById('bestValueBtn').addEventListener('click', ()=>{
+    const value = RANKING && RANKING.default_strategy === 'value' ? '' : 'value';
+    current.strategy = value;
+    document.getElementById('strategySelect').value = value;
+    refreshTable();
+  });
+  document.getElementById('groupPick').addEventListener('change', e=>{ current.pick = e.target.value; refreshTable(); });
+  document.getElementById('strategySelect').addEventListener('change', e=>{ current.strategy = e.target.value; refreshTable(); });
   document.getElementById('q').addEventListener('input', debounce(e=>{ current.q = e.target.value; refreshTable(); }, 250));
+  document.getElementById('q').addEventListener('input', debounce(e=>showSuggestions(e.target.value), 150));
+  document.getElementById('q').addEventListener('keydown', e=>{ if (e.key === 'Escape') hideSuggestions(); });
+  document.getElementById('q').addEventListener('blur', ()=>setTimeout(hideSuggestions, 150));
+
+  // Type-ahead: an AOC suggestion switches the AOC filter, anything else becomes the search text
+  const SUGGEST_LABELS = { aoc: 'AOC', winery: t('common.winery'), wine: t('common.wine') };
+  let SUGGESTIONS = [];
+  function hideSuggestions(){ document.getElementById('qSuggest').classList.add('hidden'); }
+  async function showSuggestions(q){
+    const box = document.getElementById('qSuggest');
+    SUGGESTIONS = q.trim().length >= 2 ? await api.suggest(q) : [];
+    if (!SUGGESTIONS.length) { hideSuggestions(); return; }
+    box.innerHTML = SUGGESTIONS.map((s, i) => \`
+      <button type="button" data-suggest="\${i}" class="w-full text-left px-3 py-2 hover:bg-brand-50 flex items-center gap-2">
+        <span class="text-xs px-1.5 rounded bg-gray-100 text-gray-600">\${SUGGEST_LABELS[s.type]}</span>
+        <span class="flex-1 truncate">\${escapeHtml(s.label)}\${s.detail ? \` <span class="text-gray-400">\${escapeHtml(s.detail)}</span>\` : ''}</span>
+        <span class="text-xs text-gray-400">\${s.n}</span>
+      </button>\`).join('');
+    box.classList.remove('hidden');
+  }
+  document.getElementById('qSuggest').addEventListener('mousedown', e=>{
+    const btn = e.target.closest('[data-suggest]');
+    if (!btn) return;
+    e.preventDefault();
+    const s = SUGGESTIONS[Number(btn.dataset.suggest)];
+    const input = document.getElementById('q');
+    if (s.type === 'aoc') {
+      current.aoc = s.label; current.region = ''; current.q = '';
+      document.getElementById('aocSelect').value = s.label;
+      input.value = '';
+    } else {
+      current.q = s.label;
+      input.value = s.label;
+    }
+    hideSuggestions();
+    refreshTable();
+  });
   document.getElementById('minRating').addEventListener('input', debounce(e=>{ current.minRating = e.target.value; refreshTable(); }, 250));
   document.getElementById('maxRating').addEventListener('input', debounce(e=>{ current.maxRating = e.target.value; refreshTable(); }, 250));
   document.getElementById('resetBtn').addEventListener('click', ()=>{
-    current = { aoc:'', q:'', minRating:'', maxRating:'' };
-    document.getElementById('aocSelect').value='';
-    document.getElementById('q').value='';
-    document.getElementById('minRating').value='';
-    document.getElementById('maxRating').value='';
+    current = { ...EMPTY_FILTERS, strategy: current.strategy };
+    syncControls();
     refreshTable();
   });
 
+  // URL <-> filters: the list lives at /?aoc=…&q=…, a wine at /wines/:id; back/forward replay both.
+  // A ?lang= the page was opened with stays in the list URL so a copied link keeps the language.
+  const URL_FILTERS = [...Object.keys(EMPTY_FILTERS), 'strategy'];
+  const URL_LANG = new URLSearchParams(location.search).get('lang') === I18N.locale ? I18N.locale : '';
+  function filtersSearch(){
+    const u = new URLSearchParams();
+    for (const k of URL_FILTERS) {
+      if (current[k] === '' || (k === 'pick' && (!current.group || current.pick === EMPTY_FILTERS.pick))) continue;
+      u.set(k, current[k]);
+    }
+    if (URL_LANG) u.set('lang', URL_LANG);
+    const s = u.toString();
+    return s ? '?' + s : '';
+  }
+  function filtersFromUrl(){
+    const u = new URLSearchParams(location.search);
+    current = { ...EMPTY_FILTERS, strategy: '' };
+    for (const k of URL_FILTERS) if (u.has(k)) current[k] = u.get(k);
+  }
+  function syncUrl(){
+    const url = '/' + filtersSearch();
+    if (location.pathname + location.search !== url) history.pushState(null, '', url);
+  }
+  // Show the current filters in the controls (after a reset or a URL change)
+  function syncControls(){
+    document.getElementById('aocSelect').value = current.region ? 'region:' + current.region : current.aoc;
+    for (const id of ['q', 'minRating', 'maxRating', 'vintageFrom', 'vintageTo', 'minPrice', 'maxPrice', 'priceBand', ...ATTRIBUTE_FILTERS, 'strategySelect']) {
+      document.getElementById(id).value = current[id === 'strategySelect' ? 'strategy' : id];
+    }
+    document.getElementById('groupWine').checked = current.group === 'wine';
+    document.getElementById('groupPick').value = current.pick;
+    document.getElementById('groupPick').disabled = current.group !== 'wine';
+  }
+  function wineIdFromPath(){
+    return location.pathname.startsWith('/wines/') ? Number(location.pathname.slice('/wines/'.length)) || null : null;
+  }
+  function onStatsPage(){ return location.pathname === '/stats'; }
+  function shortlistTokenFromPath(){
+    return location.pathname.startsWith('/shortlists/') ? location.pathname.slice('/shortlists/'.length) || null : null;
+  }
+  async function route(){
+    const id = wineIdFromPath();
+    const stats = onStatsPage();
+    const shortlist = shortlistTokenFromPath();
+    document.getElementById('listView').classList.toggle('hidden', Boolean(id) || stats || Boolean(shortlist));
+    document.getElementById('detailView').classList.toggle('hidden', !id);
+    document.getElementById('statsView').classList.toggle('hidden', !stats);
+    document.getElementById('shortlistView').classList.toggle('hidden', !shortlist);
+    if (id) { await showWine(id); return; }
+    if (stats) { await showStats(); return; }
+    if (shortlist) { await showShortlist(shortlist); return; }
+    document.title = t('app.title');
+    filtersFromUrl();
+    history.replaceState(null, '', '/' + filtersSearch()); // canonical order, unknown params dropped
+    syncControls();
+    await refreshTable();
+  }
+  window.addEventListener('popstate', route);
+  // In-app links (data-link) change the URL without reloading the page
+  document.addEventListener('click', e=>{
+    const a = e.target.closest('a[data-link]');
+    if (!a || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    history.pushState(null, '', a.getAttribute('href'));
+    window.scrollTo(0, 0);
+    route();
+  });
+  // Language switch: reload the current view with ?lang=, which the server also keeps in a cookie
+  document.querySelectorAll('a[data-lang]').forEach(a => a.addEventListener('click', e=>{
+    e.preventDefault();
+    const u = new URL(location.href);
+    u.searchParams.set('lang', a.dataset.lang);
+    location.href = u;
+  }));
+
+  // Shortlists (/shortlists/:token): visitor selections stored on the server. This browser keeps the
+  // edit keys of the ones it created or opened through an edit link; ☆ in the table adds to the active one.
+  const SHORTLIST_STORE = 'top20.shortlists';
+  function myShortlists(){
+    try { return JSON.parse(localStorage.getItem(SHORTLIST_STORE)) || []; } catch (e) { return []; }
+  }
+  function rememberShortlist(token, key, name){
+    localStorage.setItem(SHORTLIST_STORE, JSON.stringify([...myShortlists().filter(s => s.token !== token), { token, key, name }]));
+  }
+  function forgetShortlist(token){
+    localStorage.setItem(SHORTLIST_STORE, JSON.stringify(myShortlists().filter(s => s.token !== token)));
+    if (ACTIVE_SHORTLIST === token) setActiveShortlist('');
+  }
+  function shortlistKey(token){
+    const s = myShortlists().find(x => x.token === token);
+    return s ? s.key : null;
+  }
+  function setActiveShortlist(token){
+    ACTIVE_SHORTLIST = token;
+    localStorage.setItem('top20.activeShortlist', token);
+  }
+
+  // Table-header selector and the ☆ state of the active shortlist
+  async function loadActiveShortlist(){
+    const mine = myShortlists();
+    if (ACTIVE_SHORTLIST && !mine.some(s => s.token === ACTIVE_SHORTLIST)) setActiveShortlist('');
+    SHORTLIST_WINES = new Set();
+    if (ACTIVE_SHORTLIST) {
+      const s = await api.shortlist(ACTIVE_SHORTLIST);
+      if (s) SHORTLIST_WINES = new Set(s.items.map(i => i.id));
+      else { forgetShortlist(ACTIVE_SHORTLIST); return loadActiveShortlist(); } // deleted elsewhere
+    }
+    const sel = document.getElementById('shortlistSelect');
+    sel.length = 0;
+    sel.add(new Option(t('shortlist.mine'), ''));
+    for (const s of myShortlists()) sel.add(new Option(s.name, s.token));
+    sel.add(new Option(t('shortlist.new'), '__new'));
+    sel.value = ACTIVE_SHORTLIST;
+    const open = document.getElementById('shortlistOpen');
+    open.classList.toggle('hidden', !ACTIVE_SHORTLIST);
+    open.href = '/shortlists/' + ACTIVE_SHORTLIST;
+  }
+
+  // Returns the new token, or null when cancelled or refused
+  async function newShortlist(){
+    const name = prompt(t('shortlist.namePrompt'));
+    if (!name || !name.trim()) return null;
+    const res = await api.createShortlist({ name });
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return null; }
+    rememberShortlist(res.token, res.edit_key, res.shortlist.name);
+    setActiveShortlist(res.token);
+    await loadActiveShortlist();
+    return res.token;
+  }
+
+  // ☆ in the table: add to or remove from the active shortlist (creating one on first use)
+  window.toggleShortlist = async (wineId, btn)=>{
+    const token = ACTIVE_SHORTLIST || await newShortlist();
+    if (!token) return;
+    const inList = SHORTLIST_WINES.has(wineId);
+    const res = inList
+      ? await api.removeShortlistItem(token, shortlistKey(token), wineId)
+      : await api.putShortlistItem(token, shortlistKey(token), wineId, {});
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    if (inList) SHORTLIST_WINES.delete(wineId); else SHORTLIST_WINES.add(wineId);
+    btn.outerHTML = shortlistButton(wineId);
+  };
+
+  async function showShortlist(token){
+    const box = document.getElementById('shortlistView');
+    const back = \`<a href="/\${filtersSearch()}" data-link class="text-sm text-brand-700 hover:underline">← \${t('common.back')}</a>\`;
+    const s = await api.shortlist(token, current.strategy);
+    if (!s) {
+      document.title = t('shortlist.notFoundTitle');
+      box.innerHTML = \`\${back}<p class="mt-4 text-gray-600">\${t('shortlist.notFound')}</p>\`;
+      return;
+    }
+    // An edit link carries the key in the fragment: keep it in this browser, then drop it from the address bar
+    const fromLink = location.hash.match(/^#edit=([\\w-]+)$/);
+    if (fromLink) { rememberShortlist(token, fromLink[1], s.name); history.replaceState(null, '', location.pathname); }
+    const key = shortlistKey(token);
+    const totals = s.totals;
+    document.title = t('shortlist.pageTitle', { name: s.name });
+    box.innerHTML = \`
+      <div class="flex items-center justify-between gap-3 flex-wrap">
+        \${back}
+        <div class="flex items-center gap-2 flex-wrap text-sm">
+          <button type="button" id="slCopyShare" class="px-3 py-1 rounded-lg border border-brand-200 text-brand-700 hover:bg-brand-50" title="\${t('shortlist.readOnly')}">\${t('shortlist.copyShare')}</button>
+          \${key ? \`<button type="button" id="slCopyEdit" class="px-3 py-1 rounded-lg border border-gray-200 hover:bg-gray-50" title="\${t('shortlist.copyEditTitle')}">\${t('shortlist.copyEdit')}</button>\` : ''}
+          <select id="slExport" class="rounded-lg border-gray-300 p-1 text-sm" title="\${t('shortlist.exportTitle')}">
+            <option value="">\${t('export.placeholder')}</option>
+            <option value="xlsx">Excel (.xlsx)</option>
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+        </div>
+      </div>
+      <div class="mt-4">
+        \${key ? \`
+          <input id="slName" maxlength="120" class="text-2xl font-semibold w-full bg-transparent border-b border-dashed border-gray-300 focus:outline-none" value="\${escapeHtml(s.name)}" />
+          <textarea id="slDescription" rows="2" maxlength="2000" class="mt-2 w-full rounded-lg border-gray-300 p-2 text-sm" placeholder="\${t('shortlist.descriptionPlaceholder')}">\${escapeHtml(s.description || '')}</textarea>\`
+        : \`
+          <h2 class="text-2xl font-semibold">\${escapeHtml(s.name)}</h2>
+          \${s.description ? \`<p class="mt-1 text-gray-600 whitespace-pre-line">\${escapeHtml(s.description)}</p>\` : ''}
+          <p class="mt-1 text-xs text-gray-400">\${t('shortlist.readOnly')}</p>\`}
+      </div>
+      <div class="mt-3 text-sm text-gray-600">\${t('shortlist.wines', { n: totals.wines })} · \${t('shortlist.bottles', { n: totals.bottles })} · \${t('shortlist.estimatedTotal', { total: money(totals.estimated_total) })}\${totals.unpriced ? ' ' + t('shortlist.unpriced', { n: totals.unpriced }) : ''}</div>
+      <div class="mt-3 overflow-x-auto">
+        <table class="min-w-full text-sm">
+          <thead class="text-left text-xs uppercase tracking-wide text-gray-500 border-b"><tr>
+            <th class="p-2">\${t('common.wine')}</th><th class="p-2">AOC</th><th class="p-2">\${t('common.vintage')}</th><th class="p-2">\${t('common.finalScore')}</th>
+            <th class="p-2">\${t('common.price')}</th><th class="p-2">\${t('shortlist.quantity')}</th><th class="p-2">\${t('shortlist.total')}</th><th class="p-2">\${t('shortlist.note')}</th>\${key ? '<th class="p-2"></th>' : ''}
+          </tr></thead>
+          <tbody>\${s.items.map(w => \`
+            <tr class="border-t align-top" data-id="\${w.id}">
+              <td class="p-2">
+                <a href="/wines/\${w.id}" data-link class="font-medium hover:text-brand-700 hover:underline">\${escapeHtml(w.name)}</a>
+                <div class="text-xs text-gray-500">\${escapeHtml(w.winery || '')}</div>
+                \${attributeChips(w)}
+              </td>
+              <td class="p-2">\${escapeHtml(w.aoc)}<div class="text-xs text-gray-400">\${t('table.rankInAoc', { rank: w.aoc_rank })}</div></td>
+              <td class="p-2">\${w.vintage || '—'}</td>
+              <td class="p-2 font-semibold">\${fmt(w.adjusted_rating, 2)}</td>
+              <td class="p-2">\${money(w.price)}</td>
+              <td class="p-2">\${key ? \`<input type="number" min="1" step="1" class="slQty w-20 rounded-lg border-gray-300 p-1" value="\${w.quantity ?? ''}" />\` : (w.quantity ?? '—')}</td>
+              <td class="p-2">\${money(w.line_total)}</td>
+              <td class="p-2">\${key ? \`<textarea rows="1" maxlength="2000" class="slNote w-56 rounded-lg border-gray-300 p-1 text-xs">\${escapeHtml(w.note || '')}</textarea>\` : \`<span class="whitespace-pre-line">\${escapeHtml(w.note || '')}</span>\`}</td>
+              \${key ? \`<td class="p-2"><button type="button" class="slRemove text-xs text-brand-700 hover:underline">\${t('shortlist.remove')}</button></td>\` : ''}
+            </tr>\`).join('') || \`<tr><td colspan="9" class="p-3 text-gray-500">\${t('shortlist.empty')}</td></tr>\`}
+          </tbody>
+        </table>
+      </div>
+      \${key ? \`
+        <div class="mt-4 flex gap-2 flex-wrap text-sm">
+          <button type="button" id="slUse" class="px-3 py-1 rounded-lg bg-brand-600 text-white hover:bg-brand-700">\${t('shortlist.addFromRanking')}</button>
+          <button type="button" id="slDelete" class="px-3 py-1 rounded-lg border border-brand-200 text-brand-700 hover:bg-brand-50">\${t('shortlist.delete')}</button>
+        </div>\` : ''}\`;
+
+    const shareUrl = location.origin + '/shortlists/' + token;
+    document.getElementById('slCopyShare').addEventListener('click', async e=>{
+      await navigator.clipboard.writeText(shareUrl);
+      e.target.textContent = t('common.linkCopied');
+    });
+    document.getElementById('slExport').addEventListener('change', e=>{
+      if (e.target.value) location.href = withParams('/api/shortlists/' + token + '/export', { format: e.target.value, strategy: current.strategy, lang: I18N.locale });
+      e.target.value = '';
+    });
+    if (!key) return;
+
+    const save = async body => {
+      const res = await api.updateShortlist(token, key, body);
+      if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return showShortlist(token); }
+      rememberShortlist(token, key, res.shortlist.name);
+      document.title = t('shortlist.pageTitle', { name: res.shortlist.name });
+      await loadActiveShortlist();
+    };
+    document.getElementById('slCopyEdit').addEventListener('click', async e=>{
+      await navigator.clipboard.writeText(shareUrl + '#edit=' + key);
+      e.target.textContent = t('common.linkCopied');
+    });
+    document.getElementById('slName').addEventListener('change', e=> save({ name: e.target.value }));
+    document.getElementById('slDescription').addEventListener('change', e=> save({ description: e.target.value }));
+    for (const tr of box.querySelectorAll('tr[data-id]')) {
+      const wineId = Number(tr.dataset.id);
+      const put = async (body, rerender) => {
+        const res = await api.putShortlistItem(token, key, wineId, body);
+        if (!res.ok) alert(t('common.failed', { error: res.error||'' }));
+        if (!res.ok || rerender) await showShortlist(token);
+      };
+      tr.querySelector('.slQty').addEventListener('change', e=> put({ quantity: e.target.value }, true));
+      tr.querySelector('.slNote').addEventListener('change', e=> put({ note: e.target.value }, false));
+      tr.querySelector('.slRemove').addEventListener('click', async ()=>{
+        const res = await api.removeShortlistItem(token, key, wineId);
+        if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+        SHORTLIST_WINES.delete(wineId);
+        await showShortlist(token);
+      });
+    }
+    document.getElementById('slUse').addEventListener('click', async ()=>{
+      setActiveShortlist(token);
+      await loadActiveShortlist();
+      history.pushState(null, '', '/' + filtersSearch());
+      route();
+    });
+    document.getElementById('slDelete').addEventListener('click', async ()=>{
+      if (!confirm(t('shortlist.deleteConfirm'))) return;
+      const res = await api.deleteShortlist(token, key);
+      if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+      forgetShortlist(token);
+      await loadActiveShortlist();
+      history.pushState(null, '', '/' + filtersSearch());
+      route();
+    });
+  }
+
+  // Statistics dashboard (/stats): coverage of each AOC, rating and price spread, and how much the
+  // admin adjustments move its scores. Charts are plain positioned divs on a shared scale.
+  const STATS_SCOPE = { strategy: '', region: '' };
+  const scalePct = (x, lo, hi) => Math.max(0, Math.min(100, (x - lo) / (hi - lo) * 100)).toFixed(1) + '%';
+  async function showStats(){
+    document.title = t('stats.pageTitle');
+    const box = document.getElementById('statsView');
+    const s = await api.stats(STATS_SCOPE);
+    const back = \`<a href="/\${filtersSearch()}" data-link class="text-sm text-brand-700 hover:underline">← \${t('common.back')}</a>\`;
+    if (s.error) { box.innerHTML = \`\${back}<p class="mt-4 text-gray-600">\${escapeHtml(s.error)}</p>\`; return; }
+    const o = s.overall;
+    const regions = [...new Set((await api.aocs()).map(g => g.region).filter(Boolean))];
+    const card = (label, value, hint='') => \`<div class="bg-white/70 rounded-xl p-3"><div class="text-xs text-gray-500">\${label}</div><div class="text-xl font-semibold">\${value}</div><div class="text-xs text-gray-400">\${hint}</div></div>\`;
+    const maxWines = Math.max(TOP_N, ...s.aocs.map(a => a.wines));
+    const maxPrice = Math.max(1, ...s.aocs.map(a => a.price.p90 || 0));
+    const row = (a, chart) => \`<div class="flex items-center gap-3 py-1"><div class="w-40 shrink-0 truncate text-sm" title="\${escapeHtml(a.region || '')}">\${escapeHtml(a.aoc)}</div><div class="relative flex-1 h-5">\${chart}</div></div>\`;
+
+    const coverage = s.aocs.map(a => row(a, \`
+      <div class="absolute inset-y-0 left-0 rounded \${a.wines < TOP_N ? 'bg-amber-300' : 'bg-brand-400'}" style="width:\${scalePct(a.wines, 0, maxWines)}"></div>
+      <div class="absolute inset-y-0 border-l-2 border-dashed border-gray-500" style="left:\${scalePct(TOP_N, 0, maxWines)}" title="Top \${TOP_N}"></div>
+      <span class="absolute left-1 text-xs leading-5">\${t('stats.wineCount', { n: a.wines })} · \${t('stats.vintageCount', { n: a.vintage.distinct })}</span>\`)).join('');
+
+    const ratings = s.aocs.map(a => row(a, \`
+      <div class="absolute top-2 h-1 rounded bg-gray-200" style="left:\${scalePct(a.rating.min, 3, 5)};right:calc(100% - \${scalePct(a.rating.max, 3, 5)})"></div>
+      <div class="absolute top-0.5 h-4 w-4 -ml-2 rounded-full bg-gray-400" style="left:\${scalePct(a.rating.mean, 3, 5)}" title="\${t('stats.meanBlended', { score: fmt(a.rating.mean, 2) })}"></div>
+      <div class="absolute top-0.5 h-4 w-4 -ml-2 rounded-full bg-brand-600/80" style="left:\${scalePct(a.adjusted_rating.mean, 3, 5)}" title="\${t('stats.meanFinal', { score: fmt(a.adjusted_rating.mean, 2) })}"></div>
+      <span class="absolute right-0 text-xs leading-5 \${a.overrides.mean_effect > 0 ? 'text-emerald-700' : a.overrides.mean_effect < 0 ? 'text-brand-700' : 'text-gray-400'}">\${t('stats.adjustedEffect', { pct: fmt((a.overrides.share || 0) * 100, 0), effect: (a.overrides.mean_effect > 0 ? '+' : '') + fmt(a.overrides.mean_effect, 3) })}</span>\`)).join('');
+
+    const prices = s.aocs.map(a => row(a, a.price.n ? \`
+      <div class="absolute top-2 h-1 bg-gray-300" style="left:\${scalePct(a.price.p10, 0, maxPrice)};right:calc(100% - \${scalePct(a.price.p90, 0, maxPrice)})"></div>
+      <div class="absolute inset-y-0 rounded bg-emerald-200 border border-emerald-400" style="left:\${scalePct(a.price.p25, 0, maxPrice)};right:calc(100% - \${scalePct(a.price.p75, 0, maxPrice)})"></div>
+      <div class="absolute inset-y-0 border-l-2 border-emerald-800" style="left:\${scalePct(a.price.median, 0, maxPrice)}" title="\${t('stats.median', { value: money(a.price.median) })}"></div>
+      <span class="absolute right-0 text-xs leading-5 text-gray-500">\${money(a.price.median)}</span>\` : \`<span class="text-xs text-gray-400">\${t('stats.noPrice')}</span>\`)).join('');
+
+    const hmax = Math.max(1, ...o.rating.histogram.map(b => b.n), ...o.adjusted_rating.histogram.map(b => b.n));
+    const binLabel = b => b.from == null ? \`< \${b.to}\` : b.to == null ? \`≥ \${b.from}\` : \`\${b.from}–\${b.to}\`;
+    const histogram = \`<div class="flex items-end gap-2 h-32">\${o.rating.histogram.map((b, i) => \`
+      <div class="flex-1 flex flex-col items-center justify-end h-full">
+        <div class="w-full flex items-end justify-center gap-0.5 flex-1">
+          <div class="w-1/3 bg-gray-400 rounded-t" style="height:\${scalePct(b.n, 0, hmax)}" title="\${t('common.blendedRating')} : \${b.n}"></div>
+          <div class="w-1/3 bg-brand-600/80 rounded-t" style="height:\${scalePct(o.adjusted_rating.histogram[i].n, 0, hmax)}" title="\${t('common.finalScore')} : \${o.adjusted_rating.histogram[i].n}"></div>
+        </div>
+        <div class="text-[10px] text-gray-500 mt-1 whitespace-nowrap">\${binLabel(b)}</div>
+      </div>\`).join('')}</div>\`;
+
+    const strategies = RANKING ? RANKING.strategies.map(x => \`<option value="\${x.id === RANKING.default_strategy ? '' : x.id}" \${(STATS_SCOPE.strategy || '') === (x.id === RANKING.default_strategy ? '' : x.id) ? 'selected' : ''}>\${escapeHtml(tLabel('strategy.' + x.id, x.label))}</option>\`).join('') : '';
+    box.innerHTML = \`
+      <div class="flex flex-wrap items-center justify-between gap-3">
+        \${back}
+        <div class="flex flex-wrap items-center gap-2 text-sm">
+          <select id="statsRegion" class="rounded-lg border-gray-300 p-1"><option value="">\${t('stats.allRegions')}</option>\${regions.map(r => \`<option \${r === STATS_SCOPE.region ? 'selected' : ''}>\${escapeHtml(r)}</option>\`).join('')}</select>
+          <select id="statsStrategy" class="rounded-lg border-gray-300 p-1">\${strategies}</select>
+        </div>
+      </div>
+      <h2 class="mt-4 text-2xl font-semibold">\${t('stats.title')}</h2>
+      <div class="mt-4 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+        \${card(t('stats.wines'), o.wines, \`\${o.aocs} AOC\`)}
+        \${card(t('common.blendedRating'), fmt(o.rating.mean, 2), t('stats.median', { value: fmt(o.rating.median, 2) }))}
+        \${card(t('common.finalScore'), fmt(o.adjusted_rating.mean, 2), t('stats.median', { value: fmt(o.adjusted_rating.median, 2) }))}
+        \${card(t('stats.medianPrice'), money(o.price.median), \`P10 \${money(o.price.p10)} · P90 \${money(o.price.p90)}\`)}
+        \${card(t('stats.vintages'), o.vintage.n ? \`\${o.vintage.min}–\${o.vintage.max}\` : '—', t('stats.median', { value: o.vintage.median ?? '—' }))}
+        \${card(t('stats.adjustedWines'), \`\${fmt((o.overrides.share || 0) * 100, 1)}%\`, t('stats.mean', { value: o.overrides.mean_pct == null ? '—' : fmt(o.overrides.mean_pct, 1) + '%' }))}
+      </div>
+      <div class="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 class="font-semibold">\${t('stats.coverage')}</h3>
+          <p class="text-xs text-gray-500 mb-2">\${t('stats.coverageHelp', { top: TOP_N })}</p>
+          \${coverage || \`<p class="text-sm text-gray-500">\${t('stats.noWines')}</p>\`}
+        </div>
+        <div>
+          <h3 class="font-semibold">\${t('stats.ratings')}</h3>
+          <p class="text-xs text-gray-500 mb-2">\${t('stats.ratingsHelp')}</p>
+          \${ratings}
+        </div>
+        <div>
+          <h3 class="font-semibold">\${t('stats.prices')}</h3>
+          <p class="text-xs text-gray-500 mb-2">\${t('stats.pricesHelp', { max: money(maxPrice) })}</p>
+          \${prices}
+        </div>
+        <div>
+          <h3 class="font-semibold">\${t('stats.distribution')}</h3>
+          <p class="text-xs text-gray-500 mb-2">\${t('stats.distributionHelp')}</p>
+          \${histogram}
+        </div>
+      </div>
+      \${s.empty_appellations.length ? \`<div class="mt-6 text-sm"><h3 class="font-semibold mb-1">\${t('stats.emptyAppellations', { n: s.empty_appellations.length })}</h3>
+        <p class="text-gray-600">\${s.empty_appellations.map(e => escapeHtml(e.name)).join(', ')}</p></div>\` : ''}
+      <div class="mt-6 overflow-x-auto">
+        <table class="min-w-full text-sm">
+          <thead class="text-left text-xs uppercase tracking-wide text-gray-500 border-b"><tr>
+            <th class="p-2">AOC</th><th class="p-2">\${t('stats.wines')}</th><th class="p-2">\${t('stats.col.rating')}</th><th class="p-2">\${t('stats.col.final')}</th>
+            <th class="p-2">\${t('stats.col.price')}</th><th class="p-2">\${t('stats.vintages')}</th><th class="p-2">\${t('stats.col.reviews')}</th><th class="p-2">\${t('stats.col.adjusted')}</th><th class="p-2">\${t('stats.col.meanAdjustment')}</th>
+          </tr></thead>
+          <tbody class="divide-y">\${s.aocs.map(a => \`<tr>
+            <td class="p-2"><a href="/?aoc=\${encodeURIComponent(a.aoc)}" data-link class="text-brand-700 hover:underline">\${escapeHtml(a.aoc)}</a> <span class="text-xs text-gray-400">\${escapeHtml(a.region || '')}</span></td>
+            <td class="p-2 \${a.coverage.fills_top ? '' : 'text-amber-700'}">\${a.wines}</td>
+            <td class="p-2">\${fmt(a.rating.mean, 2)} / \${fmt(a.rating.median, 2)}</td>
+            <td class="p-2">\${fmt(a.adjusted_rating.mean, 2)}</td>
+            <td class="p-2 whitespace-nowrap">\${a.price.n ? \`\${money(a.price.p25)} / \${money(a.price.median)} / \${money(a.price.p75)}\` : '—'}</td>
+            <td class="p-2">\${a.vintage.n ? \`\${a.vintage.min}–\${a.vintage.max} (\${a.vintage.distinct})\` : '—'}</td>
+            <td class="p-2">\${a.reviews.median ?? '—'}</td>
+            <td class="p-2">\${a.overrides.wines} (\${fmt((a.overrides.share || 0) * 100, 0)}%)</td>
+            <td class="p-2">\${a.overrides.mean_pct == null ? '—' : (a.overrides.mean_pct > 0 ? '+' : '') + fmt(a.overrides.mean_pct, 1) + '%'}</td>
+          </tr>\`).join('')}</tbody>
+        </table>
+      </div>\`;
+    document.getElementById('statsRegion').addEventListener('change', e=>{ STATS_SCOPE.region = e.target.value; showStats(); });
+    document.getElementById('statsStrategy').addEventListener('change', e=>{ STATS_SCOPE.strategy = e.target.value; showStats(); });
+  }
+
+  // Wine detail (/wines/:id)
+  async function showWine(id){
+    const box = document.getElementById('detailView');
+    const back = \`<a href="/\${filtersSearch()}" data-link class="text-sm text-brand-700 hover:underline">← \${t('common.back')}</a>\`;
+    const w = await api.wine(id, current.strategy);
+    if (!w) {
+      document.title = t('wine.notFoundTitle');
+      box.innerHTML = \`\${back}<p class="mt-4 text-gray-600">\${t('wine.notFound')}</p>\`;
+      return;
+    }
+    const strategy = RANKING && RANKING.strategies.find(s => s.id === w.ranking.strategy);
+    const band = PRICE_BANDS.find(b => b.id === w.price_band);
+    if (!Object.keys(ATTRIBUTE_LABELS).length) populateFacets(await api.wineFacets());
+    const field = (label, value) => \`<div><div class="text-xs text-gray-500">\${label}</div><div class="font-medium">\${value}</div></div>\`;
+    document.title = \`\${w.name}\${w.vintage ? ' ' + w.vintage : ''} — \${w.aoc}\`;
+    box.innerHTML = \`
+      <div class="flex items-center justify-between gap-3">
+        \${back}
+        <button type="button" id="copyWineLink" class="text-sm px-3 py-1 rounded-lg border border-brand-200 text-brand-700 hover:bg-brand-50">\${t('wine.copyLink')}</button>
+      </div>
+      <div class="mt-4">
+        <h2 class="text-2xl font-semibold">\${escapeHtml(w.name)} \${w.vintage || ''}</h2>
+        <div class="text-gray-600">\${escapeHtml(w.winery || '')}\${w.winery ? ' · ' : ''}<a href="/?aoc=\${encodeURIComponent(w.aoc)}" data-link class="text-brand-700 hover:underline">\${escapeHtml(w.aoc)}</a></div>
+        \${attributeChips(w)}
+      </div>
+      <div class="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-4 bg-white/70 rounded-xl p-4">
+        \${field(t('wine.aocRank'), t('wine.rankOf', { rank: w.aoc_rank, size: w.aoc_size }))}
+        \${field(t('common.finalScore'), fmt(w.adjusted_rating, 2))}
+        \${field(t('common.vivinoRating'), fmt(w.vivino_rating))}
+        \${field(t('common.reviews'), w.rating_count ?? '—')}
+        \${field(t('wine.strategyScore', { strategy: escapeHtml(tLabel('strategy.' + w.ranking.strategy, strategy ? strategy.label : w.ranking.strategy)) }), fmt(w.base_score, 2))}
+        \${field(t('common.price'), \`\${money(w.price)}\${band ? ' · ' + escapeHtml(band.label) : ''}\`)}
+        \${field(t('wine.valueIndex'), w.value_index != null ? fmt(w.value_index, 0) : '—')}
+        \${field(t('wine.aocMean'), \`\${fmt(w.aoc_mean_rating, 2)} · \${money(w.aoc_avg_price)}\`)}
+        \${field(t('wine.sourceId'), escapeHtml(w.external_id))}
+        \${field(t('wine.sourceUpdate'), date(w.last_source_update))}
+        \${field(t('wine.added'), date(w.created_at))}
+        \${field(t('wine.adjustment'), w.override ? \`\${w.override.adjustment_pct > 0 ? '+' : ''}\${w.override.adjustment_pct}%\` : t('wine.noAdjustment'))}
+      </div>
+      <div class="mt-4">
+        <h3 class="font-semibold mb-2">\${t('wine.scores')} <span class="text-sm font-normal text-gray-500">— \${t('wine.blended', { score: fmt(w.blended_rating, 2) })}</span></h3>
+        <table class="text-sm"><tbody>\${RANKING.score_sources.map(s => {
+          const x = s.id === 'vivino' ? { score: w.vivino_rating, normalized: w.vivino_rating } : w.scores[s.id];
+          return \`<tr class="border-t">
+            <td class="py-1 pr-4">\${escapeHtml(s.label)} <span class="text-xs text-gray-400">(\${t('wine.sourceScale', { min: s.min, max: s.max, weight: s.weight })})</span></td>
+            <td class="py-1 pr-4 font-medium">\${x ? fmt(x.score, s.max > 20 ? 0 : 1) : '—'}</td>
+            <td class="py-1 pr-4 text-gray-500">\${x && s.id !== 'vivino' ? fmt(x.normalized, 2) + ' / 5' : ''}</td>
+            <td class="py-1 pr-4 text-xs text-gray-500">\${x ? [x.note ? escapeHtml(x.note) : '', x.updated_at ? date(x.updated_at) : ''].filter(Boolean).join(' · ') : ''}</td>
+            <td class="py-1">\${s.id !== 'vivino' && can('overrides') ? \`<button type="button" data-score-source="\${s.id}" class="text-xs text-brand-700 hover:underline">\${t('wine.editScore')}</button>\` : ''}</td>
+          </tr>\`;
+        }).join('')}</tbody></table>
+      </div>
+      \${w.override ? \`<div class="mt-3 text-sm bg-brand-50 border border-brand-200 rounded-xl p-3">
+        \${t(w.override.expires_at ? 'wine.overrideUntil' : 'wine.overridePermanent', {
+          pct: (w.override.adjustment_pct > 0 ? '+' : '') + w.override.adjustment_pct,
+          until: date(w.override.expires_at),
+          changed: date(w.override.noted_at || w.override.updated_at),
+        })}
+        \${w.override.note ? \`<div class="mt-1 text-gray-600">\${t('wine.justification', { note: escapeHtml(w.override.note) })}</div>\` : ''}
+      </div>\` : ''}
+      <div class="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h3 class="font-semibold mb-2">\${t('wine.otherVintages')}</h3>
+          \${w.other_vintages.length ? \`<table class="text-sm w-full"><tbody>\${w.other_vintages.map(v => \`
+            <tr class="border-t">
+              <td class="py-1 pr-3"><a href="/wines/\${v.id}" data-link class="text-brand-700 hover:underline">\${v.vintage || '—'}</a></td>
+              <td class="py-1 pr-3">Vivino \${fmt(v.vivino_rating)}</td>
+              <td class="py-1 pr-3">\${t('table.final', { score: fmt(v.adjusted_rating) })}</td>
+              <td class="py-1 pr-3">\${money(v.price)}</td>
+              <td class="py-1 text-gray-500">\${t('table.rankInAoc', { rank: v.aoc_rank })}</td>
+            </tr>\`).join('')}</tbody></table>\` : \`<p class="text-sm text-gray-500">\${t('wine.noOtherVintage')}</p>\`}
+        </div>
+        <div>
+          <h3 class="font-semibold mb-2">\${t('wine.priceHistory')}</h3>
+          \${w.prices.length ? \`<table class="text-sm w-full"><tbody>\${w.prices.map(p => \`
+            <tr class="border-t">
+              <td class="py-1 pr-3">\${date(p.captured_at)}</td>
+              <td class="py-1 pr-3">\${money(p.price)}</td>
+              <td class="py-1 \${p.change_pct > 0 ? 'text-brand-600' : 'text-emerald-600'}">\${p.change_pct == null ? '' : (p.change_pct > 0 ? '+' : '') + fmt(p.change_pct, 0) + '%'}</td>
+            </tr>\`).join('')}</tbody></table>\` : \`<p class="text-sm text-gray-500">\${t('wine.noPrice')}</p>\`}
+        </div>
+      </div>
+      <div class="mt-6">
+        <h3 class="font-semibold mb-2 flex items-center gap-3">\${t('wine.ratingHistory')} \${sparkline(w.history.map(h => h.vivino_rating).filter(x => x != null), 120, 24)}</h3>
+        \${w.history.length ? \`<div class="overflow-x-auto"><table class="text-sm min-w-full">
+          <thead class="text-left text-xs uppercase text-gray-500"><tr><th class="py-1 pr-3">\${t('common.date')}</th><th class="py-1 pr-3">\${t('wine.source')}</th><th class="py-1 pr-3">\${t('common.vivinoRating')}</th><th class="py-1 pr-3">\${t('common.reviews')}</th><th class="py-1 pr-3">\${t('common.price')}</th><th class="py-1">\${t('wine.rank')}</th></tr></thead>
+          <tbody>\${w.history.slice().reverse().map(h => \`
+            <tr class="border-t">
+              <td class="py-1 pr-3">\${date(h.captured_at)}</td>
+              <td class="py-1 pr-3">\${escapeHtml(tLabel('wine.source.' + h.source, h.source))}</td>
+              <td class="py-1 pr-3">\${fmt(h.vivino_rating)}</td>
+              <td class="py-1 pr-3">\${h.rating_count ?? '—'}</td>
+              <td class="py-1 pr-3">\${money(h.price)}</td>
+              <td class="py-1">\${h.aoc_rank ? t('wine.historyRank', { rank: h.aoc_rank }) : '—'}</td>
+            </tr>\`).join('')}</tbody></table></div>\` : \`<p class="text-sm text-gray-500">\${t('wine.noHistory')}</p>\`}
+      </div>
+      <div id="wineAudit" class="mt-6"></div>\`;
+    box.querySelectorAll('[data-score-source]').forEach(btn => btn.addEventListener('click', async ()=>{
+      const s = RANKING.score_sources.find(x => x.id === btn.dataset.scoreSource);
+      const existing = w.scores[s.id];
+      const value = prompt(t('admin.scorePrompt', { source: s.label, min: s.min, max: s.max }), existing ? existing.score : '');
+      if (value === null) return;
+      const note = value.trim() ? prompt(t('admin.commentPrompt'), existing && existing.note || '') : null;
+      const res = await api.adminSetWineScore(w.id, s.id, value.trim() ? Number(value.replace(',', '.')) : null, note || undefined);
+      if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+      showWine(w.id);
+    }));
+    document.getElementById('copyWineLink').addEventListener('click', async e=>{
+      await navigator.clipboard.writeText(location.href);
+      e.target.textContent = t('common.linkCopied');
+    });
+    if (can('overrides')) {
+      const entries = await api.adminOverrideHistory({ wine_id: w.id, limit: 50 });
+      if (!Array.isArray(entries) || !entries.length) return;
+      document.getElementById('wineAudit').innerHTML = \`
+        <h3 class="font-semibold mb-2">\${t('admin.audit.title')}</h3>
+        <table class="text-sm w-full"><tbody>\${entries.map(a => \`
+          <tr class="border-t align-top">
+            <td class="py-1 pr-3 whitespace-nowrap">\${dateTime(a.created_at)}</td>
+            <td class="py-1 pr-3">\${ACTION_LABELS[a.action] || a.action}</td>
+            <td class="py-1 pr-3 whitespace-nowrap">\${a.old_pct}% → \${a.new_pct}%</td>
+            <td class="py-1 pr-3">\${escapeHtml(a.user || '')}</td>
+            <td class="py-1 text-gray-600">\${escapeHtml(a.note || '')}</td>
+          </tr>\`).join('')}</tbody></table>\`;
+    }
+  }
+
   // Admin modal
   const adminModal = document.getElementById('adminModal');
   document.getElementById('adminBtn').addEventListener('click', ()=> adminModal.classList.remove('hidden'));
   document.getElementById('closeAdmin').addEventListener('click', ()=> adminModal.classList.add('hidden'));
+  document.getElementById('closeAdminPanel').addEventListener('click', ()=> adminModal.classList.add('hidden'));
+
+  const ROLE_LABELS = { editor: t('admin.role.editor'), data_manager: t('admin.role.data_manager'), owner: t('admin.role.owner') };
 
   document.getElementById('adminLogin').addEventListener('submit', async (e)=>{
     e.preventDefault();
     const user = document.getElementById('adminUser').value || 'admin';
     const pass = document.getElementById('adminPass').value || '';
-    AUTH = 'Basic ' + btoa(user + ':' + pass);
-    // Quick probe: call a protected endpoint with harmless payload
-    const probe = await fetch('/api/admin/refresh', { method:'POST', headers: { 'Authorization': AUTH } });
-    if (probe.status === 200) {
-      document.getElementById('whoami').textContent = user;
-      document.getElementById('adminPanel').classList.remove('hidden');
-      document.getElementById('adminLogin').classList.add('hidden');
-      alert('Connecté. Vous pouvez maintenant modifier les notes.');
-      adminModal.classList.add('hidden');
-      refreshTable();
-    } else {
-      AUTH = null; alert('Identifiants invalides.');
+    const res = await api.login(user, pass);
+    document.getElementById('adminPass').value = '';
+    if (!res.ok) { alert(t('login.invalid')); return; }
+    onLoggedIn(res);
+    alert(t('login.done'));
+    adminModal.classList.add('hidden');
+  });
+
+  // Shows the panel sections the role allows and loads their data
+  function onLoggedIn(session){
+    SESSION = session;
+    document.getElementById('whoami').textContent = \`\${session.user.username} — \${ROLE_LABELS[session.user.role] || session.user.role}\`;
+    document.getElementById('adminPanel').classList.remove('hidden');
+    document.getElementById('adminLogin').classList.add('hidden');
+    document.querySelectorAll('#adminPanel [data-perm]').forEach(el => el.classList.toggle('hidden', !can(el.dataset.perm)));
+    route();
+    loadOverrideHistory();
+    if (can('overrides')) { updateSelectionCount(); loadOverrideSets(); }
+    if (can('data')) {
+      loadProfiles().then(loadRefreshConfig);
+      loadUnknownAocs();
+      loadWebhooks();
+      loadAnomalies();
+      loadRefreshJobs().then(jobs => { const running = Array.isArray(jobs) && jobs.find(j => j.status === 'running'); if (running) followRefreshJob(running.id); });
     }
+    if (can('users')) { loadUsers(); loadSchemaVersion(); }
+  }
+
+  function onLoggedOut(){
+    SESSION = null;
+    PREVIEW_SET = null;
+    SELECTED.clear();
+    document.getElementById('adminPanel').classList.add('hidden');
+    document.getElementById('adminLogin').classList.remove('hidden');
+    route();
+  }
+
+  document.getElementById('logoutBtn').addEventListener('click', async ()=>{
+    await api.logout();
+    onLoggedOut();
+  });
+
+  document.getElementById('passwordForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    const res = await api.changePassword(document.getElementById('pwCurrent').value, document.getElementById('pwNew').value);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    e.target.reset();
+    alert(t('admin.password.changed'));
+  });
+
+  // User management (owner)
+  async function loadUsers(){
+    const users = await api.adminUsers();
+    const box = document.getElementById('userList');
+    const roleOptions = sel => Object.entries(ROLE_LABELS).map(([v, l]) => \`<option value="\${v}" \${v === sel ? 'selected' : ''}>\${l}</option>\`).join('');
+    box.innerHTML = users.map(u => \`
+      <div class="flex flex-wrap items-center gap-2 py-1">
+        <span class="font-medium w-32 truncate">\${escapeHtml(u.username)}</span>
+        <select data-id="\${u.id}" class="userRole rounded-lg border-gray-300 p-1 text-xs">\${roleOptions(u.role)}</select>
+        <label class="text-xs flex items-center gap-1"><input type="checkbox" data-id="\${u.id}" class="userDisabled" \${u.disabled ? 'checked' : ''} /> \${t('admin.users.disabled')}</label>
+        <button type="button" data-id="\${u.id}" class="userPw px-2 py-1 rounded-lg bg-gray-100 text-xs">\${t('admin.users.setPassword')}</button>
+        <button type="button" data-id="\${u.id}" class="userDel px-2 py-1 rounded-lg bg-gray-100 text-xs">\${t('admin.delete')}</button>
+        <span class="text-xs text-gray-400">\${u.last_login_at ? t('admin.users.lastLogin', { date: date(u.last_login_at) }) : t('admin.users.neverLoggedIn')}</span>
+      </div>\`).join('');
+    const update = async (id, body) => {
+      const res = await api.adminUpdateUser(id, body);
+      if (!res.ok) alert(t('common.failed', { error: res.error||'' }));
+      loadUsers();
+    };
+    box.querySelectorAll('.userRole').forEach(el => el.addEventListener('change', () => update(el.dataset.id, { role: el.value })));
+    box.querySelectorAll('.userDisabled').forEach(el => el.addEventListener('change', () => update(el.dataset.id, { disabled: el.checked })));
+    box.querySelectorAll('.userPw').forEach(el => el.addEventListener('click', () => {
+      const pw = prompt(t('admin.users.passwordPrompt'));
+      if (pw) update(el.dataset.id, { password: pw });
+    }));
+    box.querySelectorAll('.userDel').forEach(el => el.addEventListener('click', async () => {
+      if (!confirm(t('admin.users.deleteConfirm'))) return;
+      const res = await api.adminDeleteUser(el.dataset.id);
+      if (!res.ok) alert(t('common.failed', { error: res.error||'' }));
+      loadUsers();
+    }));
+  }
+
+  document.getElementById('userForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    const res = await api.adminCreateUser({
+      username: document.getElementById('newUsername').value,
+      password: document.getElementById('newPassword').value,
+      role: document.getElementById('newRole').value,
+    });
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    e.target.reset();
+    loadUsers();
   });
 
+  // Import is two-step: dry-run report first, then confirm applies exactly the previewed batch
   document.getElementById('importForm').addEventListener('submit', async (e)=>{
     e.preventDefault();
     const f = document.getElementById('importFile').files[0];
-    if (!f) { alert('Choisissez un fichier CSV/JSON'); return; }
-    const res = await api.adminImport(AUTH, f);
-    if (res.ok) { alert('Import réussi: ' + res.upserted + ' vins'); refreshTable(); loadMeta(); }
-    else alert('Échec import: ' + (res.error||''));
+    if (!f) { alert(t('admin.import.chooseFile')); return; }
+    const res = await api.adminImport(f, true, document.getElementById('importProfile').value);
+    if (res.ok) renderImportReport(res.preview_id, res.report);
+    else alert(t('admin.import.failed', { error: res.error||'' }));
+  });
+
+  function renderImportReport(previewId, r){
+    const box = document.getElementById('importReport');
+    const s = r.summary;
+    const list = (title, items, line) => items.length ? \`
+      <details class="mt-2"><summary class="cursor-pointer font-medium">\${title} (\${items.length})</summary>
+        <ul class="mt-1 max-h-48 overflow-y-auto text-xs space-y-1">\${items.map(x => \`<li>\${line(x)}</li>\`).join('')}</ul>
+      </details>\` : '';
+    const diff = c => Object.entries(c.changes).map(([f, v]) => \`\${f}: <span class="text-gray-500 line-through">\${escapeHtml(v.before ?? '—')}</span> → <strong>\${escapeHtml(v.after ?? '—')}</strong>\`).join(', ');
+    box.innerHTML = \`
+      <h4 class="font-medium">\${t('admin.import.report')}</h4>
+      <div class="mt-1 flex flex-wrap gap-2 text-xs">
+        <span class="chip border-emerald-200 text-emerald-700 bg-emerald-50">\${t('admin.import.new', { n: s.new })}</span>
+        <span class="chip border-sky-200 text-sky-700 bg-sky-50">\${t('admin.import.changed', { n: s.changed })}</span>
+        <span class="chip border-gray-200 text-gray-600 bg-gray-50">\${t('admin.import.unchanged', { n: s.unchanged })}</span>
+        <span class="chip border-brand-200 text-brand-700 bg-brand-50">\${t('admin.import.rejected', { n: s.rejected })}</span>
+        <span class="chip border-amber-200 text-amber-700 bg-amber-50">\${t('admin.import.missing', { n: s.missing })}</span>
+        \${s.quarantined ? \`<span class="chip border-amber-300 text-amber-800 bg-amber-100">\${t('admin.import.quarantined', { n: s.quarantined })}</span>\` : ''}
+      </div>
+      \${list(t('admin.import.newWines'), r.new, x => \`\${escapeHtml(x.name)} — \${escapeHtml(x.aoc)} \${x.vintage || ''} (\${fmt(x.vivino_rating)})\`)}
+      \${list(t('admin.import.changedWines'), r.changed, x => \`<strong>\${escapeHtml(x.name)}</strong>: \${diff(x)}\`)}
+      \${list(t('admin.import.quarantinedWines'), r.quarantined, x => \`<strong>\${escapeHtml(x.name)}</strong>: \${x.reasons.map(anomalyReason).join(', ')}\`)}
+      \${list(t('admin.import.rejectedRows'), r.rejected, x => \`\${t('admin.import.row', { row: x.row })} (\${escapeHtml(x.external_id)}): \${x.reasons.map(escapeHtml).join('; ')}\`)}
+      \${list(t('admin.import.warnings'), r.warnings, x => \`\${t('admin.import.row', { row: x.row })}: \${x.warnings.map(escapeHtml).join('; ')}\`)}
+      \${list(t('admin.import.missingWines'), r.missing, x => \`\${escapeHtml(x.name)} — \${escapeHtml(x.aoc)} \${x.vintage || ''}\`)}
+      <div class="mt-3 flex justify-end gap-2">
+        <button type="button" id="importCancel" class="px-3 py-2 rounded-xl bg-gray-100">\${t('common.cancel')}</button>
+        <button type="button" id="importConfirm" class="px-3 py-2 rounded-xl bg-brand-600 text-white" \${s.valid ? '' : 'disabled'}>\${t('admin.import.confirm', { n: s.valid })}</button>
+      </div>\`;
+    box.classList.remove('hidden');
+    document.getElementById('importCancel').onclick = () => { box.classList.add('hidden'); box.innerHTML = ''; };
+    document.getElementById('importConfirm').onclick = async () => {
+      const res = await api.adminImportConfirm(previewId);
+      if (res.ok) {
+        alert(t('admin.import.done', { n: res.upserted }) + (res.quarantined ? ', ' + t('admin.job.quarantined', { n: res.quarantined }) : ''));
+        box.classList.add('hidden'); box.innerHTML = '';
+        refreshTable(); loadMeta(); populateAOCs(); populateVintages(); populatePriceBands(); loadUnknownAocs(); loadAnomalies();
+      }
+      else alert(t('admin.import.failed', { error: res.error||'' }));
+    };
+  }
+
+  document.getElementById('rankingForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    const res = await api.adminSetRanking({
+      default_strategy: document.getElementById('defaultStrategy').value,
+      prior_weight: document.getElementById('priorWeight').value,
+    });
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    await loadRanking();
+    refreshTable();
+  });
+
+  document.getElementById('scoreSourcesForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    let sources;
+    try { sources = JSON.parse(document.getElementById('scoreSourcesConfig').value); }
+    catch (err) { alert(t('admin.invalidJson')); return; }
+    const res = await api.adminSetScoreSources(sources);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    await loadRanking();
+    refreshTable();
+  });
+
+  document.getElementById('priceBandsForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    let bands;
+    try { bands = JSON.parse(document.getElementById('priceBandsConfig').value); }
+    catch (err) { alert(t('admin.invalidJson')); return; }
+    const res = await api.adminSetPriceBands(bands);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    await populatePriceBands();
+    refreshTable();
+  });
+
+  // Import profiles
+  let PROFILES = [];
+  async function loadProfiles(){
+    PROFILES = await api.adminProfiles();
+    const importSel = document.getElementById('importProfile');
+    const editSel = document.getElementById('profileSelect');
+    const keepImport = importSel.value, keepEdit = editSel.value;
+    importSel.length = 1; editSel.length = 1;
+    for (const p of PROFILES){
+      importSel.add(new Option(p.name, p.id));
+      editSel.add(new Option(p.name, p.id));
+    }
+    importSel.value = PROFILES.some(p => String(p.id) === keepImport) ? keepImport : '';
+    editSel.value = PROFILES.some(p => String(p.id) === keepEdit) ? keepEdit : '';
+    fillProfileForm();
+  }
+
+  function fillProfileForm(){
+    const p = PROFILES.find(x => String(x.id) === document.getElementById('profileSelect').value);
+    document.getElementById('profileName').value = p ? p.name : '';
+    document.getElementById('profileConfig').value = p ? JSON.stringify(p.config, null, 2) : '';
+  }
+
+  document.getElementById('profileSelect').addEventListener('change', fillProfileForm);
+  document.getElementById('profileForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    let config;
+    try { config = JSON.parse(document.getElementById('profileConfig').value || '{}'); }
+    catch (err) { alert(t('admin.invalidJson')); return; }
+    const id = document.getElementById('profileSelect').value;
+    const res = await api.adminSaveProfile(id, { ...config, name: document.getElementById('profileName').value });
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    await loadProfiles();
+    document.getElementById('profileSelect').value = res.profile.id;
+    fillProfileForm();
+  });
+  document.getElementById('profileDelete').addEventListener('click', async ()=>{
+    const id = document.getElementById('profileSelect').value;
+    if (!id || !confirm(t('admin.profiles.deleteConfirm'))) return;
+    const res = await api.adminDeleteProfile(id);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    document.getElementById('profileSelect').value = '';
+    loadProfiles();
+  });
+
+  // Override audit trail with one-click revert to the value any entry set
+  const ACTION_LABELS = Object.fromEntries(['set', 'revert', 'expire', 'merge', 'import', 'bulk', 'activate', 'rollback'].map(a => [a, t('admin.action.' + a)]));
+  async function loadOverrideHistory(){
+    if (!can('overrides')) return;
+    const rows = await api.adminOverrideHistory({ limit: 50 });
+    const box = document.getElementById('overrideHistory');
+    if (!rows.length) { box.textContent = t('admin.history.none'); return; }
+    box.innerHTML = \`<table class="min-w-full"><tbody class="divide-y">\${rows.map(r => \`
+      <tr>
+        <td class="py-1 pr-2 whitespace-nowrap">\${dateTime(r.created_at)}</td>
+        <td class="py-1 pr-2">\${escapeHtml(r.user)}</td>
+        <td class="py-1 pr-2"><span class="font-medium">\${escapeHtml(r.name)}</span> <span class="text-gray-400">\${escapeHtml(r.aoc)} \${r.vintage || ''}</span></td>
+        <td class="py-1 pr-2 whitespace-nowrap">\${ACTION_LABELS[r.action] || r.action}: \${fmt(r.old_pct)}% → <strong>\${fmt(r.new_pct)}%</strong>\${r.new_expires_at ? ' (' + t('admin.until', { date: date(r.new_expires_at) }) + ')' : ''}</td>
+        <td class="py-1 pr-2 italic">\${escapeHtml(r.note)}</td>
+        <td class="py-1"><button type="button" data-id="\${r.id}" class="revertBtn px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">\${t('admin.history.revert')}</button></td>
+      </tr>\`).join('')}</tbody></table>\`;
+    box.querySelectorAll('.revertBtn').forEach(btn => btn.addEventListener('click', async ()=>{
+      const note = prompt(t('admin.history.revertPrompt'));
+      if (!note || !note.trim()) return;
+      const res = await api.adminRevertOverride(btn.dataset.id, note);
+      if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+      loadOverrideHistory(); refreshTable();
+    }));
+  }
+
+  // Bulk adjustments: rows ticked in the table, an AOC reset and CSV uploads. While a set is
+  // previewed they edit the set instead of the live adjustments.
+  function updateSelectionCount(){
+    const names = [...SELECTED.values()];
+    document.getElementById('selectionCount').textContent = names.length
+      ? t('admin.bulk.selected', { n: names.length, names: names.slice(0, 3).join(', ') + (names.length > 3 ? '…' : '') })
+      : t('admin.bulk.noneSelected');
+  }
+  document.getElementById('bulkClear').addEventListener('click', ()=>{ SELECTED.clear(); updateSelectionCount(); refreshTable(); });
+  document.getElementById('bulkApply').addEventListener('click', async ()=>{
+    const pct = document.getElementById('bulkPct').value;
+    if (!SELECTED.size) { alert(t('admin.bulk.tickWines')); return; }
+    if (pct === '' || Math.abs(Number(pct)) > 25) { alert(t('admin.bulk.pctRange')); return; }
+    if (PREVIEW_SET) {
+      const res = await api.adminSetOverrideSetItems(PREVIEW_SET.id, [...SELECTED.keys()].map(id => ({ wine_id: id, adjustment_pct: Number(pct) })));
+      if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+      refreshTable(); loadOverrideSets();
+      return;
+    }
+    const note = prompt(t('admin.bulk.notePrompt', { n: SELECTED.size, pct }));
+    if (!note || !note.trim()) return;
+    const res = await api.adminBulkOverride([...SELECTED.keys()], Number(pct), note);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    alert(t('admin.changed', { n: res.changed }) + '.');
+    refreshTable(); loadOverrideHistory();
+  });
+  document.getElementById('resetAoc').addEventListener('click', async ()=>{
+    if (!current.aoc) { alert(t('admin.bulk.chooseAoc')); return; }
+    const note = prompt(t('admin.bulk.resetPrompt', { aoc: current.aoc }));
+    if (!note || !note.trim()) return;
+    const res = await api.adminResetAoc(current.aoc, note);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    alert(t('admin.bulk.resetDone', { n: res.changed }));
+    refreshTable(); loadOverrideHistory();
+  });
+
+  // Dry run, confirmation, then the upload for real; set = override set to fill instead of the live adjustments
+  async function importOverrideCsv(file, set){
+    const plan = await api.adminImportOverrides(file, { dryRun: true, set });
+    if (!plan.ok) { alert(t('common.failed', { error: plan.error||'' })); return; }
+    const changed = plan.overrides.filter(o => !o.unchanged);
+    const summary = [
+      t('admin.csv.toApply', { n: changed.length, unchanged: plan.overrides.length - changed.length }),
+      \`\${t('admin.csv.unmatched', { n: plan.unmatched.length })}\${plan.unmatched.length ? ' — ' + plan.unmatched.slice(0, 5).map(u => u.external_id).join(', ') : ''}\`,
+      \`\${t('admin.csv.skipped', { n: plan.skipped.length })}\${plan.skipped.length ? ' — ' + plan.skipped.slice(0, 5).map(s => s.external_id + ' (' + s.reason + ')').join(', ') : ''}\`,
+    ].join('\\n');
+    if (!changed.length) { alert(summary); return; }
+    let note = '';
+    if (set) {
+      if (!confirm(summary + '\\n\\n' + t('admin.csv.addToSet'))) return;
+    } else {
+      note = prompt(summary + '\\n\\n' + t('admin.reasonPrompt'));
+      if (!note || !note.trim()) return;
+    }
+    const res = await api.adminImportOverrides(file, { note, set });
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    refreshTable();
+    if (set) loadOverrideSets(); else loadOverrideHistory();
+  }
+  document.getElementById('overrideCsvFile').addEventListener('change', e=>{
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importOverrideCsv(file);
+  });
+  document.getElementById('overrideSetCsvFile').addEventListener('change', e=>{
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) importOverrideCsv(file, e.target.dataset.set);
+  });
+
+  // Override sets: drafts previewed in the table, then activated or rolled back as a whole
+  const SET_STATUS = {
+    draft: [t('admin.sets.status.draft'), 'border-gray-200 bg-gray-50 text-gray-700'],
+    active: [t('admin.sets.status.active'), 'border-emerald-200 bg-emerald-50 text-emerald-700'],
+    superseded: [t('admin.sets.status.superseded'), 'border-amber-200 bg-amber-50 text-amber-700'],
+  };
+  let OVERRIDE_SETS = [];
+  async function loadOverrideSets(){
+    OVERRIDE_SETS = await api.adminOverrideSets();
+    const box = document.getElementById('overrideSets');
+    if (!OVERRIDE_SETS.length) { box.textContent = t('admin.sets.none'); return; }
+    const btn = (s, act, label, cls='bg-gray-100 hover:bg-gray-200') => \`<button type="button" data-id="\${s.id}" data-act="\${act}" class="setBtn px-2 py-1 rounded-lg \${cls}">\${label}</button>\`;
+    box.innerHTML = \`<table class="min-w-full"><tbody class="divide-y">\${OVERRIDE_SETS.map(s => \`
+      <tr>
+        <td class="py-1 pr-2"><span class="font-medium">\${escapeHtml(s.name)}</span>\${s.replace_all ? \` <span class="text-gray-400" title="\${t('admin.sets.replacesAllTitle')}">\${t('admin.sets.replacesAll')}</span>\` : ''}</td>
+        <td class="py-1 pr-2"><span class="chip \${SET_STATUS[s.status][1]}">\${SET_STATUS[s.status][0]}</span></td>
+        <td class="py-1 pr-2 whitespace-nowrap">\${t('admin.wines', { n: s.items })}</td>
+        <td class="py-1 text-right whitespace-nowrap space-x-1">
+          \${btn(s, 'preview', t('admin.sets.preview'))}\${btn(s, 'items', t('admin.sets.items'))}\${btn(s, 'select', t('admin.sets.select'))}\${btn(s, 'csv', 'CSV…')}
+          \${s.status === 'active' ? btn(s, 'rollback', t('admin.sets.rollback'), 'bg-amber-100 hover:bg-amber-200') : btn(s, 'activate', t('admin.sets.activate'), 'bg-brand-600 text-white')}
+          \${s.status === 'draft' ? btn(s, 'delete', t('admin.delete')) : ''}
+        </td>
+      </tr>\`).join('')}</tbody></table>\`;
+    box.querySelectorAll('.setBtn').forEach(b => b.addEventListener('click', ()=> overrideSetAction(OVERRIDE_SETS.find(s => s.id === Number(b.dataset.id)), b.dataset.act)));
+  }
+
+  async function overrideSetAction(set, act){
+    let res;
+    if (act === 'preview') {
+      PREVIEW_SET = { id: set.id, name: set.name };
+      adminModal.classList.add('hidden');
+      if (wineIdFromPath()) history.pushState(null, '', '/' + filtersSearch());
+      route();
+      return;
+    }
+    if (act === 'items') { showOverrideSetItems(set.id); return; }
+    if (act === 'csv') {
+      const input = document.getElementById('overrideSetCsvFile');
+      input.dataset.set = set.id;
+      input.click();
+      return;
+    }
+    if (act === 'select') {
+      const pct = document.getElementById('bulkPct').value;
+      if (!SELECTED.size || pct === '') { alert(t('admin.sets.selectFirst')); return; }
+      res = await api.adminSetOverrideSetItems(set.id, [...SELECTED.keys()].map(id => ({ wine_id: id, adjustment_pct: Number(pct) })));
+    } else if (act === 'activate') {
+      const note = prompt(t(set.replace_all ? 'admin.sets.activateReplacePrompt' : 'admin.sets.activatePrompt', { name: set.name, wines: t('admin.wines', { n: set.items }) }));
+      if (!note || !note.trim()) return;
+      res = await api.adminActivateOverrideSet(set.id, note);
+      if (res.ok) alert(t('admin.changed', { n: res.changed }) + (res.expired ? ', ' + t('admin.expired', { n: res.expired }) : '') + '.');
+      if (res.ok && PREVIEW_SET && PREVIEW_SET.id === set.id) PREVIEW_SET = null;
+    } else if (act === 'rollback') {
+      const note = prompt(t('admin.sets.rollbackPrompt', { name: set.name }));
+      if (!note || !note.trim()) return;
+      res = await api.adminRollbackOverrideSet(set.id, note);
+      if (res.ok) alert(t('admin.restored', { n: res.changed }));
+    } else if (act === 'delete') {
+      if (!confirm(t('admin.sets.deleteConfirm', { name: set.name }))) return;
+      res = await api.adminDeleteOverrideSet(set.id);
+      if (res.ok && PREVIEW_SET && PREVIEW_SET.id === set.id) PREVIEW_SET = null;
+    }
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    loadOverrideSets(); loadOverrideHistory(); refreshTable();
+  }
+
+  async function showOverrideSetItems(id){
+    const set = await api.adminOverrideSet(id);
+    const box = document.getElementById('overrideSetItems');
+    box.classList.remove('hidden');
+    box.innerHTML = \`<div class="font-medium mb-1">\${escapeHtml(set.name)} — \${t('admin.wines', { n: set.items.length })}</div>\` + (set.items.length
+      ? \`<table class="min-w-full"><tbody class="divide-y">\${set.items.map(i => \`
+        <tr>
+          <td class="py-1 pr-2"><span class="font-medium">\${escapeHtml(i.name)}</span> <span class="text-gray-400">\${escapeHtml(i.aoc)} \${i.vintage || ''}</span></td>
+          <td class="py-1 pr-2 whitespace-nowrap">\${fmt(i.live_pct)}% → <strong>\${fmt(i.adjustment_pct)}%</strong>\${i.expires_at ? ' (' + t('admin.until', { date: date(i.expires_at) }) + ')' : ''}</td>
+          <td class="py-1 text-right"><button type="button" data-wine="\${i.wine_id}" class="setItemRemove px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200">\${t('admin.sets.remove')}</button></td>
+        </tr>\`).join('')}</tbody></table>\`
+      : t('admin.sets.empty'));
+    box.querySelectorAll('.setItemRemove').forEach(b => b.addEventListener('click', async ()=>{
+      const res = await api.adminSetOverrideSetItems(id, [{ wine_id: Number(b.dataset.wine), adjustment_pct: null }]);
+      if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+      showOverrideSetItems(id); loadOverrideSets();
+      if (PREVIEW_SET) refreshTable();
+    }));
+  }
+
+  function exitPreview(){
+    PREVIEW_SET = null;
+    document.getElementById('previewBanner').classList.add('hidden');
+  }
+  document.getElementById('previewExit').addEventListener('click', ()=>{ exitPreview(); refreshTable(); });
+  document.getElementById('overrideSetForm').addEventListener('submit', async e=>{
+    e.preventDefault();
+    const res = await api.adminCreateOverrideSet({
+      name: document.getElementById('overrideSetName').value,
+      from_live: document.getElementById('overrideSetFromLive').checked,
+      replace_all: document.getElementById('overrideSetReplace').checked,
+    });
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    e.target.reset();
+    loadOverrideSets();
+  });
+
+  // Unknown AOCs from imports, each mappable onto a registry appellation
+  async function loadUnknownAocs(){
+    const [unknown, registry] = await Promise.all([api.adminUnknownAocs(), api.adminAppellations()]);
+    const box = document.getElementById('unknownAocs');
+    if (!unknown.length) { box.textContent = t('admin.none'); return; }
+    const options = registry.map(a => \`<option value="\${a.id}">\${escapeHtml(a.name)} — \${escapeHtml(a.region || '')}</option>\`).join('');
+    box.innerHTML = unknown.map((u, i) => \`
+      <div class="flex flex-wrap items-center gap-2">
+        <span class="font-medium">\${escapeHtml(u.raw)}</span>
+        <span class="text-xs text-gray-500">\${t('admin.wines', { n: u.wines })}</span>
+        <select id="mapAoc\${i}" class="rounded-lg border-gray-300 p-1 text-xs">\${options}</select>
+        <button type="button" data-i="\${i}" class="mapAocBtn px-2 py-1 rounded-lg bg-brand-600 text-white text-xs">\${t('admin.unknownAocs.map')}</button>
+      </div>\`).join('');
+    box.querySelectorAll('.mapAocBtn').forEach(btn => btn.addEventListener('click', async ()=>{
+      const u = unknown[btn.dataset.i];
+      const res = await api.adminMapAoc(u.raw, document.getElementById('mapAoc' + btn.dataset.i).value);
+      if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+      loadUnknownAocs(); populateAOCs(); refreshTable();
+    }));
+  }
+
+  // Webhooks and their delivery log
+  const DELIVERY_STATUS = { pending: t('admin.delivery.pending'), delivered: t('admin.delivery.delivered'), failed: t('admin.delivery.failed') };
+  let WEBHOOKS = [];
+  async function loadWebhooks(){
+    WEBHOOKS = await api.adminWebhooks();
+    const box = document.getElementById('webhooks');
+    if (!Array.isArray(WEBHOOKS) || !WEBHOOKS.length) { box.textContent = t('admin.webhooks.none'); return; }
+    box.innerHTML = WEBHOOKS.map(h => \`
+      <div class="flex items-center gap-2 py-1 border-t">
+        <input type="checkbox" data-hook="\${h.id}" class="hookActive rounded" \${h.active ? 'checked' : ''} title="\${t('admin.webhooks.active')}" />
+        <span class="flex-1 truncate" title="\${escapeHtml(h.url)}">\${escapeHtml(h.description || h.url)}
+          <span class="text-gray-400">\${h.secret_hint}\${h.pending ? ' · ' + t('admin.webhooks.pending', { n: h.pending }) : ''}\${h.failed ? \` · <span class="text-brand-700">\${t('admin.webhooks.failed', { n: h.failed })}</span>\` : ''}</span></span>
+        <button type="button" data-hook="\${h.id}" data-act="log" class="hookAct px-2 py-0.5 rounded bg-gray-100">\${t('admin.webhooks.log')}</button>
+        <button type="button" data-hook="\${h.id}" data-act="test" class="hookAct px-2 py-0.5 rounded bg-gray-100">\${t('admin.webhooks.test')}</button>
+        <button type="button" data-hook="\${h.id}" data-act="rotate" class="hookAct px-2 py-0.5 rounded bg-gray-100">\${t('admin.webhooks.rotate')}</button>
+        <button type="button" data-hook="\${h.id}" data-act="delete" class="hookAct px-2 py-0.5 rounded bg-gray-100 text-brand-700">\${t('admin.delete')}</button>
+      </div>\`).join('');
+  }
+  async function loadWebhookDeliveries(id){
+    const rows = await api.adminWebhookDeliveries(id);
+    const box = document.getElementById('webhookDeliveries');
+    box.classList.remove('hidden');
+    if (!Array.isArray(rows) || !rows.length) { box.textContent = t('admin.webhooks.noDeliveries'); return; }
+    box.innerHTML = \`<table class="w-full">\${rows.map(d => \`
+      <tr class="border-t align-top">
+        <td class="py-1 pr-2 whitespace-nowrap">\${dateTime(d.created_at)}</td>
+        <td class="py-1 pr-2">\${escapeHtml(d.event)}\${d.payload.data && d.payload.data.aocs ? \` (\${d.payload.data.aocs.map(a => escapeHtml(a.aoc)).join(', ')})\` : ''}</td>
+        <td class="py-1 pr-2 whitespace-nowrap \${d.status === 'failed' ? 'text-brand-700' : ''}">\${DELIVERY_STATUS[d.status] || d.status} · \${t('admin.webhooks.attempts', { n: d.attempts })}\${d.last_error ? ' · ' + escapeHtml(d.last_error) : ''}</td>
+        <td class="py-1"><button type="button" data-delivery="\${d.id}" data-hook="\${d.webhook_id}" class="redeliver px-2 py-0.5 rounded bg-gray-100">\${t('admin.webhooks.redeliver')}</button></td>
+      </tr>\`).join('')}</table>\`;
+  }
+  document.getElementById('webhookForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    const res = await api.adminCreateWebhook({ url: document.getElementById('webhookUrl').value, description: document.getElementById('webhookDescription').value });
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    prompt(t('admin.webhooks.secret'), res.secret);
+    e.target.reset();
+    loadWebhooks();
+  });
+  document.getElementById('webhooks').addEventListener('change', async (e)=>{
+    if (!e.target.classList.contains('hookActive')) return;
+    const res = await api.adminUpdateWebhook(e.target.dataset.hook, { active: e.target.checked });
+    if (!res.ok) alert(t('common.failed', { error: res.error||'' }));
+    loadWebhooks();
+  });
+  document.getElementById('webhooks').addEventListener('click', async (e)=>{
+    const btn = e.target.closest('.hookAct');
+    if (!btn) return;
+    const id = btn.dataset.hook;
+    if (btn.dataset.act === 'log') return loadWebhookDeliveries(id);
+    if (btn.dataset.act === 'delete' && !confirm(t('admin.webhooks.deleteConfirm'))) return;
+    const res = btn.dataset.act === 'test' ? await api.adminTestWebhook(id)
+      : btn.dataset.act === 'rotate' ? await api.adminUpdateWebhook(id, { rotate_secret: true })
+      : await api.adminDeleteWebhook(id);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    if (res.secret) prompt(t('admin.webhooks.newSecret'), res.secret);
+    if (btn.dataset.act === 'test') setTimeout(()=>loadWebhookDeliveries(id), 1000);
+    loadWebhooks();
+  });
+  document.getElementById('webhookDeliveries').addEventListener('click', async (e)=>{
+    const btn = e.target.closest('.redeliver');
+    if (!btn) return;
+    const res = await api.adminRedeliver(btn.dataset.delivery);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    setTimeout(()=>loadWebhookDeliveries(btn.dataset.hook), 1000);
+  });
+
+  // Duplicate candidates: each side can be kept (the other is merged into it) or the pair dismissed
+  let DUPLICATES = [];
+  function duplicateSide(w, keep){
+    return \`<td class="py-1 pr-2 align-top \${keep ? 'font-medium' : ''}">
+      #\${w.id} \${escapeHtml(w.name)} \${w.vintage || ''}<br>
+      <span class="text-gray-400">\${escapeHtml(w.aoc)} · \${escapeHtml(w.external_id)} · \${fmt(w.vivino_rating)} (\${t('admin.duplicates.reviews', { n: w.rating_count })})\${w.adjustment_pct ? \` · \${w.adjustment_pct}%\` : ''}</span>
+    </td>\`;
+  }
+  async function loadDuplicates(){
+    DUPLICATES = await api.adminDuplicates();
+    const box = document.getElementById('duplicates');
+    if (!Array.isArray(DUPLICATES) || !DUPLICATES.length) { box.textContent = t('admin.duplicates.none'); return; }
+    box.innerHTML = \`<table class="w-full">\${DUPLICATES.map((d, i) => \`
+      <tr class="border-t">
+        <td class="py-1 pr-2 align-top whitespace-nowrap">\${Math.round(d.score * 100)}%</td>
+        \${duplicateSide(d.a, d.suggested_keep_id === d.a.id)}
+        \${duplicateSide(d.b, d.suggested_keep_id === d.b.id)}
+        <td class="py-1 align-top whitespace-nowrap">
+          <button type="button" data-dup="\${i}" data-keep="a" class="dupMerge px-2 py-0.5 rounded bg-brand-600 text-white">\${t('admin.duplicates.keep', { id: d.a.id })}</button>
+          <button type="button" data-dup="\${i}" data-keep="b" class="dupMerge px-2 py-0.5 rounded bg-brand-600 text-white">\${t('admin.duplicates.keep', { id: d.b.id })}</button>
+          <button type="button" data-dup="\${i}" class="dupDismiss px-2 py-0.5 rounded bg-gray-100">\${t('admin.duplicates.distinct')}</button>
+        </td>
+      </tr>\`).join('')}</table>\`;
+  }
+  document.getElementById('findDuplicates').addEventListener('click', loadDuplicates);
+  document.getElementById('duplicates').addEventListener('click', async (e)=>{
+    const btn = e.target.closest('button[data-dup]');
+    if (!btn) return;
+    const d = DUPLICATES[Number(btn.dataset.dup)];
+    let res;
+    if (btn.classList.contains('dupDismiss')) res = await api.adminDismissDuplicate(d.a.id, d.b.id);
+    else {
+      const [keep, gone] = btn.dataset.keep === 'a' ? [d.a, d.b] : [d.b, d.a];
+      const note = prompt(t('admin.duplicates.mergePrompt', { gone: gone.id, keep: keep.id, external_id: gone.external_id }));
+      if (!note) return;
+      res = await api.adminMergeWines(keep.id, gone.id, note);
+    }
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    loadDuplicates(); refreshTable(); loadOverrideHistory();
+  });
+
+  // Import quarantine: changes held by the anomaly rules, approved or rejected in batches
+  const ANOMALY_RULES = Object.fromEntries(['max_rating_delta', 'min_rating_count', 'max_rating_count_drop_pct', 'max_price_change_pct', 'aoc_change', 'missing']
+    .map(rule => [rule, t('admin.anomaly.' + rule)]));
+  let ANOMALIES = [];
+  function anomalyReason(r){
+    if (r.rule === 'missing') return ANOMALY_RULES.missing;
+    return \`\${ANOMALY_RULES[r.rule] || r.rule} (\${escapeHtml(r.field)}: <span class="text-gray-500 line-through">\${escapeHtml(r.before ?? '—')}</span> → <strong>\${escapeHtml(r.after ?? '—')}</strong>)\`;
+  }
+  function fillAnomalyRules(rules){
+    document.querySelectorAll('#anomalyRulesForm [data-rule]').forEach(el => {
+      const v = rules[el.dataset.rule];
+      if (el.type === 'checkbox') el.checked = Boolean(v);
+      else el.value = v == null ? '' : v;
+    });
+  }
+  async function loadAnomalies(){
+    const status = document.getElementById('anomalyStatus').value;
+    const res = await api.adminAnomalies(status);
+    if (!res.rules) return;
+    fillAnomalyRules(res.rules);
+    const count = document.getElementById('anomalyCount');
+    count.textContent = res.counts.pending;
+    count.classList.toggle('hidden', !res.counts.pending);
+    ANOMALIES = res.anomalies;
+    const pending = status === 'pending';
+    document.getElementById('anomalyActions').classList.toggle('hidden', !pending || !ANOMALIES.length);
+    document.getElementById('anomalyAll').checked = false;
+    const box = document.getElementById('anomalies');
+    if (!ANOMALIES.length) { box.textContent = pending ? t('admin.quarantine.nonePending') : t('admin.none'); return; }
+    box.innerHTML = \`<table class="w-full">\${ANOMALIES.map(a => \`
+      <tr class="border-t align-top">
+        \${pending ? \`<td class="py-1 pr-2"><input type="checkbox" class="anomalyPick" value="\${a.id}" /></td>\` : ''}
+        <td class="py-1 pr-2">
+          <span class="font-medium">\${escapeHtml(a.name || a.external_id)} \${a.vintage || ''}</span><br>
+          <span class="text-gray-400">\${escapeHtml(a.aoc || '')} · \${escapeHtml(a.external_id)}\${a.wine_id ? '' : ' · ' + t('admin.quarantine.newWine')}</span>
+        </td>
+        <td class="py-1 pr-2">\${a.reasons.map(anomalyReason).join('<br>')}</td>
+        <td class="py-1 whitespace-nowrap text-gray-400">
+          \${dateTime(a.detected_at)} · \${tLabel('admin.quarantine.source.' + a.source, a.source)}\${a.origin ? \`<br>\${escapeHtml(a.origin.split(/[\\\\/]/).pop())}\` : ''}
+          \${a.resolved_by ? \`<br>\${escapeHtml(a.resolved_by)}\${a.note ? ' : ' + escapeHtml(a.note) : ''}\` : ''}
+        </td>
+      </tr>\`).join('')}</table>\`;
+  }
+  document.getElementById('anomalyStatus').addEventListener('change', loadAnomalies);
+  document.getElementById('anomalyAll').addEventListener('change', e => {
+    document.querySelectorAll('#anomalies .anomalyPick').forEach(el => { el.checked = e.target.checked; });
+  });
+  async function resolveAnomalies(action){
+    const ids = [...document.querySelectorAll('#anomalies .anomalyPick:checked')].map(el => Number(el.value));
+    if (!ids.length) { alert(t('admin.quarantine.selectOne')); return; }
+    const removals = ANOMALIES.filter(a => ids.includes(a.id) && !a.item).length;
+    if (action === 'approve' && removals && !confirm(t('admin.quarantine.removals', { n: removals }))) return;
+    const note = prompt(t(action === 'approve' ? 'admin.quarantine.approvePrompt' : 'admin.quarantine.rejectPrompt', { n: ids.length }));
+    if (note === null) return;
+    const res = await api.adminResolveAnomalies(action, ids, note);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    loadAnomalies();
+    if (action === 'approve') { refreshTable(); populateAOCs(); populateVintages(); loadOverrideHistory(); }
+  }
+  document.getElementById('anomalyApprove').addEventListener('click', () => resolveAnomalies('approve'));
+  document.getElementById('anomalyReject').addEventListener('click', () => resolveAnomalies('reject'));
+  document.getElementById('anomalyRulesForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    const rules = {};
+    e.target.querySelectorAll('[data-rule]').forEach(el => {
+      rules[el.dataset.rule] = el.type === 'checkbox' ? el.checked : (el.value === '' ? null : Number(el.value));
+    });
+    const res = await api.adminSetAnomalyRules(rules);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    fillAnomalyRules(res.rules);
   });
 
+  // Refresh source settings, job history and live progress of the running job
+  const JOB_STATUS = Object.fromEntries(['running', 'succeeded', 'failed', 'skipped'].map(s => [s, t('admin.job.status.' + s)]));
+  const JOB_PHASE = { fetch: t('admin.job.phase.fetch'), apply: t('admin.job.phase.apply') };
+  const JOB_TRIGGER = { cron: t('admin.job.trigger.cron'), manual: t('admin.job.trigger.manual'), watch: t('admin.job.trigger.watch') };
+  let REFRESH_SOURCE_LIST = [];
+  function jobSummary(j){
+    if (j.status === 'running') return \`\${JOB_STATUS.running} — \${JOB_PHASE[j.phase] || j.phase}\${j.items_read != null ? \` (\${t('admin.job.rows', { n: j.items_read })})\` : ''}\`;
+    if (j.status === 'succeeded') return [t('admin.job.updated', { n: j.upserted }), t('admin.job.rejected', { n: j.rejected })]
+      .concat(j.quarantined ? [t('admin.job.quarantined', { n: j.quarantined })] : []).join(', ');
+    return \`\${JOB_STATUS[j.status] || j.status}\${j.error ? ': ' + j.error : ''}\`;
+  }
+  function updateRefreshTarget(config){
+    const source = document.getElementById('refreshSource').value;
+    const target = document.getElementById('refreshTarget');
+    const key = { file: 'path', drop_folder: 'dir', http: 'url' }[source];
+    target.placeholder = tLabel('admin.refresh.target.' + source, '');
+    target.dataset.key = key;
+    if (config) target.value = config[key] || '';
+    const s = REFRESH_SOURCE_LIST.find(x => x.id === source);
+    document.getElementById('refreshSourceHelp').textContent = s ? s.description : '';
+  }
+  async function loadRefreshConfig(){
+    const res = await api.adminRefreshConfig();
+    if (!res.config) return;
+    REFRESH_SOURCE_LIST = res.sources;
+    const sel = document.getElementById('refreshSource');
+    sel.innerHTML = res.sources.map(s => \`<option value="\${s.id}">\${escapeHtml(tLabel('admin.refresh.source.' + s.id, s.label))}</option>\`).join('');
+    sel.value = res.config.source;
+    document.getElementById('refreshInterval').value = res.config.interval_days;
+    const prof = document.getElementById('refreshProfile');
+    prof.length = 1;
+    for (const p of PROFILES) prof.add(new Option(p.name, p.name));
+    prof.value = res.config.profile || '';
+    updateRefreshTarget(res.config);
+  }
+  async function loadRefreshJobs(){
+    const jobs = await api.adminJobs();
+    const box = document.getElementById('refreshJobs');
+    if (!Array.isArray(jobs) || !jobs.length) { box.textContent = t('admin.refresh.none'); return jobs; }
+    box.innerHTML = \`<table class="w-full">\${jobs.map(j => \`
+      <tr class="border-t align-top">
+        <td class="py-1 pr-2 whitespace-nowrap">\${dateTime(j.started_at)}</td>
+        <td class="py-1 pr-2 whitespace-nowrap">\${JOB_TRIGGER[j.triggered_by] || j.triggered_by}\${j.user ? ' (' + escapeHtml(j.user) + ')' : ''}</td>
+        <td class="py-1 pr-2 \${j.status === 'failed' ? 'text-brand-700' : ''}">\${escapeHtml(jobSummary(j))}</td>
+      </tr>\`).join('')}</table>\`;
+    return jobs;
+  }
+  // Poll the running job until it finishes, then reload what it may have changed
+  async function followRefreshJob(id){
+    const box = document.getElementById('refreshProgress');
+    for (;;) {
+      const job = await api.adminJob(id);
+      if (!job || !job.status) { box.textContent = ''; return; }
+      box.textContent = jobSummary(job);
+      if (job.status !== 'running') break;
+      await new Promise(r => setTimeout(r, 1000));
+    }
+    loadRefreshJobs(); loadMeta(); refreshTable(); populateAOCs(); populateVintages(); populatePriceBands(); loadUnknownAocs(); loadAnomalies();
+  }
+  document.getElementById('refreshSource').addEventListener('change', ()=>updateRefreshTarget());
+  document.getElementById('refreshConfigForm').addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    const target = document.getElementById('refreshTarget');
+    const config = {
+      source: document.getElementById('refreshSource').value,
+      interval_days: Number(document.getElementById('refreshInterval').value),
+      profile: document.getElementById('refreshProfile').value || null,
+      [target.dataset.key]: target.value.trim() || null,
+    };
+    const res = await api.adminSetRefreshConfig(config);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    loadMeta();
+  });
   document.getElementById('refreshNow').addEventListener('click', async ()=>{
-    const res = await api.adminRefresh(AUTH);
-    if (res.ok) { alert('Rafraîchissement lancé.'); loadMeta(); refreshTable(); }
-    else alert('Échec: ' + (res.error||''));
+    const res = await api.adminRefresh();
+    if (res.job) followRefreshJob(res.job.id);
+    if (!res.ok) alert(t('common.failed', { error: res.error||'' }));
+  });
+
+  // Backup, restore and config transfer
+  async function loadSchemaVersion(){
+    const m = await api.adminMigrations();
+    document.getElementById('schemaVersion').textContent = m.version === m.latest
+      ? t('admin.backup.schema', { version: m.version }) : t('admin.backup.schemaBehind', { version: m.version, latest: m.latest });
+  }
+  document.getElementById('restoreFile').addEventListener('change', async e=>{
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!confirm(t('admin.backup.restoreConfirm', { file: file.name }))) return;
+    const res = await api.adminRestore(file);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    alert([t('admin.backup.restored'), res.kept.length ? t('admin.backup.kept', { tables: res.kept.join(', ') }) : '',
+      res.logged_out ? t('admin.backup.signIn') : ''].filter(Boolean).join(' '));
+    location.reload();
+  });
+  document.getElementById('configImportFile').addEventListener('change', async e=>{
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let config;
+    try { config = JSON.parse(await file.text()); }
+    catch (err) { alert(t('admin.transfer.invalidFile')); return; }
+    const plan = await api.adminImportConfig(config, true);
+    if (!plan.ok) { alert(t('common.failed', { error: plan.error||'' })); return; }
+    const changed = plan.overrides.filter(o => !o.unchanged);
+    const summary = [
+      t('admin.transfer.settings', { list: Object.keys(plan.settings).join(', ') || t('admin.transfer.noSettings') }),
+      t('admin.csv.toApply', { n: changed.length, unchanged: plan.overrides.length - changed.length }),
+      \`\${t('admin.transfer.unmatched', { n: plan.unmatched.length })}\${plan.unmatched.length ? ' — ' + plan.unmatched.slice(0, 5).map(u => u.name || u.external_id).join(', ') : ''}\`,
+      \`\${t('admin.csv.skipped', { n: plan.skipped.length })}\${plan.skipped.length ? ' — ' + plan.skipped.slice(0, 5).map(s => (s.name || s.external_id) + ' (' + s.reason + ')').join(', ') : ''}\`,
+    ].join('\\n');
+    if (!confirm(summary + '\\n\\n' + t('admin.transfer.confirm'))) return;
+    const res = await api.adminImportConfig(config, false);
+    if (!res.ok) { alert(t('common.failed', { error: res.error||'' })); return; }
+    await loadRanking();
+    await populatePriceBands();
+    refreshTable();
+    loadOverrideHistory();
   });
 
   // Init
   (async function init(){
     await loadMeta();
+    await loadRanking();
     await populateAOCs();
-    await refreshTable();
+    await populateVintages();
+    await populatePriceBands();
+    await loadActiveShortlist();
+    const me = await api.me();
+    if (me && me.csrf_token) onLoggedIn(me);
+    else await route();
   })();
 </script>
 </body>
 </html>`;
+}